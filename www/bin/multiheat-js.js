@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * multiheat-js — консольная часть на JavaScript (без Zig/WASM).
+ *
+ * Команды и флаги совпадают с CLI на Zig (`cli/main.zig`); дополнительно `--algorithm`
+ * выбирает алгоритм синтеза для `--solve` и `--graph` (см. `src/mh/node/api.js`).
+ *
+ * Код выхода: 0 — успех, 1 — ошибка входных данных, синтеза или нарушения в решении
+ * (для `--verify` нарушения печатаются в STDERR).
+ */
+
+import { readFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+
+import {
+  checkInput,
+  describeViolation,
+  emitTomlExchangers,
+  graph,
+  parseTomlToState,
+  solve,
+  verify,
+} from "../src/mh/node/api.js";
+import { toErrorText } from "../src/mh/util/errors.js";
+
+const USAGE = `Использование:
+    multiheat-js [-h] [--checkinput] [--verify] [--solve] [--graph] [--terse] [--algorithm <имя>] <input_file>
+
+Аргументы:
+    -h, --help            Команда: напечатать инструкцию (этот текст).
+    --checkinput          Команда: проверить корректность входных данных.
+    --verify              Команда: проверить корректность готового решения.
+    --solve               Команда: найти решение системы (вывод в формате TOML)
+    --graph               Команда: вывести mermaid-граф системы (решённой при необходимости).
+    --terse               Вывести только таблицу [[exchanger]].
+    --algorithm <имя>     Алгоритм синтеза: greedy (по умолчанию) или curves.
+    <input_file>          Путь до файла с описанием системы в формате TOML.
+`;
+
+const COMMANDS = ["checkinput", "verify", "solve", "graph"];
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    options: {
+      help: { type: "boolean", short: "h" },
+      checkinput: { type: "boolean" },
+      verify: { type: "boolean" },
+      solve: { type: "boolean" },
+      graph: { type: "boolean" },
+      terse: { type: "boolean" },
+      algorithm: { type: "string" },
+    },
+    allowPositionals: true,
+  });
+
+  const commands = COMMANDS.filter((c) => values[c]);
+  if (commands.length > 1) throw new Error("Указано несколько команд.");
+
+  const command = values.help ? "help" : (commands[0] ?? "help");
+  if (command === "help") {
+    process.stderr.write(USAGE);
+    return;
+  }
+
+  if (positionals.length < 1) throw new Error("Не указан входной файл.");
+  const inputPath = positionals[0];
+  const original = await readFile(inputPath, "utf8");
+  const state = parseTomlToState(original);
+  const opts = { algorithm: values.algorithm };
+
+  if (command === "checkinput") {
+    checkInput(state);
+    return;
+  }
+
+  if (command === "verify") {
+    const result = verify(state);
+    // Нагрузки в сообщениях — в единице файла (`load_unit`).
+    const units = {
+      tempUnit: state.multiheat.temp_unit,
+      loadUnit: state.multiheat.load_unit,
+    };
+    for (const v of result.violations)
+      process.stderr.write(`${describeViolation(v, units)}\n`);
+    if (!result.ok) process.exitCode = 1;
+    return;
+  }
+
+  if (command === "solve") {
+    // Решение — в K и МВт; записываем в единицах файла (`temp_unit`/`load_unit`), как и остальной документ.
+    const exchangers = emitTomlExchangers(solve(state, opts).state.exchanger, {
+      temp: state.multiheat.temp_unit,
+      load: state.multiheat.load_unit,
+    });
+    if (values.terse) {
+      process.stdout.write(`${exchangers}\n`);
+      return;
+    }
+    const head = original.endsWith("\n") ? original : `${original}\n`;
+    process.stdout.write(`${head}\n${exchangers}\n`);
+    return;
+  }
+
+  process.stdout.write(graph(state, opts));
+};
+
+try {
+  await main();
+} catch (e) {
+  process.stderr.write(`multiheat-js: ${toErrorText(e)}\n`);
+  if (e instanceof Error && e.cause !== undefined)
+    process.stderr.write(`  ${toErrorText(e.cause)}\n`);
+  process.exitCode = 1;
+}
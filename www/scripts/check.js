@@ -0,0 +1,577 @@
+/**
+ * Регрессионные проверки JavaScript-части без Zig/WASM и без браузера.
+ *
+ * Каждая проверка печатает строку «✓ <название>» или «✗ <название>: <причина>».
+ * Код выхода 1, если хотя бы одна проверка не прошла.
+ *
+ * Запуск (из каталога `www`): `npm test`.
+ */
+
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+
+import {
+  computeSolutionStats,
+  describeViolation,
+  emitToml,
+  parseTomlToState,
+  solve,
+  verify,
+} from "../src/mh/node/api.js";
+import { compareCaseStats } from "../src/mh/analysis/case_compare.js";
+import { computeProblemTable } from "../src/mh/analysis/pinch.js";
+import { generateStreams } from "../src/mh/app/generator.js";
+import { computeAnnualCost } from "../src/mh/model/economics.js";
+import { splitSections } from "../src/mh/model/exchanger_temps.js";
+import { dtOptions } from "../src/mh/model/state.js";
+import { stateFromBaseUnits, stateToBaseUnits } from "../src/mh/model/units.js";
+import { verifySolutionJs } from "../src/mh/solver/verify_solution_js.js";
+import { toErrorText } from "../src/mh/util/errors.js";
+
+const EXAMPLES_DIR = fileURLToPath(new URL("../../examples", import.meta.url));
+const CLI = fileURLToPath(new URL("../bin/multiheat-js.js", import.meta.url));
+
+/** @param {string} name */
+const readExample = async (name) =>
+  parseTomlToState(await readFile(join(EXAMPLES_DIR, name), "utf8"));
+
+/**
+ * Учебная система из четырёх потоков (°C, ΔTmin = 10 K): целевые утилиты QH = 20 МВт, QC = 60 МВт.
+ */
+const TEXTBOOK_TOML = `
+[multiheat]
+version = "1.0.0"
+temp_unit = "C"
+min_dt = 10
+
+[[hot]]
+in = 170
+out = 60
+rate = 3
+
+[[hot]]
+in = 150
+out = 30
+rate = 1.5
+
+[[cold]]
+in = 20
+out = 135
+rate = 2
+
+[[cold]]
+in = 80
+out = 140
+rate = 4
+`;
+
+/** @type {{ name: string, run: () => unknown }[]} */
+const checks = [];
+
+/**
+ * @param {string} name
+ * @param {() => unknown} run
+ */
+const check = (name, run) => checks.push({ name, run });
+
+/**
+ * Решение проходит `verifySolutionJs` без нарушений.
+ * @param {any} state
+ * @param {string} algorithm
+ */
+const assertVerified = (state, algorithm) => {
+  const solved = solve(state, { algorithm }).state;
+  const result = verify(solved);
+  assert.deepEqual(
+    result.violations.map((v) => `${v.kind} #${v.exchanger ?? "-"}`),
+    [],
+  );
+  return solved;
+};
+
+/** @param {any[]} exchangers @param {"hot"|"cold"} side */
+const utilityLoad = (exchangers, side) =>
+  exchangers
+    .filter((ex) => ex[side] === null)
+    .reduce((a, ex) => a + ex.load, 0);
+
+/** @param {number} actual @param {number} expected @param {number} [eps] */
+const assertClose = (actual, expected, eps = 1e-6) =>
+  assert.ok(
+    Math.abs(actual - expected) <= eps,
+    `ожидалось ${expected}, получено ${actual}`,
+  );
+
+check("verifySolutionJs: все виды нарушений, нагрузки в кВт", () => {
+  const state = parseTomlToState(`
+[multiheat]
+version = "1.0.0"
+temp_unit = "K"
+load_unit = "kW"
+
+[[hot]]
+in = 400
+out = 300
+rate = 100
+
+[[cold]]
+in = 290
+out = 340
+rate = 100
+
+[[cold]]
+in = 350
+out = 380
+rate = 100
+
+[[utility]]
+name = "Вода"
+kind = "cold"
+in = 380
+
+[[constraint]]
+forbid = { hot = 0, cold = 0 }
+
+[[constraint]]
+require = { hot = 0, cold = 1, min_load = 2000 }
+
+[[exchanger]]
+hot = 0
+cold = 0
+load = 5000
+
+[[exchanger]]
+hot = 0
+cold = 1
+load = 1000
+
+[[exchanger]]
+hot = 0
+load = 4000
+utility = 0
+`);
+  // Аппарат без обеих сторон парсер не пропускает — добавляем в обход него.
+  state.exchanger.push({ hot: null, cold: null, load: 1 });
+
+  const result = verifySolutionJs(state, { min_dt: 10, def_dt: 10 });
+  assert.equal(result.ok, false);
+  assert.deepEqual(
+    result.violations.map((v) => v.kind),
+    [
+      "invalid_exchanger",
+      "total_balance",
+      "stream_balance",
+      "min_dt",
+      "utility_dt",
+      "forbidden_match",
+      "required_match",
+    ],
+  );
+
+  const units = { tempUnit: "K", loadUnit: "kW" };
+  const byKind = Object.fromEntries(
+    result.violations.map((v) => [v.kind, describeViolation(v, units)]),
+  );
+  assert.equal(
+    byKind.stream_balance,
+    "C2: не хватает 2000 кВт (требуется 3000 кВт, обеспечено 1000 кВт).",
+  );
+  assert.equal(
+    byKind.min_dt,
+    "E2 (H1–C2): температурный напор -10 K меньше ΔTmin = 10 K.",
+  );
+  assert.match(byKind.required_match, /1000 кВт меньше требуемой 2000 кВт/);
+});
+
+check("computeProblemTable: учебная система — QH, QC и пинч", () => {
+  const table = computeProblemTable(parseTomlToState(TEXTBOOK_TOML), {
+    min_dt: 10,
+  });
+  assertClose(table.hot_utility_MW, 20);
+  assertClose(table.cold_utility_MW, 60);
+  assert.equal(table.pinches.length, 1);
+  // Пинч: 90 °C по горячей шкале, 80 °C — по холодной.
+  assertClose(table.pinches[0].hot_K, 363.15);
+  assertClose(table.pinches[0].cold_K, 353.15);
+  assert.equal(table.intervals.length, 5);
+});
+
+check("computeProblemTable: холодная изотерма получает тепло сверху", () => {
+  const state = {
+    hot: [{ in: 400, out: 300, rate: 1 }],
+    cold: [{ in: 350, load: 60 }],
+  };
+  const table = computeProblemTable(state, { min_dt: 10 });
+  // Выше 360 K (350 K + ΔTmin) горячий поток отдаёт только 40 МВт из 60.
+  assertClose(table.hot_utility_MW, 20);
+  assertClose(table.cold_utility_MW, 60);
+  assert.equal(table.pinches.length, 1);
+  assertClose(table.pinches[0].hot_K, 360);
+  assertClose(table.pinches[0].cold_K, 350);
+});
+
+check("compareCaseStats: нагрузки в единицах отображения", () => {
+  const state = parseTomlToState(TEXTBOOK_TOML);
+  const { rows } = compareCaseStats([{ name: "A", state }], {
+    loadUnit: "kW",
+  });
+  const row = rows.find((r) => r[0].startsWith("Цель по нагреву"));
+  assert.deepEqual(row, ["Цель по нагреву QHmin, кВт", "20000"]);
+  assert.ok(rows.some((r) => r[0] === "ΔTmin, K"));
+});
+
+check("units: rate и temp_var в °F пересчитываются по шкале градуса", () => {
+  const file = {
+    hot: [{ in: 300, out: 200, rate: 1 }],
+    generator: { hot: { temp_var: 81 }, cold: { temp_var: 9 } },
+  };
+  const base = stateToBaseUnits(file, { temp: "F", load: "MW" });
+  // 1 МВт/°F = 1.8 МВт/К; 81 °F² = 25 K².
+  assert.equal(base.hot[0].rate, 1.8);
+  assert.equal(base.generator.hot.temp_var, 25);
+  assertClose(base.generator.cold.temp_var, 25 / 9, 1e-12);
+  const back = stateFromBaseUnits(base, { temp: "F", load: "MW" });
+  assert.deepEqual(back.hot, file.hot);
+  assert.deepEqual(back.generator, file.generator);
+
+  // В °C шкала та же, что в K.
+  const celsius = stateToBaseUnits(file, { temp: "C", load: "MW" });
+  assert.equal(celsius.hot[0].rate, 1);
+  assert.equal(celsius.generator.hot.temp_var, 81);
+});
+
+for (const units of [
+  { temp: "F", load: "kW" },
+  { temp: "F", load: "Gcal/h" },
+  { temp: "C", load: "Gcal/h" },
+])
+  check(
+    `units: пересчёт ${units.temp}/${units.load} ↔ K/МВт без потери точности`,
+    async () => {
+      // Решение с рассчитанными температурами аппаратов: значения не «круглые» ни в одной шкале.
+      const base = solve(await readExample("1.toml"), {
+        algorithm: "greedy",
+      }).state;
+
+      // Запись и повторное чтение не меняют состояние; значение файла читается тем же числом.
+      const file = stateFromBaseUnits(base, units);
+      const reread = stateToBaseUnits(file, units);
+      assert.deepEqual(stateFromBaseUnits(reread, units), file);
+      assert.deepEqual(stateToBaseUnits(file, units), reread);
+
+      // Значения файла с 12 знаками после точки.
+      const precise = {
+        ...file,
+        hot: file.hot.map((h, i) => ({
+          ...h,
+          in: 400.123456789012 + i,
+          out: 300.987654321098 + i,
+        })),
+        exchanger: file.exchanger.map((ex, k) => ({
+          ...ex,
+          load: 1.234567890123 + k,
+        })),
+      };
+      assert.deepEqual(
+        stateFromBaseUnits(stateToBaseUnits(precise, units), units),
+        precise,
+      );
+    },
+  );
+
+check("solve_curves: учебная система — целевые утилиты и ΔTmin", () => {
+  const solved = assertVerified(parseTomlToState(TEXTBOOK_TOML), "curves");
+  assertClose(utilityLoad(solved.exchanger, "hot"), 20);
+  assertClose(utilityLoad(solved.exchanger, "cold"), 60);
+});
+
+for (const name of [
+  "1.toml",
+  "2.toml",
+  "3.toml",
+  "4.toml",
+  "5.toml",
+  "random1.toml",
+])
+  check(`solve_curves: ${name} проходит проверку решения`, async () =>
+    assertVerified(await readExample(name), "curves"),
+  );
+
+check("solve_curves: разветвления полные и нужны для ΔTmin", async () => {
+  const solved = solve(await readExample("1.toml"), {
+    algorithm: "curves",
+  }).state;
+  const opts = dtOptions(solved);
+  assert.deepEqual(verifySolutionJs(solved, opts).violations, []);
+
+  const sections = splitSections(solved);
+  assert.ok(sections.length > 0);
+  for (const sec of sections) {
+    assert.ok(sec.branches.length >= 2);
+    assertClose(
+      sec.branches.reduce((a, b) => a + b.split, 0),
+      1,
+    );
+
+    // Тот же участок последовательно: температуры пересчитываются по позициям на потоках.
+    const members = new Set(sec.branches.flatMap((b) => b.exchangers));
+    const exchanger = solved.exchanger.map((ex, k) => {
+      const copy = { hot: ex.hot, cold: ex.cold, load: ex.load };
+      for (const side of ["hot", "cold"]) {
+        if (ex[`${side}_seq`] !== undefined)
+          copy[`${side}_seq`] = ex[`${side}_seq`];
+        if (ex[`${side}_branch`] === undefined) continue;
+        if (side === sec.side && members.has(k)) continue;
+        copy[`${side}_branch`] = ex[`${side}_branch`];
+        copy[`${side}_split`] = ex[`${side}_split`];
+      }
+      return copy;
+    });
+    const serial = verifySolutionJs({ ...solved, exchanger }, opts);
+    assert.ok(
+      serial.violations.some((v) => v.kind === "min_dt"),
+      `участок ${sec.side} ${sec.stream + 1} не нужен`,
+    );
+  }
+});
+
+// Жадный алгоритм, как и Zig, ставит остаток стороны на один поток: баланс потоков
+// нарушается, но решение читается обратно и других нарушений нет.
+for (const name of [
+  "1.toml",
+  "2.toml",
+  "3.toml",
+  "4.toml",
+  "5.toml",
+  "random1.toml",
+])
+  check(
+    `solve_greedy: ${name} — только нарушения баланса потоков`,
+    async () => {
+      const solved = solve(await readExample(name), {
+        algorithm: "greedy",
+      }).state;
+      const reread = parseTomlToState(emitToml(solved));
+      assert.deepEqual(
+        verify(reread)
+          .violations.map((v) => v.kind)
+          .filter((kind) => kind !== "stream_balance"),
+        [],
+      );
+    },
+  );
+
+check(
+  "generateStreams: зерно и параметры [generator] воспроизводят систему",
+  () => {
+    const state = parseTomlToState(`
+[multiheat]
+version = "1.0.0"
+temp_unit = "K"
+min_dt = 10
+
+[generator]
+seed = 12345
+mode = "structured"
+
+[generator.hot]
+count = 5
+iso_share = 20
+temp_dist = "uniform"
+temp_min = 350
+temp_max = 500
+temp_mean = 425
+temp_var = 400
+load_dist = "normal"
+load_min = 1
+load_max = 10
+load_mean = 5
+load_var = 1
+
+[generator.cold]
+count = 4
+iso_share = 0
+temp_dist = "uniform"
+temp_min = 300
+temp_max = 450
+temp_mean = 375
+temp_var = 400
+load_dist = "uniform"
+load_min = 1
+load_max = 8
+load_mean = 4
+load_var = 1
+
+[generator.structured]
+overlap = 60
+pinch = 400
+load_ratio = 1.2
+min_cells = 3
+`);
+    const opts = { min_dt: 10 };
+    const streams = generateStreams(state.generator, opts);
+    assert.equal(streams.hot.length, 5);
+    assert.equal(streams.cold.length, 4);
+    assert.deepEqual(generateStreams(state.generator, opts), streams);
+
+    // Секция [generator] переживает запись в TOML без потери точности.
+    const reread = parseTomlToState(emitToml(state));
+    assert.deepEqual(reread.generator, state.generator);
+    assert.deepEqual(generateStreams(reread.generator, opts), streams);
+
+    const reseeded = { ...state.generator, seed: state.generator.seed + 1 };
+    assert.notDeepEqual(generateStreams(reseeded, opts), streams);
+  },
+);
+
+check(
+  "economics: неположительный напор — нарушение аппарата, затраты конечны",
+  () => {
+    const state = parseTomlToState(`
+[multiheat]
+version = "1.0.0"
+temp_unit = "K"
+
+[economics]
+area_coef = 100
+
+[[hot]]
+in = 400
+out = 300
+rate = 0.1
+
+[[cold]]
+in = 290
+out = 340
+rate = 0.1
+
+[[cold]]
+in = 350
+out = 400
+rate = 0.1
+
+[[exchanger]]
+hot = 0
+cold = 0
+load = 5
+
+[[exchanger]]
+hot = 0
+cold = 1
+load = 5
+`);
+    const annual = computeAnnualCost(state);
+    assert.deepEqual(annual.area_undefined, [
+      { exchanger: 1, approach_K: -50 },
+    ]);
+    assert.equal(annual.exchangers[1].area_m2, null);
+    assert.ok(annual.exchangers[0].area_m2 > 0);
+    assert.ok(Number.isFinite(annual.total_annual_cost));
+
+    const stats = computeSolutionStats(state);
+    assert.deepEqual(stats.area_undefined_exchangers, [1]);
+    assert.ok(Number.isFinite(stats.total_annual_cost));
+  },
+);
+
+/** Система в °F и Гкал/ч (ΔTmin — в K). */
+const FAHRENHEIT_GCAL_TOML = `
+[multiheat]
+version = "1.0.0"
+temp_unit = "F"
+load_unit = "Gcal/h"
+min_dt = 10
+
+[[hot]]
+in = 338
+out = 140
+rate = 2.5
+
+[[hot]]
+in = 302
+out = 86
+rate = 1.2
+
+[[cold]]
+in = 68
+out = 275
+rate = 1.7
+
+[[cold]]
+in = 176
+out = 284
+rate = 3.4
+`;
+
+check("emitToml: решение в °F и Гкал/ч читается обратно без потерь", () => {
+  const solved = solve(parseTomlToState(FAHRENHEIT_GCAL_TOML), {
+    algorithm: "greedy",
+  }).state;
+  const reread = parseTomlToState(emitToml(solved));
+  // Рассчитанное значение в K/МВт не всегда точно представимо в °F/Гкал/ч: допустим последний знак.
+  reread.exchanger.forEach((ex, k) => {
+    for (const [key, v] of Object.entries(solved.exchanger[k]))
+      if (typeof v === "number")
+        assertClose(ex[key], v, 1e-12 * Math.max(1, Math.abs(v)));
+  });
+  // Прочитанный файл записывается тем же текстом.
+  assert.equal(emitToml(reread), emitToml(parseTomlToState(emitToml(reread))));
+});
+
+for (const algorithm of ["greedy", "curves"])
+  check(
+    `multiheat-js: --solve → --verify в °F и Гкал/ч (${algorithm})`,
+    async () => {
+      const run = promisify(execFile);
+      const dir = await mkdtemp(join(tmpdir(), "multiheat-check-"));
+      try {
+        const input = join(dir, "input.toml");
+        const solved = join(dir, "solved.toml");
+        await writeFile(input, FAHRENHEIT_GCAL_TOML);
+
+        const { stdout } = await run(process.execPath, [
+          CLI,
+          "--solve",
+          "--algorithm",
+          algorithm,
+          input,
+        ]);
+        await writeFile(solved, stdout);
+
+        // Нарушения (у жадного — баланс потоков) те же, что у решения до записи в файл.
+        const stderr = await run(process.execPath, [CLI, "--verify", solved])
+          .then((r) => r.stderr)
+          .catch((e) => e.stderr);
+        const expected = verify(
+          solve(parseTomlToState(FAHRENHEIT_GCAL_TOML), { algorithm }).state,
+        ).violations.map(
+          (v) =>
+            `${describeViolation(v, { tempUnit: "F", loadUnit: "Gcal/h" })}\n`,
+        );
+        assert.equal(stderr, expected.join(""));
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    },
+  );
+
+let failed = 0;
+for (const { name, run } of checks) {
+  try {
+    await run();
+    console.log(`✓ ${name}`);
+  } catch (e) {
+    failed += 1;
+    console.log(`✗ ${name}: ${toErrorText(e)}`);
+  }
+}
+
+if (failed > 0) {
+  console.log(`Не прошло проверок: ${failed} из ${checks.length}.`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,74 @@
+/**
+ * Регрессионная сверка реализаций Zig/WASM и JavaScript на примерах (`examples/*.toml`).
+ *
+ * Для каждой системы и каждого алгоритма с двумя реализациями (см. `PARITY_ALGORITHMS`)
+ * печатается отчёт `describeParity`. Код выхода 1, если хотя бы одна сверка не прошла.
+ *
+ * Запуск (из каталога `www`): `npm run parity [-- <файлы или каталоги TOML>]`.
+ */
+
+import { readFile, readdir, stat } from "node:fs/promises";
+import { join, relative } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import * as multiheat from "../zig/multiheat_entry.zig";
+import {
+  getBuildVersions,
+  setBuildVersions,
+} from "../src/mh/build_versions.js";
+import { parseTomlToState } from "../src/mh/io/toml.js";
+import { runSolveRequest } from "../src/mh/solver/solve_request.js";
+import {
+  PARITY_ALGORITHMS,
+  checkParity,
+  describeParity,
+} from "../src/mh/solver/parity.js";
+
+setBuildVersions(getBuildVersions(multiheat));
+
+const EXAMPLES_DIR = fileURLToPath(new URL("../../examples", import.meta.url));
+
+/**
+ * Файлы TOML из аргументов (файлы или каталоги); без аргументов — все примеры.
+ * @param {string[]} args
+ * @returns {Promise<string[]>}
+ */
+const collectFiles = async (args) => {
+  const files = [];
+  for (const arg of args.length > 0 ? args : [EXAMPLES_DIR]) {
+    if ((await stat(arg)).isDirectory()) {
+      const names = (await readdir(arg)).filter((n) => n.endsWith(".toml"));
+      files.push(...names.sort().map((n) => join(arg, n)));
+    } else {
+      files.push(arg);
+    }
+  }
+  return files;
+};
+
+const solve = async (request) => runSolveRequest(multiheat, request);
+
+let failed = 0;
+for (const file of await collectFiles(process.argv.slice(2))) {
+  const name = relative(process.cwd(), file);
+  let state;
+  try {
+    state = parseTomlToState(await readFile(file, "utf8"));
+  } catch (e) {
+    failed += 1;
+    console.log(`✗ ${name}: ${e.message}`);
+    continue;
+  }
+
+  for (const algorithm of PARITY_ALGORITHMS) {
+    const report = await checkParity(state, algorithm, solve);
+    if (!report.ok) failed += 1;
+    console.log(`${report.ok ? "✓" : "✗"} ${name} ${algorithm}`);
+    for (const line of describeParity(report)) console.log(`    ${line}`);
+  }
+}
+
+console.log(
+  failed === 0 ? "Сверка пройдена." : `Не пройдено сверок: ${failed}.`,
+);
+process.exitCode = failed === 0 ? 0 : 1;
@@ -0,0 +1,4 @@
+import { register } from "node:module";
+
+// Почему отдельный модуль: хуки регистрируются до загрузки сценария (`node --import`).
+register("./zig_hooks.js", import.meta.url);
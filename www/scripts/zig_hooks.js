@@ -0,0 +1,27 @@
+/**
+ * Хуки загрузки модулей Node.js: импорт `.zig` транслируется в JS + WASM тем же компилятором zigar,
+ * что и в сборке Vite (параметры — как в `vite.config.js`), поэтому вычислительное ядро доступно
+ * сценариям без браузера.
+ *
+ * Важно: как и для `vite build`, нужен установленный компилятор Zig.
+ * Подключение: `node --import ./scripts/register_zig.js <сценарий>`.
+ */
+
+import { fileURLToPath } from "node:url";
+import { transpile } from "zigar-compiler/transpiler";
+
+const zigarOptions = {
+  optimize: "ReleaseFast",
+  embedWASM: true,
+  topLevelAwait: true,
+  ignoreBuildFile: true,
+  multithreaded: false,
+  nodeCompat: true,
+};
+
+export const load = async (url, context, nextLoad) => {
+  if (!url.endsWith(".zig")) return nextLoad(url, context);
+
+  const { code } = await transpile(fileURLToPath(url), zigarOptions);
+  return { format: "module", source: code, shortCircuit: true };
+};
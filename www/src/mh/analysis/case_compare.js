@@ -0,0 +1,247 @@
+/**
+ * Сравнение вариантов проекта: сводка показателей `[stats]` и различия решений двух вариантов.
+ *
+ * Показатели пересчитываются `computeSolutionStats` по текущему состоянию варианта, поэтому
+ * не устаревают после правок; алгоритм и время синтеза берутся из сохранённого `[stats]`.
+ *
+ * Решения сравниваются так же, как при сверке реализаций (`solver/parity.js`): нагрузки одинаковых
+ * пар (горячий, холодный) суммируются, допуск — `DEFAULT_PARITY_TOLERANCE`.
+ * Потоки вариантов сопоставляются по номерам (H1, C1, …).
+ */
+
+import { dtOptions } from "../model/state.js";
+import { computeSolutionStats } from "../model/stats.js";
+import { fromMW, loadUnitLabel } from "../model/units.js";
+import { diffExchangers, matchLabel } from "../solver/parity.js";
+import { compactExchangers } from "../solver/solve_curves_js.js";
+import { fmtNum } from "../util/number.js";
+
+/**
+ * Число с округлением или прочерк, если значения нет.
+ * @param {unknown} v
+ * @param {number} digits знаков после запятой
+ */
+const fmtValue = (v, digits) => {
+  const n = v === null || v === undefined ? NaN : Number(v);
+  return Number.isFinite(n)
+    ? fmtNum(Math.round(n * 10 ** digits) / 10 ** digits)
+    : "—";
+};
+
+/**
+ * Показатели сводки: подпись и значение по состоянию и статистике варианта.
+ * Показатели решения (`solution: true`) у варианта без решения выводятся прочерком.
+ * Нагрузки (`load: true`) `value` возвращает в МВт; в таблице они выводятся в единицах отображения.
+ * @type {{ label: string, solution?: boolean, load?: boolean, value: (state: any, stats: ReturnType<typeof computeSolutionStats>) => any }[]}
+ */
+const METRICS = [
+  {
+    label: "Алгоритм синтеза",
+    value: (state, st) =>
+      state.exchanger.length === 0
+        ? "нет решения"
+        : (st.algorithm_label ?? st.algorithm_used ?? "—"),
+  },
+  { label: "ΔTmin, K", value: (state) => fmtValue(dtOptions(state).min_dt, 3) },
+  {
+    label: "Потоков (гор. / хол.)",
+    value: (state) => `${state.hot.length} / ${state.cold.length}`,
+  },
+  {
+    label: "Ячеек теплообмена",
+    solution: true,
+    value: (_, st) => String(st.cell_count),
+  },
+  {
+    label: "Утилит",
+    solution: true,
+    value: (_, st) => String(st.utility_count),
+  },
+  {
+    label: "Нагрузка ячеек",
+    solution: true,
+    load: true,
+    value: (_, st) => st.total_load_cells,
+  },
+  {
+    label: "Нагрузка утилит",
+    solution: true,
+    load: true,
+    value: (_, st) => st.total_load_utilities,
+  },
+  {
+    label: "Экономия внешней энергии",
+    solution: true,
+    load: true,
+    value: (_, st) => st.external_power_saved,
+  },
+  {
+    label: "Цель по нагреву QHmin",
+    load: true,
+    value: (_, st) => st.target_hot_utility,
+  },
+  {
+    label: "Цель по охлаждению QCmin",
+    load: true,
+    value: (_, st) => st.target_cold_utility,
+  },
+  {
+    label: "Превышение цели по утилитам",
+    solution: true,
+    load: true,
+    value: (_, st) => st.utility_over_target,
+  },
+  {
+    label: "Стоимость утилит в год",
+    solution: true,
+    value: (_, st) => fmtValue(st.total_utility_cost, 2),
+  },
+  {
+    label: "Площадь теплообмена, м²",
+    solution: true,
+    value: (_, st) => fmtValue(st.total_area, 2),
+  },
+  {
+    label: "Полные приведённые затраты (TAC) в год",
+    solution: true,
+    value: (_, st) => fmtValue(st.total_annual_cost, 2),
+  },
+  {
+    label: "Время синтеза, мс",
+    solution: true,
+    value: (_, st) => fmtValue(st.solve_time_ms, 0),
+  },
+];
+
+/**
+ * Статистика варианта по его текущему состоянию.
+ * @param {any} state
+ */
+const caseStats = (state) =>
+  computeSolutionStats(state, {
+    algorithm_used: state?.stats?.algorithm_used ?? null,
+    algorithm_label: state?.stats?.algorithm_label ?? null,
+    solve_time_ms: state?.stats?.solve_time_ms ?? null,
+  });
+
+/**
+ * `compareCaseStats(cases, units)` → сводная таблица: строки — показатели, столбцы — варианты.
+ *
+ * @param {{ name: string, state: any }[]} cases
+ * @param {import("../model/units.js").DisplayUnits} [units] по умолчанию МВт
+ * @returns {{ headers: string[], rows: string[][] }}
+ */
+export const compareCaseStats = (cases, units = {}) => {
+  const { loadUnit = "MW" } = units;
+  const stats = cases.map((c) => caseStats(c.state));
+  /**
+   * @param {(typeof METRICS)[number]} m
+   * @param {number} i
+   */
+  const cell = (m, i) => {
+    const v = m.value(cases[i].state, stats[i]);
+    if (!m.load) return v;
+    return fmtValue(Number.isFinite(v) ? fromMW(v, loadUnit) : null, 3);
+  };
+  return {
+    headers: ["Показатель", ...cases.map((c) => c.name)],
+    rows: METRICS.map((m) => [
+      m.load ? `${m.label}, ${loadUnitLabel(loadUnit)}` : m.label,
+      ...cases.map((c, i) =>
+        m.solution && c.state.exchanger.length === 0 ? "—" : cell(m, i),
+      ),
+    ]),
+  };
+};
+
+/**
+ * @typedef {object} CaseDiffRow
+ * @property {string} pair подпись пары («H1–C2», «нагреватель C1», …)
+ * @property {number|null} load_a нагрузка в варианте A, МВт (null — пары нет)
+ * @property {number|null} load_b нагрузка в варианте B, МВт
+ * @property {"same"|"changed"|"only_a"|"only_b"} status
+ */
+
+/**
+ * @typedef {object} CaseDiff
+ * @property {CaseDiffRow[]} rows все пары обоих решений в порядке (горячий, холодный)
+ * @property {number} only_a пар только в варианте A
+ * @property {number} only_b пар только в варианте B
+ * @property {number} changed пар с разной нагрузкой
+ * @property {boolean} same_streams потоки вариантов совпадают
+ */
+
+/** @param {{ hot: number|null, cold: number|null }} m */
+const pairKey = (m) => `${m.hot ?? "-"}:${m.cold ?? "-"}`;
+
+/**
+ * Одинаковы ли потоки (число, температуры, нагрузки) — иначе пары сравниваются только по номерам.
+ * @param {any} a
+ * @param {any} b
+ */
+const sameStreams = (a, b) =>
+  JSON.stringify([a.hot, a.cold]) === JSON.stringify([b.hot, b.cold]);
+
+/**
+ * `diffCaseSolutions(a, b)` → различия решений вариантов A и B.
+ *
+ * @param {any} a состояние варианта A
+ * @param {any} b состояние варианта B
+ * @returns {CaseDiff}
+ */
+export const diffCaseSolutions = (a, b) => {
+  const exA = Array.isArray(a?.exchanger) ? a.exchanger : [];
+  const exB = Array.isArray(b?.exchanger) ? b.exchanger : [];
+  const diff = diffExchangers(exA, exB);
+  const changed = new Set(diff.changed.map(pairKey));
+
+  /** @type {Map<string, { hot: number|null, cold: number|null, load_a: number|null, load_b: number|null }>} */
+  const pairs = new Map();
+  for (const m of compactExchangers(exA))
+    pairs.set(pairKey(m), {
+      hot: m.hot,
+      cold: m.cold,
+      load_a: m.load,
+      load_b: null,
+    });
+  for (const m of compactExchangers(exB)) {
+    const p = pairs.get(pairKey(m));
+    if (p) p.load_b = m.load;
+    else
+      pairs.set(pairKey(m), {
+        hot: m.hot,
+        cold: m.cold,
+        load_a: null,
+        load_b: m.load,
+      });
+  }
+
+  // Порядок — по (горячий, холодный), как в `compactExchangers`: холодильник потока идёт после его ячеек,
+  // нагреватели — в конце.
+  const order = (p) => [p.hot ?? 0xffff, p.cold ?? 0xffff];
+  const sorted = [...pairs.values()].sort((x, y) => {
+    const [xh, xc] = order(x);
+    const [yh, yc] = order(y);
+    return xh - yh || xc - yc;
+  });
+
+  return {
+    rows: sorted.map((p) => ({
+      pair: matchLabel(p),
+      load_a: p.load_a,
+      load_b: p.load_b,
+      status:
+        p.load_a === null
+          ? "only_b"
+          : p.load_b === null
+            ? "only_a"
+            : changed.has(pairKey(p))
+              ? "changed"
+              : "same",
+    })),
+    only_a: diff.removed.length,
+    only_b: diff.added.length,
+    changed: diff.changed.length,
+    same_streams: sameStreams(a, b),
+  };
+};
@@ -0,0 +1,219 @@
+/**
+ * Составные кривые (hot/cold composite curves) и большая составная кривая (grand composite curve).
+ *
+ * Только вычисления на JavaScript (без Zig/WASM); отрисовка — в `render/composite_curves.js`.
+ *
+ * Составные кривые строятся в реальных температурах:
+ * - горячая кривая начинается в Q = 0 на минимальной температуре горячих потоков;
+ * - холодная кривая сдвинута вправо на целевую мощность холодных утилит,
+ *   поэтому в точке пинча кривые сближаются на ΔTmin.
+ *
+ * Изотермический поток даёт горизонтальный участок длиной, равной его нагрузке.
+ *
+ * Большая составная кривая — это допустимый тепловой каскад из `analysis/pinch.js`
+ * в координатах (Q, T*), где T* — сдвинутая температура; изотермы на верхней границе
+ * интервала дают горизонтальный участок.
+ *
+ * Важно:
+ * - вход: каноническое состояние UI ({ hot, cold })
+ * - функции НЕ мутируют исходный state
+ */
+
+import { computeProblemTable } from "./pinch.js";
+
+/** Малое число, как в Zig (`eps: f32 = 1e-6`) */
+const EPS = 1e-6;
+
+/**
+ * @typedef {{ q_MW: number, temp_K: number }} CurvePoint
+ */
+
+/**
+ * Свойства потока в семантике Zig/interop (см. `streamProps` в решателях).
+ *
+ * @param {any} s
+ * @returns {{ isothermal: boolean, inT: number, outT: number, rate: number, load: number }}
+ */
+const streamProps = (s) => {
+  if (!s || typeof s !== "object") {
+    return { isothermal: true, inT: 0, outT: 0, rate: 0, load: 0 };
+  }
+
+  const inT = Number(s.in);
+  const hasOut = s.out !== undefined && s.out !== null;
+  const outT = hasOut ? Number(s.out) : inT;
+
+  if (!hasOut || outT === inT) {
+    const load = Math.max(0, Number(s.load) || 0);
+    return { isothermal: true, inT, outT: inT, rate: 0, load };
+  }
+
+  const dt = Math.abs(outT - inT);
+
+  if (s.rate !== undefined && s.rate !== null) {
+    const rate = Math.max(0, Number(s.rate) || 0);
+    return { isothermal: false, inT, outT, rate, load: rate * dt };
+  }
+
+  const load = Math.max(0, Number(s.load) || 0);
+  return { isothermal: false, inT, outT, rate: load / dt, load };
+};
+
+/**
+ * Составная кривая группы потоков: точки (Q, T) по возрастанию T, начиная с `q0`.
+ *
+ * @param {ReturnType<typeof streamProps>[]} props
+ * @param {number} q0
+ * @returns {CurvePoint[]}
+ */
+const buildComposite = (props, q0) => {
+  const temps = props
+    .flatMap((p) => [p.inT, p.outT])
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+
+  /** @type {number[]} */
+  const uniq = [];
+  for (const t of temps) {
+    if (uniq.length === 0 || Math.abs(t - uniq[uniq.length - 1]) > EPS)
+      uniq.push(t);
+  }
+
+  /** @type {CurvePoint[]} */
+  const out = [];
+  let q = q0;
+
+  for (let k = 0; k < uniq.length; k++) {
+    const t = uniq[k];
+
+    // Участок между предыдущей и текущей границей: сумма W неизотермических потоков.
+    if (k > 0) {
+      const tLo = uniq[k - 1];
+      let w = 0.0;
+      for (const p of props) {
+        if (p.isothermal) continue;
+        const lo = Math.min(p.inT, p.outT);
+        const hi = Math.max(p.inT, p.outT);
+        if (lo <= tLo + EPS && hi >= t - EPS) w += p.rate;
+      }
+      q += w * (t - tLo);
+    }
+
+    out.push({ q_MW: q, temp_K: t });
+
+    // Изотермы на этой границе — горизонтальный участок.
+    let iso = 0.0;
+    for (const p of props) {
+      if (p.isothermal && Math.abs(p.inT - t) <= EPS) iso += p.load;
+    }
+    if (iso > EPS) {
+      q += iso;
+      out.push({ q_MW: q, temp_K: t });
+    }
+  }
+
+  return out;
+};
+
+/**
+ * Q на кривой при температуре `t` (первое пересечение; вне диапазона — null).
+ *
+ * @param {CurvePoint[]} curve
+ * @param {number} t
+ * @returns {number|null}
+ */
+const qAtTemp = (curve, t) => {
+  for (let i = 0; i + 1 < curve.length; i++) {
+    const a = curve[i];
+    const b = curve[i + 1];
+    const lo = Math.min(a.temp_K, b.temp_K);
+    const hi = Math.max(a.temp_K, b.temp_K);
+    if (t < lo - EPS || t > hi + EPS) continue;
+    if (hi - lo <= EPS) return a.q_MW;
+    return (
+      a.q_MW + ((t - a.temp_K) / (b.temp_K - a.temp_K)) * (b.q_MW - a.q_MW)
+    );
+  }
+  return null;
+};
+
+/**
+ * computeCompositeCurves(state, opts) → горячая и холодная составные кривые.
+ *
+ * @param {any} state Каноническое состояние ({ hot, cold })
+ * @param {{ min_dt?: number }} [opts]
+ * @returns {{
+ *   dt_min_K: number,
+ *   hot: CurvePoint[],
+ *   cold: CurvePoint[],
+ *   hot_utility_MW: number,
+ *   cold_utility_MW: number,
+ *   pinches: { q_MW: number|null, hot_K: number, cold_K: number }[],
+ * }}
+ */
+export const computeCompositeCurves = (state, opts = {}) => {
+  const table = computeProblemTable(state, opts);
+
+  const hotProps = (Array.isArray(state?.hot) ? state.hot : []).map(
+    streamProps,
+  );
+  const coldProps = (Array.isArray(state?.cold) ? state.cold : []).map(
+    streamProps,
+  );
+
+  const hot = buildComposite(hotProps, 0.0);
+  const cold = buildComposite(coldProps, table.cold_utility_MW);
+
+  return {
+    dt_min_K: table.min_dt_K,
+    hot,
+    cold,
+    hot_utility_MW: table.hot_utility_MW,
+    cold_utility_MW: table.cold_utility_MW,
+    pinches: table.pinches.map((p) => ({
+      q_MW: qAtTemp(hot, p.hot_K),
+      hot_K: p.hot_K,
+      cold_K: p.cold_K,
+    })),
+  };
+};
+
+/**
+ * computeGrandCompositeCurve(state, opts) → большая составная кривая (Q, T*).
+ *
+ * Точки идут сверху вниз по сдвинутой температуре; Q — допустимый поток тепла каскада.
+ *
+ * @param {any} state Каноническое состояние ({ hot, cold })
+ * @param {{ min_dt?: number }} [opts]
+ * @returns {{
+ *   dt_min_K: number,
+ *   points: CurvePoint[],
+ *   hot_utility_MW: number,
+ *   cold_utility_MW: number,
+ *   pinches: { shifted_K: number, hot_K: number, cold_K: number }[],
+ * }}
+ */
+export const computeGrandCompositeCurve = (state, opts = {}) => {
+  const table = computeProblemTable(state, opts);
+
+  /** @type {CurvePoint[]} */
+  const points = [];
+  table.intervals.forEach((it, n) => {
+    const qIn = table.cascade[n].feasible_MW;
+    if (n === 0) points.push({ q_MW: qIn, temp_K: it.t_hi_K });
+    if (Math.abs(it.iso_surplus_MW) > EPS)
+      points.push({ q_MW: qIn + it.iso_surplus_MW, temp_K: it.t_hi_K });
+    const qOut = table.cascade[n + 1].feasible_MW;
+    if (Math.abs(it.iso_lo_surplus_MW) > EPS)
+      points.push({ q_MW: qOut - it.iso_lo_surplus_MW, temp_K: it.t_lo_K });
+    points.push({ q_MW: qOut, temp_K: it.t_lo_K });
+  });
+
+  return {
+    dt_min_K: table.min_dt_K,
+    points,
+    hot_utility_MW: table.hot_utility_MW,
+    cold_utility_MW: table.cold_utility_MW,
+    pinches: table.pinches,
+  };
+};
@@ -0,0 +1,327 @@
+/**
+ * Пинч-анализ: таблица задачи (problem table), тепловой каскад и целевые значения утилит.
+ *
+ * Температурная шкала та же, что у `solve_curves` (Zig и JS):
+ * - hot: как есть,
+ * - cold: t + ΔTmin («сдвинутые» температуры).
+ *
+ * Изотермический поток отдаёт/получает всю нагрузку на границе своей (сдвинутой) температуры.
+ * Горячая изотерма отдаёт тепло вниз по шкале и учитывается в интервале ниже границы,
+ * холодная получает тепло сверху и учитывается в интервале выше границы. Если на одной
+ * границе есть и горячие, и холодные изотермы, они сначала покрывают друг друга, а остаток
+ * учитывается по тому же правилу. Изотермы на краях шкалы, которым нет интервала, попадают
+ * в отдельные интервалы нулевой ширины: «головной» сверху и «хвостовой» снизу.
+ *
+ * Важно:
+ * - вход: каноническое состояние UI ({ hot, cold })
+ * - функция НЕ мутирует исходный state
+ */
+
+import { fmtNum } from "../util/number.js";
+import { fmtLoad, fmtTemp, fromKelvin, fromMW } from "../model/units.js";
+
+/** Малое число, как в Zig (`eps: f32 = 1e-6`) */
+const EPS = 1e-6;
+
+/** Допуск нулевого потока тепла в каскаде (МВт) для поиска пинча, как допуск баланса в Zig */
+const PINCH_EPS = 1e-3;
+
+/**
+ * @typedef {object} ProblemInterval
+ * @property {number} t_hi_K верхняя граница интервала (сдвинутая шкала, K)
+ * @property {number} t_lo_K нижняя граница интервала (сдвинутая шкала, K)
+ * @property {number} hot_MW тепло, отдаваемое горячими потоками в интервале
+ * @property {number} cold_MW тепло, потребляемое холодными потоками в интервале
+ * @property {number} surplus_MW избыток интервала (hot_MW - cold_MW); отрицательное значение — дефицит
+ * @property {number} iso_surplus_MW часть избытка от изотерм на верхней границе интервала (>= 0)
+ * @property {number} iso_lo_surplus_MW часть избытка от изотерм на нижней границе интервала (<= 0)
+ */
+
+/**
+ * @typedef {object} CascadeStep
+ * @property {number} temp_K граница интервалов (сдвинутая шкала, K)
+ * @property {number} infeasible_MW поток тепла через границу без внешнего нагрева (может быть < 0)
+ * @property {number} feasible_MW поток тепла через границу при минимальном внешнем нагреве (>= 0)
+ */
+
+/**
+ * @typedef {object} Pinch
+ * @property {number} shifted_K температура пинча в сдвинутой шкале (K)
+ * @property {number} hot_K температура пинча на стороне горячих потоков (K)
+ * @property {number} cold_K температура пинча на стороне холодных потоков (K)
+ */
+
+/**
+ * @typedef {object} ProblemTable
+ * @property {number} min_dt_K использованный ΔTmin (K)
+ * @property {number[]} temperatures_K границы интервалов по убыванию (сдвинутая шкала, K)
+ * @property {ProblemInterval[]} intervals интервалы сверху вниз
+ * @property {CascadeStep[]} cascade потоки тепла через границы (на одну запись больше, чем интервалов)
+ * @property {number} hot_utility_MW минимальная мощность горячих утилит (нагрев)
+ * @property {number} cold_utility_MW минимальная мощность холодных утилит (охлаждение)
+ * @property {Pinch[]} pinches пинчи (пусто — пороговая задача или нет интервалов)
+ */
+
+/**
+ * Свойства потока в семантике Zig/interop (см. `streamProps` в решателях).
+ *
+ * @param {any} s
+ * @returns {{ isothermal: boolean, inT: number, outT: number, rate: number, load: number }}
+ */
+const streamProps = (s) => {
+  if (!s || typeof s !== "object") {
+    return { isothermal: true, inT: 0, outT: 0, rate: 0, load: 0 };
+  }
+
+  const inT = Number(s.in);
+  const hasOut = s.out !== undefined && s.out !== null;
+  const outT = hasOut ? Number(s.out) : inT;
+
+  if (!hasOut || outT === inT) {
+    const load = Math.max(0, Number(s.load) || 0);
+    return { isothermal: true, inT, outT: inT, rate: 0, load };
+  }
+
+  const dt = Math.abs(outT - inT);
+
+  if (s.rate !== undefined && s.rate !== null) {
+    const rate = Math.max(0, Number(s.rate) || 0);
+    return { isothermal: false, inT, outT, rate, load: rate * dt };
+  }
+
+  const load = Math.max(0, Number(s.load) || 0);
+  return { isothermal: false, inT, outT, rate: load / dt, load };
+};
+
+/**
+ * Перекрытие отрезка [a0,a1] с интервалом [lo,hi] (K).
+ *
+ * @param {number} a0
+ * @param {number} a1
+ * @param {number} lo
+ * @param {number} hi
+ * @returns {number}
+ */
+const overlapDeltaT = (a0, a1, lo, hi) => {
+  const x0 = Math.max(Math.min(a0, a1), lo);
+  const x1 = Math.min(Math.max(a0, a1), hi);
+  return x1 > x0 ? x1 - x0 : 0.0;
+};
+
+/**
+ * Нагрузка изотермических профилей на границе `t`.
+ *
+ * @param {ReturnType<typeof streamProps>[]} props профили в сдвинутой шкале
+ * @param {number} t
+ * @returns {number}
+ */
+const isoLoadAt = (props, t) => {
+  let sum = 0.0;
+  for (const p of props) {
+    if (p.isothermal && Math.abs(p.inT - t) <= EPS && p.load > EPS)
+      sum += p.load;
+  }
+  return sum;
+};
+
+/**
+ * Нагрузка неизотермических профилей на интервале [tLo, tHi].
+ *
+ * @param {ReturnType<typeof streamProps>[]} props профили в сдвинутой шкале
+ * @param {number} tHi
+ * @param {number} tLo
+ * @returns {number}
+ */
+const rampLoadOn = (props, tHi, tLo) => {
+  let sum = 0.0;
+  for (const p of props) {
+    if (p.isothermal) continue;
+    const dT = overlapDeltaT(p.inT, p.outT, tLo, tHi);
+    if (dT > EPS) sum += p.rate * dT;
+  }
+  return sum;
+};
+
+/**
+ * computeProblemTable(state, opts) → таблица задачи и целевые значения утилит.
+ *
+ * @param {any} state Каноническое состояние ({ hot, cold })
+ * @param {{ min_dt?: number }} [opts]
+ * @returns {ProblemTable}
+ */
+export const computeProblemTable = (state, opts = {}) => {
+  const dtMin = Number.isFinite(opts.min_dt) ? Number(opts.min_dt) : 20;
+
+  const hot = (Array.isArray(state?.hot) ? state.hot : []).map(streamProps);
+  const cold = (Array.isArray(state?.cold) ? state.cold : [])
+    .map(streamProps)
+    .map((p) => ({ ...p, inT: p.inT + dtMin, outT: p.outT + dtMin }));
+
+  // Границы интервалов: все температуры (сдвинутые) по убыванию, без почти-дубликатов.
+  const temps = [...hot, ...cold]
+    .flatMap((p) => [p.inT, p.outT])
+    .filter(Number.isFinite)
+    .sort((a, b) => b - a);
+
+  /** @type {number[]} */
+  const uniq = [];
+  for (const t of temps) {
+    if (uniq.length === 0 || Math.abs(t - uniq[uniq.length - 1]) > EPS)
+      uniq.push(t);
+  }
+
+  // Изотермы на границах: горячие и холодные на одной границе сначала покрывают друг друга;
+  // избыток уходит в интервал ниже границы, дефицит — в интервал выше.
+  const isoAt = uniq.map((t) => ({
+    hot: isoLoadAt(hot, t),
+    cold: isoLoadAt(cold, t),
+  }));
+  const isoBelow = (k) => isoAt[k].hot >= isoAt[k].cold;
+  const NO_ISO = { hot: 0.0, cold: 0.0 };
+
+  /** @type {ProblemInterval[]} */
+  const intervals = [];
+
+  const pushInterval = (tHi, tLo, isoHi, hotRamp, coldRamp, isoLo) => {
+    const hotMW = isoHi.hot + hotRamp + isoLo.hot;
+    const coldMW = isoHi.cold + coldRamp + isoLo.cold;
+    intervals.push({
+      t_hi_K: tHi,
+      t_lo_K: tLo,
+      hot_MW: hotMW,
+      cold_MW: coldMW,
+      surplus_MW: hotMW - coldMW,
+      iso_surplus_MW: isoHi.hot - isoHi.cold,
+      iso_lo_surplus_MW: isoLo.hot - isoLo.cold,
+    });
+  };
+
+  // «Голова»: дефицит изотерм на верхней границе шкалы.
+  if (uniq.length > 0 && !isoBelow(0))
+    pushInterval(uniq[0], uniq[0], NO_ISO, 0.0, 0.0, isoAt[0]);
+
+  for (let k = 0; k + 1 < uniq.length; k++) {
+    const tHi = uniq[k];
+    const tLo = uniq[k + 1];
+
+    pushInterval(
+      tHi,
+      tLo,
+      isoBelow(k) ? isoAt[k] : NO_ISO,
+      rampLoadOn(hot, tHi, tLo),
+      rampLoadOn(cold, tHi, tLo),
+      isoBelow(k + 1) ? NO_ISO : isoAt[k + 1],
+    );
+  }
+
+  // «Хвост»: избыток изотерм на нижней границе шкалы.
+  if (uniq.length > 0) {
+    const last = uniq.length - 1;
+    const iso = isoAt[last];
+    if (isoBelow(last) && (iso.hot > EPS || iso.cold > EPS))
+      pushInterval(uniq[last], uniq[last], iso, 0.0, 0.0, NO_ISO);
+  }
+
+  // Каскад без внешнего нагрева → минимальный внешний нагрев → допустимый каскад.
+  /** @type {number[]} */
+  const infeasible = [0.0];
+  for (const it of intervals)
+    infeasible.push(infeasible[infeasible.length - 1] + it.surplus_MW);
+
+  const hotUtility = Math.max(
+    0,
+    -infeasible.reduce((a, q) => Math.min(a, q), 0.0),
+  );
+
+  /** @type {CascadeStep[]} */
+  const cascade = infeasible.map((q, n) => ({
+    temp_K:
+      n === 0
+        ? (intervals[0]?.t_hi_K ?? uniq[0] ?? 0)
+        : intervals[n - 1].t_lo_K,
+    infeasible_MW: q,
+    feasible_MW: q + hotUtility,
+  }));
+
+  const coldUtility = Math.max(0, cascade[cascade.length - 1].feasible_MW);
+
+  // Пинч — внутренняя граница с нулевым потоком тепла.
+  // Нулевой поток на верхней/нижней границе означает пороговую задачу, а не пинч.
+  /** @type {Pinch[]} */
+  const pinches = [];
+  for (let n = 1; n + 1 < cascade.length; n++) {
+    const c = cascade[n];
+    if (c.feasible_MW > PINCH_EPS) continue;
+
+    const prev = pinches[pinches.length - 1];
+    if (prev && Math.abs(prev.shifted_K - c.temp_K) <= EPS) continue;
+
+    pinches.push({
+      shifted_K: c.temp_K,
+      hot_K: c.temp_K,
+      cold_K: c.temp_K - dtMin,
+    });
+  }
+
+  return {
+    min_dt_K: dtMin,
+    temperatures_K: uniq,
+    intervals,
+    cascade,
+    hot_utility_MW: hotUtility,
+    cold_utility_MW: coldUtility,
+    pinches,
+  };
+};
+
+/**
+ * Сформировать человекочитаемые строки пинч-анализа для вкладки «Описание».
+ *
+ * Температуры и нагрузки выводятся в единицах отображения; ΔTmin — разность, всегда в K.
+ *
+ * @param {ProblemTable} table
+ * @param {import("../model/units.js").DisplayUnits} [units] по умолчанию K и МВт
+ * @returns {{ summary: string[], rows: string[] }}
+ */
+export const formatProblemTableForDescription = (table, units = {}) => {
+  const { tempUnit = "K", loadUnit = "MW" } = units;
+  const fmt = fmtNum;
+  /** @param {number} t */
+  const temp = (t) => fmtTemp(t, tempUnit);
+  /** @param {number} q */
+  const load = (q) => fmtLoad(q, loadUnit);
+  /** @param {number} q нагрузка без подписи единицы */
+  const loadNum = (q) => fmt(fromMW(q, loadUnit));
+
+  const summary = [];
+
+  summary.push(`ΔTmin: ${fmt(table.min_dt_K)} K.`);
+  summary.push(
+    `Минимальная мощность горячих утилит (нагрев): ${load(table.hot_utility_MW)}.`,
+  );
+  summary.push(
+    `Минимальная мощность холодных утилит (охлаждение): ${load(table.cold_utility_MW)}.`,
+  );
+
+  if (table.pinches.length === 0) {
+    summary.push("Пинч отсутствует (пороговая задача).");
+  } else {
+    for (const p of table.pinches) {
+      summary.push(
+        `Пинч: горячие потоки ${temp(p.hot_K)}, холодные потоки ${temp(p.cold_K)}.`,
+      );
+    }
+  }
+
+  const rows = table.intervals.map((it, n) => {
+    const range =
+      it.t_hi_K === it.t_lo_K
+        ? temp(it.t_hi_K)
+        : `${fmt(fromKelvin(it.t_hi_K, tempUnit))} → ${temp(it.t_lo_K)}`;
+    const qIn = table.cascade[n].feasible_MW;
+    const qOut = table.cascade[n + 1].feasible_MW;
+    return `${range}: горячие ${load(it.hot_MW)}, холодные ${load(it.cold_MW)}, избыток ${load(it.surplus_MW)}; каскад ${loadNum(qIn)} → ${load(qOut)}.`;
+  });
+
+  return { summary, rows };
+};
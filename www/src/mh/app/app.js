@@ -1,10 +1,27 @@
 import { buildUiRefs } from "./ui_refs.js";
-import { createStore, clearDirtyFlags } from "./store.js";
+import {
+  createStore,
+  clearDirtyFlags,
+  commitState,
+  displayUnits,
+  onSelectionChange,
+} from "./store.js";
 import { createStatus } from "./status.js";
 import { createViewsCoordinator } from "./views.js";
 import { createTabsController, Tab } from "./tabs.js";
 import { createVisualizationController } from "./visualization.js";
 import { createGeneratorController } from "./generator.js";
+import { createBenchmarkController } from "./benchmark.js";
+import { createParityController } from "./parity.js";
+import { createHistoryController } from "./history.js";
+import { createSessionController } from "./session.js";
+import { createCasesController } from "./cases.js";
+import { createDiagramEditController } from "./diagram_edit.js";
+import { createTablesEditController } from "./tables_edit.js";
+import { createFigureExportController } from "./figure_export.js";
+import { createGraphExportController } from "./graph_export.js";
+import { listCases } from "./workspace.js";
+import { createSolverHost } from "./solver_host.js";
 
 import {
   logError,
@@ -14,13 +31,24 @@ import {
   logWarn,
   summarizeModuleExports,
   isDebugEnabled,
+  toErrorText,
 } from "../util/errors.js";
 
 import * as multiheatModule from "../../../zig/multiheat_entry.zig";
-import { getBuildVersions } from "../build_versions.js";
+import { getBuildVersions, setBuildVersions } from "../build_versions.js";
 
-import { defaultState, validateAndNormalizeState } from "../model/state.js";
+import {
+  defaultState,
+  dtOptions,
+  validateAndNormalizeState,
+} from "../model/state.js";
 import { computeSolutionStats } from "../model/stats.js";
+import {
+  isLoadUnit,
+  isTempUnit,
+  loadUnitLabel,
+  tempUnitLabel,
+} from "../model/units.js";
 
 import { parseTomlToState, emitToml } from "../io/toml.js";
 import {
@@ -34,20 +62,19 @@ import {
 
 import { downloadText } from "../io/download.js";
 
-import {
-  buildZigSystem,
-  dumpExchangersFromZig,
-  zigExchangersToState,
-  describeZigError,
-} from "../zig/interop.js";
-
 import { renderDescriptionHtml } from "../render/description.js";
 import { renderTables } from "../render/tables.js";
-import { solveGreedyJs } from "../solver/solve_greedy_js.js";
-import { solveCurvesJs } from "../solver/solve_curves_js.js";
+import { parseAlgorithmId } from "../solver/solve_request.js";
+import {
+  verifySolutionJs,
+  describeViolation,
+  summarizeViolations,
+} from "../solver/verify_solution_js.js";
 
-const { multiheat_version: BUILD_MULTIHEAT_VERSION } =
-  getBuildVersions(multiheatModule);
+// Единый источник правды по версиям: build.zig -> build_options -> Zig/WASM exports.
+const BUILD_VERSIONS = getBuildVersions(multiheatModule);
+setBuildVersions(BUILD_VERSIONS);
+const BUILD_MULTIHEAT_VERSION = BUILD_VERSIONS.multiheat_version;
 
 const applyAppVersionUi = (versionStr) => {
   const v =
@@ -69,10 +96,10 @@ const applyAppVersionUi = (versionStr) => {
  * Основной модуль приложения: связывает UI, состояние, представления и Zig/WASM.
  */
 
-// --- Синтез на чистом JavaScript ---
+// --- Синтез ---
 //
-// Реализации алгоритмов на JS находятся в `../solver/*_js.js`.
-// Здесь используются импорты `solveGreedyJs` и `solveCurvesJs`.
+// Реализации алгоритмов на JS находятся в `../solver/*_js.js`; синтез (JS и Zig/WASM)
+// выполняется в фоновом вычислителе через `createSolverHost` (см. `./solver_host.js`).
 
 const setUiEnabled = (ui, enabled) => {
   const allButtons = [...Object.values(ui.buttons), ...Object.values(ui.tabs)];
@@ -83,29 +110,46 @@ const setUiEnabled = (ui, enabled) => {
   ui.csv.solutionTextarea.disabled = !enabled;
 };
 
+// Почему: проверка решения выполняется на JS (verifySolutionJs) и не зависит от Zig/WASM.
 const setSolverEnabled = (ui, enabled) => {
   ui.buttons.solve.disabled = !enabled;
-  ui.buttons.verify.disabled = !enabled;
 };
 
+/**
+ * Режим «идёт синтез»: кнопка «Синтезировать» заменяется кнопкой «Отменить»,
+ * остальной ввод блокируется, чтобы результат относился к тем же данным, что и запрос.
+ *
+ * @param {any} ui
+ * @param {boolean} running
+ */
+const setSolveUiRunning = (ui, running) => {
+  setUiEnabled(ui, !running);
+
+  ui.buttons.solve.hidden = running;
+  ui.buttons.cancelSolve.hidden = !running;
+  ui.buttons.cancelSolve.disabled = !running;
+};
+
+// Почему подпись — параметр: синхронизация редактора — одна запись истории,
+// а при загрузке файла через редактор запись называет загрузку.
 const createSync = ({ ui, store, refreshAllViews }) => {
-  const syncStateFromTomlEditor = () => {
+  const syncStateFromTomlEditor = (label = "Правка TOML") => {
     const text = ui.toml.textarea.value ?? "";
     const next = parseTomlToState(text);
 
-    store.state = next;
+    commitState(store, next, label);
     clearDirtyFlags(store);
 
     if (!store.viewsSuspended) refreshAllViews(true);
   };
 
-  const syncStateFromCsvEditors = () => {
+  const syncStateFromCsvEditors = (label = "Правка CSV") => {
     const streamsText = ui.csv.streamsTextarea.value ?? "";
     const solText = ui.csv.solutionTextarea.value ?? "";
 
     if (streamsText.trim().length === 0) {
       if (solText.trim().length === 0) {
-        store.state = defaultState();
+        commitState(store, defaultState(), label);
         clearDirtyFlags(store);
         refreshAllViews(true);
         return;
@@ -116,10 +160,18 @@ const createSync = ({ ui, store, refreshAllViews }) => {
     }
 
     const partial = parseCsvStreamsToStatePartial(streamsText);
+    // Почему: CSV не содержит [multiheat], [[utility]], [economics], [[constraint]] и [generator]; их сохраняем из текущего состояния.
     const base = {
-      multiheat: { version: BUILD_MULTIHEAT_VERSION, temp_unit: "K" },
+      multiheat: {
+        ...store.state.multiheat,
+        version: BUILD_MULTIHEAT_VERSION,
+      },
       hot: partial.hot,
       cold: partial.cold,
+      utility: store.state.utility,
+      economics: store.state.economics,
+      constraint: store.state.constraint,
+      generator: store.state.generator,
       exchanger: [],
     };
 
@@ -131,7 +183,7 @@ const createSync = ({ ui, store, refreshAllViews }) => {
       );
     }
 
-    store.state = validateAndNormalizeState(base);
+    commitState(store, validateAndNormalizeState(base), label);
     clearDirtyFlags(store);
 
     if (!store.viewsSuspended) refreshAllViews(true);
@@ -220,6 +272,16 @@ const setupDropdownMenus = (ui) => {
     ui.buttons.saveToml,
     ui.buttons.saveCsvStreams,
     ui.buttons.saveCsvSolution,
+    ui.buttons.openProject,
+    ui.buttons.saveProject,
+    ui.buttons.saveNetworkSvg,
+    ui.buttons.saveNetworkPng,
+    ui.buttons.saveCurvesSvg,
+    ui.buttons.saveCurvesPng,
+    ui.buttons.saveMermaid,
+    ui.buttons.saveDot,
+    ui.buttons.copyMermaid,
+    ui.buttons.copyDot,
   ]) {
     el.addEventListener("click", () => closeBoth());
   }
@@ -229,12 +291,14 @@ const setupDropdownMenus = (ui) => {
 // а параметры (алгоритм/генератор) живут в панели «настройки».
 
 const hasAnyUserData = ({ store, ui }) => {
-  const s = store.state;
-  const hotLen = Array.isArray(s?.hot) ? s.hot.length : 0;
-  const coldLen = Array.isArray(s?.cold) ? s.cold.length : 0;
-  const exLen = Array.isArray(s?.exchanger) ? s.exchanger.length : 0;
+  // Почему: данные могут быть и в неактивных вариантах проекта.
+  for (const { state: s } of listCases(store)) {
+    const hotLen = Array.isArray(s?.hot) ? s.hot.length : 0;
+    const coldLen = Array.isArray(s?.cold) ? s.cold.length : 0;
+    const exLen = Array.isArray(s?.exchanger) ? s.exchanger.length : 0;
 
-  if (hotLen > 0 || coldLen > 0 || exLen > 0) return true;
+    if (hotLen > 0 || coldLen > 0 || exLen > 0) return true;
+  }
 
   const empty = defaultState();
 
@@ -246,13 +310,13 @@ const hasAnyUserData = ({ store, ui }) => {
 
   if (store.dirty.csvStreams) {
     const cur = (ui.csv.streamsTextarea.value ?? "").trim();
-    const def = emitCsvStreams(empty).trim();
+    const def = emitCsvStreams(empty, displayUnits(store)).trim();
     if (cur !== def) return true;
   }
 
   if (store.dirty.csvSolution) {
     const cur = (ui.csv.solutionTextarea.value ?? "").trim();
-    const def = emitCsvSolution(empty).trim();
+    const def = emitCsvSolution(empty, displayUnits(store)).trim();
     if (cur !== def) return true;
   }
 
@@ -284,10 +348,27 @@ export const startApp = async () => {
   // Контроллер визуализации создаём чуть позже (после setupToggle),
   // но ссылка нужна уже здесь, чтобы не попадать в TDZ внутри onUiModeChange.
   let visualization = null;
+  // То же для генератора: поля его панели заполняются из `[generator]` текущего состояния.
+  let generator = null;
+  // То же для вариантов проекта: вкладки вариантов и «Сравнение» обновляются вместе с остальными видами.
+  let cases = null;
+
+  // Поля ΔT в панели «настройки» отражают `[multiheat]` текущего состояния.
+  const syncDtInputs = () => {
+    const { min_dt, def_dt } = dtOptions(store.state);
+    const put = (input, v) => {
+      if (input && document.activeElement !== input) input.value = String(v);
+    };
+    put(ui.settings.minDtInput, min_dt);
+    put(ui.settings.defDtInput, def_dt);
+  };
 
   const refreshAllViews = (forceEditors = false) => {
     views.refreshAllViews(forceEditors);
+    syncDtInputs();
+    if (generator) generator.syncFromState(store.state);
     if (visualization) visualization.redraw();
+    if (cases) cases.update();
   };
 
   const sync = createSync({
@@ -308,6 +389,7 @@ export const startApp = async () => {
     onUiModeChange: () => {
       // Почему: «Скрыть»/переключение вкладок меняют разметку; визуализация должна подстроиться.
       if (visualization) visualization.apply();
+      if (cases) cases.update();
     },
   });
 
@@ -316,7 +398,7 @@ export const startApp = async () => {
   setUiEnabled(ui, true);
   setSolverEnabled(ui, false);
 
-  // Правая «система вкладок» (настройки/визуализация/кривые):
+  // Правая «система вкладок» (настройки/визуализация/кривые/составные/БСК):
   // состоянием (aria-pressed) управляет контроллер правой панели; здесь лишь гарантируем базовые атрибуты.
   const ensurePressedToggleAttrs = (btn) => {
     if (!btn) return;
@@ -328,6 +410,8 @@ export const startApp = async () => {
   ensurePressedToggleAttrs(ui?.toggles?.settings);
   ensurePressedToggleAttrs(ui?.toggles?.visualize);
   ensurePressedToggleAttrs(ui?.toggles?.eqCurves);
+  ensurePressedToggleAttrs(ui?.toggles?.composite);
+  ensurePressedToggleAttrs(ui?.toggles?.grandComposite);
 
   visualization = createVisualizationController({
     ui,
@@ -337,9 +421,72 @@ export const startApp = async () => {
   visualization.hookEvents();
 
   // Генератор случайных систем (панель «настройки»; кнопка «Сгенерировать» — в верхней панели).
-  const generator = createGeneratorController({ ui, store, refreshAllViews });
+  generator = createGeneratorController({ ui, store, refreshAllViews });
   generator.hookEvents();
 
+  // Отмена/повтор действий (кнопки в панели действий и Ctrl+Z / Ctrl+Shift+Z).
+  const undoRedo = createHistoryController({
+    ui,
+    store,
+    sync,
+    refreshAllViews,
+    setStatus,
+  });
+  undoRedo.hookEvents();
+
+  // Варианты проекта (вкладки над редакторами), «Сравнение» и файл проекта.
+  cases = createCasesController({
+    ui,
+    store,
+    sync,
+    refreshAllViews,
+    setStatus,
+  });
+  cases.hookEvents();
+
+  // Правка схемы сети (режим «Правка» на панели визуализации).
+  const diagramEdit = createDiagramEditController({
+    ui,
+    store,
+    visualization,
+    sync,
+    refreshAllViews,
+    setStatus,
+  });
+  diagramEdit.hookEvents();
+
+  // Вкладка «Таблица» — редактор потоков и аппаратов; щелчок по строке выделяет поток или аппарат
+  // (выделение общее со схемой сети).
+  const tablesEdit = createTablesEditController({
+    ui,
+    store,
+    refreshAllViews,
+    setStatus,
+  });
+  tablesEdit.hookEvents();
+  onSelectionChange(store, () => {
+    if (store.activeTab === Tab.tables) views.updateNonEditableViews();
+  });
+
+  // «Сохранить → Схема сети / Кривые» (SVG, PNG).
+  const figureExport = createFigureExportController({
+    ui,
+    store,
+    visualization,
+    sync,
+    setStatus,
+  });
+  figureExport.hookEvents();
+
+  // «Сохранить → Граф Mermaid / Граф DOT» и копирование графа в буфер обмена.
+  const graphExport = createGraphExportController({
+    ui,
+    store,
+    sync,
+    setStatus,
+  });
+  graphExport.hookEvents();
+
   // Выбор алгоритма (панель «настройки»).
   // Почему: селектор — источник истины для store, а store — для solveCurrent().
   if (ui?.settings?.algorithmSelect) {
@@ -404,6 +551,83 @@ export const startApp = async () => {
     });
   }
 
+  // ΔTmin и ΔT утилит (панель «настройки»).
+  // Почему: значения — часть проекта (`[multiheat]`), поэтому хранятся в store.state, а не в store.
+  const hookDtInput = (input, key, label) => {
+    input.addEventListener("change", () => {
+      try {
+        sync.syncFromActiveEditorIfNeeded();
+
+        const prevStats = store.state?.stats ?? null;
+        const next = validateAndNormalizeState({
+          ...store.state,
+          multiheat: { ...store.state.multiheat, [key]: input.value },
+        });
+        commitState(
+          store,
+          prevStats ? { ...next, stats: prevStats } : next,
+          `Изменить ${label}`,
+        );
+
+        refreshAllViews(true);
+        setStatus("ok", `${label} = ${store.state.multiheat[key]} K.`);
+      } catch (e) {
+        logError(`Некорректное значение ${label}`, e);
+        input.value = String(dtOptions(store.state)[key]);
+        setStatus(
+          "err",
+          `Не удалось применить ${label}. Подробности в консоли браузера.`,
+        );
+      }
+    });
+  };
+
+  hookDtInput(ui.settings.minDtInput, "min_dt", "ΔTmin");
+  hookDtInput(ui.settings.defDtInput, "def_dt", "ΔT утилит");
+
+  // Единицы отображения температур и нагрузок (панель «настройки»).
+  // Почему в store, а не в state: это вид, а не данные проекта; единицы файла —
+  // `multiheat.temp_unit` и `multiheat.load_unit`.
+  const hookUnitSelect = (
+    select,
+    { key, isUnit, fallback, label, unitLabel },
+  ) => {
+    select.value = store[key];
+    select.addEventListener("change", () => {
+      try {
+        // Почему: редакторы CSV будут перезаписаны в новой единице — сначала применяем их правку.
+        sync.syncFromActiveEditorIfNeeded();
+      } catch (e) {
+        logError(`Смена единицы (${label}) не удалась`, e);
+        select.value = store[key];
+        setStatus(
+          "err",
+          `Не удалось применить правку редактора: ${toErrorText(e)}`,
+        );
+        return;
+      }
+      const unit = select.value;
+      store[key] = isUnit(unit) ? unit : fallback;
+      refreshAllViews(true);
+      setStatus("ok", `${label} показываются в ${unitLabel(store[key])}.`);
+    });
+  };
+
+  hookUnitSelect(ui.settings.tempUnitSelect, {
+    key: "tempUnit",
+    isUnit: isTempUnit,
+    fallback: "K",
+    label: "Температуры",
+    unitLabel: tempUnitLabel,
+  });
+  hookUnitSelect(ui.settings.loadUnitSelect, {
+    key: "loadUnit",
+    isUnit: isLoadUnit,
+    fallback: "MW",
+    label: "Нагрузки",
+    unitLabel: loadUnitLabel,
+  });
+
   // Флаги dirty редакторов
   ui.toml.textarea.addEventListener("input", () => {
     store.dirty.toml = true;
@@ -425,6 +649,18 @@ export const startApp = async () => {
   // Почему: режимы «Скрыть»/«Визуализировать» должны применяться после первичного рендера.
   visualization.apply();
 
+  // Автосохранение сессии, предложение восстановить прошлую и «Недавние проекты».
+  const session = createSessionController({
+    ui,
+    store,
+    tabs,
+    visualization,
+    generator,
+    refreshAllViews,
+    setStatus,
+  });
+  session.hookEvents();
+
   // «Открыть»: пункты меню → выбор файла
   ui.buttons.openToml.addEventListener("click", () => ui.inputs.toml.click());
   ui.buttons.openCsvStreams.addEventListener("click", () =>
@@ -440,7 +676,7 @@ export const startApp = async () => {
       const text = await file.text();
 
       if (store.viewsSuspended) {
-        store.state = parseTomlToState(text);
+        commitState(store, parseTomlToState(text), "Открыть TOML");
         clearDirtyFlags(store);
         setStatus("ok", "TOML загружен.");
         return;
@@ -449,7 +685,7 @@ export const startApp = async () => {
       ui.toml.textarea.value = text;
       store.dirty.toml = true;
 
-      sync.syncStateFromTomlEditor();
+      sync.syncStateFromTomlEditor("Открыть TOML");
       tabs.setActiveTab(Tab.toml);
       setStatus("ok", "TOML загружен и проверен.");
     } catch (e) {
@@ -467,12 +703,19 @@ export const startApp = async () => {
 
       if (store.viewsSuspended) {
         const partial = parseCsvStreamsToStatePartial(text);
-        store.state = validateAndNormalizeState({
-          multiheat: { version: BUILD_MULTIHEAT_VERSION, temp_unit: "K" },
+        const next = validateAndNormalizeState({
+          multiheat: {
+            ...store.state.multiheat,
+            version: BUILD_MULTIHEAT_VERSION,
+          },
           hot: partial.hot,
           cold: partial.cold,
+          utility: store.state.utility,
+          economics: store.state.economics,
+          constraint: store.state.constraint,
           exchanger: [],
         });
+        commitState(store, next, "Открыть CSV (потоки)");
         clearDirtyFlags(store);
         setStatus("warn", "CSV (потоки) загружен. Решение очищено.");
         return;
@@ -485,7 +728,7 @@ export const startApp = async () => {
       ui.csv.solutionTextarea.value = "";
       store.dirty.csvSolution = false;
 
-      sync.syncStateFromCsvEditors();
+      sync.syncStateFromCsvEditors("Открыть CSV (потоки)");
       tabs.setActiveTab(Tab.csv);
       setStatus("warn", "CSV (потоки) загружен и проверен. Решение очищено.");
     } catch (e) {
@@ -517,10 +760,14 @@ export const startApp = async () => {
 
         const exchangers = parseCsvSolutionToExchangers(text, hotLen, coldLen);
 
-        store.state = validateAndNormalizeState({
-          ...store.state,
-          exchanger: exchangers,
-        });
+        commitState(
+          store,
+          validateAndNormalizeState({
+            ...store.state,
+            exchanger: exchangers,
+          }),
+          "Открыть CSV (решение)",
+        );
         clearDirtyFlags(store);
 
         setStatus("ok", "CSV (решение) загружен.");
@@ -530,7 +777,7 @@ export const startApp = async () => {
       ui.csv.solutionTextarea.value = text;
       store.dirty.csvSolution = true;
 
-      sync.syncStateFromCsvEditors();
+      sync.syncStateFromCsvEditors("Открыть CSV (решение)");
       tabs.setActiveTab(Tab.csv);
       setStatus("ok", "CSV (решение) загружен и проверен.");
     } catch (e) {
@@ -600,7 +847,7 @@ export const startApp = async () => {
         return;
       }
       sync.syncFromActiveEditorIfNeeded();
-      const text = emitCsvStreams(store.state);
+      const text = emitCsvStreams(store.state, displayUnits(store));
       await downloadText(text, "multiheat_streams.csv", "text/csv", [".csv"]);
       setStatus("ok", "CSV (потоки) сохранён.");
     } catch (e) {
@@ -626,7 +873,7 @@ export const startApp = async () => {
         return;
       }
       sync.syncFromActiveEditorIfNeeded();
-      const text = emitCsvSolution(store.state);
+      const text = emitCsvSolution(store.state, displayUnits(store));
       await downloadText(text, "multiheat_solution.csv", "text/csv", [".csv"]);
       setStatus("ok", "CSV (решение) сохранён.");
     } catch (e) {
@@ -648,7 +895,7 @@ export const startApp = async () => {
       const ok = window.confirm("Сбросить все данные?");
       if (!ok) return;
 
-      store.state = defaultState();
+      commitState(store, defaultState(), "Сбросить");
       clearDirtyFlags(store);
 
       refreshAllViews(true);
@@ -691,10 +938,43 @@ export const startApp = async () => {
     debug: isDebugEnabled(),
   });
 
-  const solveCurrent = () => {
-    try {
-      if (!multiheat) throw new Error("Модуль вычислений не загружен.");
+  // Синтез — в Web Worker; без него хост выполняет синтез в основном потоке на `multiheatModule`.
+  const solverHost = createSolverHost({ multiheat: multiheatModule });
+
+  const setSolveRunning = (running) => {
+    setSolveUiRunning(ui, running);
+    undoRedo.setLocked(running);
+    session.setLocked(running);
+    cases.setLocked(running);
+    diagramEdit.setLocked(running);
+    tablesEdit.setLocked(running);
+    if (!running) setSolverEnabled(ui, true);
+  };
 
+  // Сравнение алгоритмов использует тот же хост синтеза и ту же блокировку интерфейса.
+  const benchmark = createBenchmarkController({
+    ui,
+    store,
+    solverHost,
+    generator,
+    setStatus,
+    setRunning: setSolveRunning,
+  });
+  benchmark.hookEvents();
+
+  // Сверка Zig/WASM и JavaScript выбранного алгоритма на текущей системе.
+  const parity = createParityController({
+    ui,
+    store,
+    sync,
+    solverHost,
+    setStatus,
+    setRunning: setSolveRunning,
+  });
+  parity.hookEvents();
+
+  const solveCurrent = async () => {
+    try {
       sync.syncFromActiveEditorIfNeeded();
 
       try {
@@ -720,8 +1000,6 @@ export const startApp = async () => {
         return;
       }
 
-      // Zig-систему собираем только для ветки Zig/WASM (JS-решатель работает напрямую с каноническим state).
-
       // Выбор алгоритма синтеза.
       //
       // Новый формат идентификаторов:
@@ -757,10 +1035,18 @@ export const startApp = async () => {
               : "solve_greedy_zig"),
       );
 
-      const provider = algoId.endsWith("_js") ? "js" : "zig";
-      const baseName = algoId.replace(/_(zig|js)$/, "");
+      const { provider, baseName } = parseAlgorithmId(algoId);
       const usedName = `${baseName}_${provider}`;
 
+      // Почему: алгоритмам на JavaScript модуль Zig/WASM не нужен.
+      if (provider === "zig" && !multiheat) {
+        setStatus(
+          "err",
+          "Модуль вычислений Zig/WASM недоступен: выберите алгоритм на JavaScript.",
+        );
+        return;
+      }
+
       const humanAlgo = (() => {
         // Берём человекочитаемое имя из селектора алгоритмов (как в UI),
         // чтобы статистика совпадала с текущими подписями в настройках.
@@ -787,75 +1073,42 @@ export const startApp = async () => {
         return provider === "js" ? "Жадный (JavaScript)" : "Жадный (Zig/WASM)";
       })();
 
-      const nowMs =
-        typeof performance !== "undefined" &&
-        typeof performance.now === "function"
-          ? () => performance.now()
-          : () => Date.now();
-
-      let nextExchangers = null;
-
-      const t0 = nowMs();
-
-      // Выполнение синтеза
-      if (provider === "js") {
-        if (baseName === "solve_greedy") {
-          nextExchangers = solveGreedyJs(store.state, { min_dt: 20 });
-        } else if (baseName === "solve_curves") {
-          try {
-            nextExchangers = solveCurvesJs(store.state, { min_dt: 20 });
-          } catch (e) {
-            logError("Синтез (solve_curves_js) завершился с ошибкой", e);
-            setStatus(
-              "err",
-              "Не удалось синтезировать систему (JavaScript): задача неразрешима или входные данные некорректны. Подробности в консоли браузера.",
-            );
-            return;
-          }
-        } else {
-          setStatus(
-            "err",
-            "Невозможно синтезировать: выбранный алгоритм JavaScript пока не реализован.",
-          );
-          return;
-        }
-      } else {
-        const solveFn =
-          baseName === "solve_trivial"
-            ? multiheat.solve_trivial
-            : baseName === "solve_curves"
-              ? multiheat.solve_curves
-              : multiheat.solve_greedy;
-
-        if (typeof solveFn !== "function") {
-          setStatus(
-            "err",
-            `Невозможно синтезировать: алгоритм «${humanAlgo}» недоступен в модуле вычислений.`,
-          );
-          return;
-        }
+      // Синтез выполняется в фоновом вычислителе; время измеряется там же (см. solver/solve_request.js).
+      const requestState = store.state;
 
-        const system = buildZigSystem(multiheat, store.state, false);
+      setSolveRunning(true);
+      setStatus("busy", `Синтез (${humanAlgo})…`);
 
-        try {
-          solveFn(system);
-        } catch (e) {
-          logError(`Синтез (${usedName}) завершился с ошибкой`, e);
-          setStatus(
-            "err",
-            `Не удалось синтезировать систему: ${describeZigError(e)}`,
-          );
+      let solved = null;
+      try {
+        solved = await solverHost.solve(
+          { algorithm: usedName, label: humanAlgo, state: requestState },
+          {
+            onProgress: (fraction) => {
+              setStatus(
+                "busy",
+                `Синтез (${humanAlgo})… ${Math.round(fraction * 100)}%`,
+              );
+            },
+          },
+        );
+      } catch (e) {
+        if (isAbortError(e)) {
+          setStatus("warn", "Синтез отменён.");
           return;
         }
-
-        const zigExList = dumpExchangersFromZig(system.exchangers);
-        nextExchangers = zigExchangersToState(zigExList);
+        logError(`Синтез (${usedName}) завершился с ошибкой`, e);
+        setStatus("err", toErrorText(e));
+        return;
+      } finally {
+        setSolveRunning(false);
       }
 
-      const solveTimeMs = Math.round(nowMs() - t0);
+      const nextExchangers = solved.exchangers;
+      const solveTimeMs = solved.solve_time_ms;
 
       const next = {
-        ...store.state,
+        ...requestState,
         exchanger: Array.isArray(nextExchangers) ? nextExchangers : [],
       };
 
@@ -866,23 +1119,27 @@ export const startApp = async () => {
         solve_time_ms: solveTimeMs,
       });
 
-      store.state = { ...normalized, stats };
+      commitState(store, { ...normalized, stats }, `Синтез (${humanAlgo})`);
       clearDirtyFlags(store);
 
       refreshAllViews(true);
 
-      try {
-        const verifySystem = buildZigSystem(multiheat, store.state, true);
-        multiheat.verifySolution(verifySystem);
+      const check = verifySolutionJs(store.state, dtOptions(store.state));
+      if (check.ok) {
         setStatus(
           "ok",
           `Синтез выполнен. Добавлено теплообменников: ${store.state.exchanger.length}.`,
         );
-      } catch (e) {
-        logError("Проверка после синтеза не пройдена", e);
+      } else {
+        logWarn("Проверка после синтеза не пройдена", {
+          violations: check.violations.map((v) =>
+            describeViolation(v, displayUnits(store)),
+          ),
+          details: check.violations,
+        });
         setStatus(
           "warn",
-          `Синтез выполнен, но проверка не пройдена: ${describeZigError(e)}`,
+          `Синтез выполнен, но проверка не пройдена: ${summarizeViolations(check, displayUnits(store))}`,
         );
       }
     } catch (e) {
@@ -896,8 +1153,6 @@ export const startApp = async () => {
 
   const verifyCurrent = () => {
     try {
-      if (!multiheat) throw new Error("Модуль вычислений не загружен.");
-
       sync.syncFromActiveEditorIfNeeded();
 
       try {
@@ -926,14 +1181,20 @@ export const startApp = async () => {
         return;
       }
 
-      const system = buildZigSystem(multiheat, store.state, true);
-
-      try {
-        multiheat.verifySolution(system);
+      const check = verifySolutionJs(store.state, dtOptions(store.state));
+      if (check.ok) {
         setStatus("ok", "Проверка пройдена.");
-      } catch (e) {
-        logError("Проверка не пройдена", e);
-        setStatus("warn", `Проверка не пройдена: ${describeZigError(e)}`);
+      } else {
+        logWarn("Проверка не пройдена", {
+          violations: check.violations.map((v) =>
+            describeViolation(v, displayUnits(store)),
+          ),
+          details: check.violations,
+        });
+        setStatus(
+          "warn",
+          `Проверка не пройдена: ${summarizeViolations(check, displayUnits(store))}`,
+        );
       }
     } catch (e) {
       logError("Не удалось проверить систему", e);
@@ -945,6 +1206,7 @@ export const startApp = async () => {
   };
 
   ui.buttons.solve.addEventListener("click", solveCurrent);
+  ui.buttons.cancelSolve.addEventListener("click", () => solverHost.cancel());
   ui.buttons.verify.addEventListener("click", verifyCurrent);
 
   try {
@@ -1013,10 +1275,11 @@ export const startApp = async () => {
             : null,
       });
 
-      setSolverEnabled(ui, false);
+      // Алгоритмы на JavaScript работают и без Zig/WASM.
+      setSolverEnabled(ui, true);
       setStatus(
         "err",
-        "Модуль вычислений загружен, но требуемые функции недоступны.",
+        "Модуль вычислений загружен, но требуемые функции недоступны: доступны алгоритмы на JavaScript.",
       );
       return { ui, store, multiheat: null };
     }
@@ -1040,10 +1303,10 @@ export const startApp = async () => {
       debug: isDebugEnabled(),
       mode: "static-import",
     });
-    setSolverEnabled(ui, false);
+    setSolverEnabled(ui, true);
     setStatus(
       "err",
-      "Не удалось загрузить модуль вычислений. Подробности в консоли браузера.",
+      "Не удалось загрузить модуль вычислений: доступны алгоритмы на JavaScript. Подробности в консоли браузера.",
     );
     return { ui, store, multiheat: null };
   }
@@ -0,0 +1,323 @@
+/**
+ * Контроллер сравнения алгоритмов (бенчмарк) в панели «Настройки».
+ *
+ * Требования:
+ * - системы для сравнения: N сгенерированных (параметры и зерно — из «Параметров генерации»)
+ *   или набор загруженных файлов TOML
+ * - каждый выбранный алгоритм запускается на каждой системе (см. `solver/benchmark.js`)
+ * - сводная таблица по алгоритмам: средняя экономия, число ячеек и утилит, ошибки, время
+ * - результаты (прогоны и сводка) сохраняются в CSV
+ *
+ * Важно:
+ * - текущая система (store.state) не меняется;
+ * - синтез выполняется тем же хостом, что и обычный синтез, поэтому на время сравнения
+ *   остальной интерфейс блокируется, а «Отменить» (как и «Остановить») прерывает сравнение;
+ * - сгенерированная система k получает зерно `seed + k`, ΔTmin и ΔT утилит — из текущего проекта;
+ *   файлы используют собственные `[multiheat]`.
+ *
+ * Ожидаемые элементы UI (id):
+ * - Источник систем:   #benchSource ("generated" | "files")
+ *   - generated:       #benchCount
+ *   - files:           #benchFiles (несколько файлов)
+ * - Алгоритмы:         флажки `input[name="benchAlgorithm"]` (value — идентификатор алгоритма)
+ * - Кнопки:            #btnBenchRun, #btnBenchStop, #btnBenchExport
+ * - Сводная таблица:   #benchSummaryTable
+ */
+
+import { MAX_SEED } from "../util/random.js";
+import { dtOptions, validateAndNormalizeState } from "../model/state.js";
+import { generateStreams } from "./generator.js";
+import { displayUnits } from "./store.js";
+import { parseTomlToState } from "../io/toml.js";
+import { emitCsvBenchmark } from "../io/csv_benchmark.js";
+import { downloadText } from "../io/download.js";
+import { renderTable } from "../render/tables.js";
+import {
+  BENCHMARK_ALGORITHMS,
+  runBenchmark,
+  summarizeBenchmark,
+} from "../solver/benchmark.js";
+import { fromMW, loadUnitLabel } from "../model/units.js";
+import { fmtNum } from "../util/number.js";
+import { isAbortError, logError, toErrorText } from "../util/errors.js";
+
+/**
+ * Показать/скрыть блоки параметров по значению `<select>`
+ * (`data-role="params"`, `data-for="<id select>"`, `data-mode="<значение>"`).
+ *
+ * @param {ParentNode} root
+ * @param {HTMLSelectElement|null} selectEl
+ */
+const applyParamsVisibility = (root, selectEl) => {
+  if (!root || !selectEl?.id) return;
+  const mode = String(selectEl.value ?? "");
+  for (const b of root.querySelectorAll(
+    `[data-role="params"][data-for="${selectEl.id}"]`,
+  )) {
+    b.hidden = b.getAttribute("data-mode") !== mode;
+  }
+};
+
+/**
+ * Значение для сводной таблицы: прочерк, если его нет.
+ * @param {number|null} v
+ * @param {number} digits знаков после запятой
+ */
+const fmtMean = (v, digits) =>
+  v === null ? "—" : fmtNum(Math.round(v * 10 ** digits) / 10 ** digits);
+
+/**
+ * Отрисовать сводку по алгоритмам.
+ *
+ * @param {HTMLTableElement|null} tableEl
+ * @param {import("../solver/benchmark.js").BenchmarkSummary[]} summary
+ * @param {import("../model/units.js").DisplayUnits} units единица экономии
+ */
+const renderSummary = (tableEl, summary, { loadUnit = "MW" }) => {
+  if (!tableEl) return;
+  renderTable(
+    tableEl,
+    [
+      "Алгоритм",
+      "Прогонов",
+      "Ошибок",
+      "Не прошли проверку",
+      `Ср. экономия, ${loadUnitLabel(loadUnit)}`,
+      "Ср. ячеек",
+      "Ср. утилит",
+      "Ср. время, мс",
+    ],
+    summary.map((s) => [
+      s.label,
+      String(s.runs),
+      String(s.failures),
+      String(s.invalid),
+      fmtMean(s.mean_saved === null ? null : fromMW(s.mean_saved, loadUnit), 3),
+      fmtMean(s.mean_cells, 2),
+      fmtMean(s.mean_utilities, 2),
+      fmtMean(s.mean_time_ms, 0),
+    ]),
+  );
+};
+
+/**
+ * Создать контроллер сравнения алгоритмов.
+ *
+ * @param {object} deps
+ * @param {any} deps.ui ссылки на UI (buildUiRefs)
+ * @param {any} deps.store store приложения
+ * @param {ReturnType<typeof import("./solver_host.js").createSolverHost>} deps.solverHost хост синтеза
+ * @param {{ readParams: () => import("./generator.js").GeneratorParams }} deps.generator контроллер генератора
+ * @param {(kind: string, text: string) => void} deps.setStatus
+ * @param {(running: boolean) => void} deps.setRunning блокировка интерфейса на время синтеза
+ * @returns {{ hookEvents: () => void, destroy: () => void, run: () => Promise<void> }}
+ */
+export const createBenchmarkController = ({
+  ui,
+  store,
+  solverHost,
+  generator,
+  setStatus,
+  setRunning,
+}) => {
+  /** @type {AbortController | null} */
+  let ac = null;
+
+  const refs = ui?.benchmark ?? {};
+  const root = ui?.settings?.panel ?? document;
+
+  /** @type {import("../solver/benchmark.js").BenchmarkRecord[]} */
+  let records = [];
+  /** @type {import("../solver/benchmark.js").BenchmarkSummary[]} */
+  let summary = [];
+  let running = false;
+
+  const setBenchRunning = (value) => {
+    running = value;
+    setRunning(value);
+    if (refs.run) refs.run.hidden = value;
+    if (refs.stop) refs.stop.hidden = !value;
+    if (refs.export) refs.export.disabled = value || records.length === 0;
+  };
+
+  /** @returns {{ id: string, label: string }[]} */
+  const selectedAlgorithms = () => {
+    const checked = new Set(
+      [...root.querySelectorAll('input[name="benchAlgorithm"]:checked')].map(
+        (el) => el.value,
+      ),
+    );
+    return BENCHMARK_ALGORITHMS.filter((a) => checked.has(a.id));
+  };
+
+  /**
+   * Системы для сравнения.
+   * @returns {Promise<import("../solver/benchmark.js").BenchmarkSystem[]>}
+   */
+  const collectSystems = async () => {
+    if (refs.source?.value === "files") {
+      const files = [...(refs.files?.files ?? [])];
+      const systems = [];
+      for (const f of files) {
+        try {
+          systems.push({
+            name: f.name,
+            state: parseTomlToState(await f.text()),
+          });
+        } catch (e) {
+          throw new Error(`Файл ${f.name}: ${toErrorText(e)}`, { cause: e });
+        }
+      }
+      return systems;
+    }
+
+    const count = Math.max(0, Math.trunc(Number(refs.count?.value) || 0));
+    const params = generator.readParams();
+    const { min_dt, def_dt } = dtOptions(store.state);
+    const systems = [];
+    for (let k = 0; k < count; k++) {
+      const seed = (params.seed + k) % (MAX_SEED + 1);
+      const p = { ...params, seed };
+      const { hot, cold } = generateStreams(p, { min_dt });
+      systems.push({
+        name: `seed ${seed}`,
+        state: validateAndNormalizeState({
+          multiheat: {
+            version: store.state.multiheat.version,
+            temp_unit: "K",
+            min_dt,
+            def_dt,
+          },
+          hot,
+          cold,
+          generator: p,
+          exchanger: [],
+        }),
+      });
+    }
+    return systems;
+  };
+
+  const run = async () => {
+    if (running) return;
+    if (solverHost.isBusy()) {
+      setStatus("err", "Сравнение алгоритмов недоступно: выполняется синтез.");
+      return;
+    }
+
+    const algorithms = selectedAlgorithms();
+    if (algorithms.length === 0) {
+      setStatus("err", "Выберите хотя бы один алгоритм для сравнения.");
+      return;
+    }
+
+    let systems;
+    try {
+      systems = await collectSystems();
+    } catch (e) {
+      logError("Не удалось подготовить системы для сравнения алгоритмов", e);
+      setStatus("err", `Не удалось подготовить системы: ${toErrorText(e)}`);
+      return;
+    }
+    if (systems.length === 0) {
+      setStatus(
+        "err",
+        refs.source?.value === "files"
+          ? "Выберите файлы TOML для сравнения."
+          : "Укажите число систем для сравнения.",
+      );
+      return;
+    }
+
+    records = [];
+    summary = summarizeBenchmark(records, algorithms);
+    renderSummary(refs.summaryTable, summary, displayUnits(store));
+
+    const total = systems.length * algorithms.length;
+    setBenchRunning(true);
+    setStatus("busy", `Сравнение алгоритмов… 0/${total}`);
+
+    try {
+      await runBenchmark(
+        systems,
+        algorithms,
+        (request) => solverHost.solve(request),
+        {
+          onRecord: (record, done) => {
+            records.push(record);
+            summary = summarizeBenchmark(records, algorithms);
+            renderSummary(refs.summaryTable, summary, displayUnits(store));
+            setStatus("busy", `Сравнение алгоритмов… ${done}/${total}`);
+          },
+        },
+      );
+      const failures = summary.reduce((a, s) => a + s.failures, 0);
+      setStatus(
+        failures > 0 ? "warn" : "ok",
+        `Сравнение выполнено: систем ${systems.length}, прогонов ${total}, ошибок синтеза ${failures}.`,
+      );
+    } catch (e) {
+      if (isAbortError(e)) {
+        setStatus(
+          "warn",
+          `Сравнение остановлено: выполнено ${records.length} из ${total} прогонов.`,
+        );
+        return;
+      }
+      logError("Сравнение алгоритмов завершилось с ошибкой", e);
+      setStatus("err", `Сравнение алгоритмов прервано: ${toErrorText(e)}`);
+    } finally {
+      setBenchRunning(false);
+    }
+  };
+
+  const exportCsv = async () => {
+    if (records.length === 0) return;
+    try {
+      await downloadText(
+        emitCsvBenchmark(records, summary),
+        "multiheat_benchmark.csv",
+        "text/csv",
+        [".csv"],
+      );
+      setStatus("ok", "Результаты сравнения сохранены.");
+    } catch (e) {
+      if (isAbortError(e)) {
+        setStatus("warn", "Сохранение отменено пользователем.");
+        return;
+      }
+      logError("Не удалось сохранить результаты сравнения", e);
+      setStatus(
+        "err",
+        "Не удалось сохранить результаты сравнения. Подробности в консоли браузера.",
+      );
+    }
+  };
+
+  const hookEvents = () => {
+    if (ac) ac.abort();
+    ac = new AbortController();
+    const { signal } = ac;
+
+    if (refs.source) {
+      const apply = () => applyParamsVisibility(root, refs.source);
+      apply();
+      refs.source.addEventListener("change", apply, { signal });
+    }
+
+    refs.run?.addEventListener("click", run, { signal });
+    refs.stop?.addEventListener("click", () => solverHost.cancel(), {
+      signal,
+    });
+    refs.export?.addEventListener("click", exportCsv, { signal });
+  };
+
+  const destroy = () => {
+    if (ac) ac.abort();
+    ac = null;
+  };
+
+  return { hookEvents, destroy, run };
+};
+
+export default createBenchmarkController;
@@ -0,0 +1,390 @@
+/**
+ * Контроллер вариантов проекта (см. `./workspace.js`): вкладки вариантов, создание, копирование,
+ * переименование и удаление, вкладка «Сравнение» и файл проекта со всеми вариантами.
+ *
+ * Требования:
+ * - перед переключением, копированием и сохранением проекта применяется несинхронизированная правка
+ *   редактора TOML/CSV — она остаётся в своём варианте
+ * - «Сравнение»: показатели всех вариантов и различия решений двух выбранных (A и B)
+ * - «Открыть → Проект» заменяет все варианты; «Сохранить → Проект» сохраняет их в один файл
+ *   (см. `../io/project_bundle.js`)
+ *
+ * Важно: пока идёт синтез, переключать, добавлять и удалять варианты нельзя — результат синтеза
+ * записывается в активный вариант (см. `setLocked`).
+ *
+ * Ожидаемые элементы UI (id):
+ * - Варианты:  #caseTabs, #btnCaseAdd, #btnCaseDuplicate, #btnCaseRename, #btnCaseRemove
+ * - Сравнение: #compareStatsTable, #selCompareA, #selCompareB, #compareDiffSummary, #compareDiffTable
+ * - Проект:    #menuOpenProject, #menuSaveProject, #fileProject
+ */
+
+import { displayUnits } from "./store.js";
+import { Tab } from "./tabs.js";
+import {
+  activeCase,
+  addCase,
+  duplicateCase,
+  listCases,
+  removeCase,
+  renameCase,
+  replaceCases,
+  switchCase,
+  uniqueCaseName,
+} from "./workspace.js";
+import { downloadText } from "../io/download.js";
+import { emitProjectBundle, parseProjectBundle } from "../io/project_bundle.js";
+import { renderCaseDiff, renderCaseStats } from "../render/case_compare.js";
+import { isAbortError, logError, toErrorText } from "../util/errors.js";
+
+/**
+ * Система непустая (есть потоки или аппараты).
+ * @param {any} state
+ */
+const isNonEmptySystem = (state) =>
+  (state?.hot?.length ?? 0) > 0 ||
+  (state?.cold?.length ?? 0) > 0 ||
+  (state?.exchanger?.length ?? 0) > 0;
+
+/**
+ * Создать контроллер вариантов проекта.
+ *
+ * @param {object} deps
+ * @param {any} deps.ui ссылки на UI (buildUiRefs)
+ * @param {any} deps.store store приложения
+ * @param {{ syncFromActiveEditorIfNeeded: () => void }} deps.sync синхронизация редакторов
+ * @param {(forceEditors?: boolean) => void} deps.refreshAllViews
+ * @param {(kind: string, text: string) => void} deps.setStatus
+ * @returns {{ hookEvents: () => void, destroy: () => void, update: () => void, setLocked: (value: boolean) => void }}
+ */
+export const createCasesController = ({
+  ui,
+  store,
+  sync,
+  refreshAllViews,
+  setStatus,
+}) => {
+  /** @type {AbortController | null} */
+  let ac = null;
+
+  const refs = ui.cases;
+  const compare = ui.compare;
+  let locked = false;
+
+  // Варианты, выбранные для сравнения решений (id); null — по умолчанию.
+  /** @type {number|null} */
+  let compareA = null;
+  /** @type {number|null} */
+  let compareB = null;
+
+  const renderTabs = () => {
+    const cases = listCases(store);
+    refs.tabs.replaceChildren(
+      ...cases.map((c) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "tab";
+        btn.setAttribute("role", "tab");
+        btn.setAttribute("aria-selected", c.active ? "true" : "false");
+        btn.dataset.caseId = String(c.id);
+        btn.textContent = c.name;
+        btn.title = c.active
+          ? "Активный вариант (двойной щелчок — переименовать)"
+          : `Перейти к варианту «${c.name}»`;
+        btn.disabled = locked && !c.active;
+        return btn;
+      }),
+    );
+
+    refs.add.disabled = locked;
+    refs.duplicate.disabled = locked;
+    refs.remove.disabled = locked || cases.length <= 1;
+  };
+
+  /**
+   * Заполнить селектор вариантов и выбрать `id` (если такого нет — `fallback`).
+   * @param {HTMLSelectElement} sel
+   * @param {{ id: number, name: string }[]} cases
+   * @param {number|null} id
+   * @param {number} fallback
+   * @returns {number} выбранный id
+   */
+  const fillSelect = (sel, cases, id, fallback) => {
+    const chosen = cases.some((c) => c.id === id) ? id : fallback;
+    sel.replaceChildren(
+      ...cases.map((c) => {
+        const opt = document.createElement("option");
+        opt.value = String(c.id);
+        opt.textContent = c.name;
+        opt.selected = c.id === chosen;
+        return opt;
+      }),
+    );
+    return chosen;
+  };
+
+  const renderComparison = () => {
+    const cases = listCases(store);
+    const active = cases.find((c) => c.active) ?? cases[0];
+    const other = cases.find((c) => !c.active) ?? active;
+
+    // По умолчанию: A — первый другой вариант, B — активный.
+    compareA = fillSelect(compare.selectA, cases, compareA, other.id);
+    compareB = fillSelect(compare.selectB, cases, compareB, active.id);
+
+    renderCaseStats(compare.statsTable, cases, displayUnits(store));
+
+    const a = cases.find((c) => c.id === compareA);
+    const b = cases.find((c) => c.id === compareB);
+    renderCaseDiff(
+      compare.diffTable,
+      compare.summary,
+      a,
+      b,
+      displayUnits(store),
+    );
+  };
+
+  /** Обновить вкладки вариантов и, если открыта вкладка «Сравнение», — сравнение. */
+  const update = () => {
+    renderTabs();
+    if (store.activeTab === Tab.compare && !store.viewsSuspended) {
+      try {
+        renderComparison();
+      } catch (e) {
+        logError("Не удалось построить сравнение вариантов", e);
+        compare.summary.textContent = `Сравнение недоступно: ${toErrorText(e)}`;
+      }
+    }
+  };
+
+  /**
+   * Применить несинхронизированную правку редактора к активному варианту.
+   * @returns {boolean} false, если правка некорректна (статус уже выставлен)
+   */
+  const syncEditors = () => {
+    try {
+      sync.syncFromActiveEditorIfNeeded();
+      return true;
+    } catch (e) {
+      logError("Синхронизация редактора перед сменой варианта не удалась", e);
+      setStatus(
+        "err",
+        "Правка в редакторе некорректна: исправьте её перед сменой варианта. Подробности в консоли браузера.",
+      );
+      return false;
+    }
+  };
+
+  /**
+   * Выполнить действие с вариантами и обновить представления.
+   * @param {() => string} action возвращает текст статуса
+   */
+  const run = (action) => {
+    try {
+      const message = action();
+      refreshAllViews(true);
+      update();
+      setStatus("ok", message);
+    } catch (e) {
+      logError("Действие с вариантами проекта не удалось", e);
+      setStatus("err", toErrorText(e));
+    }
+  };
+
+  /** @param {number} id */
+  const select = (id) => {
+    if (locked || id === store.workspace.activeId || !syncEditors()) return;
+    run(() => {
+      switchCase(store, id);
+      return `Вариант «${activeCase(store).name}».`;
+    });
+  };
+
+  const add = () => {
+    if (locked || !syncEditors()) return;
+    const name = window.prompt(
+      "Имя нового варианта:",
+      uniqueCaseName(store, `Вариант ${store.workspace.cases.length + 1}`),
+    );
+    if (name === null) return;
+    run(() => {
+      addCase(store, name);
+      return `Создан вариант «${activeCase(store).name}».`;
+    });
+  };
+
+  const duplicate = () => {
+    if (locked || !syncEditors()) return;
+    const src = activeCase(store);
+    const name = window.prompt(
+      "Имя копии варианта:",
+      uniqueCaseName(store, `${src.name} (копия)`),
+    );
+    if (name === null) return;
+    run(() => {
+      duplicateCase(store, src.id, name);
+      return `Вариант «${src.name}» скопирован в «${activeCase(store).name}».`;
+    });
+  };
+
+  const rename = () => {
+    const c = activeCase(store);
+    const name = window.prompt("Новое имя варианта:", c.name);
+    if (name === null || name.trim() === c.name) return;
+    try {
+      renameCase(store, c.id, name);
+      update();
+      setStatus("ok", `Вариант переименован в «${c.name}».`);
+    } catch (e) {
+      setStatus("err", toErrorText(e));
+    }
+  };
+
+  const remove = () => {
+    if (locked) return;
+    const c = activeCase(store);
+    const ok = window.confirm(
+      `Удалить вариант «${c.name}»? Его система, решение и история будут потеряны.`,
+    );
+    if (!ok) return;
+    run(() => {
+      removeCase(store, c.id);
+      return `Вариант «${c.name}» удалён.`;
+    });
+  };
+
+  const saveProject = async () => {
+    try {
+      if (!syncEditors()) return;
+      const cases = listCases(store);
+      const text = emitProjectBundle(
+        cases,
+        cases.findIndex((c) => c.active),
+      );
+      await downloadText(text, "multiheat_project.json", "application/json", [
+        ".json",
+      ]);
+      setStatus("ok", `Проект сохранён (вариантов: ${cases.length}).`);
+    } catch (e) {
+      if (isAbortError(e)) {
+        setStatus("warn", "Сохранение отменено пользователем.");
+        return;
+      }
+      logError("Сохранение проекта не удалось", e);
+      setStatus(
+        "err",
+        "Не удалось сохранить проект. Подробности в консоли браузера.",
+      );
+    }
+  };
+
+  /** @param {File} file */
+  const openProject = async (file) => {
+    try {
+      const { cases, active } = parseProjectBundle(await file.text());
+
+      if (listCases(store).some((c) => isNonEmptySystem(c.state))) {
+        const ok = window.confirm(
+          "Открыть проект и заменить все текущие варианты? Их данные и история будут потеряны.",
+        );
+        if (!ok) return;
+      }
+
+      run(() => {
+        replaceCases(store, cases, active);
+        compareA = null;
+        compareB = null;
+        return `Проект открыт (вариантов: ${cases.length}).`;
+      });
+    } catch (e) {
+      logError("Загрузка проекта не удалась", e);
+      setStatus("err", `Не удалось открыть проект: ${toErrorText(e)}`);
+    }
+  };
+
+  /**
+   * Заблокировать/разблокировать смену вариантов (на время синтеза).
+   * @param {boolean} value
+   */
+  const setLocked = (value) => {
+    locked = value;
+    renderTabs();
+  };
+
+  const hookEvents = () => {
+    if (ac) ac.abort();
+    ac = new AbortController();
+    const { signal } = ac;
+
+    refs.tabs.addEventListener(
+      "click",
+      (e) => {
+        const btn =
+          e.target instanceof Element ? e.target.closest("button") : null;
+        if (btn?.dataset.caseId) select(Number(btn.dataset.caseId));
+      },
+      { signal },
+    );
+    refs.tabs.addEventListener(
+      "dblclick",
+      (e) => {
+        const btn =
+          e.target instanceof Element ? e.target.closest("button") : null;
+        if (Number(btn?.dataset.caseId) === store.workspace.activeId) rename();
+      },
+      { signal },
+    );
+
+    refs.add.addEventListener("click", add, { signal });
+    refs.duplicate.addEventListener("click", duplicate, { signal });
+    refs.rename.addEventListener("click", rename, { signal });
+    refs.remove.addEventListener("click", remove, { signal });
+
+    compare.selectA.addEventListener(
+      "change",
+      () => {
+        compareA = Number(compare.selectA.value);
+        update();
+      },
+      { signal },
+    );
+    compare.selectB.addEventListener(
+      "change",
+      () => {
+        compareB = Number(compare.selectB.value);
+        update();
+      },
+      { signal },
+    );
+
+    ui.buttons.openProject.addEventListener(
+      "click",
+      () => ui.inputs.project.click(),
+      { signal },
+    );
+    ui.inputs.project.addEventListener(
+      "change",
+      async () => {
+        const file = ui.inputs.project.files?.[0];
+        ui.inputs.project.value = "";
+        if (!file) return;
+        await openProject(file);
+      },
+      { signal },
+    );
+    ui.buttons.saveProject.addEventListener("click", () => void saveProject(), {
+      signal,
+    });
+
+    update();
+  };
+
+  const destroy = () => {
+    if (ac) ac.abort();
+    ac = null;
+  };
+
+  return { hookEvents, destroy, update, setLocked };
+};
+
+export default createCasesController;
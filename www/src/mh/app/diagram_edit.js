@@ -0,0 +1,582 @@
+/**
+ * Контроллер правки схемы сети (режим «Правка» на панели визуализации, см. `../model/solution_edit.js`).
+ *
+ * Требования:
+ * - перетаскивание от линии горячего потока к линии холодного (или наоборот) создаёт ячейку теплообмена;
+ *   нагрузка запрашивается, по умолчанию — меньший из непокрытых остатков двух потоков
+ * - точка «Утилита» из панели правки, брошенная на горячий поток, создаёт холодильник, на холодный — нагреватель
+ * - перетаскивание ячейки вдоль схемы меняет её место в порядке аппаратов; утилиты — перенос на другой поток той же стороны
+ * - выделенный аппарат: нагрузка правится в поле панели, удаление — кнопкой или клавишей Delete
+ * - каждая правка — одна запись истории; после неё решение сразу проверяется (verifySolutionJs),
+ *   результат проверки — в строке статуса
+ *
+ * Важно: пока идёт синтез, правка недоступна (см. `setLocked`) — результат синтеза заменит решение.
+ *
+ * - нагрузки вводятся и показываются в единице отображения (`store.loadUnit`), хранятся в МВт
+ *
+ * Ожидаемые элементы UI (id): #btnVizEdit, #vizEditBar, #vizUtilityDot, #vizLoadInput, #vizLoadUnit, #btnVizDelete
+ */
+
+import {
+  commitState,
+  displayUnits,
+  getSelection,
+  onHistoryChange,
+  onSelectionChange,
+  setSelection,
+} from "./store.js";
+import {
+  addExchanger,
+  moveExchanger,
+  moveUtilityToStream,
+  removeExchanger,
+  residualLoadMW,
+  setExchangerLoad,
+} from "../model/solution_edit.js";
+import { sameItem } from "../model/selection.js";
+import { dtOptions } from "../model/state.js";
+import { fromMW, loadUnitLabel, toMW } from "../model/units.js";
+import {
+  hitTestVisualization,
+  screenToScene,
+} from "../render/visualization.js";
+import {
+  describeViolation,
+  summarizeViolations,
+  verifySolutionJs,
+} from "../solver/verify_solution_js.js";
+import { fmtNum, parseNumber } from "../util/number.js";
+import { logError, logWarn, toErrorText } from "../util/errors.js";
+
+// Смещение указателя (CSS px), после которого нажатие на аппарат считается перетаскиванием.
+const DRAG_THRESHOLD = 3;
+
+/**
+ * Подпись потока: `H1`, `C2`.
+ * @param {"hot"|"cold"} side
+ * @param {number} index
+ */
+const streamLabel = (side, index) =>
+  `${side === "hot" ? "H" : "C"}${index + 1}`;
+
+/**
+ * Нагрузка для поля ввода и подсказок (4 знака) в единице `loadUnit`.
+ * @param {number} v нагрузка, МВт
+ * @param {import("../model/units.js").LoadUnit} loadUnit
+ */
+const fmtLoad = (v, loadUnit) =>
+  fmtNum(Math.round(fromMW(v, loadUnit) * 1e4) / 1e4);
+
+/**
+ * Создать контроллер правки схемы сети.
+ *
+ * @param {object} deps
+ * @param {any} deps.ui ссылки на UI (buildUiRefs)
+ * @param {any} deps.store store приложения
+ * @param {any} deps.visualization контроллер визуализации (`createVisualizationController`)
+ * @param {{ syncFromActiveEditorIfNeeded: () => void }} deps.sync синхронизация редакторов
+ * @param {(forceEditors?: boolean) => void} deps.refreshAllViews
+ * @param {(kind: string, text: string) => void} deps.setStatus
+ * @returns {{ hookEvents: () => void, destroy: () => void, setLocked: (value: boolean) => void }}
+ */
+export const createDiagramEditController = ({
+  ui,
+  store,
+  visualization,
+  sync,
+  refreshAllViews,
+  setStatus,
+}) => {
+  /** @type {AbortController | null} */
+  let ac = null;
+  /** @type {(() => void)[]} */
+  let unsubscribe = [];
+
+  const refs = ui.visualization;
+  let enabled = false;
+  let locked = false;
+
+  /**
+   * Текущее перетаскивание на схеме.
+   * @type {{ kind: "stream", side: "hot"|"cold", index: number, x: number, y: number }
+   *   | { kind: "exchanger", index: number, x: number, y: number, moved: boolean }
+   *   | null}
+   */
+  let drag = null;
+
+  /** Выделенный аппарат (индекс) или null. */
+  const selectedExchanger = () => {
+    const item = getSelection(store);
+    return item?.type === "exchanger" ? item.index : null;
+  };
+
+  /** Обновить панель правки: поле нагрузки и кнопку удаления — по выделенному аппарату. */
+  const updateBar = () => {
+    refs.editToggle.setAttribute("aria-pressed", enabled ? "true" : "false");
+    refs.editToggle.disabled = locked;
+    refs.editBar.hidden = !enabled;
+
+    const index = selectedExchanger();
+    const ex = index === null ? null : store.state.exchanger[index];
+    const unit = loadUnitLabel(store.loadUnit);
+    refs.loadUnit.textContent = unit;
+    refs.loadInput.disabled = !ex;
+    refs.deleteBtn.disabled = !ex;
+    // Почему: не затираем значение, которое пользователь сейчас вводит.
+    if (document.activeElement !== refs.loadInput)
+      refs.loadInput.value = ex ? fmtLoad(Number(ex.load), store.loadUnit) : "";
+    refs.loadInput.title = ex
+      ? `Нагрузка аппарата E${index + 1}, ${unit} (Enter — применить)`
+      : "Выделите аппарат на схеме";
+  };
+
+  /**
+   * Применить правку решения: запись истории, выделение, перерисовка и проверка.
+   *
+   * @param {string} label подпись действия в истории
+   * @param {(state: any) => { state: any, select: import("../model/selection.js").SelectionItem | null }} edit
+   */
+  const applyEdit = (label, edit) => {
+    try {
+      sync.syncFromActiveEditorIfNeeded();
+    } catch (e) {
+      logError("Синхронизация редактора перед правкой схемы не удалась", e);
+      setStatus(
+        "err",
+        "Правка в редакторе некорректна: исправьте её перед правкой схемы. Подробности в консоли браузера.",
+      );
+      return;
+    }
+
+    let result;
+    try {
+      result = edit(store.state);
+    } catch (e) {
+      setStatus("err", `${label}: ${toErrorText(e)}`);
+      return;
+    }
+
+    commitState(store, result.state, label);
+    setSelection(store, result.select);
+    refreshAllViews(true);
+
+    try {
+      const check = verifySolutionJs(store.state, dtOptions(store.state));
+      if (check.ok) {
+        setStatus("ok", `${label}: готово. Проверка пройдена.`);
+      } else {
+        logWarn("Проверка после правки схемы не пройдена", {
+          violations: check.violations.map((v) =>
+            describeViolation(v, displayUnits(store)),
+          ),
+          details: check.violations,
+        });
+        setStatus(
+          "warn",
+          `${label}: готово, но проверка не пройдена: ${summarizeViolations(check, displayUnits(store))}`,
+        );
+      }
+    } catch (e) {
+      logError("Не удалось проверить решение после правки схемы", e);
+      setStatus(
+        "err",
+        "Не удалось проверить решение. Подробности в консоли браузера.",
+      );
+    }
+  };
+
+  /**
+   * Создать ячейку между потоками (нагрузка запрашивается у пользователя).
+   * @param {number} hot
+   * @param {number} cold
+   */
+  const createCell = (hot, cold) => {
+    const state = store.state;
+    const name = `${streamLabel("hot", hot)}–${streamLabel("cold", cold)}`;
+    const suggested = Math.min(
+      residualLoadMW(state, "hot", hot),
+      residualLoadMW(state, "cold", cold),
+    );
+    const raw = window.prompt(
+      `Нагрузка аппарата ${name}, ${loadUnitLabel(store.loadUnit)}:`,
+      fmtLoad(suggested, store.loadUnit),
+    );
+    if (raw === null) return;
+
+    applyEdit(`Добавить аппарат ${name}`, (s) => {
+      const load = parseNumber(raw, "нагрузка аппарата");
+      if (load === null) throw new Error("Нагрузка аппарата не задана.");
+      return {
+        state: addExchanger(s, {
+          hot,
+          cold,
+          load: toMW(load, store.loadUnit),
+        }),
+        select: { type: "exchanger", index: s.exchanger.length },
+      };
+    });
+  };
+
+  /**
+   * Создать утилиту на потоке: на горячем — холодильник, на холодном — нагреватель.
+   * Нагрузка — непокрытый остаток потока.
+   * @param {"hot"|"cold"} side
+   * @param {number} index
+   */
+  const createUtility = (side, index) => {
+    const load = residualLoadMW(store.state, side, index);
+    const what = side === "hot" ? "холодильник" : "нагреватель";
+    const name = streamLabel(side, index);
+    if (!(load > 0)) {
+      setStatus(
+        "warn",
+        `Поток ${name} уже полностью покрыт аппаратами: ${what} не нужен.`,
+      );
+      return;
+    }
+
+    applyEdit(`Добавить ${what} ${name}`, (s) => ({
+      state: addExchanger(
+        s,
+        side === "hot"
+          ? { hot: index, cold: null, load }
+          : { hot: null, cold: index, load },
+      ),
+      select: { type: "exchanger", index: s.exchanger.length },
+    }));
+  };
+
+  /**
+   * Переместить ячейку на место другой ячейки (до или после неё).
+   * @param {number} index
+   * @param {number} target индекс ячейки, возле которой ставим
+   * @param {boolean} after
+   */
+  const reorderCell = (index, target, after) => {
+    // Позиция в списке без перемещаемого аппарата.
+    const toIndex = target - (target > index ? 1 : 0) + (after ? 1 : 0);
+    if (toIndex === index) return;
+    applyEdit(`Переместить E${index + 1}`, (s) => ({
+      state: moveExchanger(s, index, toIndex),
+      select: { type: "exchanger", index: toIndex },
+    }));
+  };
+
+  /** @param {number} index */
+  const deleteExchanger = (index) => {
+    applyEdit(`Удалить E${index + 1}`, (s) => ({
+      state: removeExchanger(s, index),
+      select: null,
+    }));
+  };
+
+  const applyLoadInput = () => {
+    const index = selectedExchanger();
+    if (index === null) return;
+    const raw = refs.loadInput.value;
+    const prev = fmtLoad(
+      Number(store.state.exchanger[index]?.load),
+      store.loadUnit,
+    );
+    if (raw.trim() === "" || Number(raw.replace(",", ".")) === Number(prev))
+      return;
+
+    applyEdit(`Изменить нагрузку E${index + 1}`, (s) => {
+      const load = /** @type {number} */ (
+        parseNumber(raw, "нагрузка аппарата")
+      );
+      return {
+        state: setExchangerLoad(s, index, toMW(load, store.loadUnit)),
+        select: { type: "exchanger", index },
+      };
+    });
+  };
+
+  /**
+   * Точка указателя в координатах схемы.
+   * @param {{ x: number, y: number }} point CSS px относительно canvas
+   */
+  const toScene = (point) => {
+    const scene = visualization.getScene();
+    return scene ? screenToScene(scene.view, point.x, point.y) : point;
+  };
+
+  /** Редактор для контроллера визуализации (см. `DiagramEditor`). */
+  const editor = {
+    /**
+     * @param {{ x: number, y: number }} point
+     * @param {import("../model/selection.js").SelectionItem | null} hit
+     */
+    pointerDown: (point, hit) => {
+      if (!hit) return false; // пустое место — сдвиг схемы
+      drag =
+        hit.type === "stream"
+          ? { kind: "stream", side: hit.side, index: hit.index, ...point }
+          : { kind: "exchanger", index: hit.index, ...point, moved: false };
+      return true;
+    },
+
+    /** @param {{ x: number, y: number }} point */
+    pointerMove: (point) => {
+      if (!drag) return;
+      const p = toScene(point);
+
+      if (drag.kind === "stream") {
+        const from = toScene(drag);
+        visualization.setDraft({
+          kind: "line",
+          x0: from.x,
+          y0: from.y,
+          x1: p.x,
+          y1: p.y,
+        });
+        return;
+      }
+
+      if (
+        !drag.moved &&
+        Math.hypot(point.x - drag.x, point.y - drag.y) < DRAG_THRESHOLD
+      )
+        return;
+      drag.moved = true;
+
+      const sx = visualization
+        .getScene()
+        ?.exchangers.find((e) => e.index === drag?.index);
+      if (!sx) return;
+      visualization.setDraft(
+        sx.kind === "cell"
+          ? { kind: "line", x0: p.x, y0: sx.y0, x1: p.x, y1: sx.y1 }
+          : {
+              kind: "dot",
+              x: p.x,
+              y: p.y,
+              color: sx.kind === "cooler" ? "cold" : "hot",
+            },
+      );
+    },
+
+    /** @param {{ x: number, y: number }} point */
+    pointerUp: (point) => {
+      const d = drag;
+      drag = null;
+      visualization.setDraft(null);
+      if (!d) return;
+
+      const scene = visualization.getScene();
+      if (d.kind === "stream") {
+        const target = hitTestVisualization(scene, point.x, point.y, {
+          streamsOnly: true,
+        });
+        if (target?.type === "stream" && target.side !== d.side) {
+          if (d.side === "hot") createCell(d.index, target.index);
+          else createCell(target.index, d.index);
+          return;
+        }
+        // Без перетаскивания на другой поток — обычный щелчок: выделить поток.
+        if (Math.hypot(point.x - d.x, point.y - d.y) < DRAG_THRESHOLD) {
+          /** @type {import("../model/selection.js").SelectionItem} */
+          const item = { type: "stream", side: d.side, index: d.index };
+          setSelection(
+            store,
+            sameItem(item, getSelection(store)) ? null : item,
+          );
+        }
+        return;
+      }
+
+      if (!d.moved) {
+        /** @type {import("../model/selection.js").SelectionItem} */
+        const item = { type: "exchanger", index: d.index };
+        setSelection(store, sameItem(item, getSelection(store)) ? null : item);
+        return;
+      }
+
+      const sx = scene?.exchangers.find((e) => e.index === d.index);
+      if (!scene || !sx) return;
+      const p = screenToScene(scene.view, point.x, point.y);
+
+      if (sx.kind !== "cell") {
+        const target = hitTestVisualization(scene, point.x, point.y, {
+          streamsOnly: true,
+        });
+        const side = sx.kind === "cooler" ? "hot" : "cold";
+        if (target?.type !== "stream" || target.side !== side) {
+          setStatus(
+            "warn",
+            `${sx.kind === "cooler" ? "Холодильник" : "Нагреватель"} можно перенести только на ${side === "hot" ? "горячий" : "холодный"} поток.`,
+          );
+          return;
+        }
+        if (Number(store.state.exchanger[d.index]?.[side]) === target.index)
+          return;
+        applyEdit(`Переместить E${d.index + 1}`, (s) => ({
+          state: moveUtilityToStream(s, d.index, target.index),
+          select: { type: "exchanger", index: d.index },
+        }));
+        return;
+      }
+
+      // Ячейка: ставим возле ближайшей другой ячейки по горизонтали.
+      let nearest = null;
+      for (const e of scene.exchangers) {
+        if (e.kind !== "cell" || e.index === d.index) continue;
+        if (!nearest || Math.abs(e.x - p.x) < Math.abs(nearest.x - p.x))
+          nearest = e;
+      }
+      if (nearest) reorderCell(d.index, nearest.index, p.x > nearest.x);
+    },
+
+    cancel: () => {
+      drag = null;
+      visualization.setDraft(null);
+    },
+  };
+
+  /**
+   * Включить/выключить режим правки.
+   * @param {boolean} value
+   */
+  const setEnabled = (value) => {
+    enabled = value && !locked;
+    drag = null;
+    visualization.setEditor(enabled ? editor : null);
+    visualization.setDraft(null);
+    updateBar();
+  };
+
+  /**
+   * Перетаскивание точки «Утилита» из панели правки на линию потока.
+   * @param {PointerEvent} e
+   */
+  const hookUtilityDrag = (e) => {
+    if (!enabled || e.button !== 0) return;
+    const dot = refs.utilityDot;
+    const canvas = refs.canvas;
+    dot.setPointerCapture(e.pointerId);
+
+    /** @param {PointerEvent} ev */
+    const target = (ev) => {
+      const r = canvas.getBoundingClientRect();
+      const x = ev.clientX - r.left;
+      const y = ev.clientY - r.top;
+      const scene = visualization.getScene();
+      const hit = hitTestVisualization(scene, x, y, { streamsOnly: true });
+      return { x, y, scene, hit: hit?.type === "stream" ? hit : null };
+    };
+
+    /** @param {PointerEvent} ev */
+    const move = (ev) => {
+      const { x, y, scene, hit } = target(ev);
+      if (!scene) return;
+      const p = screenToScene(scene.view, x, y);
+      visualization.setDraft({
+        kind: "dot",
+        x: p.x,
+        y: p.y,
+        // Холодильник (на горячем потоке) рисуется холодным цветом, нагреватель — горячим.
+        color: hit ? (hit.side === "hot" ? "cold" : "hot") : null,
+      });
+    };
+
+    /** @param {PointerEvent} ev */
+    const up = (ev) => {
+      dot.removeEventListener("pointermove", move);
+      dot.removeEventListener("pointerup", up);
+      dot.removeEventListener("pointercancel", cancel);
+      visualization.setDraft(null);
+      const { hit } = target(ev);
+      if (hit) createUtility(hit.side, hit.index);
+      else
+        setStatus(
+          "warn",
+          "Перетащите точку на линию потока: на горячий — холодильник, на холодный — нагреватель.",
+        );
+    };
+
+    const cancel = () => {
+      dot.removeEventListener("pointermove", move);
+      dot.removeEventListener("pointerup", up);
+      dot.removeEventListener("pointercancel", cancel);
+      visualization.setDraft(null);
+    };
+
+    dot.addEventListener("pointermove", move);
+    dot.addEventListener("pointerup", up);
+    dot.addEventListener("pointercancel", cancel);
+  };
+
+  /**
+   * Заблокировать/разблокировать правку (на время синтеза).
+   * @param {boolean} value
+   */
+  const setLocked = (value) => {
+    locked = value;
+    if (locked && enabled) setEnabled(false);
+    else updateBar();
+  };
+
+  const hookEvents = () => {
+    if (ac) ac.abort();
+    ac = new AbortController();
+    const { signal } = ac;
+
+    refs.editToggle.addEventListener("click", () => setEnabled(!enabled), {
+      signal,
+    });
+    refs.utilityDot.addEventListener("pointerdown", hookUtilityDrag, {
+      signal,
+    });
+
+    refs.loadInput.addEventListener("change", applyLoadInput, { signal });
+    refs.loadInput.addEventListener(
+      "keydown",
+      (e) => {
+        if (e.key !== "Enter") return;
+        e.preventDefault();
+        applyLoadInput();
+      },
+      { signal },
+    );
+
+    refs.deleteBtn.addEventListener(
+      "click",
+      () => {
+        const index = selectedExchanger();
+        if (index !== null) deleteExchanger(index);
+      },
+      { signal },
+    );
+    refs.canvas.addEventListener(
+      "keydown",
+      (e) => {
+        if (!enabled || (e.key !== "Delete" && e.key !== "Backspace")) return;
+        const index = selectedExchanger();
+        if (index === null) return;
+        e.preventDefault();
+        deleteExchanger(index);
+      },
+      { signal },
+    );
+
+    for (const fn of unsubscribe) fn();
+    unsubscribe = [
+      onSelectionChange(store, updateBar),
+      onHistoryChange(store, updateBar),
+    ];
+
+    updateBar();
+  };
+
+  const destroy = () => {
+    if (ac) ac.abort();
+    ac = null;
+    for (const fn of unsubscribe) fn();
+    unsubscribe = [];
+    visualization.setEditor(null);
+  };
+
+  return { hookEvents, destroy, setLocked };
+};
+
+export default createDiagramEditController;
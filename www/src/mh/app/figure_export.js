@@ -0,0 +1,140 @@
+/**
+ * Контроллер сохранения рисунков: «Сохранить → Схема сети / Кривые» в SVG и PNG.
+ *
+ * Требования:
+ * - рисунок строится тем же рендером, что и на экране, через бэкенд SVG или canvas
+ *   (см. `../render/backend.js`); что и в каком размере рисовать — `visualization.getFigure`
+ * - PNG — в масштабе, выбранном в меню (1×…4× от размера рисунка в CSS px)
+ * - фон рисунка белый (на экране canvas прозрачный)
+ * - перед сохранением применяется несинхронизированная правка редактора TOML/CSV
+ *
+ * Ожидаемые элементы UI (id):
+ * - #menuSaveNetworkSvg, #menuSaveNetworkPng, #menuSaveCurvesSvg, #menuSaveCurvesPng, #selPngScale
+ */
+
+import { createCanvasBackend, createSvgBackend } from "../render/backend.js";
+import { downloadBlob, downloadText } from "../io/download.js";
+import { isAbortError, logError, toErrorText } from "../util/errors.js";
+
+/** Фон сохраняемого рисунка. */
+const BACKGROUND = "#ffffff";
+
+const FIGURES = {
+  network: { file: "multiheat_network", saved: "Схема сети сохранена" },
+  curves: { file: "multiheat_curves", saved: "Кривые сохранены" },
+};
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Blob>}
+ */
+const canvasToPng = (canvas) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) =>
+        blob
+          ? resolve(blob)
+          : reject(new Error("Не удалось получить PNG из canvas.")),
+      "image/png",
+    );
+  });
+
+/**
+ * @param {object} deps
+ * @param {any} deps.ui
+ * @param {any} deps.store
+ * @param {any} deps.visualization контроллер визуализации (`getFigure`)
+ * @param {any} deps.sync
+ * @param {(kind: "ok"|"warn"|"err", text: string) => void} deps.setStatus
+ */
+export const createFigureExportController = ({
+  ui,
+  store,
+  visualization,
+  sync,
+  setStatus,
+}) => {
+  /** @type {AbortController | null} */
+  let ac = null;
+
+  /**
+   * @param {"network"|"curves"} figure
+   * @param {"svg"|"png"} format
+   */
+  const save = async (figure, format) => {
+    const { file, saved } = FIGURES[figure];
+    try {
+      if (store.viewsSuspended) {
+        setStatus(
+          "warn",
+          "Режим «Скрыть» активен: сохранение представлений отключено.",
+        );
+        return;
+      }
+      sync.syncFromActiveEditorIfNeeded();
+      const fig = visualization.getFigure(figure);
+
+      if (format === "svg") {
+        const g = createSvgBackend({
+          width: fig.width,
+          height: fig.height,
+          background: BACKGROUND,
+        });
+        fig.draw(g);
+        await downloadText(g.toSvg(), `${file}.svg`, "image/svg+xml", [".svg"]);
+        setStatus("ok", `${saved} (SVG, ${fig.width}×${fig.height}).`);
+        return;
+      }
+
+      const scale = Number(ui.inputs.pngScale.value) || 1;
+      const canvas = document.createElement("canvas");
+      const g = createCanvasBackend(canvas, {
+        width: fig.width,
+        height: fig.height,
+        pixelRatio: scale,
+        background: BACKGROUND,
+      });
+      if (!g) throw new Error("Браузер не поддерживает рисование на canvas.");
+      fig.draw(g);
+      await downloadBlob(
+        await canvasToPng(canvas),
+        `${file}.png`,
+        "image/png",
+        [".png"],
+      );
+      setStatus("ok", `${saved} (PNG, ${canvas.width}×${canvas.height}).`);
+    } catch (e) {
+      if (isAbortError(e)) {
+        setStatus("warn", "Сохранение отменено пользователем.");
+        return;
+      }
+      logError("Сохранение рисунка не удалось", e);
+      setStatus("err", `Не удалось сохранить рисунок: ${toErrorText(e)}`);
+    }
+  };
+
+  const hookEvents = () => {
+    destroy();
+    ac = new AbortController();
+    const { signal } = ac;
+
+    /** @type {[HTMLElement, "network"|"curves", "svg"|"png"][]} */
+    const items = [
+      [ui.buttons.saveNetworkSvg, "network", "svg"],
+      [ui.buttons.saveNetworkPng, "network", "png"],
+      [ui.buttons.saveCurvesSvg, "curves", "svg"],
+      [ui.buttons.saveCurvesPng, "curves", "png"],
+    ];
+    for (const [el, figure, format] of items)
+      el.addEventListener("click", () => void save(figure, format), {
+        signal,
+      });
+  };
+
+  const destroy = () => {
+    if (ac) ac.abort();
+    ac = null;
+  };
+
+  return { hookEvents, destroy };
+};
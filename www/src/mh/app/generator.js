@@ -12,6 +12,16 @@
  *   - перезаписывает текущую систему
  *   - если текущая система непустая, требуется confirm() (OK/Отмена)
  * - после генерации обновляются представления и визуализация, но только если не скрыты
+ * - генерация воспроизводима: случайные числа берутся из генератора с зерном (seed, см. `util/random.js`),
+ *   одинаковые зерно и параметры дают побитно одинаковые потоки
+ * - зерно и все параметры записываются в состояние (`generator`, секция `[generator]` TOML);
+ *   при загрузке системы с `[generator]` поля панели заполняются из неё, и «Сгенерировать» повторяет систему
+ * - режим генерации (#genMode):
+ *   - "independent" — температуры сторон генерируются независимо (см. примечание ниже);
+ *   - "structured" — система с гарантированной рекуперацией тепла (см. `structureStreams`):
+ *     задаются перекрытие температурных диапазонов, ожидаемое положение пинча, отношение нагрузок
+ *     и минимальное число ячеек теплообмена, которое должен найти `solveCurvesJs`
+ * - ΔTmin и ΔTdef текущего проекта переносятся в новую систему (структурированный режим строится под ΔTmin)
  *
  * Важно:
  * - Этот модуль НЕ меняет вычислительное ядро.
@@ -20,6 +30,9 @@
  *
  * Ожидаемые элементы UI (id):
  * - Кнопка:            #btnGenerate
+ * - Зерно:             #genSeed (пусто — новое зерно при генерации), кнопка «Новое зерно» #btnGenNewSeed
+ * - Режим:             #genMode ("independent" | "structured")
+ *   - structured:      #genOverlap (%), #genPinch (K), #genLoadRatio, #genMinCells
  *
  * Для каждой стороны: prefix = "hot" | "cold"
  * - Кол-во потоков:    #genHotCount / #genColdCount
@@ -36,19 +49,26 @@
  * Примечание:
  * - Для неизотермических потоков мы генерируем {in, out, load}.
  *   Это совместимо с текущей канонической моделью (out+load => rate восстанавливается).
- * - Температуры «горячих» и «холодных» потоков генерируются независимо: «горячий» означает «отдающий тепло»,
- *   а не «более высокая температура». Никакого искусственного «разнесения» температур не делаем.
+ * - В режиме "independent" температуры «горячих» и «холодных» потоков генерируются независимо:
+ *   «горячий» означает «отдающий тепло», а не «более высокая температура».
+ *   Никакого искусственного «разнесения» температур не делаем.
  */
 
-import { validateAndNormalizeState } from "../model/state.js";
-import * as multiheatModule from "../../../zig/multiheat_entry.zig";
-import { getBuildVersions } from "../build_versions.js";
-
-const { multiheat_version: BUILD_MULTIHEAT_VERSION } =
-  getBuildVersions(multiheatModule);
+import {
+  validateAndNormalizeState,
+  dtOptions,
+  DEFAULT_MIN_DT,
+} from "../model/state.js";
+import { solveCurvesJs } from "../solver/solve_curves_js.js";
+import { buildVersions } from "../build_versions.js";
+import { commitState } from "./store.js";
+import { createRandom, newSeed, parseSeed } from "../util/random.js";
 
 const DEFAULT_NONISO_DT_K = 30;
 
+// Сколько раз структурированный режим перегенерирует систему, прежде чем сдаться.
+const MAX_STRUCTURED_ATTEMPTS = 50;
+
 const clamp = (min, v, max) => Math.max(min, Math.min(max, v));
 
 /**
@@ -133,8 +153,9 @@ const applyDistParamsVisibility = (root, selectEl) => {
  * Простая нормальная выборка (Box–Muller).
  * @param {number} mean
  * @param {number} variance
+ * @param {() => number} rand источник случайных чисел из [0, 1)
  */
-const sampleNormal = (mean, variance) => {
+const sampleNormal = (mean, variance, rand) => {
   const v = Math.max(0, Number(variance) || 0);
   const std = Math.sqrt(v);
 
@@ -145,8 +166,8 @@ const sampleNormal = (mean, variance) => {
   let u1 = 0;
   let u2 = 0;
   // Важно: u1 не должен быть 0.
-  while (u1 === 0) u1 = Math.random();
-  while (u2 === 0) u2 = Math.random();
+  while (u1 === 0) u1 = rand();
+  while (u2 === 0) u2 = rand();
 
   const z = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
   return (Number(mean) || 0) + z * std;
@@ -155,8 +176,9 @@ const sampleNormal = (mean, variance) => {
 /**
  * @param {number} min
  * @param {number} max
+ * @param {() => number} rand
  */
-const sampleUniform = (min, max) => {
+const sampleUniform = (min, max, rand) => {
   const a = Number(min);
   const b = Number(max);
   if (!Number.isFinite(a) || !Number.isFinite(b)) return 0;
@@ -165,7 +187,7 @@ const sampleUniform = (min, max) => {
   const hi = Math.max(a, b);
 
   if (!(hi > lo)) return lo;
-  return lo + Math.random() * (hi - lo);
+  return lo + rand() * (hi - lo);
 };
 
 /**
@@ -174,8 +196,9 @@ const sampleUniform = (min, max) => {
  *
  * @param {number} n
  * @param {number} sharePct 0..100
+ * @param {() => number} rand
  */
-const makeIsoMask = (n, sharePct) => {
+const makeIsoMask = (n, sharePct, rand) => {
   const N = Math.max(0, Math.trunc(n));
   const p = clamp(0, Number(sharePct) || 0, 100) / 100;
   const isoCount = Math.round(N * p);
@@ -185,7 +208,7 @@ const makeIsoMask = (n, sharePct) => {
 
   // Fisher–Yates shuffle
   for (let i = N - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rand() * (i + 1));
     const t = mask[i];
     mask[i] = mask[j];
     mask[j] = t;
@@ -194,11 +217,45 @@ const makeIsoMask = (n, sharePct) => {
   return mask;
 };
 
+/**
+ * @typedef {object} GeneratorSideParams параметры одной стороны (секции `[generator.hot]`/`[generator.cold]`)
+ * @property {number} count количество потоков
+ * @property {number} iso_share доля изотермических, %
+ * @property {"uniform"|"normal"} temp_dist распределение температур на входе
+ * @property {number} temp_min K
+ * @property {number} temp_max K
+ * @property {number} temp_mean K
+ * @property {number} temp_var дисперсия, K^2
+ * @property {"uniform"|"normal"} load_dist распределение нагрузок
+ * @property {number} load_min МВт
+ * @property {number} load_max МВт
+ * @property {number} load_mean МВт
+ * @property {number} load_var дисперсия, (МВт)^2
+ */
+
+/**
+ * @typedef {object} GeneratorStructuredParams параметры структурированного режима (секция `[generator.structured]`)
+ * @property {number} overlap перекрытие температурных диапазонов сторон (сдвинутая шкала), % от меньшего диапазона
+ * @property {number} pinch ожидаемая температура пинча на стороне горячих потоков, K
+ * @property {number} load_ratio отношение суммарных нагрузок горячих и холодных потоков
+ * @property {number} min_cells минимальное число ячеек теплообмена в решении `solveCurvesJs`
+ */
+
+/**
+ * @typedef {object} GeneratorParams зерно и параметры генерации (секция `[generator]`)
+ * @property {number} seed
+ * @property {"independent"|"structured"} mode
+ * @property {GeneratorSideParams} hot
+ * @property {GeneratorSideParams} cold
+ * @property {GeneratorStructuredParams|null} structured null в режиме "independent"
+ */
+
 /**
  * Прочитать параметры генерации для одной стороны из UI.
  *
  * @param {HTMLElement} root
  * @param {"hot"|"cold"} side
+ * @returns {GeneratorSideParams}
  */
 const readSideParams = (root, side) => {
   const cap = side === "hot" ? "Hot" : "Cold";
@@ -228,89 +285,155 @@ const readSideParams = (root, side) => {
   const loadDistRaw = String(loadDistEl?.value ?? "uniform").toLowerCase();
   const loadDist = loadDistRaw === "normal" ? "normal" : "uniform";
 
-  const temp = {
-    kind: tempDist,
-    min: toFloatOr(tempMinEl?.value, side === "hot" ? 380 : 300),
-    max: toFloatOr(tempMaxEl?.value, side === "hot" ? 520 : 380),
-    mean: toFloatOr(tempMeanEl?.value, side === "hot" ? 450 : 340),
-    variance: Math.max(0, toFloatOr(tempVarEl?.value, 100)),
+  return {
+    count: Math.max(0, count),
+    iso_share: isoShare,
+    temp_dist: tempDist,
+    temp_min: toFloatOr(tempMinEl?.value, side === "hot" ? 380 : 300),
+    temp_max: toFloatOr(tempMaxEl?.value, side === "hot" ? 520 : 380),
+    temp_mean: toFloatOr(tempMeanEl?.value, side === "hot" ? 450 : 340),
+    temp_var: Math.max(0, toFloatOr(tempVarEl?.value, 100)),
+    load_dist: loadDist,
+    load_min: Math.max(0, toFloatOr(loadMinEl?.value, 0.5)),
+    load_max: Math.max(0, toFloatOr(loadMaxEl?.value, 3.0)),
+    load_mean: Math.max(0, toFloatOr(loadMeanEl?.value, 1.5)),
+    load_var: Math.max(0, toFloatOr(loadVarEl?.value, 0.25)),
+  };
+};
+
+/**
+ * Заполнить поля UI одной стороны параметрами генерации.
+ *
+ * @param {HTMLElement} root
+ * @param {"hot"|"cold"} side
+ * @param {GeneratorSideParams} p
+ */
+const writeSideParams = (root, side, p) => {
+  const cap = side === "hot" ? "Hot" : "Cold";
+  const put = (suffix, v) => {
+    const el = root.querySelector(`#gen${cap}${suffix}`);
+    if (el) el.value = String(v);
+  };
+
+  put("Count", p.count);
+  put("IsoShare", p.iso_share);
+  put("TempDist", p.temp_dist);
+  put("TempMin", p.temp_min);
+  put("TempMax", p.temp_max);
+  put("TempMean", p.temp_mean);
+  put("TempVar", p.temp_var);
+  put("LoadDist", p.load_dist);
+  put("LoadMin", p.load_min);
+  put("LoadMax", p.load_max);
+  put("LoadMean", p.load_mean);
+  put("LoadVar", p.load_var);
+};
+
+/**
+ * Прочитать параметры структурированного режима из UI.
+ *
+ * @param {HTMLElement} root
+ * @returns {GeneratorStructuredParams}
+ */
+const readStructuredParams = (root) => {
+  const q = (id) => root.querySelector(id);
+  return {
+    overlap: clamp(0, toFloatOr(q("#genOverlap")?.value, 50), 100),
+    pinch: toFloatOr(q("#genPinch")?.value, 400),
+    load_ratio: Math.max(0.01, toFloatOr(q("#genLoadRatio")?.value, 1)),
+    min_cells: Math.max(1, toIntOr(q("#genMinCells")?.value, 3)),
   };
+};
 
-  const load = {
-    kind: loadDist,
-    min: Math.max(0, toFloatOr(loadMinEl?.value, 0.5)),
-    max: Math.max(0, toFloatOr(loadMaxEl?.value, 3.0)),
-    mean: Math.max(0, toFloatOr(loadMeanEl?.value, 1.5)),
-    variance: Math.max(0, toFloatOr(loadVarEl?.value, 0.25)),
+/**
+ * Заполнить поля UI параметрами структурированного режима.
+ *
+ * @param {HTMLElement} root
+ * @param {GeneratorStructuredParams} p
+ */
+const writeStructuredParams = (root, p) => {
+  const put = (id, v) => {
+    const el = root.querySelector(id);
+    if (el) el.value = String(v);
   };
 
-  return { count, isoShare, temp, load };
+  put("#genOverlap", p.overlap);
+  put("#genPinch", p.pinch);
+  put("#genLoadRatio", p.load_ratio);
+  put("#genMinCells", p.min_cells);
 };
 
 /**
  * Сэмплер температуры.
- * @param {ReturnType<typeof readSideParams>["temp"]} t
+ * @param {GeneratorSideParams} p
+ * @param {() => number} rand
  */
-const sampleTempK = (t) => {
-  if (t.kind === "normal") return sampleNormal(t.mean, t.variance);
-  return sampleUniform(t.min, t.max);
+const sampleTempK = (p, rand) => {
+  if (p.temp_dist === "normal")
+    return sampleNormal(p.temp_mean, p.temp_var, rand);
+  return sampleUniform(p.temp_min, p.temp_max, rand);
 };
 
 /**
  * Сэмплер нагрузки.
- * @param {ReturnType<typeof readSideParams>["load"]} l
+ * @param {GeneratorSideParams} p
+ * @param {() => number} rand
  */
-const sampleLoadMW = (l) => {
-  if (l.kind === "normal") return sampleNormal(l.mean, l.variance);
-  return sampleUniform(l.min, l.max);
+const sampleLoadMW = (p, rand) => {
+  if (p.load_dist === "normal")
+    return sampleNormal(p.load_mean, p.load_var, rand);
+  return sampleUniform(p.load_min, p.load_max, rand);
 };
 
 /**
  * Сэмплер ΔT для неизотермического потока (K).
  * Пока фиксировано “примерно DEFAULT_NONISO_DT_K с разбросом”, чтобы генератор был простым.
+ * @param {() => number} rand
  */
-const sampleNonIsoDeltaTK = () => {
+const sampleNonIsoDeltaTK = (rand) => {
   // Нормальное вокруг 30 K, дисперсия 100 => σ=10
-  const dt = Math.abs(sampleNormal(DEFAULT_NONISO_DT_K, 100));
+  const dt = Math.abs(sampleNormal(DEFAULT_NONISO_DT_K, 100, rand));
   return clamp(5, dt, 120);
 };
 
 /**
  * Сэмплер положительной нагрузки.
- * @param {ReturnType<typeof readSideParams>["load"]} l
+ * @param {GeneratorSideParams} p
+ * @param {() => number} rand
  */
-const samplePositiveLoadMW = (l) => {
+const samplePositiveLoadMW = (p, rand) => {
   // Несколько попыток, затем clamp.
   for (let i = 0; i < 24; i++) {
-    const x = sampleLoadMW(l);
+    const x = sampleLoadMW(p, rand);
     if (Number.isFinite(x) && x > 0) return x;
   }
-  return Math.max(1e-3, Math.abs(sampleLoadMW(l) || 0));
+  return Math.max(1e-3, Math.abs(sampleLoadMW(p, rand) || 0));
 };
 
 /**
  * Сгенерировать список потоков для одной стороны в каноническом формате.
  *
  * @param {"hot"|"cold"} side
- * @param {ReturnType<typeof readSideParams>} p
+ * @param {GeneratorSideParams} p
+ * @param {() => number} rand
  * @returns {any[]}
  */
-const generateStreamsForSide = (side, p) => {
+const generateStreamsForSide = (side, p, rand) => {
   const n = Math.max(0, Math.trunc(p.count));
-  const mask = makeIsoMask(n, p.isoShare);
+  const mask = makeIsoMask(n, p.iso_share, rand);
 
   const out = [];
   for (let i = 0; i < n; i++) {
     const iso = !!mask[i];
 
     // Температура на входе
-    let tin = sampleTempK(p.temp);
+    let tin = sampleTempK(p, rand);
     if (!Number.isFinite(tin)) tin = 300;
     tin = Math.max(1, tin);
     tin = roundSig5(tin);
 
     // Нагрузка
-    let q = samplePositiveLoadMW(p.load);
+    let q = samplePositiveLoadMW(p, rand);
     if (!Number.isFinite(q)) q = 1;
     q = Math.max(1e-6, q);
     q = roundSig5(q);
@@ -324,7 +447,7 @@ const generateStreamsForSide = (side, p) => {
     //
     // Важно: не допускаем отрицательных температур, чтобы `validateAndNormalizeState()`
     // не отверг сгенерированную систему при “экзотических” параметрах пользователя.
-    let dT = sampleNonIsoDeltaTK();
+    let dT = sampleNonIsoDeltaTK(rand);
     if (!Number.isFinite(dT)) dT = DEFAULT_NONISO_DT_K;
     dT = clamp(5, Math.abs(dT), 120);
     dT = roundSig5(dT);
@@ -359,6 +482,129 @@ const generateStreamsForSide = (side, p) => {
   return out;
 };
 
+/**
+ * Температурный диапазон потоков одной стороны.
+ * @param {any[]} streams
+ * @returns {{ lo: number, hi: number }}
+ */
+const tempSpan = (streams) => {
+  const temps = streams.flatMap((s) =>
+    s.out === undefined ? [s.in] : [s.in, s.out],
+  );
+  return { lo: Math.min(...temps), hi: Math.max(...temps) };
+};
+
+/**
+ * Сдвинуть температуры потоков на `dT` (K).
+ * @param {any[]} streams
+ * @param {number} dT
+ */
+const shiftStreams = (streams, dT) =>
+  streams.map((s) => {
+    const moved = { ...s, in: roundSig5(s.in + dT) };
+    if (s.out !== undefined) moved.out = roundSig5(s.out + dT);
+    return moved;
+  });
+
+/**
+ * Расставить сгенерированные потоки под структурированный режим.
+ *
+ * Разброс температур внутри стороны сохраняется (его задают распределения), меняется только положение:
+ * - в сдвинутой шкале (холодные + ΔTmin) диапазоны сторон перекрываются на `overlap`% меньшего из них;
+ * - область перекрытия центрирована на `pinch`: выше неё только холодные потоки (дефицит, нагрев),
+ *   ниже — только горячие (избыток, охлаждение), поэтому пинч ожидается внутри области перекрытия;
+ * - нагрузки горячих потоков масштабируются так, чтобы сумма горячих / сумма холодных = `load_ratio`.
+ *
+ * Почему горячие ниже холодных вне перекрытия: при таком разнесении без перекрытия (`overlap` = 0)
+ * рекуперации нет вовсе, а с ростом перекрытия растёт и возможная рекуперация.
+ *
+ * @param {{ hot: any[], cold: any[] }} streams
+ * @param {GeneratorStructuredParams} sp
+ * @param {number} minDt ΔTmin, K
+ * @returns {{ hot: any[], cold: any[] }}
+ */
+const structureStreams = ({ hot, cold }, sp, minDt) => {
+  const h = tempSpan(hot);
+  const c = tempSpan(cold);
+  const overlap = (sp.overlap / 100) * Math.min(h.hi - h.lo, c.hi - c.lo);
+
+  // Верх горячих и низ сдвинутых холодных — границы области перекрытия [pinch - overlap/2, pinch + overlap/2].
+  const nextHot = shiftStreams(hot, sp.pinch + overlap / 2 - h.hi);
+  const nextCold = shiftStreams(cold, sp.pinch - overlap / 2 - minDt - c.lo);
+
+  if (tempSpan(nextHot).lo < 1 || tempSpan(nextCold).lo < 1)
+    throw new Error(
+      "Температуры потоков опускаются ниже 1 K: увеличьте температуру пинча.",
+    );
+
+  const total = (streams) => streams.reduce((acc, s) => acc + s.load, 0);
+  const scale = (sp.load_ratio * total(nextCold)) / total(nextHot);
+  return {
+    hot: nextHot.map((s) => ({ ...s, load: roundSig5(s.load * scale) })),
+    cold: nextCold,
+  };
+};
+
+/**
+ * Число ячеек теплообмена (горячий — холодный) в решении `solveCurvesJs`; 0, если решения нет.
+ *
+ * @param {{ hot: any[], cold: any[] }} streams
+ * @param {number} minDt
+ * @returns {number}
+ */
+const countProcessCells = ({ hot, cold }, minDt) => {
+  try {
+    const state = validateAndNormalizeState({
+      multiheat: { version: buildVersions().multiheat_version, temp_unit: "K" },
+      hot,
+      cold,
+      exchanger: [],
+    });
+    return solveCurvesJs(state, { min_dt: minDt }).filter(
+      (ex) => ex.hot !== null && ex.cold !== null,
+    ).length;
+  } catch {
+    return 0;
+  }
+};
+
+/**
+ * `generateStreams(params, opts)` → потоки `{ hot, cold }` в каноническом формате.
+ *
+ * Одна последовательность случайных чисел на обе стороны: сначала горячие потоки, затем холодные.
+ * В структурированном режиме попытки продолжают ту же последовательность, пока решение `solveCurvesJs`
+ * не содержит хотя бы `min_cells` ячеек теплообмена, поэтому результат по-прежнему определяется зерном.
+ *
+ * @param {GeneratorParams} params
+ * @param {{ min_dt?: number }} [opts] ΔTmin проекта (нужен структурированному режиму)
+ * @returns {{ hot: any[], cold: any[] }}
+ */
+export const generateStreams = (params, opts = {}) => {
+  const rand = createRandom(params.seed);
+  const sample = () => ({
+    hot: generateStreamsForSide("hot", params.hot, rand),
+    cold: generateStreamsForSide("cold", params.cold, rand),
+  });
+  if (params.mode !== "structured") return sample();
+
+  const sp = params.structured;
+  const minDt = Number.isFinite(opts.min_dt)
+    ? Number(opts.min_dt)
+    : DEFAULT_MIN_DT;
+  if (!(params.hot.count > 0) || !(params.cold.count > 0))
+    throw new Error(
+      "Структурированному режиму нужны и горячие, и холодные потоки.",
+    );
+
+  for (let attempt = 0; attempt < MAX_STRUCTURED_ATTEMPTS; attempt++) {
+    const streams = structureStreams(sample(), sp, minDt);
+    if (countProcessCells(streams, minDt) >= sp.min_cells) return streams;
+  }
+  throw new Error(
+    `Не удалось получить систему хотя бы с ${sp.min_cells} ячейками теплообмена за ${MAX_STRUCTURED_ATTEMPTS} попыток: увеличьте перекрытие или число потоков.`,
+  );
+};
+
 /**
  * Проверка: "непустая система" в текущем store.state.
  * @param {any} state
@@ -377,7 +623,7 @@ const isNonEmptySystem = (state) => {
  * @param {any} deps.ui ссылки на UI (buildUiRefs)
  * @param {any} deps.store store приложения
  * @param {(forceEditors?: boolean) => void} deps.refreshAllViews функция обновления представлений
- * @returns {{ hookEvents: () => void, destroy: () => void, generateNow: () => void }}
+ * @returns {{ hookEvents: () => void, destroy: () => void, generateNow: () => void, readParams: (opts?: { fillSeed?: boolean }) => GeneratorParams, writeParams: (params: GeneratorParams) => void, syncFromState: (state: any) => void }}
  */
 export const createGeneratorController = ({ ui, store, refreshAllViews }) => {
   /** @type {AbortController | null} */
@@ -390,6 +636,86 @@ export const createGeneratorController = ({ ui, store, refreshAllViews }) => {
   // Кнопка «Сгенерировать» вынесена в верхнюю панель действий.
   const btnGenerate = document.querySelector("#btnGenerate");
 
+  /** @type {HTMLInputElement|null} */
+  const seedInput = root?.querySelector?.("#genSeed") ?? null;
+  /** @type {HTMLButtonElement|null} */
+  const btnNewSeed = root?.querySelector?.("#btnGenNewSeed") ?? null;
+  /** @type {HTMLSelectElement|null} */
+  const modeSelect = root?.querySelector?.("#genMode") ?? null;
+
+  // Параметры `[generator]`, которыми поля панели заполнены последний раз (JSON).
+  // Почему: поля обновляются только при смене параметров в состоянии, а не при каждом обновлении представлений,
+  // иначе правки пользователя в панели затирались бы после синтеза.
+  let syncedJson = null;
+
+  /**
+   * Зерно из поля; если поле пустое или некорректное — новое зерно (оно записывается в поле).
+   * @returns {number}
+   */
+  const takeSeed = () => {
+    const parsed = parseSeed(seedInput?.value);
+    if (parsed !== null) return parsed;
+    const seed = newSeed();
+    if (seedInput) seedInput.value = String(seed);
+    return seed;
+  };
+
+  /**
+   * Заполнить панель параметрами `[generator]` текущего состояния (если они есть и изменились).
+   * @param {any} state
+   */
+  const syncFromState = (state) => {
+    const g = state?.generator;
+    if (!g || typeof g !== "object") return;
+
+    const json = JSON.stringify(g);
+    if (json === syncedJson) return;
+    syncedJson = json;
+
+    writeParams(g);
+  };
+
+  /**
+   * Заполнить панель параметрами генерации (зерно null оставляет поле пустым).
+   * @param {GeneratorParams} params
+   */
+  const writeParams = (params) => {
+    if (seedInput)
+      seedInput.value = params.seed === null ? "" : String(params.seed);
+    if (modeSelect) modeSelect.value = params.mode;
+    writeSideParams(root, "hot", params.hot);
+    writeSideParams(root, "cold", params.cold);
+    if (params.structured) writeStructuredParams(root, params.structured);
+
+    // Подписи слайдеров и видимые блоки распределений — как при ручном вводе.
+    for (const el of root.querySelectorAll?.(
+      "#genMode, #genHotIsoShare, #genColdIsoShare, #genHotTempDist, #genHotLoadDist, #genColdTempDist, #genColdLoadDist",
+    ) ?? []) {
+      el.dispatchEvent(new Event("change"));
+    }
+  };
+
+  /**
+   * Зерно и параметры генерации из панели.
+   *
+   * Пустое зерно заменяется новым; с `fillSeed: false` поле не меняется, а зерно будет null
+   * (так панель читается для автосохранения сессии).
+   *
+   * @param {{ fillSeed?: boolean }} [opts]
+   * @returns {GeneratorParams}
+   */
+  const readParams = ({ fillSeed = true } = {}) => {
+    const mode =
+      modeSelect?.value === "structured" ? "structured" : "independent";
+    return {
+      seed: fillSeed ? takeSeed() : parseSeed(seedInput?.value),
+      mode,
+      hot: readSideParams(root, "hot"),
+      cold: readSideParams(root, "cold"),
+      structured: mode === "structured" ? readStructuredParams(root) : null,
+    };
+  };
+
   const generateNow = () => {
     // Подтверждение перезаписи, если текущая система непустая.
     if (isNonEmptySystem(store?.state)) {
@@ -399,30 +725,33 @@ export const createGeneratorController = ({ ui, store, refreshAllViews }) => {
       if (!ok) return;
     }
 
-    // Читаем параметры.
-    const hotParams = readSideParams(root, "hot");
-    const coldParams = readSideParams(root, "cold");
+    // Читаем зерно и параметры.
+    const params = readParams();
 
-    // Генерация потоков.
-    const hot = generateStreamsForSide("hot", hotParams);
-    const cold = generateStreamsForSide("cold", coldParams);
+    // Генерация потоков (ΔT проекта сохраняем: структурированный режим строит систему под ΔTmin).
+    const { min_dt, def_dt } = dtOptions(store?.state);
+    const { hot, cold } = generateStreams(params, { min_dt });
 
     // Формируем новое состояние (без решения) и нормализуем его так же,
     // как при импорте из TOML/CSV (единые правила канонической модели).
     const nextStateRaw = {
       // Версию брать из сборки (Zig/WASM): единый источник правды.
       multiheat: {
-        version: BUILD_MULTIHEAT_VERSION,
+        version: buildVersions().multiheat_version,
         temp_unit: "K",
+        min_dt,
+        def_dt,
       },
       hot,
       cold,
+      generator: params,
       exchanger: [],
       stats: null,
     };
 
     const nextState = validateAndNormalizeState(nextStateRaw);
-    store.state = nextState;
+    commitState(store, nextState, "Сгенерировать");
+    syncedJson = JSON.stringify(nextState.generator);
 
     // Сброс dirty-флагов (генерация заменяет данные редакторов).
     if (store?.dirty) {
@@ -477,6 +806,8 @@ export const createGeneratorController = ({ ui, store, refreshAllViews }) => {
       /** @type {HTMLSelectElement|null} */
       const selColdLoad = root?.querySelector?.("#genColdLoadDist") ?? null;
 
+      // Тот же механизм показывает параметры структурированного режима (data-for="genMode").
+
       const hookDist = (sel) => {
         if (!sel) return;
         const apply = () => applyDistParamsVisibility(root, sel);
@@ -488,6 +819,18 @@ export const createGeneratorController = ({ ui, store, refreshAllViews }) => {
       hookDist(selHotLoad);
       hookDist(selColdTemp);
       hookDist(selColdLoad);
+      hookDist(modeSelect);
+
+      // Зерно: пустое поле заполняем сразу, чтобы его было видно до генерации.
+      if (seedInput && parseSeed(seedInput.value) === null)
+        seedInput.value = String(newSeed());
+      btnNewSeed?.addEventListener(
+        "click",
+        () => {
+          if (seedInput) seedInput.value = String(newSeed());
+        },
+        { signal },
+      );
     } catch (e) {
       // Почему: генератор — вспомогательная утилита; UI может меняться,
       // а приложение не должно падать из-за “косметики”.
@@ -508,9 +851,7 @@ export const createGeneratorController = ({ ui, store, refreshAllViews }) => {
         } catch (e) {
           // Почему: генератор — тестовая утилита; ошибки не должны ломать приложение.
           console.error("Ошибка генерации системы:", e);
-          window.alert(
-            "Не удалось сгенерировать систему. Подробности в консоли браузера.",
-          );
+          window.alert(`Не удалось сгенерировать систему: ${e?.message ?? e}`);
         }
       },
       { signal },
@@ -522,7 +863,14 @@ export const createGeneratorController = ({ ui, store, refreshAllViews }) => {
     ac = null;
   };
 
-  return { hookEvents, destroy, generateNow };
+  return {
+    hookEvents,
+    destroy,
+    generateNow,
+    readParams,
+    writeParams,
+    syncFromState,
+  };
 };
 
 export default createGeneratorController;
@@ -0,0 +1,125 @@
+/**
+ * Контроллер графа сети (см. `../io/graph.js`): «Сохранить → Граф Mermaid / Граф DOT»
+ * и копирование того же текста в буфер обмена.
+ *
+ * Требования:
+ * - граф строится по текущему каноническому состоянию; перед этим применяется
+ *   несинхронизированная правка редактора TOML/CSV
+ * - температуры и нагрузки в подписях — в единицах отображения (`store.tempUnit`, `store.loadUnit`)
+ * - копирование использует Clipboard API (доступен на HTTPS и localhost)
+ *
+ * Ожидаемые элементы UI (id):
+ * - #menuSaveMermaid, #menuSaveDot, #menuCopyMermaid, #menuCopyDot
+ */
+
+import { emitDot, emitMermaidGraph } from "../io/graph.js";
+import { downloadText } from "../io/download.js";
+import { isAbortError, logError, toErrorText } from "../util/errors.js";
+import { displayUnits } from "./store.js";
+
+const FORMATS = {
+  mermaid: {
+    title: "Mermaid",
+    emit: emitMermaidGraph,
+    file: "multiheat_graph.mmd",
+    mime: "text/vnd.mermaid",
+    exts: [".mmd"],
+  },
+  dot: {
+    title: "DOT",
+    emit: emitDot,
+    file: "multiheat_graph.dot",
+    mime: "text/vnd.graphviz",
+    exts: [".dot", ".gv"],
+  },
+};
+
+/**
+ * @param {object} deps
+ * @param {any} deps.ui
+ * @param {any} deps.store
+ * @param {any} deps.sync
+ * @param {(kind: "ok"|"warn"|"err", text: string) => void} deps.setStatus
+ */
+export const createGraphExportController = ({ ui, store, sync, setStatus }) => {
+  /** @type {AbortController | null} */
+  let ac = null;
+
+  /**
+   * Текст графа или null, если представления отключены («Скрыть»).
+   * @param {"mermaid"|"dot"} format
+   */
+  const graphText = (format) => {
+    if (store.viewsSuspended) {
+      setStatus(
+        "warn",
+        "Режим «Скрыть» активен: сохранение представлений отключено.",
+      );
+      return null;
+    }
+    sync.syncFromActiveEditorIfNeeded();
+    return FORMATS[format].emit(store.state, displayUnits(store));
+  };
+
+  /** @param {"mermaid"|"dot"} format */
+  const save = async (format) => {
+    const { title, file, mime, exts } = FORMATS[format];
+    try {
+      const text = graphText(format);
+      if (text === null) return;
+      await downloadText(text, file, mime, exts);
+      setStatus("ok", `Граф ${title} сохранён.`);
+    } catch (e) {
+      if (isAbortError(e)) {
+        setStatus("warn", "Сохранение отменено пользователем.");
+        return;
+      }
+      logError(`Сохранение графа ${title} не удалось`, e);
+      setStatus("err", `Не удалось сохранить граф ${title}: ${toErrorText(e)}`);
+    }
+  };
+
+  /** @param {"mermaid"|"dot"} format */
+  const copy = async (format) => {
+    const { title } = FORMATS[format];
+    try {
+      const text = graphText(format);
+      if (text === null) return;
+      if (typeof navigator.clipboard?.writeText !== "function")
+        throw new Error(
+          "буфер обмена недоступен (страница должна быть открыта по HTTPS или с localhost).",
+        );
+      await navigator.clipboard.writeText(text);
+      setStatus("ok", `Граф ${title} скопирован в буфер обмена.`);
+    } catch (e) {
+      logError(`Копирование графа ${title} не удалось`, e);
+      setStatus(
+        "err",
+        `Не удалось скопировать граф ${title}: ${toErrorText(e)}`,
+      );
+    }
+  };
+
+  const hookEvents = () => {
+    destroy();
+    ac = new AbortController();
+    const { signal } = ac;
+
+    /** @type {[HTMLElement, (format: "mermaid"|"dot") => Promise<void>, "mermaid"|"dot"][]} */
+    const items = [
+      [ui.buttons.saveMermaid, save, "mermaid"],
+      [ui.buttons.saveDot, save, "dot"],
+      [ui.buttons.copyMermaid, copy, "mermaid"],
+      [ui.buttons.copyDot, copy, "dot"],
+    ];
+    for (const [el, action, format] of items)
+      el.addEventListener("click", () => void action(format), { signal });
+  };
+
+  const destroy = () => {
+    if (ac) ac.abort();
+    ac = null;
+  };
+
+  return { hookEvents, destroy };
+};
@@ -0,0 +1,150 @@
+/**
+ * Контроллер отмены/повтора действий (история `store.history`, см. `./store.js`).
+ *
+ * Требования:
+ * - кнопки «Отменить»/«Повторить» в панели действий; подсказка называет действие
+ * - Ctrl+Z — отмена, Ctrl+Shift+Z и Ctrl+Y — повтор (на macOS — Cmd)
+ * - перед отменой несинхронизированная правка редактора TOML/CSV применяется
+ *   (одна запись истории на синхронизацию), поэтому отмена откатывает и её
+ *
+ * Важно:
+ * - в полях ввода и редакторах сочетания клавиш не перехватываются: там работает
+ *   встроенная отмена правок текста;
+ * - пока идёт синтез, отмена и повтор заблокированы (см. `setLocked`).
+ *
+ * Ожидаемые элементы UI (id): #btnUndo, #btnRedo
+ */
+
+import {
+  historyLabels,
+  onHistoryChange,
+  redoState,
+  undoState,
+} from "./store.js";
+import { logError } from "../util/errors.js";
+
+/**
+ * Цель события — поле ввода текста (там работает встроенная отмена).
+ * @param {EventTarget|null} target
+ */
+const isTextInput = (target) =>
+  target instanceof HTMLTextAreaElement ||
+  target instanceof HTMLInputElement ||
+  target instanceof HTMLSelectElement ||
+  (target instanceof HTMLElement && target.isContentEditable);
+
+/**
+ * Создать контроллер истории.
+ *
+ * @param {object} deps
+ * @param {any} deps.ui ссылки на UI (buildUiRefs)
+ * @param {any} deps.store store приложения
+ * @param {{ syncFromActiveEditorIfNeeded: () => void }} deps.sync синхронизация редакторов
+ * @param {(forceEditors?: boolean) => void} deps.refreshAllViews
+ * @param {(kind: string, text: string) => void} deps.setStatus
+ * @returns {{ hookEvents: () => void, destroy: () => void, update: () => void, setLocked: (value: boolean) => void, undo: () => void, redo: () => void }}
+ */
+export const createHistoryController = ({
+  ui,
+  store,
+  sync,
+  refreshAllViews,
+  setStatus,
+}) => {
+  /** @type {AbortController | null} */
+  let ac = null;
+  /** @type {(() => void) | null} */
+  let unsubscribe = null;
+
+  const undoBtn = ui.history.undo;
+  const redoBtn = ui.history.redo;
+
+  // На время синтеза история заблокирована: результат должен относиться к тем же данным, что и запрос.
+  let locked = false;
+
+  const update = () => {
+    const labels = historyLabels(store);
+    undoBtn.disabled = locked || labels.undo === null;
+    redoBtn.disabled = locked || labels.redo === null;
+    undoBtn.title = labels.undo
+      ? `Отменить: ${labels.undo} (Ctrl+Z)`
+      : "Отменить (Ctrl+Z)";
+    redoBtn.title = labels.redo
+      ? `Повторить: ${labels.redo} (Ctrl+Shift+Z)`
+      : "Повторить (Ctrl+Shift+Z)";
+  };
+
+  /**
+   * Заблокировать/разблокировать отмену и повтор.
+   * @param {boolean} value
+   */
+  const setLocked = (value) => {
+    locked = value;
+    update();
+  };
+
+  /**
+   * @param {(s: any) => string|null} step
+   * @param {string} verb
+   */
+  const apply = (step, verb) => {
+    if (locked) return;
+    try {
+      sync.syncFromActiveEditorIfNeeded();
+    } catch (e) {
+      logError("Синхронизация редактора перед отменой не удалась", e);
+      setStatus(
+        "err",
+        "Правка в редакторе некорректна: исправьте её или отмените правку текста (Ctrl+Z в редакторе).",
+      );
+      return;
+    }
+
+    const label = step(store);
+    if (label === null) return;
+    refreshAllViews(true);
+    setStatus("ok", `${verb}: ${label}.`);
+  };
+
+  const undo = () => apply(undoState, "Отменено");
+  const redo = () => apply(redoState, "Повторено");
+
+  /** @param {KeyboardEvent} e */
+  const onKeyDown = (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (isTextInput(e.target)) return;
+
+    const key = e.key.toLowerCase();
+    const isUndo = key === "z" && !e.shiftKey;
+    const isRedo = (key === "z" && e.shiftKey) || (key === "y" && !e.shiftKey);
+    if (!isUndo && !isRedo) return;
+
+    e.preventDefault();
+    if (isUndo) undo();
+    else redo();
+  };
+
+  const hookEvents = () => {
+    if (ac) ac.abort();
+    ac = new AbortController();
+    const { signal } = ac;
+
+    if (unsubscribe) unsubscribe();
+    unsubscribe = onHistoryChange(store, update);
+    undoBtn.addEventListener("click", undo, { signal });
+    redoBtn.addEventListener("click", redo, { signal });
+    document.addEventListener("keydown", onKeyDown, { signal });
+    update();
+  };
+
+  const destroy = () => {
+    if (ac) ac.abort();
+    ac = null;
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+  };
+
+  return { hookEvents, destroy, update, setLocked, undo, redo };
+};
+
+export default createHistoryController;
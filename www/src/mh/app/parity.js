@@ -0,0 +1,158 @@
+/**
+ * Контроллер сверки реализаций Zig/WASM и JavaScript в панели «Настройки».
+ *
+ * Требования:
+ * - сверяется алгоритм, выбранный в селекторе «Алгоритм» (обе его реализации), на текущей системе
+ * - отчёт: пары, добавленные/удалённые/изменённые в решении JS относительно Zig, и допуск
+ *   (см. `solver/parity.js`)
+ *
+ * Важно:
+ * - текущая система и её решение (store.state.exchanger) не меняются;
+ * - синтез выполняется тем же хостом, что и обычный синтез, поэтому на время сверки
+ *   остальной интерфейс блокируется, а «Отменить» прерывает сверку.
+ *
+ * Ожидаемые элементы UI (id):
+ * - Кнопка:  #btnParityRun
+ * - Отчёт:   #parityReport
+ */
+
+import { displayUnits } from "./store.js";
+import { validateAndNormalizeState } from "../model/state.js";
+import { parseAlgorithmId } from "../solver/solve_request.js";
+import {
+  PARITY_ALGORITHMS,
+  checkParity,
+  describeParity,
+} from "../solver/parity.js";
+import { isAbortError, logError, toErrorText } from "../util/errors.js";
+
+/** Подписи алгоритмов для отчёта. */
+const ALGORITHM_LABELS = {
+  solve_greedy: "Жадный",
+  solve_curves: "Эквивалентные кривые",
+};
+
+/**
+ * Создать контроллер сверки Zig/WASM и JavaScript.
+ *
+ * @param {object} deps
+ * @param {any} deps.ui ссылки на UI (buildUiRefs)
+ * @param {any} deps.store store приложения
+ * @param {{ syncFromActiveEditorIfNeeded: () => void }} deps.sync синхронизация редакторов
+ * @param {ReturnType<typeof import("./solver_host.js").createSolverHost>} deps.solverHost хост синтеза
+ * @param {(kind: string, text: string) => void} deps.setStatus
+ * @param {(running: boolean) => void} deps.setRunning блокировка интерфейса на время синтеза
+ * @returns {{ hookEvents: () => void, destroy: () => void, run: () => Promise<void> }}
+ */
+export const createParityController = ({
+  ui,
+  store,
+  sync,
+  solverHost,
+  setStatus,
+  setRunning,
+}) => {
+  /** @type {AbortController | null} */
+  let ac = null;
+
+  const refs = ui?.parity ?? {};
+  let running = false;
+
+  const setParityRunning = (value) => {
+    running = value;
+    setRunning(value);
+    if (refs.run) refs.run.disabled = value;
+  };
+
+  /** @param {string[]} lines */
+  const showReport = (lines) => {
+    if (!refs.report) return;
+    refs.report.textContent = lines.join("\n");
+    refs.report.hidden = lines.length === 0;
+  };
+
+  const run = async () => {
+    if (running) return;
+    if (solverHost.isBusy()) {
+      setStatus("err", "Сверка недоступна: выполняется синтез.");
+      return;
+    }
+
+    const { baseName } = parseAlgorithmId(
+      store.solverAlgorithmId ?? "solve_greedy_zig",
+    );
+    if (!PARITY_ALGORITHMS.includes(baseName)) {
+      setStatus(
+        "err",
+        "Сверка доступна только для алгоритмов с реализациями Zig/WASM и JavaScript: жадного и эквивалентных кривых.",
+      );
+      return;
+    }
+
+    let state;
+    try {
+      sync.syncFromActiveEditorIfNeeded();
+      state = validateAndNormalizeState(store.state);
+    } catch (e) {
+      logError("Проверка входных данных перед сверкой не пройдена", e);
+      setStatus(
+        "err",
+        "Не удалось выполнить сверку: входные данные некорректны. Подробности в консоли браузера.",
+      );
+      return;
+    }
+    if (state.hot.length === 0 || state.cold.length === 0) {
+      setStatus(
+        "err",
+        "Невозможно выполнить сверку: добавьте хотя бы один горячий и один холодный поток.",
+      );
+      return;
+    }
+
+    const label = ALGORITHM_LABELS[baseName] ?? baseName;
+    setParityRunning(true);
+    setStatus("busy", `Сверка Zig/WASM и JavaScript: ${label}…`);
+
+    try {
+      const report = await checkParity(state, baseName, (request) =>
+        solverHost.solve(request),
+      );
+      showReport([
+        `Алгоритм: ${label}`,
+        ...describeParity(report, displayUnits(store)),
+      ]);
+      setStatus(
+        report.ok ? "ok" : "warn",
+        report.ok
+          ? `Сверка пройдена: решения Zig/WASM и JavaScript совпадают (${label}).`
+          : `Сверка не пройдена: решения Zig/WASM и JavaScript расходятся (${label}).`,
+      );
+    } catch (e) {
+      if (isAbortError(e)) {
+        setStatus("warn", "Сверка отменена.");
+        return;
+      }
+      logError("Сверка Zig/WASM и JavaScript завершилась с ошибкой", e);
+      setStatus("err", `Сверка прервана: ${toErrorText(e)}`);
+    } finally {
+      setParityRunning(false);
+    }
+  };
+
+  const hookEvents = () => {
+    if (ac) ac.abort();
+    ac = new AbortController();
+    const { signal } = ac;
+
+    refs.run?.addEventListener("click", run, { signal });
+  };
+
+  const destroy = () => {
+    if (ac) ac.abort();
+    ac = null;
+  };
+
+  return { hookEvents, destroy, run };
+};
+
+export default createParityController;
@@ -0,0 +1,449 @@
+/**
+ * Контроллер сессий: автосохранение в IndexedDB, восстановление прошлой сессии
+ * и «Недавние проекты» (именованные снимки) в панели «Настройки».
+ *
+ * Сессия — варианты проекта (канонические состояния вместе с `[stats]`), выбранный алгоритм,
+ * параметры панели генератора и режим интерфейса (активная вкладка и правая панель);
+ * см. `../io/session_store.js`.
+ *
+ * Требования:
+ * - автосохранение — через секунду после изменения состояния или настроек, а также при уходе со страницы
+ * - при загрузке, если найдена непустая прошлая сессия, предлагается восстановить её
+ * - восстановление и открытие снимка заменяют все варианты проекта; история отмены при этом очищается
+ *
+ * Важно:
+ * - пока предложение восстановить не принято и не отклонено, автосохранение приостановлено,
+ *   иначе прошлая сессия была бы затёрта начальным состоянием;
+ * - сохраняется состояние из store: несинхронизированная правка редактора TOML/CSV не сохраняется;
+ * - если IndexedDB недоступен, автосохранение отключается, а раздел «Недавние проекты» скрывается.
+ *
+ * Ожидаемые элементы UI (id):
+ * - Восстановление: #restoreBar, #restoreText, #btnRestoreSession, #btnDiscardSession
+ * - Снимки:         #projectsTitle, #projectsPanel, #projectName, #btnProjectSave, #projectEmpty, #projectList
+ */
+
+import { onHistoryChange } from "./store.js";
+import { Tab } from "./tabs.js";
+import { listCases, replaceCases } from "./workspace.js";
+import { validateAndNormalizeState } from "../model/state.js";
+import {
+  deleteProject,
+  listProjects,
+  loadLastSession,
+  loadProject,
+  saveLastSession,
+  saveProject,
+} from "../io/session_store.js";
+import { logError, logWarn, toErrorText } from "../util/errors.js";
+
+/** Задержка автосохранения после изменения (мс). */
+const AUTOSAVE_DELAY_MS = 1000;
+
+/**
+ * Дата сохранения для подписей.
+ * @param {string} iso
+ */
+const formatSavedAt = (iso) => {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "—" : d.toLocaleString("ru-RU");
+};
+
+/**
+ * Краткое описание системы сессии: `null`, если система пустая.
+ * @param {any} state
+ * @returns {string|null}
+ */
+const describeSystem = (state) => {
+  const len = (v) => (Array.isArray(v) ? v.length : 0);
+  const streams = len(state?.hot) + len(state?.cold);
+  const exchangers = len(state?.exchanger);
+  if (streams === 0 && exchangers === 0) return null;
+  return `потоков ${streams}, аппаратов ${exchangers}`;
+};
+
+/**
+ * Краткое описание сессии: `null`, если все её варианты пустые.
+ * @param {import("../io/session_store.js").Session} session
+ * @returns {string|null}
+ */
+const describeSession = (session) => {
+  const { cases } = session;
+  const parts = cases.map((c) => describeSystem(c.state)).filter(Boolean);
+  if (parts.length === 0) return null;
+  return cases.length === 1 ? parts[0] : `вариантов ${cases.length}`;
+};
+
+/**
+ * Создать контроллер сессий.
+ *
+ * @param {object} deps
+ * @param {any} deps.ui ссылки на UI (buildUiRefs)
+ * @param {any} deps.store store приложения
+ * @param {{ setActiveTab: (tab: string) => void }} deps.tabs контроллер вкладок
+ * @param {{ restoreMode: (flags: any) => void }} deps.visualization контроллер правой панели
+ * @param {{ readParams: (opts?: { fillSeed?: boolean }) => any, writeParams: (params: any) => void }} deps.generator контроллер генератора
+ * @param {(forceEditors?: boolean) => void} deps.refreshAllViews
+ * @param {(kind: string, text: string) => void} deps.setStatus
+ * @returns {{ hookEvents: () => void, destroy: () => void, setLocked: (value: boolean) => void, saveNow: () => Promise<void> }}
+ */
+export const createSessionController = ({
+  ui,
+  store,
+  tabs,
+  visualization,
+  generator,
+  refreshAllViews,
+  setStatus,
+}) => {
+  /** @type {AbortController | null} */
+  let ac = null;
+  /** @type {(() => void) | null} */
+  let unsubscribe = null;
+
+  const restore = ui?.restore ?? {};
+  const projects = ui?.projects ?? {};
+
+  // IndexedDB доступен (после первой ошибки автосохранение отключается).
+  let available = true;
+  // Прошлая сессия прочитана: до этого сохранять нельзя, иначе она была бы затёрта.
+  let ready = false;
+  // Прошлая сессия ждёт решения пользователя (автосохранение приостановлено).
+  /** @type {import("../io/session_store.js").Session | null} */
+  let pending = null;
+  // Идёт синтез: восстановление и открытие снимков заблокированы (как отмена/повтор).
+  let locked = false;
+  let timer = 0;
+
+  /** @returns {import("../io/session_store.js").Session} */
+  const snapshot = () => {
+    const cases = listCases(store);
+    return {
+      saved_at: new Date().toISOString(),
+      cases: cases.map(({ name, state }) => ({ name, state })),
+      activeCase: cases.findIndex((c) => c.active),
+      solverAlgorithmId: store.solverAlgorithmId,
+      generator: generator ? generator.readParams({ fillSeed: false }) : null,
+      ui: {
+        activeTab: store.activeTab,
+        visualizationEnabled: !!store.visualizationEnabled,
+        eqCurvesEnabled: !!store.eqCurvesEnabled,
+        compositeEnabled: !!store.compositeEnabled,
+        grandCompositeEnabled: !!store.grandCompositeEnabled,
+        settingsEnabled: !!store.settingsEnabled,
+      },
+    };
+  };
+
+  /**
+   * Отключить хранение сессий (IndexedDB недоступен или запись не удалась).
+   * @param {string} context
+   * @param {unknown} e
+   */
+  const disable = (context, e) => {
+    available = false;
+    if (timer) clearTimeout(timer);
+    timer = 0;
+    logWarn(context, { error: toErrorText(e) });
+    if (projects.title) projects.title.hidden = true;
+    if (projects.panel) projects.panel.hidden = true;
+  };
+
+  const saveNow = async () => {
+    if (timer) clearTimeout(timer);
+    timer = 0;
+    if (!available || !ready || pending) return;
+    try {
+      await saveLastSession(snapshot());
+    } catch (e) {
+      disable("Автосохранение сессии отключено", e);
+      setStatus(
+        "warn",
+        "Автосохранение сессии отключено: хранилище браузера недоступно.",
+      );
+    }
+  };
+
+  const scheduleSave = () => {
+    if (!available || !ready || pending) return;
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+      void saveNow();
+    }, AUTOSAVE_DELAY_MS);
+  };
+
+  /**
+   * Применить сессию или снимок: заменить варианты проекта и восстановить настройки.
+   *
+   * @param {import("../io/session_store.js").Session} session
+   */
+  const applySession = (session) => {
+    const normalized = session.cases.map((c) => {
+      // Почему: validateAndNormalizeState не знает о [stats] и может его отбросить.
+      const prevStats = c.state?.stats ?? null;
+      const next = validateAndNormalizeState(c.state);
+      return {
+        name: c.name,
+        state: prevStats ? { ...next, stats: prevStats } : next,
+      };
+    });
+    replaceCases(store, normalized, session.activeCase);
+
+    const sel = ui?.settings?.algorithmSelect ?? null;
+    const algoId = String(session.solverAlgorithmId ?? "");
+    if (sel && [...sel.options].some((o) => o.value === algoId)) {
+      sel.value = algoId;
+      sel.dispatchEvent(new Event("change"));
+    }
+
+    const m = session.ui ?? {};
+    if (Object.values(Tab).includes(m.activeTab))
+      tabs.setActiveTab(m.activeTab);
+    visualization.restoreMode(m);
+
+    refreshAllViews(true);
+    // Панель генератора — как при сохранении (после refreshAllViews, который заполняет её из `[generator]`).
+    if (session.generator && generator)
+      generator.writeParams(session.generator);
+  };
+
+  const hideOffer = () => {
+    pending = null;
+    if (restore.bar) restore.bar.hidden = true;
+  };
+
+  const acceptOffer = () => {
+    if (!pending || locked) return;
+    const session = pending;
+    try {
+      applySession(session);
+      hideOffer();
+      setStatus(
+        "ok",
+        `Сессия от ${formatSavedAt(session.saved_at)} восстановлена.`,
+      );
+    } catch (e) {
+      logError("Не удалось восстановить сессию", e);
+      hideOffer();
+      setStatus(
+        "err",
+        "Не удалось восстановить сессию: сохранённые данные некорректны. Подробности в консоли браузера.",
+      );
+    }
+    scheduleSave();
+  };
+
+  const discardOffer = () => {
+    hideOffer();
+    scheduleSave();
+  };
+
+  const offerLastSession = async () => {
+    let session = null;
+    try {
+      session = await loadLastSession();
+    } catch (e) {
+      disable("Хранилище сессий недоступно", e);
+      return;
+    }
+    ready = true;
+
+    const summary = session ? describeSession(session) : null;
+    if (!session || !summary || !restore.bar) {
+      // Изменения, сделанные до чтения прошлой сессии, тоже сохраняются.
+      scheduleSave();
+      return;
+    }
+
+    pending = session;
+    if (restore.text)
+      restore.text.textContent = `Найдена прошлая сессия от ${formatSavedAt(session.saved_at)} (${summary}). Автосохранение приостановлено до выбора.`;
+    if (restore.accept) restore.accept.disabled = locked;
+    restore.bar.hidden = false;
+  };
+
+  /** @type {import("../io/session_store.js").ProjectSnapshot[]} */
+  let projectList = [];
+
+  const renderProjects = () => {
+    const list = projects.list;
+    if (!list) return;
+    list.replaceChildren();
+    if (projects.empty) projects.empty.hidden = projectList.length > 0;
+
+    for (const p of projectList) {
+      const li = document.createElement("li");
+
+      const name = document.createElement("span");
+      name.className = "mh-projectName";
+      name.textContent = p.name;
+      name.title = p.name;
+
+      const date = document.createElement("span");
+      date.className = "mh-projectDate";
+      date.textContent = formatSavedAt(p.saved_at);
+
+      const open = document.createElement("button");
+      open.type = "button";
+      open.textContent = "Открыть";
+      open.dataset.action = "open";
+      open.dataset.name = p.name;
+      open.disabled = locked;
+
+      const del = document.createElement("button");
+      del.type = "button";
+      del.textContent = "✕";
+      del.title = "Удалить снимок";
+      del.dataset.action = "delete";
+      del.dataset.name = p.name;
+
+      li.append(name, date, open, del);
+      list.append(li);
+    }
+  };
+
+  const refreshProjects = async () => {
+    if (!available) return;
+    try {
+      projectList = await listProjects();
+      renderProjects();
+    } catch (e) {
+      disable("Хранилище снимков недоступно", e);
+    }
+  };
+
+  const saveSnapshot = async () => {
+    const typed = String(projects.name?.value ?? "").trim();
+    const name = typed || `Проект ${new Date().toLocaleString("ru-RU")}`;
+
+    if (
+      projectList.some((p) => p.name === name) &&
+      !window.confirm(`Снимок «${name}» уже есть. Заменить его?`)
+    )
+      return;
+
+    try {
+      await saveProject(name, snapshot());
+      if (projects.name) projects.name.value = "";
+      await refreshProjects();
+      setStatus("ok", `Снимок «${name}» сохранён.`);
+    } catch (e) {
+      logError("Не удалось сохранить снимок", e);
+      setStatus(
+        "err",
+        "Не удалось сохранить снимок. Подробности в консоли браузера.",
+      );
+    }
+  };
+
+  /** @param {string} name */
+  const openSnapshot = async (name) => {
+    if (locked) return;
+    try {
+      const p = await loadProject(name);
+      if (!p) {
+        setStatus("err", `Снимок «${name}» не найден.`);
+        await refreshProjects();
+        return;
+      }
+      if (
+        listCases(store).some((c) => describeSystem(c.state)) &&
+        !window.confirm(
+          `Открыть снимок «${name}» и заменить все текущие варианты? Их данные и история будут потеряны.`,
+        )
+      )
+        return;
+      applySession(p);
+      setStatus("ok", `Открыт снимок «${name}».`);
+    } catch (e) {
+      logError("Не удалось открыть снимок", e);
+      setStatus(
+        "err",
+        "Не удалось открыть снимок: сохранённые данные некорректны. Подробности в консоли браузера.",
+      );
+    }
+  };
+
+  /** @param {string} name */
+  const removeSnapshot = async (name) => {
+    if (!window.confirm(`Удалить снимок «${name}»?`)) return;
+    try {
+      await deleteProject(name);
+      await refreshProjects();
+      setStatus("ok", `Снимок «${name}» удалён.`);
+    } catch (e) {
+      logError("Не удалось удалить снимок", e);
+      setStatus(
+        "err",
+        "Не удалось удалить снимок. Подробности в консоли браузера.",
+      );
+    }
+  };
+
+  /** @param {MouseEvent} e */
+  const onListClick = (e) => {
+    const btn = e.target instanceof Element ? e.target.closest("button") : null;
+    const name = btn?.dataset.name;
+    if (!btn || name === undefined) return;
+    if (btn.dataset.action === "open") void openSnapshot(name);
+    else if (btn.dataset.action === "delete") void removeSnapshot(name);
+  };
+
+  /**
+   * Заблокировать/разблокировать восстановление и открытие снимков (на время синтеза).
+   * @param {boolean} value
+   */
+  const setLocked = (value) => {
+    locked = value;
+    if (restore.accept) restore.accept.disabled = value;
+    renderProjects();
+  };
+
+  const hookEvents = () => {
+    if (ac) ac.abort();
+    ac = new AbortController();
+    const { signal } = ac;
+
+    if (unsubscribe) unsubscribe();
+    unsubscribe = onHistoryChange(store, scheduleSave);
+
+    // Режим интерфейса и настройки меняются кликами и полями ввода, а не через историю.
+    document.addEventListener("click", scheduleSave, { signal, capture: true });
+    document.addEventListener("change", scheduleSave, {
+      signal,
+      capture: true,
+    });
+
+    // Почему: при закрытии вкладки отложенное сохранение не успело бы выполниться.
+    window.addEventListener("pagehide", () => void saveNow(), { signal });
+    document.addEventListener(
+      "visibilitychange",
+      () => {
+        if (document.visibilityState === "hidden") void saveNow();
+      },
+      { signal },
+    );
+
+    restore.accept?.addEventListener("click", acceptOffer, { signal });
+    restore.discard?.addEventListener("click", discardOffer, { signal });
+    projects.save?.addEventListener("click", () => void saveSnapshot(), {
+      signal,
+    });
+    projects.list?.addEventListener("click", onListClick, { signal });
+
+    void offerLastSession();
+    void refreshProjects();
+  };
+
+  const destroy = () => {
+    if (ac) ac.abort();
+    ac = null;
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+    if (timer) clearTimeout(timer);
+    timer = 0;
+  };
+
+  return { hookEvents, destroy, setLocked, saveNow };
+};
+
+export default createSessionController;
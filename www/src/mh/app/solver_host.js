@@ -0,0 +1,191 @@
+import { runSolveRequest } from "../solver/solve_request.js";
+import { logError, logWarn } from "../util/errors.js";
+
+/**
+ * Хост синтеза: запускает алгоритмы в Web Worker (`solver/solver_worker.js`),
+ * чтобы долгий синтез не блокировал интерфейс, и позволяет его отменить.
+ *
+ * Протокол сообщений описан в `solver/solver_worker.js`.
+ *
+ * Важно:
+ * - одновременно выполняется не более одного запроса;
+ * - запрос, который ждёт загрузки Zig/WASM, отменяется сообщением `cancel`;
+ * - любая другая отмена завершает worker (`terminate()`), новый создаётся при следующем запросе;
+ * - если Web Worker недоступен или не запустился, синтез выполняется в основном потоке
+ *   (без отмены и без промежуточного прогресса в интерфейсе).
+ */
+
+/**
+ * Ошибка отмены (совместима с `isAbortError`).
+ *
+ * @returns {Error}
+ */
+const abortError = () => {
+  const e = new Error("Синтез отменён.");
+  e.name = "AbortError";
+  return e;
+};
+
+/**
+ * Создать хост синтеза.
+ *
+ * @param {object} deps
+ * @param {any} deps.multiheat zigar-модуль основного потока (для синтеза без Web Worker)
+ * @returns {{
+ *   solve: (request: import("../solver/solve_request.js").SolveRequest, opts?: { onProgress?: (fraction: number) => void }) => Promise<import("../solver/solve_request.js").SolveResult>,
+ *   cancel: () => void,
+ *   isBusy: () => boolean,
+ *   destroy: () => void,
+ * }}
+ */
+export const createSolverHost = ({ multiheat }) => {
+  /** @type {Worker | null} */
+  let worker = null;
+
+  // Почему: если worker однажды не смог запуститься, повторные попытки только задерживают синтез.
+  let workerBroken = typeof Worker === "undefined";
+
+  let nextId = 1;
+
+  /**
+   * @type {{
+   *   id: number,
+   *   resolve: (r: any) => void,
+   *   reject: (e: unknown) => void,
+   *   onProgress: ((fraction: number) => void) | null,
+   *   loading: boolean,
+   * } | null}
+   */
+  let pending = null;
+
+  const dropWorker = () => {
+    if (!worker) return;
+    worker.terminate();
+    worker = null;
+  };
+
+  const settle = (fn, value) => {
+    const p = pending;
+    pending = null;
+    if (p) p[fn](value);
+  };
+
+  const onMessage = (ev) => {
+    const msg = ev.data;
+    if (!msg || typeof msg !== "object") return;
+    if (!pending || msg.id !== pending.id) return;
+
+    if (msg.type === "loading") {
+      pending.loading = true;
+    } else if (msg.type === "progress") {
+      // Первое сообщение о прогрессе worker отправляет непосредственно перед синтезом.
+      pending.loading = false;
+      if (pending.onProgress) pending.onProgress(Number(msg.fraction) || 0);
+    } else if (msg.type === "result") {
+      settle("resolve", {
+        exchangers: Array.isArray(msg.exchangers) ? msg.exchangers : [],
+        solve_time_ms: Number(msg.solve_time_ms),
+      });
+    } else if (msg.type === "error") {
+      if (msg.cancelled) {
+        settle("reject", abortError());
+        return;
+      }
+      // Исходная ошибка приходит текстом (structured clone), её логирует вызывающий код.
+      const message = String(msg.message ?? "");
+      settle(
+        "reject",
+        msg.cause
+          ? new Error(message, { cause: msg.cause })
+          : new Error(message),
+      );
+    }
+  };
+
+  const onWorkerError = (ev) => {
+    logError("Фоновый вычислитель завершился с ошибкой", ev?.error ?? ev, {
+      message: ev?.message,
+      filename: ev?.filename,
+    });
+    workerBroken = true;
+    dropWorker();
+    settle(
+      "reject",
+      new Error(
+        "Не удалось синтезировать систему: фоновый вычислитель недоступен. Подробности в консоли браузера.",
+      ),
+    );
+  };
+
+  const ensureWorker = () => {
+    if (worker || workerBroken) return worker;
+
+    try {
+      worker = new Worker(
+        new URL("../solver/solver_worker.js", import.meta.url),
+        { type: "module" },
+      );
+      worker.addEventListener("message", onMessage);
+      worker.addEventListener("error", onWorkerError);
+    } catch (e) {
+      logWarn(
+        "Web Worker недоступен: синтез будет выполняться в основном потоке",
+        {
+          error: e,
+        },
+      );
+      workerBroken = true;
+      worker = null;
+    }
+
+    return worker;
+  };
+
+  const solve = (request, opts = {}) => {
+    if (pending) return Promise.reject(new Error("Синтез уже выполняется."));
+
+    const onProgress =
+      typeof opts.onProgress === "function" ? opts.onProgress : null;
+
+    const w = ensureWorker();
+
+    if (!w) {
+      // Синтез в основном потоке: синхронный, поэтому прогресс в интерфейсе не отрисуется.
+      try {
+        return Promise.resolve(
+          runSolveRequest(multiheat, request, { onProgress }),
+        );
+      } catch (e) {
+        return Promise.reject(e);
+      }
+    }
+
+    const id = nextId++;
+
+    return new Promise((resolve, reject) => {
+      pending = { id, resolve, reject, onProgress, loading: false };
+      w.postMessage({ type: "request", id, request });
+    });
+  };
+
+  const cancel = () => {
+    if (!pending) return;
+
+    // Почему: синтез синхронен и сообщение `cancel` не прочитает; оно доходит, только пока
+    // worker ждёт загрузки Zig/WASM. Запрос, о котором ещё ничего не известно, мог уже начаться.
+    if (worker && pending.loading)
+      worker.postMessage({ type: "cancel", id: pending.id });
+    else dropWorker();
+
+    settle("reject", abortError());
+  };
+
+  const isBusy = () => pending !== null;
+
+  const destroy = () => {
+    cancel();
+    dropWorker();
+  };
+
+  return { solve, cancel, isBusy, destroy };
+};
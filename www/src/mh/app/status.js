@@ -1,5 +1,5 @@
 /**
- * Строка статуса (✅/⚠️/❌) и функция её обновления.
+ * Строка статуса (✅/⚠️/❌/⏳) и функция её обновления.
  */
 
 /** @readonly */
@@ -7,6 +7,7 @@ export const StatusPrefix = {
   ok: "✅",
   warn: "⚠️",
   err: "❌",
+  busy: "⏳",
 };
 
 /**
@@ -14,7 +15,7 @@ export const StatusPrefix = {
  *
  * @param {object} deps
  * @param {HTMLElement} deps.statusEl Элемент, в который записывается строка статуса
- * @returns {{ setStatus: (kind: "ok"|"warn"|"err"|string, message: string) => void }}
+ * @returns {{ setStatus: (kind: "ok"|"warn"|"err"|"busy"|string, message: string) => void }}
  */
 export const createStatus = ({ statusEl }) => {
   if (!statusEl) throw new Error("Не задан statusEl.");
@@ -1,7 +1,27 @@
 import { defaultState } from "../model/state.js";
+import { itemExists, sameItem } from "../model/selection.js";
 
 /**
- * Хранилище состояния приложения: каноническое состояние и флаги «грязных» редакторов.
+ * Хранилище состояния приложения: каноническое состояние, флаги «грязных» редакторов,
+ * история изменений состояния (отмена/повтор), варианты проекта (см. `./workspace.js`)
+ * и выделенный элемент системы (см. `../model/selection.js`).
+ *
+ * История хранит снимки `store.state` с подписью действия, которое их заменило.
+ * Почему снимки — ссылки, без копирования: действия не изменяют состояние на месте,
+ * а заменяют `store.state` целиком, поэтому прежний объект остаётся неизменным.
+ */
+
+/** Предел оценки памяти истории (байт): самые старые снимки вытесняются. */
+export const HISTORY_MAX_BYTES = 32 * 1024 * 1024;
+
+/** Предел числа снимков в стеке отмены. */
+export const HISTORY_MAX_ENTRIES = 100;
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string} label подпись действия (например, «Сгенерировать»)
+ * @property {any} state снимок состояния
+ * @property {number} bytes оценка памяти снимка
  */
 
 /**
@@ -12,10 +32,14 @@ import { defaultState } from "../model/state.js";
  * @param {string} [opts.activeTab] Активная вкладка (по умолчанию `"toml"`)
  * @param {boolean} [opts.visualizationEnabled] Включена ли визуализация (по умолчанию `false`)
  * @param {boolean} [opts.eqCurvesEnabled] Включены ли эквивалентные кривые (по умолчанию `false`)
+ * @param {boolean} [opts.compositeEnabled] Включены ли составные кривые (по умолчанию `false`)
+ * @param {boolean} [opts.grandCompositeEnabled] Включена ли большая составная кривая (по умолчанию `false`)
  * @param {boolean} [opts.settingsEnabled] Включена ли панель «Настройки» (по умолчанию `false`)
+ * @param {import("../model/units.js").TempUnit} [opts.tempUnit] Единица отображения температур (по умолчанию `"K"`)
+ * @param {import("../model/units.js").LoadUnit} [opts.loadUnit] Единица отображения нагрузок (по умолчанию `"MW"`)
  * @param {"solve_greedy_zig"|"solve_greedy_js"|"solve_curves_zig"|"solve_curves_js"|"solve_trivial_zig"} [opts.solverAlgorithmId] Выбранный алгоритм синтеза (по умолчанию `"solve_greedy_zig"`)
  * @param {"greedy"|"curves"|"trivial"} [opts.solverAlgorithm] Устаревшее поле (для обратной совместимости)
- * @returns {{ state: any, activeTab: string, viewsSuspended: boolean, visualizationEnabled: boolean, eqCurvesEnabled: boolean, settingsEnabled: boolean, solverAlgorithmId: "solve_greedy_zig"|"solve_greedy_js"|"solve_curves_zig"|"solve_curves_js"|"solve_trivial_zig", solverAlgorithm: "greedy"|"curves"|"trivial", dirty: { toml: boolean, csvStreams: boolean, csvSolution: boolean } }}
+ * @returns {{ state: any, activeTab: string, viewsSuspended: boolean, visualizationEnabled: boolean, eqCurvesEnabled: boolean, compositeEnabled: boolean, grandCompositeEnabled: boolean, settingsEnabled: boolean, tempUnit: import("../model/units.js").TempUnit, loadUnit: import("../model/units.js").LoadUnit, solverAlgorithmId: "solve_greedy_zig"|"solve_greedy_js"|"solve_curves_zig"|"solve_curves_js"|"solve_trivial_zig", solverAlgorithm: "greedy"|"curves"|"trivial", dirty: { toml: boolean, csvStreams: boolean, csvSolution: boolean }, history: { undo: HistoryEntry[], redo: HistoryEntry[], bytes: number, listeners: (() => void)[] }, workspace: import("./workspace.js").Workspace, selection: { item: import("../model/selection.js").SelectionItem | null, listeners: (() => void)[] } }}
  */
 export const createStore = (opts = {}) => {
   const initialState = opts.state ?? defaultState();
@@ -77,7 +101,13 @@ export const createStore = (opts = {}) => {
     viewsSuspended: false,
     visualizationEnabled: opts.visualizationEnabled ?? false,
     eqCurvesEnabled: opts.eqCurvesEnabled ?? false,
+    compositeEnabled: opts.compositeEnabled ?? false,
+    grandCompositeEnabled: opts.grandCompositeEnabled ?? false,
     settingsEnabled: opts.settingsEnabled ?? false,
+    // Единица температур в таблицах, описании, CSV и на схеме; `temp_unit` проекта не меняет.
+    tempUnit: opts.tempUnit ?? "K",
+    // Так же единица нагрузок и W; `load_unit` проекта не меняет.
+    loadUnit: opts.loadUnit ?? "MW",
     solverAlgorithmId,
     solverAlgorithm,
     dirty: {
@@ -85,6 +115,23 @@ export const createStore = (opts = {}) => {
       csvStreams: false,
       csvSolution: false,
     },
+    history: {
+      undo: [],
+      redo: [],
+      bytes: 0,
+      listeners: [],
+    },
+    // Варианты проекта: состояние и история активного варианта — `state` и `history` выше.
+    workspace: {
+      cases: [{ id: 1, name: "Вариант 1", state: null, history: null }],
+      activeId: 1,
+      nextId: 2,
+    },
+    // Выделение на схеме сети и во вкладке «Таблица» (не попадает в историю).
+    selection: {
+      item: null,
+      listeners: [],
+    },
   };
 };
 
@@ -98,3 +145,213 @@ export const clearDirtyFlags = (store) => {
   store.dirty.csvStreams = false;
   store.dirty.csvSolution = false;
 };
+
+/**
+ * Оценка памяти одной записи списка (байт, с запасом): поток, утилита, ограничение, аппарат
+ * (аппарат хранит ещё температуры, последовательности и ветви).
+ */
+const RECORD_BYTES = {
+  hot: 128,
+  cold: 128,
+  utility: 256,
+  constraint: 128,
+  exchanger: 512,
+};
+
+/** Оценка памяти раздела без списка ([multiheat], [economics], [generator], [stats]), байт. */
+const SECTION_BYTES = 1024;
+
+/**
+ * Оценка памяти снимка по числу записей в разделах.
+ *
+ * Почему не длина JSON: оценка нужна при каждой правке, отмене и повторе, а сериализация
+ * большой системы (тысячи аппаратов) занимает заметное время; число записей известно сразу.
+ *
+ * @param {any} state
+ */
+const estimateBytes = (state) => {
+  let bytes = 0;
+  for (const [key, value] of Object.entries(state ?? {})) {
+    bytes += Array.isArray(value)
+      ? value.length * (RECORD_BYTES[key] ?? RECORD_BYTES.exchanger)
+      : SECTION_BYTES;
+  }
+  return bytes;
+};
+
+/** @param {ReturnType<typeof createStore>} store */
+const notifyHistory = (store) => {
+  for (const fn of [...store.history.listeners]) fn();
+};
+
+/**
+ * Подписаться на изменения истории (каждая замена `store.state` через `commitState`, отмена, повтор).
+ *
+ * @param {ReturnType<typeof createStore>} store
+ * @param {() => void} fn
+ * @returns {() => void} отписка
+ */
+export const onHistoryChange = (store, fn) => {
+  store.history.listeners.push(fn);
+  return () => {
+    store.history.listeners = store.history.listeners.filter((f) => f !== fn);
+  };
+};
+
+/**
+ * Заменить стеки истории (подписчики сохраняются), например при переключении варианта проекта.
+ *
+ * @param {ReturnType<typeof createStore>} store
+ * @param {{ undo: HistoryEntry[], redo: HistoryEntry[], bytes: number }} [next] новые стеки (по умолчанию пустые)
+ * @returns {{ undo: HistoryEntry[], redo: HistoryEntry[], bytes: number }} прежние стеки
+ */
+export const swapHistory = (store, next = { undo: [], redo: [], bytes: 0 }) => {
+  const h = store.history;
+  const prev = { undo: h.undo, redo: h.redo, bytes: h.bytes };
+  h.undo = next.undo;
+  h.redo = next.redo;
+  h.bytes = next.bytes;
+  notifyHistory(store);
+  return prev;
+};
+
+/**
+ * Вытеснить самые старые снимки отмены, пока история не уложится в пределы.
+ * @param {ReturnType<typeof createStore>} store
+ */
+const trimHistory = (store) => {
+  const h = store.history;
+  while (
+    h.undo.length > 0 &&
+    (h.undo.length > HISTORY_MAX_ENTRIES || h.bytes > HISTORY_MAX_BYTES)
+  ) {
+    h.bytes -= h.undo.shift().bytes;
+  }
+};
+
+/**
+ * Заменить `store.state`, сохранив прежнее состояние в истории.
+ *
+ * Новое действие очищает стек повтора.
+ *
+ * @param {ReturnType<typeof createStore>} store
+ * @param {any} next новое состояние
+ * @param {string} label подпись действия
+ */
+export const commitState = (store, next, label) => {
+  if (next === store.state) return;
+  const h = store.history;
+  const bytes = estimateBytes(store.state);
+
+  h.undo.push({ label, state: store.state, bytes });
+  h.bytes += bytes;
+  for (const e of h.redo) h.bytes -= e.bytes;
+  h.redo = [];
+
+  store.state = next;
+  trimHistory(store);
+  notifyHistory(store);
+};
+
+/**
+ * Переместить состояние между стеками истории.
+ *
+ * @param {ReturnType<typeof createStore>} store
+ * @param {HistoryEntry[]} from
+ * @param {HistoryEntry[]} to
+ * @returns {string|null} подпись действия или null, если стек пуст
+ */
+const travel = (store, from, to) => {
+  const entry = from.pop();
+  if (!entry) return null;
+
+  const bytes = estimateBytes(store.state);
+  to.push({ label: entry.label, state: store.state, bytes });
+  store.history.bytes += bytes - entry.bytes;
+
+  store.state = entry.state;
+  clearDirtyFlags(store);
+  trimHistory(store);
+  notifyHistory(store);
+  return entry.label;
+};
+
+/**
+ * Отменить последнее действие.
+ *
+ * @param {ReturnType<typeof createStore>} store
+ * @returns {string|null} подпись отменённого действия или null
+ */
+export const undoState = (store) =>
+  travel(store, store.history.undo, store.history.redo);
+
+/**
+ * Повторить отменённое действие.
+ *
+ * @param {ReturnType<typeof createStore>} store
+ * @returns {string|null} подпись повторённого действия или null
+ */
+export const redoState = (store) =>
+  travel(store, store.history.redo, store.history.undo);
+
+/**
+ * Подписи действий, доступных для отмены и повтора.
+ *
+ * @param {ReturnType<typeof createStore>} store
+ * @returns {{ undo: string|null, redo: string|null }}
+ */
+export const historyLabels = (store) => {
+  const { undo, redo } = store.history;
+  return {
+    undo: undo.length > 0 ? undo[undo.length - 1].label : null,
+    redo: redo.length > 0 ? redo[redo.length - 1].label : null,
+  };
+};
+
+/**
+ * Выделенный элемент, если он есть в текущем состоянии (иначе null).
+ *
+ * @param {ReturnType<typeof createStore>} store
+ * @returns {import("../model/selection.js").SelectionItem | null}
+ */
+export const getSelection = (store) =>
+  itemExists(store.state, store.selection.item) ? store.selection.item : null;
+
+/**
+ * Выделить элемент (null — снять выделение); подписчики уведомляются только при изменении.
+ *
+ * @param {ReturnType<typeof createStore>} store
+ * @param {import("../model/selection.js").SelectionItem | null} item
+ */
+export const setSelection = (store, item) => {
+  const changed = !sameItem(getSelection(store), item);
+  store.selection.item = item;
+  if (changed) for (const fn of [...store.selection.listeners]) fn();
+};
+
+/**
+ * Подписаться на изменения выделения.
+ *
+ * @param {ReturnType<typeof createStore>} store
+ * @param {() => void} fn
+ * @returns {() => void} отписка
+ */
+export const onSelectionChange = (store, fn) => {
+  store.selection.listeners.push(fn);
+  return () => {
+    store.selection.listeners = store.selection.listeners.filter(
+      (f) => f !== fn,
+    );
+  };
+};
+
+/**
+ * Единицы отображения (`store.tempUnit`, `store.loadUnit`) — для рендеров, CSV и графа сети.
+ *
+ * @param {ReturnType<typeof createStore>} store
+ * @returns {import("../model/units.js").DisplayUnits}
+ */
+export const displayUnits = (store) => ({
+  tempUnit: store.tempUnit,
+  loadUnit: store.loadUnit,
+});
@@ -0,0 +1,503 @@
+/**
+ * Контроллер вкладки «Таблица» как редактора потоков и аппаратов (см. `../render/tables.js`).
+ *
+ * Требования:
+ * - правка ячейки применяется при выходе из неё (или Enter) и проверяется правилами
+ *   `normalizeStream`/`normalizeExchanger`; некорректное значение остаётся в ячейке,
+ *   ячейка помечается, текст ошибки — под ней и в строке статуса, состояние не меняется
+ * - строки потоков и аппаратов добавляются, копируются, удаляются и переставляются
+ *   (потоки — в пределах своей стороны)
+ * - каждая правка — одна запись истории; остальные представления обновляются из состояния
+ * - температуры, нагрузки и W вводятся в единицах отображения (`store.tempUnit`, `store.loadUnit`)
+ *   и сохраняются в кельвинах и МВт
+ * - щелчок по строке вне полей ввода выделяет поток или аппарат (выделение общее со схемой сети)
+ *
+ * Важно: пока идёт синтез, таблицы заблокированы (см. `setLocked`) — результат синтеза заменит решение.
+ *
+ * Ожидаемые элементы UI (id): #tablesEditor, #streamsTable, #exchangersTable,
+ * #btnTableAddHot, #btnTableAddCold, #btnTableAddExchanger
+ */
+
+import { commitState, getSelection, setSelection } from "./store.js";
+import {
+  addStream,
+  duplicateStream,
+  moveStream,
+  removeStream,
+  setStreamField,
+  setStreamIsothermal,
+} from "../model/stream_edit.js";
+import {
+  addExchanger,
+  duplicateExchanger,
+  moveExchanger,
+  removeExchanger,
+  residualLoadMW,
+  setExchangerLoad,
+  setExchangerStreams,
+} from "../model/solution_edit.js";
+import { sameItem } from "../model/selection.js";
+import { toKelvin, toMW } from "../model/units.js";
+import { tableRowItem } from "../render/tables.js";
+import { toErrorText } from "../util/errors.js";
+import { parseNumber } from "../util/number.js";
+
+/** Подписи полей потока в истории и сообщениях. */
+const STREAM_FIELD_LABELS = { in: "Tвх", out: "Tвых", load: "q", rate: "W" };
+
+/**
+ * Подпись потока: `H1`, `C2`.
+ * @param {"hot"|"cold"} side
+ * @param {number} index
+ */
+const streamName = (side, index) => `${side === "hot" ? "H" : "C"}${index + 1}`;
+
+/**
+ * @typedef {{ table: "streams"|"exchangers", row: number, field: string|null, action: string|null }} CellKey
+ *   положение элемента управления в таблице (для возврата фокуса после перерисовки)
+ */
+
+/**
+ * Создать контроллер таблиц-редакторов.
+ *
+ * @param {object} deps
+ * @param {any} deps.ui ссылки на UI (buildUiRefs)
+ * @param {any} deps.store store приложения
+ * @param {(forceEditors?: boolean) => void} deps.refreshAllViews
+ * @param {(kind: string, text: string) => void} deps.setStatus
+ * @returns {{ hookEvents: () => void, destroy: () => void, setLocked: (value: boolean) => void }}
+ */
+export const createTablesEditController = ({
+  ui,
+  store,
+  refreshAllViews,
+  setStatus,
+}) => {
+  /** @type {AbortController | null} */
+  let ac = null;
+
+  const refs = ui.tables;
+  /** @type {Record<"streams"|"exchangers", HTMLTableElement>} */
+  const tables = {
+    streams: refs.streamsTable,
+    exchangers: refs.exchangersTable,
+  };
+
+  /**
+   * Положение элемента управления в таблицах (или null, если элемент вне строк таблиц).
+   * @param {Element|null} el
+   * @returns {CellKey|null}
+   */
+  const cellKey = (el) => {
+    const tr = el?.closest("tr");
+    if (
+      !(el instanceof HTMLElement) ||
+      !tr ||
+      tr.parentElement?.tagName !== "TBODY"
+    )
+      return null;
+    const table =
+      tr.closest("table") === tables.streams ? "streams" : "exchangers";
+    return {
+      table,
+      row: tr.sectionRowIndex,
+      field: el.dataset.field ?? null,
+      action: el.dataset.action ?? null,
+    };
+  };
+
+  /** @param {CellKey} key */
+  const restoreFocus = (key) => {
+    const tr = tables[key.table].tBodies[0]?.rows[key.row];
+    const selector = key.field
+      ? `[data-field="${key.field}"]`
+      : key.action
+        ? `[data-action="${key.action}"]`
+        : null;
+    const el = selector ? tr?.querySelector(selector) : null;
+    if (
+      el instanceof HTMLElement &&
+      !(el instanceof HTMLButtonElement && el.disabled)
+    )
+      el.focus();
+  };
+
+  /**
+   * Перерисовать представления, сохранив фокус в таблице.
+   *
+   * Почему отложенно: `change` срабатывает при уходе из ячейки — после перерисовки фокус
+   * возвращается в ячейку, куда перешёл пользователь (Tab, щелчок).
+   *
+   * @param {CellKey|null} [focus] куда вернуть фокус (по умолчанию — текущий элемент)
+   */
+  const refreshKeepingFocus = (focus = null) => {
+    window.setTimeout(() => {
+      const key = focus ?? cellKey(document.activeElement);
+      refreshAllViews(true);
+      if (key) restoreFocus(key);
+    }, 0);
+  };
+
+  /**
+   * Пометить ячейку с некорректным значением.
+   * @param {HTMLElement} control
+   * @param {string} message
+   */
+  const markInvalid = (control, message) => {
+    const td = control.closest("td");
+    control.setAttribute("aria-invalid", "true");
+    control.title = message;
+    td?.querySelector(".mh-cellError")?.remove();
+    const note = document.createElement("div");
+    note.className = "mh-cellError";
+    note.textContent = message;
+    td?.appendChild(note);
+  };
+
+  /**
+   * Применить правку: запись истории, выделение и перерисовка.
+   *
+   * @param {string} label подпись действия в истории
+   * @param {() => any} edit возвращает новое состояние (исключение — правка некорректна)
+   * @param {object} [opts]
+   * @param {HTMLElement} [opts.control] ячейка правки (для пометки ошибки)
+   * @param {import("../model/selection.js").SelectionItem | null} [opts.select] новое выделение
+   *   (undefined — не менять)
+   * @param {CellKey|null} [opts.focus] куда вернуть фокус
+   * @returns {boolean} правка применена
+   */
+  const applyEdit = (label, edit, opts = {}) => {
+    let next;
+    try {
+      next = edit();
+    } catch (e) {
+      const message = toErrorText(e);
+      if (opts.control) markInvalid(opts.control, message);
+      setStatus("err", `${label}: ${message}`);
+      return false;
+    }
+
+    commitState(store, next, label);
+    if (opts.select !== undefined) setSelection(store, opts.select);
+    refreshKeepingFocus(opts.focus ?? null);
+    setStatus("ok", `${label}: готово.`);
+    return true;
+  };
+
+  /**
+   * Правка ячейки строки потока.
+   * @param {"hot"|"cold"} side
+   * @param {number} index
+   * @param {HTMLInputElement} control
+   */
+  const editStreamCell = (side, index, control) => {
+    const name = streamName(side, index);
+    const field = control.dataset.field;
+
+    if (field === "isothermal") {
+      const iso = control.checked;
+      applyEdit(
+        `${name}: ${iso ? "изотермический" : "неизотермический"}`,
+        () => setStreamIsothermal(store.state, side, index, iso),
+        { control },
+      );
+      return;
+    }
+
+    if (!(
+      field === "in" ||
+      field === "out" ||
+      field === "load" ||
+      field === "rate"
+    ))
+      return;
+    if (control.value.trim() === "") {
+      markInvalid(control, "Значение не задано.");
+      setStatus(
+        "err",
+        `${name}: значение ${STREAM_FIELD_LABELS[field]} не задано.`,
+      );
+      return;
+    }
+    const isTemp = field === "in" || field === "out";
+    applyEdit(
+      `Изменить ${name}: ${STREAM_FIELD_LABELS[field]}`,
+      () => {
+        const v = /** @type {number} */ (
+          parseNumber(control.value, STREAM_FIELD_LABELS[field])
+        );
+        return setStreamField(
+          store.state,
+          side,
+          index,
+          field,
+          isTemp ? toKelvin(v, store.tempUnit) : toMW(v, store.loadUnit),
+        );
+      },
+      { control },
+    );
+  };
+
+  /**
+   * Правка ячейки строки аппарата.
+   * @param {number} index
+   * @param {HTMLInputElement|HTMLSelectElement} control
+   */
+  const editExchangerCell = (index, control) => {
+    const field = control.dataset.field;
+    const ex = store.state.exchanger[index];
+    if (!ex) return;
+
+    if (field === "load") {
+      applyEdit(
+        `Изменить нагрузку E${index + 1}`,
+        () =>
+          setExchangerLoad(
+            store.state,
+            index,
+            // Пустое значение (null, 0) отвергнет `normalizeExchanger`.
+            toMW(
+              /** @type {number} */ (parseNumber(control.value, "нагрузка")),
+              store.loadUnit,
+            ),
+          ),
+        { control },
+      );
+      return;
+    }
+
+    if (field !== "hot" && field !== "cold") return;
+    const value = control.value === "" ? null : Number(control.value);
+    applyEdit(
+      `Изменить потоки E${index + 1}`,
+      () =>
+        setExchangerStreams(
+          store.state,
+          index,
+          field === "hot" ? value : ex.hot,
+          field === "cold" ? value : ex.cold,
+        ),
+      { control },
+    );
+  };
+
+  /**
+   * Действие строки потока.
+   * @param {"hot"|"cold"} side
+   * @param {number} index
+   * @param {string} action
+   * @param {number} row строка таблицы
+   */
+  const streamAction = (side, index, action, row) => {
+    const name = streamName(side, index);
+    const s = store.state;
+
+    if (action === "up" || action === "down") {
+      const to = action === "up" ? index - 1 : index + 1;
+      applyEdit(
+        `Переместить поток ${name}`,
+        () => moveStream(s, side, index, to),
+        {
+          select: { type: "stream", side, index: to },
+          focus: {
+            table: "streams",
+            row: row + to - index,
+            field: null,
+            action,
+          },
+        },
+      );
+      return;
+    }
+
+    if (action === "duplicate") {
+      applyEdit(
+        `Копировать поток ${name}`,
+        () => duplicateStream(s, side, index),
+        {
+          select: { type: "stream", side, index: index + 1 },
+        },
+      );
+      return;
+    }
+
+    if (action === "remove") {
+      const onStream = s.exchanger.filter(
+        (ex) => ex[side] !== null && Number(ex[side]) === index,
+      ).length;
+      if (
+        onStream > 0 &&
+        !window.confirm(
+          `Удалить поток ${name}? Аппараты на нём (${onStream}) тоже будут удалены.`,
+        )
+      )
+        return;
+      applyEdit(`Удалить поток ${name}`, () => removeStream(s, side, index), {
+        select: null,
+      });
+    }
+  };
+
+  /**
+   * Действие строки аппарата.
+   * @param {number} index
+   * @param {string} action
+   */
+  const exchangerAction = (index, action) => {
+    const s = store.state;
+
+    if (action === "up" || action === "down") {
+      const to = action === "up" ? index - 1 : index + 1;
+      applyEdit(
+        `Переместить E${index + 1}`,
+        () => moveExchanger(s, index, to),
+        {
+          select: { type: "exchanger", index: to },
+          focus: { table: "exchangers", row: to, field: null, action },
+        },
+      );
+      return;
+    }
+
+    if (action === "duplicate") {
+      applyEdit(
+        `Копировать E${index + 1}`,
+        () => duplicateExchanger(s, index),
+        {
+          select: { type: "exchanger", index: index + 1 },
+        },
+      );
+      return;
+    }
+
+    if (action === "remove")
+      applyEdit(`Удалить E${index + 1}`, () => removeExchanger(s, index), {
+        select: null,
+      });
+  };
+
+  /** @param {"hot"|"cold"} side */
+  const addStreamRow = (side) => {
+    const index = store.state[side].length;
+    applyEdit(
+      `Добавить поток ${streamName(side, index)}`,
+      () => addStream(store.state, side),
+      { select: { type: "stream", side, index } },
+    );
+  };
+
+  // Новый аппарат — ячейка H1–C1 на непокрытый остаток (или 1 МВт, если потоки уже покрыты).
+  const addExchangerRow = () => {
+    const s = store.state;
+    if (s.hot.length === 0 || s.cold.length === 0) {
+      setStatus(
+        "err",
+        "Добавить аппарат нельзя: нужен хотя бы один горячий и один холодный поток.",
+      );
+      return;
+    }
+    const residual = Math.min(
+      residualLoadMW(s, "hot", 0),
+      residualLoadMW(s, "cold", 0),
+    );
+    const index = s.exchanger.length;
+    applyEdit(
+      `Добавить аппарат E${index + 1}`,
+      () =>
+        addExchanger(s, {
+          hot: 0,
+          cold: 0,
+          load: residual > 0 ? Math.round(residual * 1e4) / 1e4 : 1,
+        }),
+      { select: { type: "exchanger", index } },
+    );
+  };
+
+  /**
+   * @param {"streams"|"exchangers"} table
+   * @param {Event} e
+   */
+  const onChange = (table, e) => {
+    const control = e.target;
+    if (!(
+      control instanceof HTMLInputElement ||
+      control instanceof HTMLSelectElement
+    ))
+      return;
+    const key = cellKey(control);
+    if (!key) return;
+
+    const item = tableRowItem(store.state, table, key.row);
+    if (item.type === "stream")
+      editStreamCell(
+        item.side,
+        item.index,
+        /** @type {HTMLInputElement} */ (control),
+      );
+    else editExchangerCell(item.index, control);
+  };
+
+  /**
+   * @param {"streams"|"exchangers"} table
+   * @param {MouseEvent} e
+   */
+  const onClick = (table, e) => {
+    const target = e.target instanceof Element ? e.target : null;
+    const btn = target?.closest("button[data-action]");
+    const key = cellKey(btn ?? target);
+    if (!key) return;
+    const item = tableRowItem(store.state, table, key.row);
+
+    if (btn instanceof HTMLButtonElement) {
+      const action = /** @type {string} */ (btn.dataset.action);
+      if (item.type === "stream")
+        streamAction(item.side, item.index, action, key.row);
+      else exchangerAction(item.index, action);
+      return;
+    }
+
+    // Щелчок по строке вне полей ввода — выделение (общее со схемой сети).
+    if (target?.closest("input, select")) return;
+    setSelection(store, sameItem(item, getSelection(store)) ? null : item);
+  };
+
+  /**
+   * Заблокировать/разблокировать таблицы (на время синтеза).
+   * @param {boolean} value
+   */
+  const setLocked = (value) => {
+    refs.editor.disabled = value;
+  };
+
+  const hookEvents = () => {
+    if (ac) ac.abort();
+    ac = new AbortController();
+    const { signal } = ac;
+
+    for (const table of /** @type {const} */ (["streams", "exchangers"])) {
+      tables[table].addEventListener("change", (e) => onChange(table, e), {
+        signal,
+      });
+      tables[table].addEventListener("click", (e) => onClick(table, e), {
+        signal,
+      });
+    }
+
+    refs.addHot.addEventListener("click", () => addStreamRow("hot"), {
+      signal,
+    });
+    refs.addCold.addEventListener("click", () => addStreamRow("cold"), {
+      signal,
+    });
+    refs.addExchanger.addEventListener("click", addExchangerRow, { signal });
+  };
+
+  const destroy = () => {
+    if (ac) ac.abort();
+    ac = null;
+  };
+
+  return { hookEvents, destroy, setLocked };
+};
+
+export default createTablesEditController;
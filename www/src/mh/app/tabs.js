@@ -4,7 +4,7 @@
  * Правила:
  * - «Скрытие» реализовано через `store.viewsSuspended` и `ui.tabPanels.hidden`
  * - клик по уже активной вкладке переключает скрытие/показ левой панели
- * - при переходе на «Описание»/«Таблица» сначала синхронизируем активный редактор
+ * - при переходе на «Описание»/«Таблица»/«Сравнение» сначала синхронизируем активный редактор
  * - при выходе из режима скрытия возобновляем обновления и принудительно обновляем представления
  */
 
@@ -14,6 +14,7 @@ export const Tab = {
   tables: "tables",
   toml: "toml",
   csv: "csv",
+  compare: "compare",
 };
 
 /**
@@ -77,7 +78,9 @@ export const createTabsController = ({
       }
 
       const goingToNonEditable =
-        nextTab === Tab.description || nextTab === Tab.tables;
+        nextTab === Tab.description ||
+        nextTab === Tab.tables ||
+        nextTab === Tab.compare;
 
       // Почему: не валидируем на каждый ввод, но валидируем перед «чтением» (Описание/Таблица)
       if (goingToNonEditable) {
@@ -132,6 +135,7 @@ export const createTabsController = ({
     ui.tabs.tables.addEventListener("click", () => onTabClick(Tab.tables));
     ui.tabs.toml.addEventListener("click", () => onTabClick(Tab.toml));
     ui.tabs.csv.addEventListener("click", () => onTabClick(Tab.csv));
+    ui.tabs.compare.addEventListener("click", () => onTabClick(Tab.compare));
   };
 
   return {
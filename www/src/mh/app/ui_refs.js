@@ -5,7 +5,7 @@ import { $ } from "../util/dom.js";
  * Если обязательный элемент не найден — выбрасывает исключение.
  *
  * Примечание по новой структуре:
- * - Левая панель: вкладки (Описание/Таблица/TOML/CSV), скрывается повторным нажатием на активную вкладку.
+ * - Левая панель: вкладки (Описание/Таблица/TOML/CSV/Сравнение), скрывается повторным нажатием на активную вкладку.
  * - Правая панель: «настройки» и «визуализация» (включая режим «кривые») — взаимоисключающие.
  * - Генератор и селектор алгоритма перенесены в панель «настройки».
  * - Кнопка «Сгенерировать» вынесена в верхнюю панель действий (рядом с «Открыть»).
@@ -19,8 +19,23 @@ export const buildUiRefs = (root = document) => {
   // Панель «настройки» теперь обязательна: без неё нет доступа к генератору и выбору алгоритма.
   const settingsPanel = q("#settingsPanel");
   const algorithmSelect = q("#selAlgorithm");
+  const minDtInput = q("#inpMinDt");
+  const defDtInput = q("#inpDefDt");
+  const tempUnitSelect = q("#selTempUnit");
+  const loadUnitSelect = q("#selLoadUnit");
 
   const generator = {
+    seed: q("#genSeed"),
+    newSeed: q("#btnGenNewSeed"),
+    mode: q("#genMode"),
+
+    structured: {
+      overlap: q("#genOverlap"),
+      pinch: q("#genPinch"),
+      loadRatio: q("#genLoadRatio"),
+      minCells: q("#genMinCells"),
+    },
+
     hot: {
       count: q("#genHotCount"),
       isoShare: q("#genHotIsoShare"),
@@ -67,22 +82,41 @@ export const buildUiRefs = (root = document) => {
       openToml: q("#menuOpenToml"),
       openCsvStreams: q("#menuOpenCsvStreams"),
       openCsvSolution: q("#menuOpenCsvSolution"),
+      openProject: q("#menuOpenProject"),
 
       saveToml: q("#menuSaveToml"),
       saveCsvStreams: q("#menuSaveCsvStreams"),
       saveCsvSolution: q("#menuSaveCsvSolution"),
+      saveProject: q("#menuSaveProject"),
+      saveNetworkSvg: q("#menuSaveNetworkSvg"),
+      saveNetworkPng: q("#menuSaveNetworkPng"),
+      saveCurvesSvg: q("#menuSaveCurvesSvg"),
+      saveCurvesPng: q("#menuSaveCurvesPng"),
+      saveMermaid: q("#menuSaveMermaid"),
+      saveDot: q("#menuSaveDot"),
+      copyMermaid: q("#menuCopyMermaid"),
+      copyDot: q("#menuCopyDot"),
 
       generate: q("#btnGenerate"),
 
       solve: q("#btnSolve"),
+      cancelSolve: q("#btnCancelSolve"),
       verify: q("#btnVerify"),
       clear: q("#btnClear"),
     },
 
+    // Отмена/повтор (не входят в `buttons`: доступность определяет история, см. history.js)
+    history: {
+      undo: q("#btnUndo"),
+      redo: q("#btnRedo"),
+    },
+
     toggles: {
       settings: q("#btnSettings"),
       visualize: q("#btnVisualize"),
       eqCurves: q("#btnEqCurves"),
+      composite: q("#btnComposite"),
+      grandComposite: q("#btnGrandComposite"),
     },
 
     menus: {
@@ -94,6 +128,9 @@ export const buildUiRefs = (root = document) => {
       toml: q("#fileToml"),
       csvStreams: q("#fileCsvStreams"),
       csvSolution: q("#fileCsvSolution"),
+      project: q("#fileProject"),
+      // Масштаб сохраняемого PNG (меню «Сохранить»)
+      pngScale: q("#selPngScale"),
     },
 
     tabs: {
@@ -101,6 +138,7 @@ export const buildUiRefs = (root = document) => {
       tables: q("#tabTables"),
       toml: q("#tabToml"),
       csv: q("#tabCsv"),
+      compare: q("#tabCompare"),
     },
 
     panels: {
@@ -108,6 +146,25 @@ export const buildUiRefs = (root = document) => {
       tables: q("#panelTables"),
       toml: q("#panelToml"),
       csv: q("#panelCsv"),
+      compare: q("#panelCompare"),
+    },
+
+    // Варианты проекта (строка над вкладками; не входят в `buttons`: доступность определяет cases.js)
+    cases: {
+      tabs: q("#caseTabs"),
+      add: q("#btnCaseAdd"),
+      duplicate: q("#btnCaseDuplicate"),
+      rename: q("#btnCaseRename"),
+      remove: q("#btnCaseRemove"),
+    },
+
+    // Вкладка «Сравнение»
+    compare: {
+      statsTable: q("#compareStatsTable"),
+      selectA: q("#selCompareA"),
+      selectB: q("#selCompareB"),
+      summary: q("#compareDiffSummary"),
+      diffTable: q("#compareDiffTable"),
     },
 
     viewsLayout: q("#viewsLayout"),
@@ -117,6 +174,10 @@ export const buildUiRefs = (root = document) => {
     settings: {
       panel: settingsPanel,
       algorithmSelect,
+      minDtInput,
+      defDtInput,
+      tempUnitSelect,
+      loadUnitSelect,
       generator,
     },
 
@@ -141,13 +202,62 @@ export const buildUiRefs = (root = document) => {
     },
 
     tables: {
+      editor: q("#tablesEditor"),
       streamsTable: q("#streamsTable"),
       exchangersTable: q("#exchangersTable"),
+      addHot: q("#btnTableAddHot"),
+      addCold: q("#btnTableAddCold"),
+      addExchanger: q("#btnTableAddExchanger"),
     },
 
     visualization: {
       panel: q("#vizPanel"),
       canvas: q("#vizCanvas"),
+      toolbar: q("#vizToolbar"),
+      zoom: q("#vizZoom"),
+      fit: q("#btnVizFit"),
+      tooltip: q("#vizTooltip"),
+      editToggle: q("#btnVizEdit"),
+      editBar: q("#vizEditBar"),
+      utilityDot: q("#vizUtilityDot"),
+      loadInput: q("#vizLoadInput"),
+      loadUnit: q("#vizLoadUnit"),
+      deleteBtn: q("#btnVizDelete"),
+    },
+
+    // Сравнение алгоритмов (в панели «настройки»)
+    benchmark: {
+      source: q("#benchSource"),
+      count: q("#benchCount"),
+      files: q("#benchFiles"),
+      run: q("#btnBenchRun"),
+      stop: q("#btnBenchStop"),
+      export: q("#btnBenchExport"),
+      summaryTable: q("#benchSummaryTable"),
+    },
+
+    // Сверка Zig/WASM и JavaScript (в панели «настройки»)
+    parity: {
+      run: q("#btnParityRun"),
+      report: q("#parityReport"),
+    },
+
+    // Восстановление прошлой сессии (под заголовком)
+    restore: {
+      bar: q("#restoreBar"),
+      text: q("#restoreText"),
+      accept: q("#btnRestoreSession"),
+      discard: q("#btnDiscardSession"),
+    },
+
+    // Недавние проекты: именованные снимки (в панели «настройки»)
+    projects: {
+      title: q("#projectsTitle"),
+      panel: q("#projectsPanel"),
+      name: q("#projectName"),
+      save: q("#btnProjectSave"),
+      empty: q("#projectEmpty"),
+      list: q("#projectList"),
     },
   };
 };
@@ -1,3 +1,5 @@
+import { displayUnits, getSelection } from "./store.js";
+
 /**
  * Координатор обновления представлений.
  *
@@ -5,6 +7,9 @@
  * - неизменяемые представления (Описание/Таблицы) с `store.state`
  * - редакторы (TOML/CSV) с учётом `store.dirty` и фокуса
  *
+ * Описание, таблицы и CSV показывают температуры и нагрузки в единицах отображения
+ * (`store.tempUnit`, `store.loadUnit`); TOML — в единицах файла (`multiheat.temp_unit`, `multiheat.load_unit`).
+ *
  * Режим «Скрыть» реализован через `store.viewsSuspended`.
  */
 
@@ -19,10 +24,10 @@
  * @param {object} deps.store
  * @param {object} deps.ui
  * @param {(state:any)=>string} deps.emitToml
- * @param {(state:any)=>string} deps.emitCsvStreams
- * @param {(state:any)=>string} deps.emitCsvSolution
- * @param {(state:any, host:HTMLElement)=>void} deps.renderDescriptionHtml
- * @param {(state:any, ui:any)=>void} deps.renderTables
+ * @param {(state:any, opts?:import("../model/units.js").DisplayUnits)=>string} deps.emitCsvStreams
+ * @param {(state:any, opts?:import("../model/units.js").DisplayUnits)=>string} deps.emitCsvSolution
+ * @param {(state:any, host:HTMLElement, units?:import("../model/units.js").DisplayUnits)=>void} deps.renderDescriptionHtml
+ * @param {(state:any, ui:any, selection?:any, units?:import("../model/units.js").DisplayUnits)=>void} deps.renderTables
  */
 export const createViewsCoordinator = ({
   store,
@@ -35,8 +40,9 @@ export const createViewsCoordinator = ({
 }) => {
   const updateNonEditableViews = () => {
     if (store.viewsSuspended) return;
-    renderDescriptionHtml(store.state, ui.description.pre);
-    renderTables(store.state, ui);
+    const units = displayUnits(store);
+    renderDescriptionHtml(store.state, ui.description.pre, units);
+    renderTables(store.state, ui, getSelection(store), units);
   };
 
   /**
@@ -52,8 +58,9 @@ export const createViewsCoordinator = ({
     if (store.viewsSuspended) return;
 
     const tomlText = emitToml(store.state);
-    const csvStreams = emitCsvStreams(store.state);
-    const csvSolution = emitCsvSolution(store.state);
+    const csvOpts = displayUnits(store);
+    const csvStreams = emitCsvStreams(store.state, csvOpts);
+    const csvSolution = emitCsvSolution(store.state, csvOpts);
 
     if (
       force ||
@@ -1,10 +1,33 @@
-import { renderVisualization } from "../render/visualization.js";
-import { renderEquivalentCurves } from "../render/equivalent_curves.js";
+import {
+  DEFAULT_VIEW,
+  describeVisualizationItem,
+  drawVisualization,
+  hitTestVisualization,
+} from "../render/visualization.js";
+import { drawEquivalentCurves } from "../render/equivalent_curves.js";
+import {
+  drawCompositeCurves,
+  drawGrandCompositeCurve,
+} from "../render/composite_curves.js";
+import { createCanvasBackend } from "../render/backend.js";
+import { drawMessage } from "../render/primitives.js";
+import {
+  computeCompositeCurves,
+  computeGrandCompositeCurve,
+} from "../analysis/composite_curves.js";
+import { dtOptions } from "../model/state.js";
 import {
   buildZigSystem,
   dumpZigList,
   describeZigError,
 } from "../zig/interop.js";
+import { itemExists, sameItem } from "../model/selection.js";
+import {
+  displayUnits,
+  getSelection,
+  onSelectionChange,
+  setSelection,
+} from "./store.js";
 
 /**
  * Контроллер визуализации.
@@ -13,6 +36,10 @@ import {
  * - синхронизацию `store.visualizationEnabled` с переключателем `#btnVisualize`
  * - режимы отображения (скрыто / только вкладки / только визуализация / сплит 50/50)
  * - перерисовку canvas при изменении размеров/режима
+ * - интерактивность схемы сети: подсказка при наведении, выделение щелчком (общее с вкладкой «Таблица»),
+ *   масштаб колесом мыши, сдвиг перетаскиванием и «Вписать»
+ * - передачу нажатий редактору схемы (`setEditor`, см. `./diagram_edit.js`) и отрисовку его черновика
+ * - рисунки схемы сети и кривых для сохранения в SVG/PNG (`getFigure`, см. `./figure_export.js`)
  *
  * Важно: этот модуль НЕ переключает вкладки и НЕ меняет `store.viewsSuspended`.
  * Он лишь реагирует на текущие значения `store.viewsSuspended` и `store.visualizationEnabled`.
@@ -174,10 +201,195 @@ const applyLayout = (ui, store) => {
   setSplit(true);
 };
 
+/** Пределы масштаба схемы сети. */
+const MIN_SCALE = 0.25;
+const MAX_SCALE = 8;
+
+/** Изменение масштаба на единицу `deltaY` колеса мыши. */
+const WHEEL_ZOOM_SPEED = 0.0015;
+
+/** Сдвиг указателя (CSS px), после которого нажатие считается перетаскиванием, а не щелчком. */
+const DRAG_THRESHOLD = 3;
+
+/** Размер сохраняемого рисунка, CSS px, если он сейчас не показан (высота — как у canvas по умолчанию). */
+const FIGURE_SIZE = Object.freeze({ width: 960, height: 447 });
+
+/**
+ * Показывается ли схема сети (а не кривые).
+ * @param {any} store
+ */
+const isNetworkMode = (store) =>
+  !!store.visualizationEnabled &&
+  !store.eqCurvesEnabled &&
+  !store.compositeEnabled &&
+  !store.grandCompositeEnabled;
+
+/**
+ * Какие кривые показаны вместо схемы сети (null — кривые не показаны).
+ * @param {any} store
+ * @returns {"curves"|"composite"|"gcc"|null}
+ */
+const curvesKind = (store) => {
+  if (store.compositeEnabled) return "composite";
+  if (store.grandCompositeEnabled) return "gcc";
+  if (store.eqCurvesEnabled) return "curves";
+  return null;
+};
+
+/**
+ * Высота схемы сети, при которой подписи не теснятся, CSS px (0 — потоков нет).
+ * @param {any} state
+ */
+const networkRequiredHeight = (state) => {
+  const hotN = Array.isArray(state?.hot) ? state.hot.length : 0;
+  const coldN = Array.isArray(state?.cold) ? state.cold.length : 0;
+  const n = hotN + coldN;
+  if (n === 0) return 0;
+
+  // Грубая оценка: одна «строка» на поток + поля под подписи.
+  // Промежуточные температуры по аппаратам не рисуем, поэтому этого достаточно.
+  const padTop = 24;
+  const padBottom = 44; // + место под двухстрочные подписи нагрузок
+  const rowStep = 28;
+
+  // В рендере зазор между группами (между нижним hot и верхним cold) больше обычного шага.
+  // Здесь важно добавить только «добавку» сверх уже учтённого шага (rowStep), иначе будет двойной учёт.
+  // В render/visualization.js: groupGap = gap + 22, при gap == rowStep == 28 => extra = 22.
+  const groupGapExtra = hotN > 0 && coldN > 0 ? 22 : 0;
+
+  return padTop + padBottom + (n - 1) * rowStep + groupGapExtra;
+};
+
+/**
+ * Ширина схемы сети, при которой ячейки стоят с постоянным шагом, CSS px (0 — ячеек нет).
+ * @param {any} state
+ */
+const networkRequiredWidth = (state) => {
+  const exch = Array.isArray(state?.exchanger) ? state.exchanger : [];
+  const cellCount = exch.filter(
+    (ex) =>
+      ex &&
+      ex.hot !== null &&
+      ex.hot !== undefined &&
+      ex.cold !== null &&
+      ex.cold !== undefined,
+  ).length;
+  if (cellCount === 0) return 0;
+
+  // Эти константы должны соответствовать геометрии рендера.
+  const PAD = 12;
+  const LEFT_GUTTER = 82;
+  const RIGHT_GUTTER = 110;
+  const MIN_SPAN = 40;
+
+  const UTIL_INSET = 40;
+  const DX_CELL = 60; // постоянный шаг между ячейками
+  const CELL_LEFT_MARGIN = 24; // небольшой воздух до первой ячейки
+
+  const requiredSpan =
+    UTIL_INSET + CELL_LEFT_MARGIN + DX_CELL * Math.max(1, cellCount);
+
+  return (
+    PAD * 2 + LEFT_GUTTER + RIGHT_GUTTER + Math.max(MIN_SPAN, requiredSpan)
+  );
+};
+
+/**
+ * Нарисовать кривые вида `kind` для состояния через бэкенд (экран или экспорт).
+ *
+ * @param {import("../render/backend.js").DrawBackend} g
+ * @param {"curves"|"composite"|"gcc"} kind
+ * @param {any} state
+ * @param {any} mh Zig-модуль (нужен только эквивалентным кривым)
+ * @param {import("../model/units.js").DisplayUnits} units единицы подписей и осей
+ */
+const drawCurves = (g, kind, state, mh, units) => {
+  // Составные кривые считаются на JS, поэтому Zig-модуль для них не нужен.
+  if (kind === "composite") {
+    try {
+      drawCompositeCurves(
+        g,
+        computeCompositeCurves(state, dtOptions(state)),
+        units,
+      );
+    } catch (e) {
+      console.error("Не удалось построить составные кривые:", e);
+    }
+    return;
+  }
+
+  if (kind === "gcc") {
+    try {
+      drawGrandCompositeCurve(
+        g,
+        computeGrandCompositeCurve(state, dtOptions(state)),
+        units,
+      );
+    } catch (e) {
+      console.error("Не удалось построить большую составную кривую:", e);
+    }
+    return;
+  }
+
+  // Эквивалентные кривые: T+(Q) и T-(Q).
+  if (!mh || typeof mh.computeEquivalentCurves !== "function") {
+    drawMessage(
+      g,
+      "Эквивалентные кривые недоступны: Zig-модуль не инициализирован.",
+    );
+    return;
+  }
+
+  try {
+    // Важно: берём текущее каноническое состояние (как для solve/verify).
+    // Аппараты решения для построения эквивалентных кривых не нужны.
+    // ΔTmin/ΔT утилит берутся из `[multiheat]` (см. buildZigSystem).
+    const system = buildZigSystem(mh, state, false);
+
+    const zigCurves = mh.computeEquivalentCurves(system);
+
+    const hot = dumpZigList(zigCurves.hot).map((p) => ({
+      q_MW: Number(p.q_MW),
+      temp_K: Number(p.temp_K),
+    }));
+    const cold = dumpZigList(zigCurves.cold).map((p) => ({
+      q_MW: Number(p.q_MW),
+      temp_K: Number(p.temp_K),
+    }));
+
+    const curves = {
+      dt_min_K: Number(zigCurves.dt_min_K),
+      hot,
+      cold,
+    };
+
+    drawEquivalentCurves(g, curves, units);
+
+    // Освобождение памяти, выделенной в Zig.
+    // Важно: ошибки освобождения не должны ломать уже выполненную отрисовку.
+    if (typeof mh.freeEquivalentCurves === "function") {
+      try {
+        mh.freeEquivalentCurves(zigCurves);
+      } catch (freeErr) {
+        console.warn(
+          "Не удалось освободить память эквивалентных кривых:",
+          freeErr,
+        );
+      }
+    }
+  } catch (e) {
+    // Почему: визуализация не должна «падать» из-за ошибок вычисления.
+    console.error("Не удалось построить эквивалентные кривые:", e);
+    drawMessage(g, `Ошибка: ${describeZigError(e)}`);
+  }
+};
+
 /**
  * @param {any} ui
  * @param {any} store
- * @param {{ force?: boolean }} [opts]
+ * @param {{ force?: boolean, multiheat?: any, view?: import("../render/visualization.js").VisualizationView, selection?: import("../model/selection.js").SelectionItem | null, draft?: import("../render/visualization.js").VisualizationDraft | null }} [opts]
+ * @returns {import("../render/visualization.js").VisualizationScene | null | undefined}
+ *   геометрия схемы сети (для попаданий указателем); в режимах кривых — undefined
  */
 const redraw = (ui, store, opts = {}) => {
   const vizPanel = ui?.visualization?.panel;
@@ -187,12 +399,13 @@ const redraw = (ui, store, opts = {}) => {
   if (vizPanel.hidden) return;
   if (!store.visualizationEnabled && !opts.force) return;
 
+  // Масштаб, сдвиг и выделение относятся только к схеме сети.
+  if (ui.visualization.toolbar)
+    ui.visualization.toolbar.hidden = !isNetworkMode(store);
+
   // Высота «как TOML» — это CSS-дефолт. Но если потоков много, увеличиваем canvas по высоте,
   // чтобы сохранить читаемые отступы и подписи. Когда рост не нужен — возвращаемся к CSS-дефолту.
   const state = store?.state;
-  const hotN = Array.isArray(state?.hot) ? state.hot.length : 0;
-  const coldN = Array.isArray(state?.cold) ? state.cold.length : 0;
-  const n = hotN + coldN;
 
   // Запоминаем CSS-дефолтную высоту (без inline) один раз, чтобы можно было «вернуться назад».
   if (!canvas.dataset.mhVizBaseHeightPx) {
@@ -208,21 +421,7 @@ const redraw = (ui, store, opts = {}) => {
 
   const baseH = Number(canvas.dataset.mhVizBaseHeightPx || "0");
 
-  // Грубая оценка: одна «строка» на поток + поля под подписи.
-  // Промежуточные температуры по аппаратам не рисуем, поэтому этого достаточно.
-  let requiredH = 0;
-  if (n > 0) {
-    const padTop = 24;
-    const padBottom = 44; // + место под двухстрочные подписи нагрузок
-    const rowStep = 28;
-
-    // В рендере зазор между группами (между нижним hot и верхним cold) больше обычного шага.
-    // Здесь важно добавить только «добавку» сверх уже учтённого шага (rowStep), иначе будет двойной учёт.
-    // В render/visualization.js: groupGap = gap + 22, при gap == rowStep == 28 => extra = 22.
-    const groupGapExtra = hotN > 0 && coldN > 0 ? 22 : 0;
-
-    requiredH = padTop + padBottom + (n - 1) * rowStep + groupGapExtra;
-  }
+  const requiredH = networkRequiredHeight(state);
 
   // Если требуемая высота не превышает CSS-дефолт — убираем inline height.
   // Если превышает — задаём inline height (только увеличиваем, ширину не трогаем).
@@ -240,15 +439,7 @@ const redraw = (ui, store, opts = {}) => {
 
   // При наличии ячеек удерживаем постоянный шаг по X, расширяя canvas по ширине (min-width),
   // чтобы расстояния между ячейками не сжимались, а появлялась горизонтальная прокрутка.
-  const exch = Array.isArray(state?.exchanger) ? state.exchanger : [];
-  const cellCount = exch.filter(
-    (ex) =>
-      ex &&
-      ex.hot !== null &&
-      ex.hot !== undefined &&
-      ex.cold !== null &&
-      ex.cold !== undefined,
-  ).length;
+  const requiredMinWidth = networkRequiredWidth(state);
 
   // Важно: сравниваем требуемую ширину с шириной ПАНЕЛИ визуализации, а не canvas.
   // Почему: при split-раскладке/переключениях кнопок размеры могут кратковременно «скакать»,
@@ -271,23 +462,7 @@ const redraw = (ui, store, opts = {}) => {
       ? contentW
       : canvas.getBoundingClientRect().width;
 
-  if (cellCount > 0 && Number.isFinite(baseW) && baseW > 0) {
-    // Эти константы должны соответствовать геометрии рендера.
-    const PAD = 12;
-    const LEFT_GUTTER = 82;
-    const RIGHT_GUTTER = 110;
-    const MIN_SPAN = 40;
-
-    const UTIL_INSET = 40;
-    const DX_CELL = 60; // постоянный шаг между ячейками
-    const CELL_LEFT_MARGIN = 24; // небольшой воздух до первой ячейки
-
-    const requiredSpan =
-      UTIL_INSET + CELL_LEFT_MARGIN + DX_CELL * Math.max(1, cellCount);
-
-    const requiredMinWidth =
-      PAD * 2 + LEFT_GUTTER + RIGHT_GUTTER + Math.max(MIN_SPAN, requiredSpan);
-
+  if (requiredMinWidth > 0 && Number.isFinite(baseW) && baseW > 0) {
     const targetMinW = Math.ceil(requiredMinWidth);
     const prevMinW = Number(canvas.dataset.mhVizMinWidthPx || "0");
 
@@ -311,98 +486,49 @@ const redraw = (ui, store, opts = {}) => {
   if (!Number.isFinite(r.width) || r.width <= 0) return;
   if (!Number.isFinite(r.height) || r.height <= 0) return;
 
-  // Режим эквивалентных кривых: вместо схемы сети рисуем T+(Q) и T-(Q).
-  if (store.eqCurvesEnabled) {
-    const mh = opts?.multiheat;
-
-    const renderError = (msg) => {
-      const ctx = canvas.getContext("2d");
-      if (!ctx) return;
-
-      const rect = canvas.getBoundingClientRect();
-      if (!Number.isFinite(rect.width) || rect.width <= 0) return;
-      if (!Number.isFinite(rect.height) || rect.height <= 0) return;
-
-      const dpr = Math.max(1, Math.round(window.devicePixelRatio || 1));
-      const wCss = Math.max(1, Math.floor(rect.width));
-      const hCss = Math.max(1, Math.floor(rect.height));
-
-      const wPx = wCss * dpr;
-      const hPx = hCss * dpr;
-
-      if (canvas.width !== wPx) canvas.width = wPx;
-      if (canvas.height !== hPx) canvas.height = hPx;
-
-      // Работаем в CSS-координатах.
-      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-      ctx.clearRect(0, 0, wCss, hCss);
-
-      ctx.font = "12px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
-      ctx.textBaseline = "top";
-      ctx.textAlign = "left";
-      ctx.fillStyle = "#0f172a";
-
-      const pad = 12;
-      const text = String(msg ?? "");
-      const lines = text.split("\n");
-      for (let i = 0; i < lines.length; i++) {
-        ctx.fillText(lines[i], pad, pad + i * 16);
-      }
-    };
-
-    if (!mh || typeof mh.computeEquivalentCurves !== "function") {
-      renderError(
-        "Эквивалентные кривые недоступны: Zig-модуль не инициализирован.",
-      );
-      return;
-    }
-
-    try {
-      // Важно: берём текущее каноническое состояние (как для solve/verify).
-      // Аппараты решения для построения эквивалентных кривых не нужны.
-      const system = buildZigSystem(mh, state, false);
-
-      const zigCurves = mh.computeEquivalentCurves(system);
-
-      const hot = dumpZigList(zigCurves.hot).map((p) => ({
-        q_MW: Number(p.q_MW),
-        temp_K: Number(p.temp_K),
-      }));
-      const cold = dumpZigList(zigCurves.cold).map((p) => ({
-        q_MW: Number(p.q_MW),
-        temp_K: Number(p.temp_K),
-      }));
-
-      const curves = {
-        dt_min_K: Number(zigCurves.dt_min_K),
-        hot,
-        cold,
-      };
-
-      renderEquivalentCurves({ canvas, curves });
-
-      // Освобождение памяти, выделенной в Zig.
-      // Важно: ошибки освобождения не должны ломать уже выполненную отрисовку.
-      if (typeof mh.freeEquivalentCurves === "function") {
-        try {
-          mh.freeEquivalentCurves(zigCurves);
-        } catch (freeErr) {
-          console.warn(
-            "Не удалось освободить память эквивалентных кривых:",
-            freeErr,
-          );
-        }
-      }
-    } catch (e) {
-      // Почему: визуализация не должна «падать» из-за ошибок вычисления.
-      console.error("Не удалось построить эквивалентные кривые:", e);
-      renderError(`Ошибка: ${describeZigError(e)}`);
-    }
+  const g = createCanvasBackend(canvas);
+  if (!g) return;
 
+  const curves = curvesKind(store);
+  if (curves) {
+    drawCurves(g, curves, state, opts.multiheat, displayUnits(store));
     return;
   }
 
-  renderVisualization({ canvas, state });
+  return drawVisualization(g, {
+    state,
+    view: opts.view,
+    selection: opts.selection,
+    draft: opts.draft,
+    ...displayUnits(store),
+  });
+};
+
+/**
+ * @typedef {object} DiagramEditor
+ * Редактор схемы: получает нажатия на схеме сети раньше сдвига и выделения.
+ * @property {(point: { x: number, y: number }, hit: import("../model/selection.js").SelectionItem | null) => boolean} pointerDown
+ *   true — нажатие обработано редактором (дальнейшее перетаскивание передаётся ему)
+ * @property {(point: { x: number, y: number }) => void} pointerMove
+ * @property {(point: { x: number, y: number }) => void} pointerUp
+ * @property {() => void} cancel
+ */
+
+/**
+ * Правая вкладка по флагам режима (поля `store` или сохранённой сессии).
+ *
+ * Приоритет: настройки > кривые > составные > БСК > визуализация > ничего.
+ *
+ * @param {{ settingsEnabled?: boolean, eqCurvesEnabled?: boolean, compositeEnabled?: boolean, grandCompositeEnabled?: boolean, visualizationEnabled?: boolean }} f
+ * @returns {"none"|"settings"|"viz"|"curves"|"composite"|"gcc"}
+ */
+const rightKindFromFlags = (f) => {
+  if (f.settingsEnabled) return "settings";
+  if (f.eqCurvesEnabled) return "curves";
+  if (f.compositeEnabled) return "composite";
+  if (f.grandCompositeEnabled) return "gcc";
+  if (f.visualizationEnabled) return "viz";
+  return "none";
 };
 
 /**
@@ -420,28 +546,50 @@ export const createVisualizationController = ({ ui, store, multiheat }) => {
   let rafId = 0;
   /** @type {ResizeObserver | null} */
   let ro = null;
+  /** @type {(() => void) | null} */
+  let unsubscribe = null;
+
+  // Масштаб/сдвиг схемы сети и её геометрия после последней отрисовки (для попаданий указателем).
+  /** @type {import("../render/visualization.js").VisualizationView} */
+  let view = DEFAULT_VIEW;
+  /** @type {import("../render/visualization.js").VisualizationScene | null} */
+  let scene = null;
+  /** @type {import("../render/visualization.js").VisualizationDraft | null} */
+  let draft = null;
+  /** @type {DiagramEditor | null} */
+  let editor = null;
+
+  /** @param {boolean} force */
+  const draw = (force) => {
+    scene =
+      redraw(ui, store, {
+        force,
+        multiheat,
+        view,
+        selection: getSelection(store),
+        draft,
+      }) ?? null;
+    if (ui.visualization?.zoom)
+      ui.visualization.zoom.textContent = `${Math.round(view.scale * 100)} %`;
+  };
 
   const scheduleRedraw = () => {
     if (rafId) cancelAnimationFrame(rafId);
     rafId = requestAnimationFrame(() => {
       rafId = 0;
-      redraw(ui, store, { multiheat });
+      draw(false);
     });
   };
 
   /**
    * Получить активную «правую вкладку» из store.
    *
-   * Важно: «кривые» — это отдельная правая вкладка, но отображается внутри панели визуализации.
+   * Важно: «кривые», «составные» и «БСК» — отдельные правые вкладки,
+   * но отображаются внутри панели визуализации.
    *
-   * @returns {"none"|"settings"|"viz"|"curves"}
+   * @returns {"none"|"settings"|"viz"|"curves"|"composite"|"gcc"}
    */
-  const getRightKindFromStore = () => {
-    if (store.settingsEnabled) return "settings";
-    if (store.eqCurvesEnabled) return "curves";
-    if (store.visualizationEnabled) return "viz";
-    return "none";
-  };
+  const getRightKindFromStore = () => rightKindFromFlags(store);
 
   /** @param {HTMLElement|null} btn @param {boolean} pressed */
   const setPressed = (btn, pressed) => {
@@ -455,21 +603,28 @@ export const createVisualizationController = ({ ui, store, multiheat }) => {
    * Почему: мы НЕ полагаемся на внешний «авто-тоггл» aria-pressed — управляем состоянием здесь,
    * чтобы правая система вкладок была консистентной.
    *
-   * @param {"none"|"settings"|"viz"|"curves"} kind
+   * @param {"none"|"settings"|"viz"|"curves"|"composite"|"gcc"} kind
    */
   const setRightKind = (kind) => {
     const vizBtn = ui?.toggles?.visualize ?? null;
     const eqBtn = ui?.toggles?.eqCurves ?? null;
+    const compositeBtn = ui?.toggles?.composite ?? null;
+    const gccBtn = ui?.toggles?.grandComposite ?? null;
     const settingsBtn = ui?.toggles?.settings ?? null;
 
     const enableSettings = kind === "settings";
     const enableCurves = kind === "curves";
-    const enableViz = kind === "viz" || enableCurves;
+    const enableComposite = kind === "composite";
+    const enableGcc = kind === "gcc";
+    const enableViz =
+      kind === "viz" || enableCurves || enableComposite || enableGcc;
 
     // Важно: «кривые» — это отдельная правая вкладка, но отображается внутри панели визуализации.
     store.settingsEnabled = enableSettings;
     store.visualizationEnabled = enableViz;
     store.eqCurvesEnabled = enableCurves;
+    store.compositeEnabled = enableComposite;
+    store.grandCompositeEnabled = enableGcc;
 
     setPressed(settingsBtn, enableSettings);
 
@@ -477,6 +632,8 @@ export const createVisualizationController = ({ ui, store, multiheat }) => {
     // Поэтому `store.visualizationEnabled` может быть true, а `btnVisualize[aria-pressed]` — false.
     setPressed(vizBtn, kind === "viz");
     setPressed(eqBtn, enableCurves);
+    setPressed(compositeBtn, enableComposite);
+    setPressed(gccBtn, enableGcc);
   };
 
   const apply = () => {
@@ -484,12 +641,182 @@ export const createVisualizationController = ({ ui, store, multiheat }) => {
     scheduleRedraw();
   };
 
+  const hideTooltip = () => {
+    const tip = ui.visualization?.tooltip;
+    if (tip) tip.hidden = true;
+  };
+
+  /**
+   * Подсказка для элемента под указателем (или скрыть, если элемента нет).
+   * @param {import("../model/selection.js").SelectionItem | null} item
+   * @param {PointerEvent} e
+   */
+  const showTooltip = (item, e) => {
+    const tip = ui.visualization?.tooltip;
+    if (!tip) return;
+    // Почему: геометрия могла устареть (состояние заменено, перерисовка ещё не выполнена).
+    if (!item || !itemExists(store.state, item)) {
+      tip.hidden = true;
+      return;
+    }
+    tip.textContent = describeVisualizationItem(
+      store.state,
+      item,
+      displayUnits(store),
+    ).join("\n");
+    tip.style.left = `${e.clientX + 14}px`;
+    tip.style.top = `${e.clientY + 14}px`;
+    tip.hidden = false;
+  };
+
+  /**
+   * Изменить масштаб схемы с неподвижной точкой (x, y) в CSS px canvas.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} factor
+   */
+  const zoomAt = (x, y, factor) => {
+    const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, view.scale * factor));
+    const k = scale / view.scale;
+    view = { scale, tx: x - (x - view.tx) * k, ty: y - (y - view.ty) * k };
+    scheduleRedraw();
+  };
+
+  /** Сбросить масштаб и сдвиг («Вписать»). */
+  const resetView = () => {
+    view = DEFAULT_VIEW;
+    scheduleRedraw();
+  };
+
+  const hookCanvasEvents = () => {
+    const canvas = ui?.visualization?.canvas;
+    if (!canvas) return;
+
+    /** @param {MouseEvent} e */
+    const localPoint = (e) => {
+      const r = canvas.getBoundingClientRect();
+      return { x: e.clientX - r.left, y: e.clientY - r.top };
+    };
+
+    /** @type {{ x: number, y: number, tx: number, ty: number, moved: boolean } | null} */
+    let drag = null;
+    // Перетаскивание обрабатывает редактор схемы.
+    let editing = false;
+
+    canvas.addEventListener(
+      "wheel",
+      (e) => {
+        if (!isNetworkMode(store) || !scene) return;
+        e.preventDefault();
+        const { x, y } = localPoint(e);
+        zoomAt(x, y, Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED));
+      },
+      { passive: false },
+    );
+
+    canvas.addEventListener("pointerdown", (e) => {
+      if (!isNetworkMode(store) || e.button !== 0) return;
+
+      const point = localPoint(e);
+      if (
+        editor?.pointerDown(
+          point,
+          hitTestVisualization(scene, point.x, point.y),
+        )
+      ) {
+        editing = true;
+        canvas.setPointerCapture(e.pointerId);
+        hideTooltip();
+        return;
+      }
+
+      drag = {
+        x: e.clientX,
+        y: e.clientY,
+        tx: view.tx,
+        ty: view.ty,
+        moved: false,
+      };
+      canvas.setPointerCapture(e.pointerId);
+      hideTooltip();
+    });
+
+    canvas.addEventListener("pointermove", (e) => {
+      if (!isNetworkMode(store)) return;
+
+      if (editing) {
+        editor?.pointerMove(localPoint(e));
+        return;
+      }
+
+      if (drag) {
+        const dx = e.clientX - drag.x;
+        const dy = e.clientY - drag.y;
+        if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+        drag.moved = true;
+        canvas.dataset.panning = "true";
+        view = { ...view, tx: drag.tx + dx, ty: drag.ty + dy };
+        scheduleRedraw();
+        return;
+      }
+
+      const { x, y } = localPoint(e);
+      const hit = hitTestVisualization(scene, x, y);
+      canvas.dataset.hit = hit ? "true" : "false";
+      showTooltip(hit, e);
+    });
+
+    canvas.addEventListener("pointerup", (e) => {
+      if (editing) {
+        editing = false;
+        editor?.pointerUp(localPoint(e));
+        return;
+      }
+
+      if (!drag) return;
+      const clicked = !drag.moved;
+      drag = null;
+      canvas.dataset.panning = "false";
+      if (!clicked) return;
+
+      // Щелчок: выделить элемент (повторный щелчок или щелчок мимо снимает выделение).
+      const { x, y } = localPoint(e);
+      const hit = hitTestVisualization(scene, x, y);
+      setSelection(
+        store,
+        hit && !sameItem(hit, getSelection(store)) ? hit : null,
+      );
+    });
+
+    canvas.addEventListener("pointercancel", () => {
+      if (editing) editor?.cancel();
+      editing = false;
+      drag = null;
+      canvas.dataset.panning = "false";
+    });
+
+    canvas.addEventListener("pointerleave", () => {
+      canvas.dataset.hit = "false";
+      hideTooltip();
+    });
+
+    ui.visualization?.fit?.addEventListener("click", resetView);
+
+    if (unsubscribe) unsubscribe();
+    unsubscribe = onSelectionChange(store, () => {
+      if (isNetworkMode(store)) scheduleRedraw();
+    });
+  };
+
   const hookEvents = () => {
+    hookCanvasEvents();
+
     // Правая «система вкладок»: взаимоисключающее поведение + повторное нажатие закрывает панель.
 
     if (ui?.toggles?.visualize) {
       ui.toggles.visualize.addEventListener("click", () => {
-        const active = store.visualizationEnabled && !store.eqCurvesEnabled;
+        const active =
+          store.visualizationEnabled && getRightKindFromStore() === "viz";
         setRightKind(active ? "none" : "viz");
         apply();
       });
@@ -503,6 +830,23 @@ export const createVisualizationController = ({ ui, store, multiheat }) => {
       });
     }
 
+    if (ui?.toggles?.composite) {
+      ui.toggles.composite.addEventListener("click", () => {
+        const active = store.visualizationEnabled && store.compositeEnabled;
+        setRightKind(active ? "none" : "composite");
+        apply();
+      });
+    }
+
+    if (ui?.toggles?.grandComposite) {
+      ui.toggles.grandComposite.addEventListener("click", () => {
+        const active =
+          store.visualizationEnabled && store.grandCompositeEnabled;
+        setRightKind(active ? "none" : "gcc");
+        apply();
+      });
+    }
+
     if (ui?.toggles?.settings) {
       ui.toggles.settings.addEventListener("click", () => {
         const active = store.settingsEnabled;
@@ -543,6 +887,9 @@ export const createVisualizationController = ({ ui, store, multiheat }) => {
       ro.disconnect();
       ro = null;
     }
+
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
   };
 
   // Инициализация состояния из текущего UI:
@@ -552,12 +899,10 @@ export const createVisualizationController = ({ ui, store, multiheat }) => {
   store.settingsEnabled = readPressed(ui?.toggles?.settings);
   store.visualizationEnabled = readPressed(ui?.toggles?.visualize);
   store.eqCurvesEnabled = readPressed(ui?.toggles?.eqCurves);
+  store.compositeEnabled = readPressed(ui?.toggles?.composite);
+  store.grandCompositeEnabled = readPressed(ui?.toggles?.grandComposite);
 
-  // Приоритет: настройки > кривые > визуализация > ничего
-  if (store.settingsEnabled) setRightKind("settings");
-  else if (store.eqCurvesEnabled) setRightKind("curves");
-  else if (store.visualizationEnabled) setRightKind("viz");
-  else setRightKind("none");
+  setRightKind(rightKindFromFlags(store));
 
   /**
    * Программно включить/выключить визуализацию.
@@ -571,11 +916,88 @@ export const createVisualizationController = ({ ui, store, multiheat }) => {
     apply();
   };
 
+  /**
+   * Восстановить режим правой панели (например, из сохранённой сессии).
+   *
+   * @param {{ settingsEnabled?: boolean, eqCurvesEnabled?: boolean, compositeEnabled?: boolean, grandCompositeEnabled?: boolean, visualizationEnabled?: boolean }} flags
+   */
+  const restoreMode = (flags) => {
+    setRightKind(rightKindFromFlags(flags ?? {}));
+    apply();
+  };
+
+  /**
+   * Рисунок для сохранения (см. `./figure_export.js`): схема сети — целиком (вид «Вписать»),
+   * без выделения и черновика; кривые — те, что показаны (по умолчанию эквивалентные).
+   * Размер — как на экране, если рисунок сейчас показан, иначе `FIGURE_SIZE` (не меньше нужного схеме).
+   *
+   * @param {"network"|"curves"} figure
+   * @returns {{ width: number, height: number, draw: (g: import("../render/backend.js").DrawBackend) => void }}
+   */
+  const getFigure = (figure) => {
+    const state = store.state;
+    const kind = curvesKind(store) ?? "curves";
+
+    if (
+      figure === "curves" &&
+      kind === "curves" &&
+      typeof multiheat?.computeEquivalentCurves !== "function"
+    )
+      throw new Error(
+        "Эквивалентные кривые недоступны: Zig-модуль не инициализирован.",
+      );
+
+    const shown =
+      !ui.visualization?.panel?.hidden &&
+      (figure === "network" ? isNetworkMode(store) : !!curvesKind(store));
+    const rect = shown ? ui.visualization.canvas.getBoundingClientRect() : null;
+
+    let width = FIGURE_SIZE.width;
+    let height = FIGURE_SIZE.height;
+    if (rect && rect.width > 1 && rect.height > 1) {
+      width = Math.floor(rect.width);
+      height = Math.floor(rect.height);
+    } else if (figure === "network") {
+      width = Math.max(width, Math.ceil(networkRequiredWidth(state)));
+      height = Math.max(height, Math.ceil(networkRequiredHeight(state)));
+    }
+
+    return {
+      width,
+      height,
+      draw: (g) => {
+        if (figure === "network")
+          drawVisualization(g, { state, ...displayUnits(store) });
+        else drawCurves(g, kind, state, multiheat, displayUnits(store));
+      },
+    };
+  };
+
   return {
     hookEvents,
     apply,
     setEnabled,
-    redraw: () => redraw(ui, store, { force: true, multiheat }),
+    restoreMode,
+    redraw: () => draw(true),
+    resetView,
+    getFigure,
+    /** Геометрия схемы сети после последней отрисовки (null — схема не показана). */
+    getScene: () => (isNetworkMode(store) ? scene : null),
+    /**
+     * Показать черновик перетаскивания (null — убрать).
+     * @param {import("../render/visualization.js").VisualizationDraft | null} next
+     */
+    setDraft: (next) => {
+      draft = next;
+      scheduleRedraw();
+    },
+    /**
+     * Подключить редактор схемы (null — отключить).
+     * @param {DiagramEditor | null} next
+     */
+    setEditor: (next) => {
+      editor = next;
+    },
     destroy,
   };
 };
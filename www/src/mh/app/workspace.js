@@ -0,0 +1,239 @@
+/**
+ * Варианты проекта: несколько именованных систем в одном проекте — например, «Текущая установка»
+ * и «Реконструкция A/B» с одинаковыми потоками, но разными решениями или ΔTmin.
+ *
+ * Варианты хранятся в `store.workspace`. Состояние и история активного варианта — это `store.state`
+ * и `store.history`; у остальных вариантов они лежат в записи варианта и переносятся при переключении.
+ *
+ * Важно:
+ * - у каждого варианта своя история отмены; выделение на схеме при переключении снимается;
+ * - операции с вариантами (создание, переименование, удаление, переключение) в историю не попадают.
+ */
+
+import { defaultState } from "../model/state.js";
+import { clearDirtyFlags, setSelection, swapHistory } from "./store.js";
+
+/**
+ * @typedef {object} WorkspaceCase
+ * @property {number} id
+ * @property {string} name
+ * @property {any} state состояние варианта (null у активного: оно в `store.state`)
+ * @property {{ undo: any[], redo: any[], bytes: number } | null} history стеки истории (null у активного)
+ */
+
+/**
+ * @typedef {object} Workspace
+ * @property {WorkspaceCase[]} cases варианты в порядке вкладок
+ * @property {number} activeId
+ * @property {number} nextId
+ */
+
+/** Предельная длина имени варианта. */
+export const MAX_CASE_NAME_LENGTH = 80;
+
+/**
+ * @param {any} store
+ * @param {number} id
+ * @returns {WorkspaceCase}
+ */
+const findCase = (store, id) => {
+  const c = store.workspace.cases.find((x) => x.id === id);
+  if (!c) throw new Error(`Вариант ${id} не найден.`);
+  return c;
+};
+
+/**
+ * Проверить имя варианта: непустое, не длиннее предела, не совпадает с именами других вариантов.
+ *
+ * @param {unknown} raw
+ * @param {string[]} taken имена других вариантов
+ * @returns {string}
+ */
+const checkName = (raw, taken) => {
+  const name = String(raw ?? "").trim();
+  if (!name) throw new Error("Имя варианта не может быть пустым.");
+  if (name.length > MAX_CASE_NAME_LENGTH)
+    throw new Error(`Имя варианта длиннее ${MAX_CASE_NAME_LENGTH} символов.`);
+  if (taken.includes(name)) throw new Error(`Вариант «${name}» уже есть.`);
+  return name;
+};
+
+/**
+ * Имена вариантов, кроме `exceptId`.
+ * @param {any} store
+ * @param {number|null} [exceptId]
+ */
+const namesExcept = (store, exceptId = null) =>
+  store.workspace.cases.filter((c) => c.id !== exceptId).map((c) => c.name);
+
+/**
+ * `activeCase(store)` → запись активного варианта.
+ * @param {any} store
+ * @returns {WorkspaceCase}
+ */
+export const activeCase = (store) => findCase(store, store.workspace.activeId);
+
+/**
+ * `caseState(store, id)` → состояние варианта (для активного — `store.state`).
+ * @param {any} store
+ * @param {number} id
+ */
+export const caseState = (store, id) =>
+  id === store.workspace.activeId ? store.state : findCase(store, id).state;
+
+/**
+ * `listCases(store)` → варианты в порядке вкладок.
+ * @param {any} store
+ * @returns {{ id: number, name: string, active: boolean, state: any }[]}
+ */
+export const listCases = (store) =>
+  store.workspace.cases.map((c) => ({
+    id: c.id,
+    name: c.name,
+    active: c.id === store.workspace.activeId,
+    state: caseState(store, c.id),
+  }));
+
+/**
+ * `uniqueCaseName(store, base)` → `base`, а если оно занято — `base (2)`, `base (3)`, …
+ * @param {any} store
+ * @param {string} base
+ */
+export const uniqueCaseName = (store, base) => {
+  const taken = new Set(store.workspace.cases.map((c) => c.name));
+  if (!taken.has(base)) return base;
+  for (let k = 2; ; k++) {
+    const name = `${base} (${k})`;
+    if (!taken.has(name)) return name;
+  }
+};
+
+/**
+ * Сделать вариант активным: его состояние и история переходят в `store.state`/`store.history`.
+ *
+ * @param {any} store
+ * @param {number} id
+ */
+export const switchCase = (store, id) => {
+  const ws = store.workspace;
+  if (id === ws.activeId) return;
+  const next = findCase(store, id);
+  const cur = activeCase(store);
+
+  cur.state = store.state;
+  store.state = next.state;
+  ws.activeId = id;
+  clearDirtyFlags(store);
+  setSelection(store, null);
+
+  // Почему: подписчики истории (кнопки отмены, автосохранение) уведомляются уже после смены состояния.
+  cur.history = swapHistory(store, next.history ?? undefined);
+  next.state = null;
+  next.history = null;
+};
+
+/**
+ * Добавить вариант и сделать его активным.
+ *
+ * @param {any} store
+ * @param {string} name
+ * @param {any} [state] состояние (по умолчанию пустая система `defaultState()`)
+ * @returns {number} id нового варианта
+ */
+export const addCase = (store, name, state = defaultState()) => {
+  const ws = store.workspace;
+  const checked = checkName(name, namesExcept(store));
+  const id = ws.nextId++;
+  ws.cases.push({ id, name: checked, state, history: null });
+  switchCase(store, id);
+  return id;
+};
+
+/**
+ * Создать копию варианта (та же система и решение, история пустая) и сделать её активной.
+ *
+ * @param {any} store
+ * @param {number} id исходный вариант
+ * @param {string} [name] имя копии (по умолчанию «<имя> (копия)»)
+ * @returns {number} id копии
+ */
+export const duplicateCase = (store, id, name) => {
+  const src = findCase(store, id);
+  // Снимок можно разделять: состояния не изменяются на месте (см. `./store.js`).
+  return addCase(
+    store,
+    name ?? uniqueCaseName(store, `${src.name} (копия)`),
+    caseState(store, id),
+  );
+};
+
+/**
+ * Переименовать вариант.
+ *
+ * @param {any} store
+ * @param {number} id
+ * @param {string} name
+ */
+export const renameCase = (store, id, name) => {
+  findCase(store, id).name = checkName(name, namesExcept(store, id));
+};
+
+/**
+ * Удалить вариант; если он активен, активным становится соседний.
+ *
+ * @param {any} store
+ * @param {number} id
+ */
+export const removeCase = (store, id) => {
+  const ws = store.workspace;
+  if (ws.cases.length <= 1)
+    throw new Error("Нельзя удалить единственный вариант проекта.");
+
+  const idx = ws.cases.findIndex((c) => c.id === id);
+  if (idx < 0) throw new Error(`Вариант ${id} не найден.`);
+  if (id === ws.activeId)
+    switchCase(
+      store,
+      ws.cases[idx + 1 < ws.cases.length ? idx + 1 : idx - 1].id,
+    );
+  ws.cases.splice(idx, 1);
+};
+
+/**
+ * Заменить все варианты (открытие проекта или сессии). История всех вариантов очищается.
+ *
+ * @param {any} store
+ * @param {{ name: string, state: any }[]} cases
+ * @param {number} [activeIndex] индекс активного варианта
+ */
+export const replaceCases = (store, cases, activeIndex = 0) => {
+  if (!Array.isArray(cases) || cases.length === 0)
+    throw new Error("В проекте нет ни одного варианта.");
+
+  // Имена проверяются до замены: при ошибке варианты остаются прежними.
+  /** @type {string[]} */
+  const names = [];
+  for (const c of cases) names.push(checkName(c.name, names));
+
+  const ws = store.workspace;
+  ws.cases = cases.map((c, i) => ({
+    id: i + 1,
+    name: names[i],
+    state: c.state,
+    history: null,
+  }));
+  ws.nextId = cases.length + 1;
+
+  const active =
+    Number.isInteger(activeIndex) &&
+    activeIndex >= 0 &&
+    activeIndex < cases.length
+      ? activeIndex
+      : 0;
+  ws.activeId = active + 1;
+  store.state = ws.cases[active].state;
+  ws.cases[active].state = null;
+  clearDirtyFlags(store);
+  setSelection(store, null);
+  swapHistory(store);
+};
@@ -5,6 +5,8 @@
  * - получить `multiheat_version` и `earliest_config_version` из Zig/WASM entrypoint;
  * - предоставить функции разбора и сравнения semver для валидации конфигураций;
  * - обеспечить единый “источник правды” версий со стороны сборки (Zig/WASM), без хардкода в UI.
+ * - хранить версии текущей сборки (`setBuildVersions`/`buildVersions`): точка входа задаёт их при запуске,
+ *   а модель читает отсюда и потому не импортирует Zig/WASM (работает и в Node.js, см. `node/api.js`).
  *
  * Ожидаемые экспорты из `www/zig/multiheat_entry.zig`:
  * - `multiheat_version` (строка "MAJOR.MINOR.PATCH")
@@ -256,3 +258,31 @@ export const checkConfigVersionCompatibility = (configVersionStr, versions) => {
 
   return { ok: true };
 };
+
+/** @type {ReturnType<typeof getBuildVersions> | null} */
+let currentVersions = null;
+
+/**
+ * Задать версии текущей сборки.
+ *
+ * Web UI передаёт версии из Zig/WASM (`getBuildVersions`), Node.js — из `build.zig`.
+ * Вызывается при запуске, до первой работы с конфигурациями.
+ *
+ * @param {ReturnType<typeof getBuildVersions>} versions
+ */
+export const setBuildVersions = (versions) => {
+  currentVersions = versions;
+};
+
+/**
+ * `buildVersions()` → версии, заданные `setBuildVersions`.
+ *
+ * @returns {ReturnType<typeof getBuildVersions>}
+ */
+export const buildVersions = () => {
+  if (!currentVersions)
+    throw new Error(
+      "Версии сборки не заданы (ожидается вызов setBuildVersions при запуске).",
+    );
+  return currentVersions;
+};
@@ -0,0 +1,96 @@
+import { csvJoin } from "../util/csv.js";
+import { fmtNum } from "../util/number.js";
+
+/**
+ * Экспорт результатов сравнения алгоритмов (см. `solver/benchmark.js`).
+ *
+ * Файл состоит из двух таблиц, разделённых пустой строкой:
+ * - прогоны «система × алгоритм» (одна строка на прогон);
+ * - сводка по алгоритмам (одна строка на алгоритм).
+ * Пустая ячейка — значение не определено (ошибка синтеза или нет решённых прогонов).
+ */
+
+/** @param {number|null|undefined} v */
+const cell = (v) => (v === null || v === undefined ? "" : fmtNum(v));
+
+/**
+ * `emitCsvBenchmark(records, summary)` → CSV-представление результатов бенчмарка.
+ *
+ * @param {import("../solver/benchmark.js").BenchmarkRecord[]} records
+ * @param {import("../solver/benchmark.js").BenchmarkSummary[]} summary
+ * @returns {string}
+ */
+export const emitCsvBenchmark = (records, summary) => {
+  const lines = [];
+  lines.push(
+    csvJoin([
+      "Система",
+      "Алгоритм",
+      "Результат",
+      "Нарушений",
+      "Время, мс",
+      "Ячеек",
+      "Утилит",
+      "Нагрузка ячеек, МВт",
+      "Нагрузка утилит, МВт",
+      "Экономия, МВт",
+      "Превышение цели, МВт",
+      "TAC, у.е./год",
+      "Ошибка",
+    ]),
+  );
+
+  for (const r of records) {
+    const st = r.stats;
+    lines.push(
+      csvJoin([
+        r.system,
+        r.label,
+        r.solved ? "Решено" : "Ошибка",
+        cell(r.violations),
+        cell(r.solve_time_ms),
+        cell(st?.cell_count),
+        cell(st?.utility_count),
+        cell(st?.total_load_cells),
+        cell(st?.total_load_utilities),
+        cell(st?.external_power_saved),
+        cell(st?.utility_over_target),
+        cell(st?.total_annual_cost),
+        r.error ?? "",
+      ]),
+    );
+  }
+
+  lines.push("");
+  lines.push(
+    csvJoin([
+      "Алгоритм",
+      "Прогонов",
+      "Ошибок синтеза",
+      "Не прошли проверку",
+      "Средняя экономия, МВт",
+      "Среднее число ячеек",
+      "Среднее число утилит",
+      "Среднее время, мс",
+      "Суммарное время, мс",
+    ]),
+  );
+
+  for (const s of summary) {
+    lines.push(
+      csvJoin([
+        s.label,
+        String(s.runs),
+        String(s.failures),
+        String(s.invalid),
+        cell(s.mean_saved),
+        cell(s.mean_cells),
+        cell(s.mean_utilities),
+        cell(s.mean_time_ms),
+        cell(s.total_time_ms),
+      ]),
+    );
+  }
+
+  return lines.join("\n");
+};
@@ -1,21 +1,58 @@
 import { csvJoin, parseCsv } from "../util/csv.js";
 import { fmtNum, isFinitePositive, parseNumber } from "../util/number.js";
+import {
+  fromKelvin,
+  fromMW,
+  loadUnitFromLabel,
+  loadUnitLabel,
+  tempUnitFromLabel,
+  tempUnitLabel,
+  toKelvin,
+  toMW,
+} from "../model/units.js";
 
 /**
- * `emitCsvSolution(state)` → CSV-представление решения (массив `state.exchanger`).
+ * Необязательные столбцы: порядок аппарата на потоке (1-based), температуры на входе/выходе,
+ * номер ветви (1-based) и доля потока при разветвлении, номер утилиты `[[utility]]` (1-based).
+ * Порядок столбцов в файле фиксирован, при чтении они ищутся по заголовку.
+ * У температур (`temp`) к заголовку добавляется единица: «Т гор. на входе, °C».
+ */
+const OPTIONAL_COLUMNS = [
+  { key: "hot_seq", header: "Порядок на горячем", seq: true },
+  { key: "hot_in", header: "Т гор. на входе", temp: true },
+  { key: "hot_out", header: "Т гор. на выходе", temp: true },
+  { key: "hot_branch", header: "Ветвь на горячем", seq: true },
+  { key: "hot_split", header: "Доля потока на горячем" },
+  { key: "cold_seq", header: "Порядок на холодном", seq: true },
+  { key: "cold_in", header: "Т хол. на входе", temp: true },
+  { key: "cold_out", header: "Т хол. на выходе", temp: true },
+  { key: "cold_branch", header: "Ветвь на холодном", seq: true },
+  { key: "cold_split", header: "Доля потока на холодном" },
+  { key: "utility", header: "Утилита", seq: true },
+];
+
+/**
+ * `emitCsvSolution(state, opts)` → CSV-представление решения (массив `state.exchanger`).
  *
  * @param {any} state
+ * @param {import("../model/units.js").DisplayUnits} [opts] единицы температур и нагрузок
  * @returns {string}
  */
-export const emitCsvSolution = (state) => {
+export const emitCsvSolution = (
+  state,
+  { tempUnit = "K", loadUnit = "MW" } = {},
+) => {
   const lines = [];
   lines.push(
     csvJoin([
       "Номер ячейки",
       "Горячий поток",
       "Холодный поток",
-      "Нагрузка, МВт",
+      `Нагрузка, ${loadUnitLabel(loadUnit)}`,
       "Тип",
+      ...OPTIONAL_COLUMNS.map((c) =>
+        c.temp ? `${c.header}, ${tempUnitLabel(tempUnit)}` : c.header,
+      ),
     ]),
   );
 
@@ -32,7 +69,23 @@ export const emitCsvSolution = (state) => {
     const hLabel = hasH ? `H${Number(ex.hot) + 1}` : "";
     const cLabel = hasC ? `C${Number(ex.cold) + 1}` : "";
 
-    lines.push(csvJoin([`E${i + 1}`, hLabel, cLabel, fmtNum(ex.load), type]));
+    const extra = OPTIONAL_COLUMNS.map((c) => {
+      const v = ex[c.key];
+      if (v === undefined || v === null) return "";
+      if (c.seq) return String(Number(v) + 1);
+      return fmtNum(c.temp ? fromKelvin(Number(v), tempUnit) : v);
+    });
+
+    lines.push(
+      csvJoin([
+        `E${i + 1}`,
+        hLabel,
+        cLabel,
+        fmtNum(fromMW(ex.load, loadUnit)),
+        type,
+        ...extra,
+      ]),
+    );
   }
 
   return lines.join("\n");
@@ -41,6 +94,10 @@ export const emitCsvSolution = (state) => {
 /**
  * `parseCsvSolutionToExchangers(text, hotLen, coldLen)` → список теплообменников канонического вида.
  *
+ * Необязательные столбцы (порядок, температуры, ветви, утилита) читаются, если присутствуют в заголовке;
+ * температуры — в единице из заголовка столбца (К, °C или °F), переводятся в кельвины.
+ * Нагрузка — в единице из заголовка `Нагрузка, …` (МВт, кВт или Гкал/ч), переводится в МВт.
+ *
  * @param {string} text
  * @param {number} hotLen
  * @param {number} coldLen
@@ -52,6 +109,28 @@ export const parseCsvSolutionToExchangers = (text, hotLen, coldLen) => {
   if (headerIdx < 0)
     throw new Error("CSV (решение): не найдена строка заголовков.");
 
+  const header = rows[headerIdx].map((h) => (h ?? "").trim());
+
+  const loadLabel = header[3]?.match(/^Нагрузка,\s*(.+)$/)?.[1] ?? "МВт";
+  const loadUnit = loadUnitFromLabel(loadLabel);
+  if (!loadUnit)
+    throw new Error(
+      `CSV (решение): неизвестная единица нагрузки «${loadLabel}» (ожидается МВт, кВт или Гкал/ч).`,
+    );
+
+  const optional = OPTIONAL_COLUMNS.map((c) => {
+    if (!c.temp) return { ...c, col: header.indexOf(c.header), unit: null };
+    const col = header.findIndex((h) => h.startsWith(`${c.header},`));
+    if (col < 0) return { ...c, col, unit: null };
+    const label = header[col].slice(c.header.length + 1);
+    const unit = tempUnitFromLabel(label);
+    if (!unit)
+      throw new Error(
+        `CSV (решение): неизвестная единица температуры «${label.trim()}» (ожидается К, °C или °F).`,
+      );
+    return { ...c, col, unit };
+  }).filter((c) => c.col >= 0);
+
   const parseEnd = (s, prefix, maxLen) => {
     const t = (s ?? "").trim();
     if (!t) return null;
@@ -81,14 +160,23 @@ export const parseCsvSolutionToExchangers = (text, hotLen, coldLen) => {
 
     const hot = parseEnd(r[1], "H", hotLen);
     const cold = parseEnd(r[2], "C", coldLen);
-    const load = parseNumber(r[3], "Нагрузка, МВт");
+    const loadRaw = parseNumber(r[3], header[3] || "Нагрузка");
+    const load = loadRaw === null ? null : toMW(loadRaw, loadUnit);
 
     if (!isFinitePositive(load))
       throw new Error("CSV (решение): нагрузка должна быть положительной.");
     if (hot === null && cold === null)
       throw new Error("CSV (решение): у строки должен быть указан H или C.");
 
-    out.push({ hot, cold, load });
+    /** @type {any} */
+    const ex = { hot, cold, load };
+    for (const c of optional) {
+      const v = parseNumber(r[c.col], c.header);
+      if (v === null) continue;
+      ex[c.key] = c.seq ? v - 1 : c.unit ? toKelvin(v, c.unit) : v;
+    }
+
+    out.push(ex);
   }
 
   return out;
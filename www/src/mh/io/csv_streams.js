@@ -5,26 +5,63 @@ import {
   isFinitePositive,
   parseNumber,
 } from "../util/number.js";
+import {
+  CP_LABEL,
+  MASS_FLOW_LABEL,
+  fromKelvin,
+  fromMW,
+  loadUnitFromLabel,
+  loadUnitLabel,
+  rateUnitLabel,
+  tempUnitFromLabel,
+  tempUnitLabel,
+  toKelvin,
+  toMW,
+} from "../model/units.js";
+
+/** Необязательный столбец: коэффициент теплоотдачи потока (см. `model/economics.js`) */
+const FILM_HEADER = "h, кВт/(м²·К)";
+
+/** Необязательные столбцы: расход и теплоёмкость потока (`mass_flow`, `cp`) */
+const MASS_FLOW_HEADER = `G, ${MASS_FLOW_LABEL}`;
+const CP_HEADER = `cp, ${CP_LABEL}`;
 
 /**
- * `emitCsvStreams(state)` → CSV (потоки) в табличном формате для Excel/LibreOffice.
+ * `emitCsvStreams(state, opts)` → CSV (потоки) в табличном формате для Excel/LibreOffice.
+ *
+ * Температуры и нагрузки записываются в единицах `opts.tempUnit` и `opts.loadUnit`;
+ * единицы указаны в заголовках столбцов. Столбцы расхода и теплоёмкости добавляются,
+ * если они заданы хотя бы у одного потока.
  *
  * @param {{ hot: any[], cold: any[] }} state
+ * @param {import("../model/units.js").DisplayUnits} [opts]
  * @returns {string}
  */
-export const emitCsvStreams = (state) => {
-  const lines = [];
-  lines.push(
-    csvJoin([
-      "Номер потока",
-      "Т на входе, К",
-      "Т на выходе, К",
-      "q, МВт",
-      "W, МВт/К",
-      "Фазовый переход?",
-    ]),
+export const emitCsvStreams = (
+  state,
+  { tempUnit = "K", loadUnit = "MW" } = {},
+) => {
+  const unit = tempUnitLabel(tempUnit);
+  const withFlow = [...state.hot, ...state.cold].some(
+    (s) => s.mass_flow !== undefined,
   );
-  lines.push(csvJoin(["Горячие потоки", "", "", "", "", ""]));
+  const header = [
+    "Номер потока",
+    `Т на входе, ${unit}`,
+    `Т на выходе, ${unit}`,
+    `q, ${loadUnitLabel(loadUnit)}`,
+    `W, ${rateUnitLabel(loadUnit)}`,
+    "Фазовый переход?",
+    FILM_HEADER,
+    ...(withFlow ? [MASS_FLOW_HEADER, CP_HEADER] : []),
+  ];
+  /** @param {string} title */
+  const sectionRow = (title) =>
+    csvJoin([title, ...header.slice(1).map(() => "")]);
+
+  const lines = [];
+  lines.push(csvJoin(header));
+  lines.push(sectionRow("Горячие потоки"));
 
   const emitStreamRow = (prefix, idx1, s) => {
     const id = `${prefix}${idx1}`;
@@ -52,11 +89,17 @@ export const emitCsvStreams = (state) => {
     lines.push(
       csvJoin([
         id,
-        fmtNum(inT),
-        fmtNum(outT),
-        fmtNum(load),
-        fmtNum(rate),
+        fmtNum(fromKelvin(inT, tempUnit)),
+        fmtNum(fromKelvin(outT, tempUnit)),
+        fmtNum(fromMW(load, loadUnit)),
+        fmtNum(fromMW(rate, loadUnit)),
         phase,
+        s.h !== undefined ? fmtNum(s.h) : "",
+        ...(withFlow
+          ? s.mass_flow !== undefined
+            ? [fmtNum(s.mass_flow), fmtNum(s.cp)]
+            : ["", ""]
+          : []),
       ]),
     );
   };
@@ -64,7 +107,7 @@ export const emitCsvStreams = (state) => {
   for (let i = 0; i < state.hot.length; i++)
     emitStreamRow("H", i + 1, state.hot[i]);
 
-  lines.push(csvJoin(["Холодные потоки", "", "", "", "", ""]));
+  lines.push(sectionRow("Холодные потоки"));
 
   for (let i = 0; i < state.cold.length; i++)
     emitStreamRow("C", i + 1, state.cold[i]);
@@ -75,6 +118,12 @@ export const emitCsvStreams = (state) => {
 /**
  * `parseCsvStreamsToStatePartial(text)` → частичное каноническое состояние `{ hot, cold }`.
  *
+ * Столбцы коэффициента теплоотдачи, расхода и теплоёмкости необязательны и ищутся по заголовку;
+ * у потока с расходом и теплоёмкостью W вычисляется по ним (столбец W не читается).
+ * Единица температур берётся из заголовка `Т на входе, …` (К, °C или °F), единица нагрузок —
+ * из заголовка `q, …` (МВт, кВт или Гкал/ч; W — в той же единице на кельвин); значения
+ * переводятся в кельвины и МВт.
+ *
  * @param {string} text
  * @returns {{ hot: any[], cold: any[] }}
  */
@@ -84,6 +133,25 @@ export const parseCsvStreamsToStatePartial = (text) => {
   if (headerIdx < 0)
     throw new Error("CSV (потоки): не найдена строка заголовков.");
 
+  const header = rows[headerIdx].map((h) => (h ?? "").trim());
+  const filmCol = header.indexOf(FILM_HEADER);
+  const flowCol = header.indexOf(MASS_FLOW_HEADER);
+  const cpCol = header.indexOf(CP_HEADER);
+
+  const unitLabel = header[1]?.match(/^Т на входе,\s*(.+)$/)?.[1] ?? "К";
+  const tempUnit = tempUnitFromLabel(unitLabel);
+  if (!tempUnit)
+    throw new Error(
+      `CSV (потоки): неизвестная единица температуры «${unitLabel}» (ожидается К, °C или °F).`,
+    );
+
+  const loadLabel = header[3]?.match(/^q,\s*(.+)$/)?.[1] ?? "МВт";
+  const loadUnit = loadUnitFromLabel(loadLabel);
+  if (!loadUnit)
+    throw new Error(
+      `CSV (потоки): неизвестная единица нагрузки «${loadLabel}» (ожидается МВт, кВт или Гкал/ч).`,
+    );
+
   let mode = null; // режим секции: "hot" | "cold"
   const hot = [];
   const cold = [];
@@ -106,11 +174,19 @@ export const parseCsvStreamsToStatePartial = (text) => {
     if (low.startsWith("суммарная")) continue;
     if (mode !== "hot" && mode !== "cold") continue;
 
-    const inT = parseNumber(r[1], "Т на входе, К");
-    const outT = parseNumber(r[2], "Т на выходе, К");
-    const q = parseNumber(r[3], "q, МВт");
-    const w = parseNumber(r[4], "W, МВт/К");
+    const inRaw = parseNumber(r[1], header[1] || "Т на входе");
+    const outRaw = parseNumber(r[2], header[2] || "Т на выходе");
+    const qRaw = parseNumber(r[3], header[3] || "q");
+    const wRaw = parseNumber(r[4], header[4] || "W");
+    const massFlow =
+      flowCol >= 0 ? parseNumber(r[flowCol], MASS_FLOW_HEADER) : null;
+    const cp = cpCol >= 0 ? parseNumber(r[cpCol], CP_HEADER) : null;
 
+    const q = qRaw === null ? null : toMW(qRaw, loadUnit);
+    const w = wRaw === null ? null : toMW(wRaw, loadUnit);
+
+    const inT = inRaw === null ? null : toKelvin(inRaw, tempUnit);
+    const outT = outRaw === null ? null : toKelvin(outRaw, tempUnit);
     if (!isFiniteNonNegative(inT) || !isFiniteNonNegative(outT))
       throw new Error("CSV (потоки): некорректные температуры.");
     if (!isFiniteNonNegative(q) || !isFiniteNonNegative(w))
@@ -119,7 +195,15 @@ export const parseCsvStreamsToStatePartial = (text) => {
     const isIso = Math.abs(outT - inT) < 1e-12 || w === 0;
 
     let stream;
-    if (isIso) {
+    if (massFlow !== null || cp !== null) {
+      // Проверку пары и изотермичности выполнит `normalizeStream`.
+      stream = {
+        in: inT,
+        out: outT,
+        mass_flow: massFlow ?? undefined,
+        cp: cp ?? undefined,
+      };
+    } else if (isIso) {
       if (!isFinitePositive(q))
         throw new Error(
           "CSV (потоки): изотермический поток требует положительный q.",
@@ -134,6 +218,13 @@ export const parseCsvStreamsToStatePartial = (text) => {
         );
     }
 
+    const h = filmCol >= 0 ? parseNumber(r[filmCol], FILM_HEADER) : null;
+    if (h !== null) {
+      if (!isFinitePositive(h))
+        throw new Error("CSV (потоки): некорректный коэффициент теплоотдачи.");
+      stream.h = h;
+    }
+
     if (mode === "hot") hot.push(stream);
     else cold.push(stream);
   }
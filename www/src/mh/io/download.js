@@ -1,32 +1,31 @@
 /**
- * Утилиты сохранения текста в файл.
+ * Утилиты сохранения текста и двоичных данных (рисунков) в файл.
  *
  * Использует File System Access API при наличии, иначе — Blob + `<a download>`.
  */
 
 /**
- * Сохранить текст (UTF-8) в файл.
+ * Сохранить Blob в файл.
  *
- * @param {string} text
+ * @param {Blob} blob
  * @param {string} suggestedName
  * @param {string} mime
  * @param {string[]} exts
  * @returns {Promise<void>}
  */
-export const downloadText = async (text, suggestedName, mime, exts) => {
+export const downloadBlob = async (blob, suggestedName, mime, exts) => {
   if (typeof window.showSaveFilePicker === "function") {
     const handle = await window.showSaveFilePicker({
       suggestedName,
       types: [{ description: suggestedName, accept: { [mime]: exts } }],
     });
     const writable = await handle.createWritable();
-    await writable.write(text);
+    await writable.write(blob);
     await writable.close();
     return;
   }
 
   // Запасной вариант для браузеров без File System Access API.
-  const blob = new Blob([text], { type: `${mime};charset=utf-8` });
   const url = URL.createObjectURL(blob);
 
   const a = document.createElement("a");
@@ -38,3 +37,20 @@ export const downloadText = async (text, suggestedName, mime, exts) => {
 
   URL.revokeObjectURL(url);
 };
+
+/**
+ * Сохранить текст (UTF-8) в файл.
+ *
+ * @param {string} text
+ * @param {string} suggestedName
+ * @param {string} mime
+ * @param {string[]} exts
+ * @returns {Promise<void>}
+ */
+export const downloadText = (text, suggestedName, mime, exts) =>
+  downloadBlob(
+    new Blob([text], { type: `${mime};charset=utf-8` }),
+    suggestedName,
+    mime,
+    exts,
+  );
@@ -0,0 +1,218 @@
+import { fmtNum } from "../util/number.js";
+import { fmtTemp, fromKelvin, fromMW, loadUnitLabel } from "../model/units.js";
+
+/**
+ * Граф теплообменной сети для вики и документации: Mermaid (flowchart) и Graphviz DOT.
+ *
+ * - узлы — потоки (H1…, C1…) и утилиты; цвет узла показывает сторону (горячие — красные, холодные — синие)
+ * - рёбра — аппараты с нагрузкой, направлены по потоку тепла: от горячей стороны к холодной
+ * - утилиты `[[utility]]` — отдельные узлы (общие для всех своих аппаратов); нагреватели и холодильники
+ *   без назначенной утилиты подключаются к общим узлам «Нагрев» и «Охлаждение»
+ *
+ * В отличие от `./mermaid.js` (sequenceDiagram, как `--graph` CLI), номера потоков и аппаратов —
+ * как в интерфейсе (с 1), температуры и нагрузки — в единицах отображения (`opts`, по умолчанию K и МВт).
+ */
+
+/** Цвета узлов (как линии потоков на схеме сети). */
+const NODE_COLORS = {
+  hot: { fill: "#fee2e2", stroke: "#dc2626" },
+  cold: { fill: "#dbeafe", stroke: "#2563eb" },
+};
+const TEXT_COLOR = "#0f172a";
+
+/**
+ * @typedef {object} GraphNode
+ * @property {string} id
+ * @property {string[]} label строки подписи
+ * @property {"hot"|"cold"} side
+ * @property {boolean} utility
+ */
+
+/**
+ * @typedef {object} GraphEdge
+ * @property {string} from
+ * @property {string} to
+ * @property {string} label
+ */
+
+/**
+ * Нагрузка для подписи ребра: не больше 3 знаков после точки (в единице отображения).
+ * @param {number} q
+ * @param {import("../model/units.js").LoadUnit} loadUnit
+ */
+const fmtLoad = (q, loadUnit) =>
+  `${fmtNum(Math.round(fromMW(Number(q), loadUnit) * 1000) / 1000)} ${loadUnitLabel(loadUnit)}`;
+
+/**
+ * @typedef {object} GraphOptions
+ * @property {import("../model/units.js").TempUnit} [tempUnit] единица температур в подписях (по умолчанию K)
+ * @property {import("../model/units.js").LoadUnit} [loadUnit] единица нагрузок в подписях (по умолчанию МВт)
+ */
+
+/**
+ * Температуры потока или утилиты для подписи узла.
+ * @param {{ in: number, out?: number|null }} s
+ * @param {import("../model/units.js").TempUnit} tempUnit
+ */
+const fmtTemps = (s, tempUnit) =>
+  s.out === undefined || s.out === null || s.out === s.in
+    ? `T = ${fmtTemp(s.in, tempUnit)}`
+    : `${fmtNum(fromKelvin(s.in, tempUnit))} → ${fmtTemp(s.out, tempUnit)}`;
+
+/**
+ * Узлы и рёбра графа сети.
+ *
+ * @param {any} state каноническое состояние
+ * @param {Required<GraphOptions>} units
+ * @returns {{ nodes: GraphNode[], edges: GraphEdge[] }}
+ */
+const buildGraph = (state, { tempUnit, loadUnit }) => {
+  /** @type {GraphNode[]} */
+  const nodes = [];
+  /** @type {GraphEdge[]} */
+  const edges = [];
+
+  (state.hot ?? []).forEach((s, i) =>
+    nodes.push({
+      id: `H${i + 1}`,
+      label: [`H${i + 1}`, fmtTemps(s, tempUnit)],
+      side: "hot",
+      utility: false,
+    }),
+  );
+  (state.cold ?? []).forEach((s, j) =>
+    nodes.push({
+      id: `C${j + 1}`,
+      label: [`C${j + 1}`, fmtTemps(s, tempUnit)],
+      side: "cold",
+      utility: false,
+    }),
+  );
+  (state.utility ?? []).forEach((u, k) =>
+    nodes.push({
+      id: `U${k + 1}`,
+      label: [String(u.name), fmtTemps(u, tempUnit)],
+      side: u.kind === "cold" ? "cold" : "hot",
+      utility: true,
+    }),
+  );
+
+  // Общие узлы для утилит без `[[utility]]` — только если такие аппараты есть.
+  const fallback = {
+    hot: { id: "HU", label: ["Нагрев"], side: "hot", utility: true },
+    cold: { id: "CU", label: ["Охлаждение"], side: "cold", utility: true },
+  };
+  /** @type {Set<"hot"|"cold">} */
+  const usedFallback = new Set();
+
+  /**
+   * Узел утилиты аппарата: нагреватель — греющая (`hot`), холодильник — охлаждающая (`cold`).
+   * @param {any} ex
+   * @param {"hot"|"cold"} side
+   */
+  const utilityNode = (ex, side) => {
+    if (Number.isInteger(ex.utility) && state.utility?.[ex.utility])
+      return `U${ex.utility + 1}`;
+    usedFallback.add(side);
+    return fallback[side].id;
+  };
+
+  (state.exchanger ?? []).forEach((ex, i) => {
+    const hasHot = ex.hot !== null && ex.hot !== undefined;
+    const hasCold = ex.cold !== null && ex.cold !== undefined;
+    if (!hasHot && !hasCold) return;
+
+    edges.push({
+      from: hasHot ? `H${Number(ex.hot) + 1}` : utilityNode(ex, "hot"),
+      to: hasCold ? `C${Number(ex.cold) + 1}` : utilityNode(ex, "cold"),
+      label: `E${i + 1}: ${fmtLoad(ex.load, loadUnit)}`,
+    });
+  });
+
+  for (const side of /** @type {const} */ (["hot", "cold"]))
+    if (usedFallback.has(side))
+      nodes.push(/** @type {GraphNode} */ (fallback[side]));
+
+  return { nodes, edges };
+};
+
+/**
+ * Текст подписи Mermaid: кавычки и угловые скобки — через сущности.
+ * @param {string} s
+ */
+const mermaidText = (s) =>
+  s.replace(/"/g, "#quot;").replace(/</g, "#lt;").replace(/>/g, "#gt;");
+
+/**
+ * `emitMermaidGraph(state, opts)` → текст Mermaid flowchart сети.
+ *
+ * @param {any} state каноническое состояние
+ * @param {GraphOptions} [opts]
+ * @returns {string}
+ */
+export const emitMermaidGraph = (
+  state,
+  { tempUnit = "K", loadUnit = "MW" } = {},
+) => {
+  const { nodes, edges } = buildGraph(state, { tempUnit, loadUnit });
+  const lines = ["flowchart LR"];
+
+  for (const node of nodes) {
+    const text = `"${node.label.map(mermaidText).join("<br/>")}"`;
+    // Утилиты — «стадион», потоки — прямоугольник.
+    lines.push(
+      node.utility ? `    ${node.id}([${text}])` : `    ${node.id}[${text}]`,
+    );
+  }
+  for (const e of edges)
+    lines.push(`    ${e.from} -->|"${mermaidText(e.label)}"| ${e.to}`);
+
+  for (const side of /** @type {const} */ (["hot", "cold"])) {
+    const ids = nodes.filter((n) => n.side === side).map((n) => n.id);
+    if (ids.length === 0) continue;
+    const { fill, stroke } = NODE_COLORS[side];
+    lines.push(
+      `    classDef ${side} fill:${fill},stroke:${stroke},color:${TEXT_COLOR}`,
+    );
+    lines.push(`    class ${ids.join(",")} ${side}`);
+  }
+
+  return `${lines.join("\n")}\n`;
+};
+
+/**
+ * Строка DOT в кавычках.
+ * @param {string} s
+ */
+const dotString = (s) => `"${s.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+/**
+ * `emitDot(state, opts)` → текст Graphviz DOT сети.
+ *
+ * @param {any} state каноническое состояние
+ * @param {GraphOptions} [opts]
+ * @returns {string}
+ */
+export const emitDot = (state, { tempUnit = "K", loadUnit = "MW" } = {}) => {
+  const { nodes, edges } = buildGraph(state, { tempUnit, loadUnit });
+  const lines = [
+    "digraph multiheat {",
+    "  rankdir=LR;",
+    `  node [shape=box, style="rounded,filled", fontcolor=${dotString(TEXT_COLOR)}];`,
+  ];
+
+  for (const node of nodes) {
+    const { fill, stroke } = NODE_COLORS[node.side];
+    // Строки подписи разделяются `\n` уже внутри строки DOT.
+    const label = node.label.map((l) => dotString(l).slice(1, -1)).join("\\n");
+    const shape = node.utility ? ", shape=ellipse" : "";
+    lines.push(
+      `  ${node.id} [label="${label}", fillcolor=${dotString(fill)}, color=${dotString(stroke)}${shape}];`,
+    );
+  }
+  for (const e of edges)
+    lines.push(`  ${e.from} -> ${e.to} [label=${dotString(e.label)}];`);
+
+  lines.push("}");
+  return `${lines.join("\n")}\n`;
+};
@@ -0,0 +1,68 @@
+/**
+ * Экспорт системы в виде Mermaid sequenceDiagram — тот же текст, что выводит CLI (`--graph`, `cli/graph.zig`).
+ *
+ * Горячие и холодные потоки — участники; аппараты — сообщения с тепловой нагрузкой;
+ * для каждого одностороннего аппарата (утилиты) объявляется отдельный участник.
+ */
+
+/**
+ * Число с фиксированным числом знаков после запятой (как `{d:.N}` в Zig).
+ * @param {any} v
+ * @param {number} digits
+ */
+const fixed = (v, digits) => Number(v).toFixed(digits);
+
+/**
+ * Температура выхода потока; для изотермического потока совпадает с входом.
+ * @param {any} s
+ */
+const outTemp = (s) => (s.out === undefined ? s.in : s.out);
+
+/**
+ * `emitMermaid(state)` → текст Mermaid-диаграммы системы.
+ *
+ * @param {{ hot: any[], cold: any[], exchanger?: any[] }} state
+ * @returns {string}
+ */
+export const emitMermaid = (state) => {
+  const lines = ["sequenceDiagram"];
+
+  state.hot.forEach((s, i) =>
+    lines.push(
+      `    participant H${i} as Hot ${i} (Tin=${fixed(s.in, 1)}, Tout=${fixed(outTemp(s), 1)})`,
+    ),
+  );
+  state.cold.forEach((s, i) =>
+    lines.push(
+      `    participant C${i} as Cold ${i} (Tin=${fixed(s.in, 1)}, Tout=${fixed(outTemp(s), 1)})`,
+    ),
+  );
+
+  let coolers = 0;
+  let heaters = 0;
+  const exchangers = Array.isArray(state.exchanger) ? state.exchanger : [];
+
+  exchangers.forEach((ex, idx) => {
+    const hasHot = ex.hot !== null && ex.hot !== undefined;
+    const hasCold = ex.cold !== null && ex.cold !== undefined;
+    const load = fixed(ex.load, 3);
+
+    if (hasHot && hasCold) {
+      lines.push(`    H${ex.hot}->>C${ex.cold}: Ex ${idx} (load=${load})`);
+    } else if (hasHot) {
+      lines.push(`    participant Uc${coolers} as Cooler ${coolers}`);
+      lines.push(`    H${ex.hot}->>Uc${coolers}: Ex ${idx} (load=${load})`);
+      coolers += 1;
+    } else if (hasCold) {
+      lines.push(`    participant Uh${heaters} as Heater ${heaters}`);
+      lines.push(`    Uh${heaters}->>C${ex.cold}: Ex ${idx} (load=${load})`);
+      heaters += 1;
+    } else {
+      lines.push(
+        `    Note over Ex${idx}: недопустимое соединение теплообменного аппарата, нагрузка=${load}`,
+      );
+    }
+  });
+
+  return `${lines.join("\n")}\n`;
+};
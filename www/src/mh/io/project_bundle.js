@@ -0,0 +1,85 @@
+/**
+ * Файл проекта со всеми вариантами (JSON): каждый вариант хранится как текст TOML,
+ * поэтому его можно извлечь и открыть отдельно (в Web UI или CLI).
+ *
+ * ```json
+ * {
+ *   "format": "multiheat-project",
+ *   "version": 1,
+ *   "active": 0,
+ *   "cases": [{ "name": "Текущая установка", "toml": "[multiheat]\n…" }]
+ * }
+ * ```
+ */
+
+import { emitToml, parseTomlToState } from "./toml.js";
+import { toErrorText } from "../util/errors.js";
+
+/** Значение поля `format`. */
+export const PROJECT_BUNDLE_FORMAT = "multiheat-project";
+
+/** Версия формата файла проекта. */
+export const PROJECT_BUNDLE_VERSION = 1;
+
+/**
+ * `emitProjectBundle(cases, activeIndex)` → текст файла проекта.
+ *
+ * @param {{ name: string, state: any }[]} cases
+ * @param {number} [activeIndex] индекс активного варианта
+ * @returns {string}
+ */
+export const emitProjectBundle = (cases, activeIndex = 0) =>
+  `${JSON.stringify(
+    {
+      format: PROJECT_BUNDLE_FORMAT,
+      version: PROJECT_BUNDLE_VERSION,
+      active: activeIndex,
+      cases: cases.map((c) => ({ name: c.name, toml: emitToml(c.state) })),
+    },
+    null,
+    2,
+  )}\n`;
+
+/**
+ * `parseProjectBundle(text)` → варианты проекта и индекс активного.
+ * Выбрасывает исключение при некорректном файле или варианте (с именем варианта в сообщении).
+ *
+ * @param {string} text
+ * @returns {{ cases: { name: string, state: any }[], active: number }}
+ */
+export const parseProjectBundle = (text) => {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    throw new Error("Файл проекта не является корректным JSON.", { cause: e });
+  }
+
+  if (!doc || typeof doc !== "object" || doc.format !== PROJECT_BUNDLE_FORMAT)
+    throw new Error(
+      `Файл не является проектом Multiheat (ожидается "format": "${PROJECT_BUNDLE_FORMAT}").`,
+    );
+  if (doc.version !== PROJECT_BUNDLE_VERSION)
+    throw new Error(
+      `Неподдерживаемая версия файла проекта: ${doc.version} (поддерживается ${PROJECT_BUNDLE_VERSION}).`,
+    );
+  if (!Array.isArray(doc.cases) || doc.cases.length === 0)
+    throw new Error("В файле проекта нет ни одного варианта.");
+
+  const cases = doc.cases.map((c, i) => {
+    const name = typeof c?.name === "string" ? c.name : `Вариант ${i + 1}`;
+    if (typeof c?.toml !== "string")
+      throw new Error(`Вариант «${name}»: отсутствует поле "toml".`);
+    try {
+      return { name, state: parseTomlToState(c.toml) };
+    } catch (e) {
+      throw new Error(`Вариант «${name}»: ${toErrorText(e)}`, { cause: e });
+    }
+  });
+
+  const active =
+    Number.isInteger(doc.active) && doc.active >= 0 && doc.active < cases.length
+      ? doc.active
+      : 0;
+  return { cases, active };
+};
@@ -0,0 +1,157 @@
+/**
+ * Хранение сессий Web UI в IndexedDB: последняя сессия (автосохранение) и именованные снимки
+ * («Недавние проекты»).
+ *
+ * База `multiheat`, хранилища:
+ * - `session` — последняя сессия под ключом `"last"`;
+ * - `projects` — снимки, ключ — имя снимка (`name`).
+ *
+ * Записи — простые объекты (IndexedDB сохраняет их структурным клонированием).
+ * Если IndexedDB недоступен (например, запрещён настройками браузера), функции отклоняют промис с ошибкой.
+ */
+
+const DB_NAME = "multiheat";
+const DB_VERSION = 1;
+const SESSION_STORE = "session";
+const PROJECTS_STORE = "projects";
+const LAST_SESSION_KEY = "last";
+
+/** Сколько снимков хранится в «Недавних проектах»: самые старые удаляются. */
+export const MAX_PROJECTS = 20;
+
+/**
+ * @typedef {object} SessionUi
+ * @property {string} activeTab
+ * @property {boolean} visualizationEnabled
+ * @property {boolean} eqCurvesEnabled
+ * @property {boolean} compositeEnabled
+ * @property {boolean} grandCompositeEnabled
+ * @property {boolean} settingsEnabled
+ */
+
+/**
+ * @typedef {object} Session
+ * @property {string} saved_at время сохранения (ISO 8601)
+ * @property {{ name: string, state: any }[]} cases все варианты проекта (состояния включают `stats`)
+ * @property {number} activeCase индекс активного варианта
+ * @property {string} solverAlgorithmId выбранный алгоритм синтеза
+ * @property {import("../app/generator.js").GeneratorParams|null} generator параметры панели генератора (зерно null, если поле пустое)
+ * @property {SessionUi} ui режим интерфейса
+ */
+
+/**
+ * @typedef {Session & { name: string }} ProjectSnapshot
+ */
+
+/** @type {Promise<IDBDatabase> | null} */
+let dbPromise = null;
+
+/** @returns {Promise<IDBDatabase>} */
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB недоступен в этом браузере."));
+      return;
+    }
+
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(SESSION_STORE))
+        db.createObjectStore(SESSION_STORE);
+      if (!db.objectStoreNames.contains(PROJECTS_STORE))
+        db.createObjectStore(PROJECTS_STORE, { keyPath: "name" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  // Почему: после ошибки открытия следующая попытка должна открыть базу заново.
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+};
+
+/**
+ * Выполнить один запрос в транзакции и дождаться её завершения.
+ *
+ * @template T
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest<T>} makeRequest
+ * @returns {Promise<T>}
+ */
+const run = async (storeName, mode, makeRequest) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error ?? req.error);
+    tx.onabort = () =>
+      reject(tx.error ?? new Error("Транзакция IndexedDB прервана."));
+  });
+};
+
+/**
+ * `loadLastSession()` → последняя сессия или null.
+ * @returns {Promise<Session|null>}
+ */
+export const loadLastSession = async () =>
+  (await run(SESSION_STORE, "readonly", (s) => s.get(LAST_SESSION_KEY))) ??
+  null;
+
+/**
+ * Сохранить последнюю сессию (заменяет прежнюю).
+ * @param {Session} session
+ * @returns {Promise<void>}
+ */
+export const saveLastSession = async (session) => {
+  await run(SESSION_STORE, "readwrite", (s) =>
+    s.put(session, LAST_SESSION_KEY),
+  );
+};
+
+/**
+ * `listProjects()` → снимки, от новых к старым.
+ * @returns {Promise<ProjectSnapshot[]>}
+ */
+export const listProjects = async () => {
+  const all = await run(PROJECTS_STORE, "readonly", (s) => s.getAll());
+  return all.sort((a, b) => String(b.saved_at).localeCompare(a.saved_at));
+};
+
+/**
+ * `loadProject(name)` → снимок или null.
+ * @param {string} name
+ * @returns {Promise<ProjectSnapshot|null>}
+ */
+export const loadProject = async (name) =>
+  (await run(PROJECTS_STORE, "readonly", (s) => s.get(name))) ?? null;
+
+/**
+ * Удалить снимок.
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+export const deleteProject = async (name) => {
+  await run(PROJECTS_STORE, "readwrite", (s) => s.delete(name));
+};
+
+/**
+ * Сохранить снимок под именем (снимок с тем же именем заменяется).
+ * Снимки сверх `MAX_PROJECTS` удаляются, начиная с самых старых.
+ *
+ * @param {string} name
+ * @param {Session} session
+ * @returns {Promise<void>}
+ */
+export const saveProject = async (name, session) => {
+  await run(PROJECTS_STORE, "readwrite", (s) => s.put({ ...session, name }));
+
+  const all = await listProjects();
+  for (const p of all.slice(MAX_PROJECTS)) await deleteProject(p.name);
+};
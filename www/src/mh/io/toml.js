@@ -3,6 +3,12 @@ import toml from "toml";
 import { logError } from "../util/errors.js";
 import { fmtNum } from "../util/number.js";
 import { defaultState, validateAndNormalizeState } from "../model/state.js";
+import {
+  isLoadUnit,
+  isTempUnit,
+  stateFromBaseUnits,
+  stateToBaseUnits,
+} from "../model/units.js";
 
 /**
  * Нормализовать секцию [stats] (если есть).
@@ -21,6 +27,20 @@ import { defaultState, validateAndNormalizeState } from "../model/state.js";
  *  total_load_cells?: number,
  *  total_load_utilities?: number,
  *  external_power_saved?: number,
+ *  target_hot_utility?: number,
+ *  target_cold_utility?: number,
+ *  pinch_temp_hot?: number[],
+ *  pinch_temp_cold?: number[],
+ *  utility_over_target?: number,
+ *  utility_load?: number[],
+ *  utility_cost?: number[],
+ *  total_utility_cost?: number,
+ *  total_area?: number,
+ *  capital_cost?: number,
+ *  operating_cost?: number,
+ *  total_annual_cost?: number,
+ *  area_undefined_count?: number,
+ *  area_undefined_exchangers?: number[],
  * }}
  */
 const normalizeStats = (s) => {
@@ -41,6 +61,18 @@ const normalizeStats = (s) => {
     if (Number.isFinite(v)) out[k] = Math.trunc(v);
   };
 
+  const setNumArray = (k) => {
+    if (!(k in s) || !Array.isArray(s[k])) return;
+    const v = s[k].map(Number);
+    if (v.every(Number.isFinite)) out[k] = v;
+  };
+
+  const setIntArray = (k) => {
+    if (!(k in s) || !Array.isArray(s[k])) return;
+    const v = s[k].map(Number);
+    if (v.every(Number.isInteger)) out[k] = v;
+  };
+
   const setStr = (k) => {
     if (!(k in s)) return;
     const v = s[k];
@@ -56,6 +88,20 @@ const normalizeStats = (s) => {
   setNum("total_load_cells");
   setNum("total_load_utilities");
   setNum("external_power_saved");
+  setNum("target_hot_utility");
+  setNum("target_cold_utility");
+  setNumArray("pinch_temp_hot");
+  setNumArray("pinch_temp_cold");
+  setNum("utility_over_target");
+  setNumArray("utility_load");
+  setNumArray("utility_cost");
+  setNum("total_utility_cost");
+  setNum("total_area");
+  setNum("capital_cost");
+  setNum("operating_cost");
+  setNum("total_annual_cost");
+  setInt("area_undefined_count");
+  setIntArray("area_undefined_exchangers");
 
   return Object.keys(out).length > 0 ? out : null;
 };
@@ -63,6 +109,10 @@ const normalizeStats = (s) => {
 /**
  * `parseTomlToState(text)` → каноническое состояние (после `validateAndNormalizeState`).
  *
+ * Температуры файла задаются в `multiheat.temp_unit` (`"K"`, `"C"` или `"F"`) и переводятся в кельвины,
+ * нагрузки — в необязательной `multiheat.load_unit` (`"MW"` по умолчанию, `"kW"`, `"Gcal/h"`) и переводятся в МВт;
+ * единицы запоминаются в состоянии для записи (см. `../model/units.js`).
+ *
  * @param {string} text
  * @returns {ReturnType<typeof validateAndNormalizeState>}
  */
@@ -78,29 +128,136 @@ export const parseTomlToState = (text) => {
     throw new Error("Ошибка разбора TOML. Подробности в консоли браузера.");
   }
 
-  const base = validateAndNormalizeState({
-    multiheat: cfg.multiheat,
-    hot: cfg.hot,
-    cold: cfg.cold,
-    exchanger: cfg.exchanger,
-  });
+  // Неизвестную единицу не пересчитываем: её отвергнет `validateAndNormalizeState`.
+  const temp = cfg.multiheat?.temp_unit;
+  const load = cfg.multiheat?.load_unit;
+  const raw = stateToBaseUnits(
+    {
+      multiheat: cfg.multiheat,
+      hot: cfg.hot,
+      cold: cfg.cold,
+      utility: cfg.utility,
+      economics: cfg.economics,
+      constraint: cfg.constraint,
+      generator: cfg.generator,
+      exchanger: cfg.exchanger,
+      stats: normalizeStats(cfg.stats),
+    },
+    {
+      temp: isTempUnit(temp) ? temp : "K",
+      load: isLoadUnit(load) ? load : "MW",
+    },
+  );
 
-  const stats = normalizeStats(cfg.stats);
+  const { stats, ...rest } = raw;
+  const base = validateAndNormalizeState(rest);
   return stats ? { ...base, stats } : base;
 };
 
 /**
- * `emitToml(state)` → TOML.
+ * Число для TOML без потери точности: как `fmtNum`, если округление до 6 знаков ничего не меняет,
+ * иначе — кратчайшая точная запись.
+ *
+ * Почему: все значения после сохранения и чтения должны совпадать побитно: иначе повторная генерация
+ * по `[generator]` не воспроизвела бы файл, а решение в единицах, отличных от K и МВт, — себя.
+ *
+ * @param {number} x
+ * @returns {string}
+ */
+const fmtExact = (x) => {
+  const s = fmtNum(x);
+  return Number(s) === x ? s : String(x);
+};
+
+/**
+ * Массив чисел для TOML: все элементы записываются как дробные.
+ *
+ * Почему: TOML (и парсер `toml`) не допускает массивы со смесью целых и дробных значений.
  *
- * @param {ReturnType<typeof validateAndNormalizeState>} state
+ * @param {number[]} xs
  * @returns {string}
  */
-export const emitToml = (state) => {
+const fmtFloatArray = (xs) =>
+  `[${xs
+    .map((x) => {
+      const s = fmtExact(x);
+      return /^-?\d+$/.test(s) ? `${s}.0` : s;
+    })
+    .join(", ")}]`;
+
+/**
+ * `emitTomlExchangers(exchangers, units)` → только таблицы `[[exchanger]]` (как `--solve --terse` в CLI).
+ *
+ * Аппараты заданы в K и МВт (как в каноническом состоянии) и записываются в единицах `units`
+ * (по умолчанию K и МВт) — в тех же, что `temp_unit`/`load_unit` файла, к которому они относятся.
+ *
+ * @param {any[]} exchangers
+ * @param {import("../model/units.js").StateUnits} [units]
+ * @returns {string}
+ */
+export const emitTomlExchangers = (
+  exchangers,
+  units = { temp: "K", load: "MW" },
+) => {
+  const lines = [];
+
+  for (const ex of stateFromBaseUnits({ exchanger: exchangers }, units)
+    .exchanger) {
+    lines.push("[[exchanger]]");
+    if (ex.hot !== null && ex.hot !== undefined) lines.push(`hot = ${ex.hot}`);
+    if (ex.cold !== null && ex.cold !== undefined)
+      lines.push(`cold = ${ex.cold}`);
+    lines.push(`load = ${fmtExact(ex.load)}`);
+    if (ex.utility !== undefined && ex.utility !== null)
+      lines.push(`utility = ${ex.utility}`);
+
+    // Необязательные поля: порядок на потоках, температуры на входе/выходе и ветви.
+    for (const key of [
+      "hot_seq",
+      "hot_in",
+      "hot_out",
+      "hot_branch",
+      "hot_split",
+      "cold_seq",
+      "cold_in",
+      "cold_out",
+      "cold_branch",
+      "cold_split",
+    ]) {
+      if (ex[key] !== undefined && ex[key] !== null)
+        lines.push(`${key} = ${fmtExact(ex[key])}`);
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+};
+
+/**
+ * `emitToml(canonical)` → TOML; температуры и нагрузки записываются в единицах
+ * `multiheat.temp_unit` и `multiheat.load_unit`.
+ *
+ * @param {ReturnType<typeof validateAndNormalizeState>} canonical
+ * @returns {string}
+ */
+export const emitToml = (canonical) => {
+  const units = {
+    temp: canonical.multiheat.temp_unit,
+    load: canonical.multiheat.load_unit,
+  };
+  const state = stateFromBaseUnits(canonical, units);
   const lines = [];
 
   lines.push("[multiheat]");
   lines.push(`version = "${state.multiheat.version}"`);
   lines.push(`temp_unit = "${state.multiheat.temp_unit}"`);
+  // МВт — единица по умолчанию: такие файлы остаются совместимы с CLI.
+  if (state.multiheat.load_unit !== "MW")
+    lines.push(`load_unit = "${state.multiheat.load_unit}"`);
+  if (state.multiheat.min_dt !== undefined)
+    lines.push(`min_dt = ${fmtExact(state.multiheat.min_dt)}`);
+  if (state.multiheat.def_dt !== undefined)
+    lines.push(`def_dt = ${fmtExact(state.multiheat.def_dt)}`);
   lines.push("");
 
   // [stats] — сразу после [multiheat] (если присутствует).
@@ -110,53 +267,155 @@ export const emitToml = (state) => {
 
     // Фиксированный порядок полей — для стабильного вывода и удобства сравнения.
     if (st.total_load_hot !== undefined)
-      lines.push(`total_load_hot = ${fmtNum(st.total_load_hot)}`);
+      lines.push(`total_load_hot = ${fmtExact(st.total_load_hot)}`);
     if (st.total_load_cold !== undefined)
-      lines.push(`total_load_cold = ${fmtNum(st.total_load_cold)}`);
+      lines.push(`total_load_cold = ${fmtExact(st.total_load_cold)}`);
     if (st.load_diff !== undefined)
-      lines.push(`load_diff = ${fmtNum(st.load_diff)}`);
+      lines.push(`load_diff = ${fmtExact(st.load_diff)}`);
     if (
       typeof st.algorithm_used === "string" &&
       st.algorithm_used.trim().length > 0
     )
       lines.push(`algorithm_used = "${st.algorithm_used.trim()}"`);
     if (st.cell_count !== undefined)
-      lines.push(`cell_count = ${fmtNum(st.cell_count)}`);
+      lines.push(`cell_count = ${fmtExact(st.cell_count)}`);
     if (st.utility_count !== undefined)
-      lines.push(`utility_count = ${fmtNum(st.utility_count)}`);
+      lines.push(`utility_count = ${fmtExact(st.utility_count)}`);
     if (st.total_load_cells !== undefined)
-      lines.push(`total_load_cells = ${fmtNum(st.total_load_cells)}`);
+      lines.push(`total_load_cells = ${fmtExact(st.total_load_cells)}`);
     if (st.total_load_utilities !== undefined)
-      lines.push(`total_load_utilities = ${fmtNum(st.total_load_utilities)}`);
+      lines.push(`total_load_utilities = ${fmtExact(st.total_load_utilities)}`);
     if (st.external_power_saved !== undefined)
-      lines.push(`external_power_saved = ${fmtNum(st.external_power_saved)}`);
+      lines.push(`external_power_saved = ${fmtExact(st.external_power_saved)}`);
+    if (st.target_hot_utility !== undefined)
+      lines.push(`target_hot_utility = ${fmtExact(st.target_hot_utility)}`);
+    if (st.target_cold_utility !== undefined)
+      lines.push(`target_cold_utility = ${fmtExact(st.target_cold_utility)}`);
+    if (Array.isArray(st.pinch_temp_hot))
+      lines.push(`pinch_temp_hot = ${fmtFloatArray(st.pinch_temp_hot)}`);
+    if (Array.isArray(st.pinch_temp_cold))
+      lines.push(`pinch_temp_cold = ${fmtFloatArray(st.pinch_temp_cold)}`);
+    if (st.utility_over_target !== undefined)
+      lines.push(`utility_over_target = ${fmtExact(st.utility_over_target)}`);
+    if (Array.isArray(st.utility_load))
+      lines.push(`utility_load = ${fmtFloatArray(st.utility_load)}`);
+    if (Array.isArray(st.utility_cost))
+      lines.push(`utility_cost = ${fmtFloatArray(st.utility_cost)}`);
+    if (st.total_utility_cost !== undefined)
+      lines.push(`total_utility_cost = ${fmtExact(st.total_utility_cost)}`);
+    if (st.total_area !== undefined)
+      lines.push(`total_area = ${fmtExact(st.total_area)}`);
+    if (st.capital_cost !== undefined)
+      lines.push(`capital_cost = ${fmtExact(st.capital_cost)}`);
+    if (st.operating_cost !== undefined)
+      lines.push(`operating_cost = ${fmtExact(st.operating_cost)}`);
+    if (st.total_annual_cost !== undefined)
+      lines.push(`total_annual_cost = ${fmtExact(st.total_annual_cost)}`);
+    if (st.area_undefined_count !== undefined)
+      lines.push(`area_undefined_count = ${fmtExact(st.area_undefined_count)}`);
+    if (Array.isArray(st.area_undefined_exchangers))
+      lines.push(
+        `area_undefined_exchangers = [${st.area_undefined_exchangers.map(fmtExact).join(", ")}]`,
+      );
 
     lines.push("");
   }
 
+  // [generator] — зерно и параметры, по которым сгенерированы потоки (если есть).
+  const gen = state.generator;
+  if (gen && typeof gen === "object") {
+    lines.push("[generator]");
+    lines.push(`seed = ${gen.seed}`);
+    lines.push(`mode = "${gen.mode ?? "independent"}"`);
+    lines.push("");
+
+    for (const side of ["hot", "cold"]) {
+      const p = gen[side];
+      lines.push(`[generator.${side}]`);
+      for (const key of [
+        "count",
+        "iso_share",
+        "temp_dist",
+        "temp_min",
+        "temp_max",
+        "temp_mean",
+        "temp_var",
+        "load_dist",
+        "load_min",
+        "load_max",
+        "load_mean",
+        "load_var",
+      ]) {
+        const v = p[key];
+        lines.push(
+          `${key} = ${typeof v === "string" ? `"${v}"` : fmtExact(v)}`,
+        );
+      }
+      lines.push("");
+    }
+
+    const sp = gen.structured;
+    if (sp && typeof sp === "object") {
+      lines.push("[generator.structured]");
+      for (const key of ["overlap", "pinch", "load_ratio", "min_cells"])
+        lines.push(`${key} = ${fmtExact(sp[key])}`);
+      lines.push("");
+    }
+  }
+
   const emitStreamBlock = (section, s) => {
     lines.push(`[[${section}]]`);
-    lines.push(`in = ${fmtNum(s.in)}`);
-    if (s.out !== undefined) lines.push(`out = ${fmtNum(s.out)}`);
-    if (s.rate !== undefined) lines.push(`rate = ${fmtNum(s.rate)}`);
-    if (s.load !== undefined) lines.push(`load = ${fmtNum(s.load)}`);
+    lines.push(`in = ${fmtExact(s.in)}`);
+    if (s.out !== undefined) lines.push(`out = ${fmtExact(s.out)}`);
+    // `rate` потока с расходом и теплоёмкостью вычисляется при чтении.
+    if (s.mass_flow !== undefined) {
+      lines.push(`mass_flow = ${fmtExact(s.mass_flow)}`);
+      lines.push(`cp = ${fmtExact(s.cp)}`);
+    } else if (s.rate !== undefined) lines.push(`rate = ${fmtExact(s.rate)}`);
+    if (s.load !== undefined) lines.push(`load = ${fmtExact(s.load)}`);
+    if (s.h !== undefined) lines.push(`h = ${fmtExact(s.h)}`);
     lines.push("");
   };
 
   for (const s of state.hot) emitStreamBlock("hot", s);
   for (const s of state.cold) emitStreamBlock("cold", s);
 
-  if (Array.isArray(state.exchanger) && state.exchanger.length > 0) {
-    for (const ex of state.exchanger) {
-      lines.push("[[exchanger]]");
-      if (ex.hot !== null && ex.hot !== undefined)
-        lines.push(`hot = ${ex.hot}`);
-      if (ex.cold !== null && ex.cold !== undefined)
-        lines.push(`cold = ${ex.cold}`);
-      lines.push(`load = ${fmtNum(ex.load)}`);
-      lines.push("");
-    }
+  // Почему JSON.stringify: экранирование JSON совместимо с базовыми строками TOML.
+  for (const u of Array.isArray(state.utility) ? state.utility : []) {
+    lines.push("[[utility]]");
+    lines.push(`name = ${JSON.stringify(u.name)}`);
+    lines.push(`kind = "${u.kind}"`);
+    lines.push(`in = ${fmtExact(u.in)}`);
+    if (u.out !== undefined) lines.push(`out = ${fmtExact(u.out)}`);
+    lines.push(`cost = ${fmtExact(u.cost)}`);
+    if (u.h !== undefined) lines.push(`h = ${fmtExact(u.h)}`);
+    lines.push("");
   }
 
+  const econ = state.economics;
+  if (econ && typeof econ === "object") {
+    lines.push("[economics]");
+    lines.push(`fixed_cost = ${fmtExact(econ.fixed_cost)}`);
+    lines.push(`area_coef = ${fmtExact(econ.area_coef)}`);
+    lines.push(`area_exp = ${fmtExact(econ.area_exp)}`);
+    lines.push(`annual_factor = ${fmtExact(econ.annual_factor)}`);
+    lines.push(`h = ${fmtExact(econ.h)}`);
+    lines.push("");
+  }
+
+  for (const c of Array.isArray(state.constraint) ? state.constraint : []) {
+    lines.push("[[constraint]]");
+    if (c.forbid)
+      lines.push(`forbid = { hot = ${c.forbid.hot}, cold = ${c.forbid.cold} }`);
+    else
+      lines.push(
+        `require = { hot = ${c.require.hot}, cold = ${c.require.cold}, min_load = ${fmtExact(c.require.min_load)} }`,
+      );
+    lines.push("");
+  }
+
+  if (Array.isArray(canonical.exchanger) && canonical.exchanger.length > 0)
+    lines.push(emitTomlExchangers(canonical.exchanger, units));
+
   return lines.join("\n");
 };
@@ -0,0 +1,66 @@
+/**
+ * Ограничения на сочетания потоков: запрещённые и обязательные пары «горячий — холодный».
+ *
+ * Каноническая запись ограничения (секция `[[constraint]]`) содержит ровно одно из полей:
+ * - `forbid = { hot, cold }` — аппарат между этими потоками недопустим
+ *   (безопасность, загрязнение, удалённость);
+ * - `require = { hot, cold, min_load }` — между потоками должен быть теплообмен
+ *   суммарной нагрузкой не меньше `min_load` (МВт), например на существующем оборудовании.
+ *
+ * Индексы потоков 0-based. Ограничения касаются только ячеек теплообмена;
+ * нагреватели и холодильники ими не затрагиваются.
+ */
+
+/**
+ * @typedef {object} RequiredMatch
+ * @property {number} constraint индекс ограничения в `state.constraint` (0-based)
+ * @property {number} hot
+ * @property {number} cold
+ * @property {number} min_load минимальная суммарная нагрузка пары, МВт
+ */
+
+/**
+ * Ограничения состояния (пустой список, если их нет).
+ *
+ * @param {any} state
+ * @returns {any[]}
+ */
+const constraintsOf = (state) =>
+  Array.isArray(state?.constraint) ? state.constraint : [];
+
+/**
+ * `forbiddenMatches(state)` → функция `(hot, cold)`, возвращающая индекс ограничения,
+ * которое запрещает сочетание потоков, или null, если сочетание допустимо.
+ *
+ * @param {any} state Каноническое состояние ({ constraint })
+ * @returns {(hot: number, cold: number) => number|null}
+ */
+export const forbiddenMatches = (state) => {
+  /** @type {Map<string, number>} */
+  const pairs = new Map();
+  constraintsOf(state).forEach((c, k) => {
+    const key = c && c.forbid ? `${c.forbid.hot}:${c.forbid.cold}` : null;
+    if (key !== null && !pairs.has(key)) pairs.set(key, k);
+  });
+  return (hot, cold) => pairs.get(`${hot}:${cold}`) ?? null;
+};
+
+/**
+ * `requiredMatches(state)` → обязательные пары в порядке ограничений.
+ *
+ * @param {any} state Каноническое состояние ({ constraint })
+ * @returns {RequiredMatch[]}
+ */
+export const requiredMatches = (state) =>
+  constraintsOf(state).flatMap((c, k) =>
+    c && c.require
+      ? [
+          {
+            constraint: k,
+            hot: c.require.hot,
+            cold: c.require.cold,
+            min_load: c.require.min_load,
+          },
+        ]
+      : [],
+  );
@@ -0,0 +1,157 @@
+import {
+  annotateExchangerTemperatures,
+  hasExchangerTemperatures,
+} from "./exchanger_temps.js";
+import { utilityCosts } from "./utilities.js";
+
+/**
+ * Экономическая оценка решения: площади аппаратов и полные приведённые годовые затраты (TAC).
+ *
+ * Параметры — секция `[economics]` (см. `normalizeEconomics` в `model/state.js`):
+ * - коэффициент теплопередачи аппарата: `1/U = 1/h_гор + 1/h_хол` (кВт/(м²·К)); `h` стороны берётся
+ *   у потока или утилиты, а если не задан — `economics.h`;
+ * - площадь: `A = Q / (U · LMTD)` (Q в кВт), LMTD — среднелогарифмический напор противотока;
+ * - капитальные затраты за год: `annual_factor · Σ (fixed_cost + area_coef · A^area_exp)`;
+ * - эксплуатационные затраты за год: стоимость утилит (см. `utilityCosts` в `model/utilities.js`);
+ * - TAC = капитальные + эксплуатационные.
+ *
+ * Температуры аппаратов берутся из полей `hot_in`/`hot_out`/`cold_in`/`cold_out`, а если их нет —
+ * восстанавливаются по последовательности аппаратов на потоках (см. `model/exchanger_temps.js`).
+ * Для нагревателя/холодильника вторая сторона — назначенная утилита (температуры подачи/возврата);
+ * без утилиты напор на обоих концах принимается равным ΔT утилит (`def_dt`).
+ *
+ * Важно: аппарат с неположительным напором на одном из концов физически нереализуем:
+ * его LMTD и площадь не определены (null), в капитальные затраты он не входит,
+ * а в `area_undefined` записывается нарушение с наименьшим напором аппарата.
+ */
+
+/** @param {any} v */
+const isIndex = (v) => v !== null && v !== undefined;
+
+/**
+ * @typedef {object} ExchangerArea
+ * @property {number|null} lmtd_K среднелогарифмический температурный напор (K) или null
+ * @property {number} u_kW коэффициент теплопередачи, кВт/(м²·К)
+ * @property {number|null} area_m2 площадь (м²) или null
+ */
+
+/**
+ * @typedef {object} AreaViolation
+ * @property {number} exchanger индекс аппарата в `state.exchanger` (0-based)
+ * @property {number} approach_K наименьший напор на концах аппарата (K), не больше нуля
+ */
+
+/**
+ * @typedef {object} AnnualCost
+ * @property {(ExchangerArea|null)[]} exchangers по аппаратам (null — некорректная запись)
+ * @property {number} total_area_m2 суммарная площадь аппаратов с определённой площадью
+ * @property {number} capital_cost капитальные затраты за год, у.е./год
+ * @property {number} operating_cost эксплуатационные затраты (утилиты), у.е./год
+ * @property {number} total_annual_cost TAC, у.е./год
+ * @property {AreaViolation[]} area_undefined аппараты с неопределённой площадью
+ * @property {number} area_undefined_count их число
+ */
+
+/**
+ * Среднелогарифмический температурный напор; null, если напор на одном из концов не положителен.
+ *
+ * @param {number} dt1
+ * @param {number} dt2
+ * @returns {number|null}
+ */
+export const lmtd = (dt1, dt2) => {
+  if (!(dt1 > 0) || !(dt2 > 0)) return null;
+  // Почему: при равных напорах формула даёт 0/0.
+  if (Math.abs(dt1 - dt2) < 1e-9 * Math.max(dt1, dt2)) return (dt1 + dt2) / 2;
+  return (dt1 - dt2) / Math.log(dt1 / dt2);
+};
+
+/**
+ * Напоры на концах аппарата (противоток): [горячий вход − холодный выход, горячий выход − холодный вход].
+ *
+ * @param {any} ex аппарат с температурами
+ * @param {any|null} u утилита аппарата (для нагревателя/холодильника) или null
+ * @param {number} defDt ΔT утилит
+ * @returns {[number, number]}
+ */
+const endApproaches = (ex, u, defDt) => {
+  const hasH = isIndex(ex.hot);
+  const hasC = isIndex(ex.cold);
+
+  if (hasH && hasC) return [ex.hot_in - ex.cold_out, ex.hot_out - ex.cold_in];
+  if (!u) return [defDt, defDt];
+
+  const uIn = Number(u.in);
+  const uOut = isIndex(u.out) ? Number(u.out) : uIn;
+
+  // Нагреватель: утилита — горячая сторона; холодильник — холодная.
+  if (hasC) return [uIn - ex.cold_out, uOut - ex.cold_in];
+  return [ex.hot_in - uOut, ex.hot_out - uIn];
+};
+
+/**
+ * `computeAnnualCost(state)` → площади аппаратов и годовые затраты.
+ * Возвращает null, если в состоянии нет `[economics]`.
+ *
+ * @param {any} state Каноническое состояние ({ multiheat, hot, cold, utility, economics, exchanger })
+ * @returns {AnnualCost|null}
+ */
+export const computeAnnualCost = (state) => {
+  const econ = state?.economics;
+  if (!econ || typeof econ !== "object") return null;
+
+  const hot = Array.isArray(state?.hot) ? state.hot : [];
+  const cold = Array.isArray(state?.cold) ? state.cold : [];
+  const utilities = Array.isArray(state?.utility) ? state.utility : [];
+  const exch = Array.isArray(state?.exchanger) ? state.exchanger : [];
+
+  const defDt = Number.isFinite(state?.multiheat?.def_dt)
+    ? Number(state.multiheat.def_dt)
+    : 30;
+  const hDefault = Number(econ.h) > 0 ? Number(econ.h) : 1;
+  const filmOf = (obj) => (Number(obj?.h) > 0 ? Number(obj.h) : hDefault);
+
+  const derived = annotateExchangerTemperatures(state, exch);
+
+  let totalArea = 0;
+  let capital = 0;
+  /** @type {AreaViolation[]} */
+  const areaUndefined = [];
+
+  const exchangers = exch.map((ex, k) => {
+    if (!ex || (!isIndex(ex.hot) && !isIndex(ex.cold))) return null;
+
+    const t = hasExchangerTemperatures(ex) ? ex : derived[k];
+    const u = Number.isInteger(ex.utility) ? utilities[ex.utility] : null;
+
+    const hHot = isIndex(ex.hot) ? filmOf(hot[ex.hot]) : filmOf(u);
+    const hCold = isIndex(ex.cold) ? filmOf(cold[ex.cold]) : filmOf(u);
+    const uKW = 1 / (1 / hHot + 1 / hCold);
+
+    const [dt1, dt2] = endApproaches(t, u, defDt);
+    const lm = lmtd(dt1, dt2);
+    if (lm === null) {
+      areaUndefined.push({ exchanger: k, approach_K: Math.min(dt1, dt2) });
+      return { lmtd_K: null, u_kW: uKW, area_m2: null };
+    }
+
+    const area = (Math.max(0, Number(ex.load) || 0) * 1000) / (uKW * lm);
+    totalArea += area;
+    capital += econ.fixed_cost + econ.area_coef * area ** econ.area_exp;
+
+    return { lmtd_K: lm, u_kW: uKW, area_m2: area };
+  });
+
+  const capitalCost = capital * econ.annual_factor;
+  const operatingCost = utilityCosts(state).cost.reduce((a, c) => a + c, 0);
+
+  return {
+    exchangers,
+    total_area_m2: totalArea,
+    capital_cost: capitalCost,
+    operating_cost: operatingCost,
+    total_annual_cost: capitalCost + operatingCost,
+    area_undefined: areaUndefined,
+    area_undefined_count: areaUndefined.length,
+  };
+};
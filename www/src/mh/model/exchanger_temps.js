@@ -0,0 +1,349 @@
+/**
+ * Температуры на входе/выходе аппаратов и их порядок на потоках.
+ *
+ * Каноническая запись аппарата `{ hot, cold, load }` может дополняться необязательными полями:
+ * - `hot_seq`, `cold_seq` — позиция аппарата в последовательности аппаратов потока (0-based);
+ * - `hot_in`, `hot_out` — температуры горячего потока на входе/выходе аппарата (K);
+ * - `cold_in`, `cold_out` — температуры холодного потока на входе/выходе аппарата (K);
+ * - `hot_branch`, `hot_split`, `cold_branch`, `cold_split` — номер параллельной ветви (0-based)
+ *   и доля расхода потока в этой ветви (0 < split <= 1).
+ *
+ * Поля стороны присутствуют только если сторона задана (у холодильника нет `cold_*`, у нагревателя — `hot_*`).
+ *
+ * Температуры однозначно определяются порядком аппаратов на потоке и их нагрузками:
+ * горячий поток охлаждается от `in`, холодный нагревается от `in`, изотермический остаётся при `in`.
+ *
+ * Разветвление потока: подряд идущие (в порядке потока) аппараты с `<side>_branch` образуют
+ * один участок разветвления. На участке поток делится на ветви: аппараты одной ветви стоят
+ * последовательно, разные ветви — параллельно, от общей температуры на входе участка;
+ * в ветви теплоёмкость потока умножается на долю `<side>_split`. После участка ветви смешиваются.
+ * Сумма долей разных ветвей участка равна 1.
+ *
+ * В порядке потока аппараты участка идут по возрастанию номера ветви; аппарат с меньшим номером ветви,
+ * чем у предыдущего, начинает следующий участок. Так два участка подряд без аппарата основной линии
+ * между ними остаются разными участками.
+ */
+
+/**
+ * @typedef {{hot:number|null, cold:number|null, load:number}} Exchanger
+ */
+
+/**
+ * @typedef {Exchanger & {
+ *   hot_seq?: number, hot_in?: number, hot_out?: number,
+ *   hot_branch?: number, hot_split?: number,
+ *   cold_seq?: number, cold_in?: number, cold_out?: number,
+ *   cold_branch?: number, cold_split?: number,
+ * }} ExchangerWithTemps
+ */
+
+/**
+ * @typedef {object} SplitSection
+ * @property {"hot"|"cold"} side
+ * @property {number} stream индекс потока (0-based)
+ * @property {{ branch: number, split: number, exchangers: number[] }[]} branches
+ *   ветви по возрастанию номера; `exchangers` — индексы аппаратов ветви в порядке потока
+ */
+
+/** Допуск суммы долей ветвей (в TOML/CSV доли записываются с 6 знаками после запятой) */
+const SPLIT_EPS = 1e-4;
+
+/** @param {any} v */
+const isIndex = (v) => v !== null && v !== undefined;
+
+/**
+ * @param {any} ex
+ * @param {"hot"|"cold"} side
+ */
+const isBranched = (ex, side) => Number.isInteger(ex?.[`${side}_branch`]);
+
+/**
+ * Свойства потока, нужные для пересчёта температур.
+ *
+ * @param {any} s
+ * @returns {{ isothermal: boolean, inT: number, rate: number }}
+ */
+const streamProps = (s) => {
+  const inT = Number(s?.in);
+  const hasOut = s && s.out !== undefined && s.out !== null;
+  const outT = hasOut ? Number(s.out) : inT;
+
+  if (!hasOut || outT === inT) return { isothermal: true, inT, rate: 0 };
+
+  const dt = Math.abs(outT - inT);
+  if (s.rate !== undefined && s.rate !== null)
+    return { isothermal: false, inT, rate: Math.max(0, Number(s.rate) || 0) };
+
+  return {
+    isothermal: false,
+    inT,
+    rate: Math.max(0, Number(s.load) || 0) / dt,
+  };
+};
+
+/**
+ * Порядок аппаратов на одном потоке.
+ *
+ * Если у всех аппаратов потока задана позиция (`<side>_seq`) — сортируем по ней.
+ * Иначе берём порядок списка, а утилиты ставим в конец потока
+ * (холодильник — на холодном конце горячего потока, нагреватель — на горячем конце холодного).
+ *
+ * @param {any[]} exchangers
+ * @param {number[]} ks индексы аппаратов этого потока в `exchangers`
+ * @param {"hot"|"cold"} side
+ * @returns {number[]}
+ */
+const orderOnStream = (exchangers, ks, side) => {
+  const seqKey = `${side}_seq`;
+  const allSeq = ks.every((k) => Number.isInteger(exchangers[k][seqKey]));
+
+  if (allSeq)
+    return ks
+      .slice()
+      .sort((a, b) => exchangers[a][seqKey] - exchangers[b][seqKey] || a - b);
+
+  const other = side === "hot" ? "cold" : "hot";
+  const cells = ks.filter((k) => isIndex(exchangers[k][other]));
+  const utils = ks.filter((k) => !isIndex(exchangers[k][other]));
+  return [...cells, ...utils];
+};
+
+/**
+ * Индексы аппаратов по потокам стороны.
+ *
+ * @param {any[]} exchangers
+ * @param {"hot"|"cold"} side
+ * @param {number} streamCount
+ * @returns {number[][]}
+ */
+const exchangersByStream = (exchangers, side, streamCount) => {
+  /** @type {number[][]} */
+  const byStream = Array.from({ length: streamCount }, () => []);
+
+  for (let k = 0; k < exchangers.length; k++) {
+    const ex = exchangers[k];
+    if (!ex || !isIndex(ex[side])) continue;
+    const i = Number(ex[side]);
+    if (byStream[i]) byStream[i].push(k);
+  }
+
+  return byStream;
+};
+
+/**
+ * Разбить порядок аппаратов потока на основную линию и участки разветвления.
+ *
+ * @param {any[]} exchangers
+ * @param {number[]} order
+ * @param {"hot"|"cold"} side
+ * @returns {({ kind: "single", k: number } | { kind: "split", ks: number[] })[]}
+ */
+const stagesOnStream = (exchangers, order, side) => {
+  const branchKey = `${side}_branch`;
+  const stages = [];
+  for (const k of order) {
+    const last = stages[stages.length - 1];
+    if (!isBranched(exchangers[k], side)) stages.push({ kind: "single", k });
+    else if (
+      last &&
+      last.kind === "split" &&
+      exchangers[k][branchKey] >=
+        exchangers[last.ks[last.ks.length - 1]][branchKey]
+    )
+      last.ks.push(k);
+    else stages.push({ kind: "split", ks: [k] });
+  }
+  return stages;
+};
+
+/**
+ * Сгруппировать аппараты участка по ветвям (по возрастанию номера ветви).
+ *
+ * @param {any[]} exchangers
+ * @param {number[]} ks
+ * @param {"hot"|"cold"} side
+ */
+const branchesOf = (exchangers, ks, side) => {
+  /** @type {Map<number, number[]>} */
+  const byBranch = new Map();
+  for (const k of ks) {
+    const b = exchangers[k][`${side}_branch`];
+    if (!byBranch.has(b)) byBranch.set(b, []);
+    byBranch.get(b).push(k);
+  }
+  return [...byBranch.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([branch, members]) => ({
+      branch,
+      split: Number(exchangers[members[0]][`${side}_split`]),
+      exchangers: members,
+    }));
+};
+
+/**
+ * `splitSections(state, exchangers)` → участки разветвления на всех потоках.
+ *
+ * @param {any} state Каноническое состояние ({ hot, cold })
+ * @param {any[]} [exchangers] Список аппаратов (по умолчанию `state.exchanger`)
+ * @returns {SplitSection[]}
+ */
+export const splitSections = (state, exchangers) => {
+  const exch = Array.isArray(exchangers)
+    ? exchangers
+    : Array.isArray(state?.exchanger)
+      ? state.exchanger
+      : [];
+
+  /** @type {SplitSection[]} */
+  const out = [];
+
+  for (const side of ["hot", "cold"]) {
+    const streams = Array.isArray(state?.[side]) ? state[side] : [];
+    const byStream = exchangersByStream(exch, side, streams.length);
+
+    for (let i = 0; i < streams.length; i++) {
+      const order = orderOnStream(exch, byStream[i], side);
+      for (const stage of stagesOnStream(exch, order, side)) {
+        if (stage.kind !== "split") continue;
+        out.push({
+          side,
+          stream: i,
+          branches: branchesOf(exch, stage.ks, side),
+        });
+      }
+    }
+  }
+
+  return out;
+};
+
+/**
+ * `checkStreamSplits(state)` — проверить согласованность разветвлений потоков.
+ * Выбрасывает исключение, если доли ветви различаются или сумма долей участка не равна 1.
+ *
+ * @param {any} state Каноническое состояние ({ hot, cold, exchanger })
+ */
+export const checkStreamSplits = (state) => {
+  const exch = Array.isArray(state?.exchanger) ? state.exchanger : [];
+
+  for (const sec of splitSections(state)) {
+    const name = `${sec.side === "hot" ? "H" : "C"}${sec.stream + 1}`;
+
+    for (const b of sec.branches) {
+      const same = b.exchangers.every(
+        (k) => Math.abs(exch[k][`${sec.side}_split`] - b.split) <= SPLIT_EPS,
+      );
+      if (!same)
+        throw new Error(
+          `Доли потока ${name} в ветви ${b.branch + 1} различаются.`,
+        );
+    }
+
+    const sum = sec.branches.reduce((a, b) => a + b.split, 0);
+    if (Math.abs(sum - 1) > SPLIT_EPS)
+      throw new Error(
+        `Сумма долей ветвей потока ${name} равна ${sum} (ожидается 1).`,
+      );
+  }
+};
+
+/**
+ * `annotateExchangerTemperatures(state, exchangers)` → копия списка аппаратов
+ * с позициями на потоках и температурами на входе/выходе.
+ *
+ * Аппараты со ссылками на несуществующие потоки копируются без изменений.
+ *
+ * @param {any} state Каноническое состояние ({ hot, cold })
+ * @param {any[]} [exchangers] Список аппаратов (по умолчанию `state.exchanger`)
+ * @returns {ExchangerWithTemps[]}
+ */
+export const annotateExchangerTemperatures = (state, exchangers) => {
+  const hot = Array.isArray(state?.hot) ? state.hot : [];
+  const cold = Array.isArray(state?.cold) ? state.cold : [];
+  const exch = Array.isArray(exchangers)
+    ? exchangers
+    : Array.isArray(state?.exchanger)
+      ? state.exchanger
+      : [];
+
+  /** @type {ExchangerWithTemps[]} */
+  const out = exch.map((ex) => ({ ...ex }));
+
+  for (const [side, streams] of [
+    ["hot", hot],
+    ["cold", cold],
+  ]) {
+    const byStream = exchangersByStream(exch, side, streams.length);
+    const sign = side === "hot" ? -1 : +1;
+
+    for (let i = 0; i < streams.length; i++) {
+      const p = streamProps(streams[i]);
+
+      /**
+       * Температура после аппарата с нагрузкой `q` при доле расхода `share`.
+       * @param {number} t
+       * @param {number} q
+       * @param {number} share
+       */
+      const step = (t, q, share) =>
+        p.isothermal || !(p.rate * share > 0)
+          ? t
+          : t + (sign * q) / (p.rate * share);
+
+      const loadOf = (k) => Math.max(0, Number(exch[k].load) || 0);
+
+      const order = orderOnStream(exch, byStream[i], side);
+      order.forEach((k, pos) => {
+        out[k][`${side}_seq`] = pos;
+      });
+
+      let t = p.inT;
+
+      for (const stage of stagesOnStream(exch, order, side)) {
+        if (stage.kind === "single") {
+          const tNext = step(t, loadOf(stage.k), 1);
+          out[stage.k][`${side}_in`] = t;
+          out[stage.k][`${side}_out`] = tNext;
+          t = tNext;
+          continue;
+        }
+
+        // Участок разветвления: ветви параллельно от общей температуры, затем смешение.
+        // Доли нормируются на их сумму, чтобы округление при записи не сдвигало температуры.
+        const branches = branchesOf(exch, stage.ks, side);
+        const splitSum = branches.reduce((a, b) => a + b.split, 0);
+        for (const b of branches) {
+          let tb = t;
+          for (const k of b.exchangers) {
+            const tNext = step(tb, loadOf(k), b.split / splitSum);
+            out[k][`${side}_in`] = tb;
+            out[k][`${side}_out`] = tNext;
+            tb = tNext;
+          }
+        }
+
+        t = step(
+          t,
+          stage.ks.reduce((a, k) => a + loadOf(k), 0),
+          1,
+        );
+      }
+    }
+  }
+
+  return out;
+};
+
+/**
+ * Заданы ли у аппарата температуры всех присутствующих сторон.
+ *
+ * @param {any} ex
+ * @returns {boolean}
+ */
+export const hasExchangerTemperatures = (ex) => {
+  if (!ex || typeof ex !== "object") return false;
+  const sideOk = (side) =>
+    !isIndex(ex[side]) ||
+    (Number.isFinite(ex[`${side}_in`]) && Number.isFinite(ex[`${side}_out`]));
+  return sideOk("hot") && sideOk("cold");
+};
@@ -0,0 +1,81 @@
+/**
+ * Выделение элемента системы (поток или аппарат) — общее для схемы сети и вкладки «Таблица».
+ *
+ * Элемент задаётся индексами в каноническом состоянии, поэтому после замены состояния
+ * выделение может указывать на несуществующий элемент: такой элемент считается невыделенным
+ * (см. `itemExists`).
+ */
+
+/**
+ * @typedef {{ type: "stream", side: "hot"|"cold", index: number } | { type: "exchanger", index: number }} SelectionItem
+ */
+
+/**
+ * Ключ потока в наборах связанных элементов: `"hot:0"`, `"cold:2"`.
+ * @param {"hot"|"cold"} side
+ * @param {number} index
+ */
+export const streamKey = (side, index) => `${side}:${index}`;
+
+/**
+ * Совпадают ли элементы.
+ * @param {SelectionItem|null} a
+ * @param {SelectionItem|null} b
+ */
+export const sameItem = (a, b) => {
+  if (!a || !b) return a === b;
+  if (a.type !== b.type || a.index !== b.index) return false;
+  return a.type !== "stream" || a.side === /** @type {any} */ (b).side;
+};
+
+/**
+ * Есть ли элемент в состоянии.
+ * @param {any} state
+ * @param {SelectionItem|null} item
+ */
+export const itemExists = (state, item) => {
+  if (!item || !Number.isInteger(item.index) || item.index < 0) return false;
+  const list =
+    item.type === "exchanger"
+      ? state?.exchanger
+      : item.side === "hot"
+        ? state?.hot
+        : item.side === "cold"
+          ? state?.cold
+          : null;
+  return Array.isArray(list) && item.index < list.length;
+};
+
+/**
+ * `relatedItems(state, item)` → элементы, связанные с выделенным:
+ * для потока — сам поток и все аппараты на нём; для аппарата — сам аппарат и его потоки.
+ *
+ * @param {any} state
+ * @param {SelectionItem|null} item
+ * @returns {{ streams: Set<string>, exchangers: Set<number> }} потоки — ключи `streamKey`
+ */
+export const relatedItems = (state, item) => {
+  /** @type {Set<string>} */
+  const streams = new Set();
+  /** @type {Set<number>} */
+  const exchangers = new Set();
+  if (!itemExists(state, item)) return { streams, exchangers };
+
+  const exch = Array.isArray(state.exchanger) ? state.exchanger : [];
+
+  if (item.type === "stream") {
+    streams.add(streamKey(item.side, item.index));
+    exch.forEach((ex, i) => {
+      if (Number(ex?.[item.side]) === item.index && ex[item.side] !== null)
+        exchangers.add(i);
+    });
+  } else {
+    const ex = exch[item.index];
+    exchangers.add(item.index);
+    for (const side of /** @type {const} */ (["hot", "cold"]))
+      if (ex?.[side] !== null && ex?.[side] !== undefined)
+        streams.add(streamKey(side, Number(ex[side])));
+  }
+
+  return { streams, exchangers };
+};
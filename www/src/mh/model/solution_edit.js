@@ -0,0 +1,239 @@
+import { normalizeExchanger } from "./state.js";
+import {
+  annotateExchangerTemperatures,
+  checkStreamSplits,
+} from "./exchanger_temps.js";
+import { computeSolutionStats, requiredLoadMW } from "./stats.js";
+
+/**
+ * Ручная правка решения (схема сети в режиме «Правка», вкладка «Таблица»): добавление, копирование,
+ * перемещение, изменение потоков и нагрузки, удаление аппаратов.
+ *
+ * Каждая операция возвращает новое состояние (исходное не изменяется):
+ * - аппараты проходят `normalizeExchanger` и проверку ссылок на потоки и разветвлений;
+ * - позиции на потоках и температуры пересчитываются по порядку списка аппаратов — он же порядок на схеме
+ *   (утилиты — в конце потока); позиции `*_seq` из файла при этом не сохраняются;
+ * - `[stats]` пересчитывается с алгоритмом `manual` («Ручная правка»).
+ *
+ * Ошибки — исключения с текстом для пользователя.
+ */
+
+/** Значение `algorithm_used` в `[stats]` после ручной правки. */
+export const MANUAL_ALGORITHM = "manual";
+
+/** Производные поля аппарата: пересчитываются после каждой правки. */
+const DERIVED_KEYS = [
+  "hot_seq",
+  "hot_in",
+  "hot_out",
+  "cold_seq",
+  "cold_in",
+  "cold_out",
+];
+
+/**
+ * Аппарат без производных полей.
+ * @param {any} ex
+ */
+const stripDerived = (ex) => {
+  const out = { ...ex };
+  for (const key of DERIVED_KEYS) delete out[key];
+  return out;
+};
+
+/**
+ * Новое состояние с заданным списком аппаратов (проверка, температуры, статистика).
+ *
+ * @param {any} state
+ * @param {any[]} exchangers
+ */
+const withExchangers = (state, exchangers) => {
+  const normalized = exchangers.map((ex, k) => {
+    let n;
+    try {
+      n = normalizeExchanger(stripDerived(ex));
+    } catch (e) {
+      throw new Error(
+        `Аппарат E${k + 1}: ${e instanceof Error ? e.message : String(e)}`,
+        { cause: e },
+      );
+    }
+    if (n.hot !== null && (n.hot < 0 || n.hot >= state.hot.length))
+      throw new Error(`Аппарат E${k + 1}: нет горячего потока H${n.hot + 1}.`);
+    if (n.cold !== null && (n.cold < 0 || n.cold >= state.cold.length))
+      throw new Error(
+        `Аппарат E${k + 1}: нет холодного потока C${n.cold + 1}.`,
+      );
+    return n;
+  });
+  checkStreamSplits({
+    hot: state.hot,
+    cold: state.cold,
+    exchanger: normalized,
+  });
+
+  const next = {
+    ...state,
+    exchanger: annotateExchangerTemperatures(state, normalized),
+  };
+  return {
+    ...next,
+    stats: computeSolutionStats(next, {
+      algorithm_used: MANUAL_ALGORITHM,
+      algorithm_label: "Ручная правка",
+    }),
+  };
+};
+
+/**
+ * @param {any} state
+ * @param {number} index
+ */
+const checkIndex = (state, index) => {
+  if (!Number.isInteger(index) || index < 0 || index >= state.exchanger.length)
+    throw new Error(`Аппарат E${index + 1} не найден.`);
+};
+
+/**
+ * `residualLoadMW(state, side, index)` → нагрузка потока, не покрытая аппаратами, МВт (не меньше 0).
+ *
+ * @param {any} state
+ * @param {"hot"|"cold"} side
+ * @param {number} index
+ */
+export const residualLoadMW = (state, side, index) => {
+  let covered = 0;
+  for (const ex of state.exchanger ?? [])
+    if (ex?.[side] !== null && Number(ex?.[side]) === index)
+      covered += Number(ex.load) || 0;
+  return Math.max(0, requiredLoadMW(state[side][index]) - covered);
+};
+
+/**
+ * `addExchanger(state, ex)` → состояние с новым аппаратом в конце списка.
+ * Ячейка — `{ hot, cold, load }`, холодильник — `{ hot, cold: null, load }`, нагреватель — `{ hot: null, cold, load }`.
+ *
+ * @param {any} state
+ * @param {{ hot: number|null, cold: number|null, load: number }} ex
+ */
+export const addExchanger = (state, ex) =>
+  withExchangers(state, [...state.exchanger, ex]);
+
+/**
+ * `setExchangerLoad(state, index, load)` → состояние с новой нагрузкой аппарата (МВт).
+ *
+ * @param {any} state
+ * @param {number} index
+ * @param {number} load
+ */
+export const setExchangerLoad = (state, index, load) => {
+  checkIndex(state, index);
+  return withExchangers(
+    state,
+    state.exchanger.map((ex, k) => (k === index ? { ...ex, load } : ex)),
+  );
+};
+
+/**
+ * `setExchangerStreams(state, index, hot, cold)` → состояние, где аппарат соединяет другие потоки
+ * (null — нет стороны: ячейка становится нагревателем или холодильником).
+ * Ветвь изменённой стороны сбрасывается, утилита — если аппарат сменил вид.
+ *
+ * @param {any} state
+ * @param {number} index
+ * @param {number|null} hot
+ * @param {number|null} cold
+ */
+export const setExchangerStreams = (state, index, hot, cold) => {
+  checkIndex(state, index);
+  const ex = state.exchanger[index];
+  const next = { ...ex, hot, cold };
+  for (const side of /** @type {const} */ (["hot", "cold"])) {
+    if (next[side] === ex[side]) continue;
+    delete next[`${side}_branch`];
+    delete next[`${side}_split`];
+  }
+  if (
+    (ex.hot === null) !== (hot === null) ||
+    (ex.cold === null) !== (cold === null)
+  )
+    delete next.utility;
+  return withExchangers(
+    state,
+    state.exchanger.map((x, k) => (k === index ? next : x)),
+  );
+};
+
+/**
+ * `duplicateExchanger(state, index)` → состояние с копией аппарата сразу после него.
+ *
+ * @param {any} state
+ * @param {number} index
+ */
+export const duplicateExchanger = (state, index) => {
+  checkIndex(state, index);
+  const list = [...state.exchanger];
+  list.splice(index + 1, 0, state.exchanger[index]);
+  return withExchangers(state, list);
+};
+
+/**
+ * `removeExchanger(state, index)` → состояние без аппарата.
+ *
+ * @param {any} state
+ * @param {number} index
+ */
+export const removeExchanger = (state, index) => {
+  checkIndex(state, index);
+  return withExchangers(
+    state,
+    state.exchanger.filter((_, k) => k !== index),
+  );
+};
+
+/**
+ * `moveExchanger(state, index, toIndex)` → состояние, где аппарат стоит на позиции `toIndex` списка
+ * (и, значит, на схеме и в порядке на своих потоках).
+ *
+ * @param {any} state
+ * @param {number} index
+ * @param {number} toIndex
+ */
+export const moveExchanger = (state, index, toIndex) => {
+  checkIndex(state, index);
+  const list = state.exchanger.filter((_, k) => k !== index);
+  const pos = Math.max(0, Math.min(list.length, toIndex));
+  list.splice(pos, 0, state.exchanger[index]);
+  return withExchangers(state, list);
+};
+
+/**
+ * `moveUtilityToStream(state, index, stream)` → состояние, где нагреватель или холодильник
+ * перенесён на другой поток той же стороны (ветвь потока при этом сбрасывается).
+ *
+ * @param {any} state
+ * @param {number} index
+ * @param {number} stream индекс потока (0-based)
+ */
+export const moveUtilityToStream = (state, index, stream) => {
+  checkIndex(state, index);
+  const ex = state.exchanger[index];
+  const side =
+    ex.cold === null || ex.cold === undefined
+      ? "hot"
+      : ex.hot === null || ex.hot === undefined
+        ? "cold"
+        : null;
+  if (!side)
+    throw new Error(
+      `Аппарат E${index + 1} — ячейка теплообмена, а не нагреватель или холодильник.`,
+    );
+
+  const moved = { ...ex, [side]: stream };
+  delete moved[`${side}_branch`];
+  delete moved[`${side}_split`];
+  return withExchangers(
+    state,
+    state.exchanger.map((x, k) => (k === index ? moved : x)),
+  );
+};
@@ -6,35 +6,98 @@ import {
   parseNumber,
 } from "../util/number.js";
 
-import * as multiheatModule from "../../../zig/multiheat_entry.zig";
 import {
-  getBuildVersions,
+  buildVersions,
   checkConfigVersionCompatibility,
 } from "../build_versions.js";
+import { checkStreamSplits } from "./exchanger_temps.js";
+import { forbiddenMatches, requiredMatches } from "./constraints.js";
+import { MAX_SEED } from "../util/random.js";
+import { isLoadUnit, isTempUnit, rateFromMassFlow } from "./units.js";
 
-// Единый источник правды по версиям: build.zig -> build_options -> Zig/WASM exports.
-const BUILD_VERSIONS = getBuildVersions(multiheatModule);
+// Версии сборки задаёт точка входа (см. `setBuildVersions`): модель не импортирует Zig/WASM.
 
 // --- Каноническое состояние (семантика, близкая к конфигурационному TOML) ---
 
+/** ΔTmin по умолчанию (K), как `HeatSystem.min_dt` в Zig */
+export const DEFAULT_MIN_DT = 20;
+
+/** ΔT утилит по умолчанию (K), как `HeatSystem.def_dt` в Zig */
+export const DEFAULT_DEF_DT = 30;
+
+/** Верхняя граница ΔT: в Zig поля `min_dt`/`def_dt` имеют тип u16 */
+const MAX_DT = 65535;
+
+/** Коэффициент теплоотдачи по умолчанию, кВт/(м²·К) (секция `[economics]`) */
+export const DEFAULT_FILM_COEFFICIENT = 1;
+
 /**
  * `defaultState()` → пустое каноническое состояние системы.
- * @returns {{ multiheat: { version: string, temp_unit: string }, hot: any[], cold: any[], exchanger: any[], stats: any|null }}
+ * @returns {{ multiheat: { version: string, temp_unit: string, load_unit: string, min_dt: number, def_dt: number }, hot: any[], cold: any[], utility: any[], economics: any|null, constraint: any[], generator: any|null, exchanger: any[], stats: any|null }}
  */
 export const defaultState = () => ({
-  multiheat: { version: BUILD_VERSIONS.multiheat_version, temp_unit: "K" },
+  multiheat: {
+    version: buildVersions().multiheat_version,
+    temp_unit: "K",
+    load_unit: "MW",
+    min_dt: DEFAULT_MIN_DT,
+    def_dt: DEFAULT_DEF_DT,
+  },
   hot: [],
   cold: [],
+  utility: [],
+  economics: null,
+  constraint: [],
+  generator: null,
   exchanger: [],
   stats: null,
 });
 
 /**
- * `normalizeStream(s)` → каноническая запись потока.
+ * Разобрать необязательный коэффициент теплоотдачи (кВт/(м²·К), > 0).
+ *
+ * @param {any} v
+ * @param {string} fieldName
+ * @returns {number|null}
+ */
+const parseFilmCoefficient = (v, fieldName) => {
+  const h = v === undefined ? null : parseNumber(v, fieldName);
+  if (h !== null && !isFinitePositive(h))
+    throw new Error(`Некорректное значение ${fieldName}.`);
+  return h;
+};
+
+/** Допустимое относительное расхождение `rate` и `mass_flow · cp` (погрешность пересчёта единиц). */
+const RATE_TOLERANCE = 1e-9;
+
+/**
+ * Расход и теплоёмкость потока: оба поля или ни одного; null — не заданы.
  * @param {any} s
- * @returns {{ in: number, load: number } | { in: number, out: number, rate: number } | { in: number, out: number, load: number }}
+ * @returns {{ mass_flow: number, cp: number } | null}
  */
-export const normalizeStream = (s) => {
+const parseMassFlow = (s) => {
+  const hasFlow = s.mass_flow !== undefined;
+  const hasCp = s.cp !== undefined;
+  if (!hasFlow && !hasCp) return null;
+  if (hasFlow !== hasCp)
+    throw new Error("Поля mass_flow и cp задаются вместе.");
+
+  const massFlow = parseNumber(s.mass_flow, "mass_flow");
+  if (!isFinitePositive(massFlow))
+    throw new Error("Некорректное значение mass_flow.");
+  const cp = parseNumber(s.cp, "cp");
+  if (!isFinitePositive(cp)) throw new Error("Некорректное значение cp.");
+  return { mass_flow: massFlow, cp };
+};
+
+/**
+ * Температурный профиль и нагрузка потока (без необязательных полей).
+ *
+ * Расход `mass_flow` (кг/с) и теплоёмкость `cp` (кДж/(кг·К)) сохраняются в записи потока,
+ * а `rate` вычисляется по ним (см. `rateFromMassFlow`); заданный вместе с ними `rate` должен совпадать.
+ * @param {any} s
+ */
+const normalizeStreamProfile = (s) => {
   const inT = parseNumber(s.in, "in");
   if (!isFiniteNonNegative(inT)) throw new Error("Некорректное значение in.");
 
@@ -50,10 +113,16 @@ export const normalizeStream = (s) => {
   if (loadRaw !== null && !isFiniteNonNegative(loadRaw))
     throw new Error("Некорректное значение load.");
 
+  const flow = parseMassFlow(s);
+
   const outIsMissing = outRaw === null;
   const isIso = outIsMissing || outRaw === inT;
 
   if (isIso) {
+    if (flow)
+      throw new Error(
+        "Изотермический поток задаётся нагрузкой load, а не mass_flow и cp.",
+      );
     if (!isFinitePositive(loadRaw))
       throw new Error("Изотермический поток требует положительный load.");
     return { in: inT, load: loadRaw };
@@ -64,18 +133,336 @@ export const normalizeStream = (s) => {
   if (!(dt > 0))
     throw new Error("Некорректная разность температур (out - in).");
 
+  if (flow) {
+    const rate = rateFromMassFlow(flow.mass_flow, flow.cp);
+    if (
+      rateRaw !== null &&
+      !(Math.abs(rateRaw - rate) <= RATE_TOLERANCE * rate)
+    )
+      throw new Error("Значение rate не совпадает с mass_flow · cp.");
+    return { in: inT, out: outT, rate, ...flow };
+  }
   if (isFinitePositive(rateRaw)) return { in: inT, out: outT, rate: rateRaw };
   if (isFinitePositive(loadRaw)) return { in: inT, out: outT, load: loadRaw };
 
   throw new Error(
-    "Необходимо указать rate или load для неизотермического потока.",
+    "Необходимо указать rate, load или mass_flow и cp для неизотермического потока.",
   );
 };
 
+/**
+ * `normalizeStream(s)` → каноническая запись потока.
+ *
+ * Необязательное поле `h` — коэффициент теплоотдачи потока, кВт/(м²·К) (см. `model/economics.js`).
+ * @param {any} s
+ * @returns {({ in: number, load: number } | { in: number, out: number, rate: number, mass_flow?: number, cp?: number } | { in: number, out: number, load: number }) & { h?: number }}
+ */
+export const normalizeStream = (s) => {
+  const h = parseFilmCoefficient(s.h, "h");
+  const base = normalizeStreamProfile(s);
+  return h === null ? base : { ...base, h };
+};
+
+/**
+ * `normalizeUtility(u)` → каноническая запись утилиты (см. `model/utilities.js`).
+ *
+ * Греющая утилита (`kind = "hot"`) остывает или конденсируется (`out <= in`),
+ * охлаждающая (`kind = "cold"`) нагревается или испаряется (`out >= in`).
+ * Без `out` (или при `out == in`) утилита изотермическая.
+ * Необязательное поле `h` — коэффициент теплоотдачи утилиты, кВт/(м²·К).
+ * @param {any} u
+ * @returns {{ name: string, kind: "hot"|"cold", in: number, out?: number, cost: number, h?: number }}
+ */
+export const normalizeUtility = (u) => {
+  const name = typeof u.name === "string" ? u.name.trim() : "";
+  if (!name)
+    throw new Error("Некорректное значение utility.name (пустая строка).");
+
+  const kind = u.kind;
+  if (kind !== "hot" && kind !== "cold")
+    throw new Error(
+      'Некорректное значение utility.kind (ожидается "hot" или "cold").',
+    );
+
+  const inT = parseNumber(u.in, "utility.in");
+  if (!isFiniteNonNegative(inT))
+    throw new Error("Некорректное значение utility.in.");
+
+  const outT = u.out === undefined ? null : parseNumber(u.out, "utility.out");
+  if (outT !== null && !isFiniteNonNegative(outT))
+    throw new Error("Некорректное значение utility.out.");
+  if (outT !== null && (kind === "hot" ? outT > inT : outT < inT))
+    throw new Error(
+      kind === "hot"
+        ? `Греющая утилита «${name}» должна остывать (utility.out <= utility.in).`
+        : `Охлаждающая утилита «${name}» должна нагреваться (utility.out >= utility.in).`,
+    );
+
+  const cost = u.cost === undefined ? 0 : parseNumber(u.cost, "utility.cost");
+  if (!isFiniteNonNegative(cost))
+    throw new Error("Некорректное значение utility.cost.");
+
+  const h = parseFilmCoefficient(u.h, "utility.h");
+
+  /** @type {any} */
+  const out =
+    outT === null || outT === inT
+      ? { name, kind, in: inT, cost }
+      : { name, kind, in: inT, out: outT, cost };
+  if (h !== null) out.h = h;
+  return out;
+};
+
+/**
+ * `normalizeEconomics(e)` → параметры экономической оценки (секция `[economics]`, см. `model/economics.js`).
+ *
+ * Стоимость аппарата: `fixed_cost + area_coef * Area^area_exp` (у.е., площадь в м²),
+ * годовая доля капитальных затрат — `annual_factor` (1/год).
+ * `h` — коэффициент теплоотдачи для потоков и утилит без собственного `h`, кВт/(м²·К).
+ * @param {any} e
+ * @returns {{ fixed_cost: number, area_coef: number, area_exp: number, annual_factor: number, h: number }}
+ */
+export const normalizeEconomics = (e) => {
+  const num = (key, fallback) =>
+    e[key] === undefined ? fallback : parseNumber(e[key], `economics.${key}`);
+
+  const fixedCost = num("fixed_cost", 0);
+  if (!isFiniteNonNegative(fixedCost))
+    throw new Error("Некорректное значение economics.fixed_cost.");
+
+  const areaCoef = num("area_coef", null);
+  if (areaCoef === null)
+    throw new Error("Не задано значение economics.area_coef.");
+  if (!isFiniteNonNegative(areaCoef))
+    throw new Error("Некорректное значение economics.area_coef.");
+
+  const areaExp = num("area_exp", 1);
+  if (!isFinitePositive(areaExp))
+    throw new Error("Некорректное значение economics.area_exp.");
+
+  const annualFactor = num("annual_factor", 1);
+  if (!isFinitePositive(annualFactor))
+    throw new Error("Некорректное значение economics.annual_factor.");
+
+  const h = parseFilmCoefficient(e.h, "economics.h");
+
+  return {
+    fixed_cost: fixedCost,
+    area_coef: areaCoef,
+    area_exp: areaExp,
+    annual_factor: annualFactor,
+    h: h ?? DEFAULT_FILM_COEFFICIENT,
+  };
+};
+
+/**
+ * `normalizeConstraint(c)` → каноническая запись ограничения на сочетание потоков
+ * (см. `model/constraints.js`): `{ forbid: { hot, cold } }` или `{ require: { hot, cold, min_load } }`.
+ * @param {any} c
+ * @returns {{ forbid: { hot: number, cold: number } } | { require: { hot: number, cold: number, min_load: number } }}
+ */
+export const normalizeConstraint = (c) => {
+  const hasForbid = c.forbid !== undefined;
+  if (hasForbid === (c.require !== undefined))
+    throw new Error(
+      "Ограничение должно содержать ровно одно из полей forbid или require.",
+    );
+
+  const key = hasForbid ? "forbid" : "require";
+  const m = c[key];
+  if (!m || typeof m !== "object")
+    throw new Error(`Некорректное значение constraint.${key}.`);
+
+  const index = (side) => {
+    const v =
+      m[side] === undefined
+        ? null
+        : parseNumber(m[side], `constraint.${key}.${side}`);
+    if (v === null)
+      throw new Error(`Не задано значение constraint.${key}.${side}.`);
+    if (!Number.isInteger(v) || v < 0)
+      throw new Error(`Некорректное значение constraint.${key}.${side}.`);
+    return v;
+  };
+
+  const hot = index("hot");
+  const cold = index("cold");
+  if (hasForbid) return { forbid: { hot, cold } };
+
+  const minLoad =
+    m.min_load === undefined
+      ? null
+      : parseNumber(m.min_load, "constraint.require.min_load");
+  if (minLoad === null)
+    throw new Error("Не задано значение constraint.require.min_load.");
+  if (!isFinitePositive(minLoad))
+    throw new Error("Некорректное значение constraint.require.min_load.");
+
+  return { require: { hot, cold, min_load: minLoad } };
+};
+
+/**
+ * Параметры генерации одной стороны (`[generator.hot]` / `[generator.cold]`).
+ * @param {any} p
+ * @param {string} section
+ */
+const normalizeGeneratorSide = (p, section) => {
+  if (!p || typeof p !== "object")
+    throw new Error(`Отсутствует секция [${section}].`);
+
+  const num = (key) => {
+    const v =
+      p[key] === undefined ? null : parseNumber(p[key], `${section}.${key}`);
+    if (v === null) throw new Error(`Не задано значение ${section}.${key}.`);
+    return v;
+  };
+  const dist = (key) => {
+    if (p[key] !== "uniform" && p[key] !== "normal")
+      throw new Error(
+        `Некорректное значение ${section}.${key} (ожидается "uniform" или "normal").`,
+      );
+    return p[key];
+  };
+  const check = (key, ok) => {
+    const v = num(key);
+    if (!ok(v)) throw new Error(`Некорректное значение ${section}.${key}.`);
+    return v;
+  };
+
+  return {
+    count: check("count", (v) => Number.isInteger(v) && v >= 0),
+    // Целое: так его задаёт ползунок панели генератора.
+    iso_share: check(
+      "iso_share",
+      (v) => Number.isInteger(v) && v >= 0 && v <= 100,
+    ),
+    temp_dist: dist("temp_dist"),
+    temp_min: num("temp_min"),
+    temp_max: num("temp_max"),
+    temp_mean: num("temp_mean"),
+    temp_var: check("temp_var", isFiniteNonNegative),
+    load_dist: dist("load_dist"),
+    load_min: check("load_min", isFiniteNonNegative),
+    load_max: check("load_max", isFiniteNonNegative),
+    load_mean: check("load_mean", isFiniteNonNegative),
+    load_var: check("load_var", isFiniteNonNegative),
+  };
+};
+
+/**
+ * Параметры структурированного режима генератора (секция `[generator.structured]`).
+ * @param {any} p
+ */
+const normalizeGeneratorStructured = (p) => {
+  const section = "generator.structured";
+  if (!p || typeof p !== "object")
+    throw new Error(`Отсутствует секция [${section}].`);
+
+  const check = (key, ok) => {
+    const v =
+      p[key] === undefined ? null : parseNumber(p[key], `${section}.${key}`);
+    if (v === null) throw new Error(`Не задано значение ${section}.${key}.`);
+    if (!ok(v)) throw new Error(`Некорректное значение ${section}.${key}.`);
+    return v;
+  };
+
+  return {
+    overlap: check("overlap", (v) => v >= 0 && v <= 100),
+    pinch: check("pinch", (v) => v > 0),
+    load_ratio: check("load_ratio", (v) => v > 0),
+    min_cells: check("min_cells", (v) => Number.isInteger(v) && v >= 1),
+  };
+};
+
+/**
+ * `normalizeGenerator(g)` → зерно и параметры генератора случайных систем (секция `[generator]`,
+ * см. `app/generator.js`). Хранятся вместе с потоками, чтобы систему можно было сгенерировать повторно.
+ *
+ * `mode` по умолчанию "independent"; секция `[generator.structured]` обязательна в режиме "structured"
+ * и в остальных случаях не используется.
+ * @param {any} g
+ * @returns {{ seed: number, mode: "independent"|"structured", hot: any, cold: any, structured: any|null }}
+ */
+export const normalizeGenerator = (g) => {
+  const seed =
+    g.seed === undefined ? null : parseNumber(g.seed, "generator.seed");
+  if (seed === null) throw new Error("Не задано значение generator.seed.");
+  if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED)
+    throw new Error(
+      `Некорректное значение generator.seed (ожидается целое число от 0 до ${MAX_SEED}).`,
+    );
+
+  const mode = g.mode ?? "independent";
+  if (mode !== "independent" && mode !== "structured")
+    throw new Error(
+      'Некорректное значение generator.mode (ожидается "independent" или "structured").',
+    );
+
+  return {
+    seed,
+    mode,
+    hot: normalizeGeneratorSide(g.hot, "generator.hot"),
+    cold: normalizeGeneratorSide(g.cold, "generator.cold"),
+    structured:
+      mode === "structured" ? normalizeGeneratorStructured(g.structured) : null,
+  };
+};
+
+/**
+ * Требуемая нагрузка нормализованного потока (МВт).
+ * @param {any} s
+ * @returns {number}
+ */
+const streamLoad = (s) =>
+  s.rate === undefined ? s.load : s.rate * Math.abs(s.out - s.in);
+
+/**
+ * Проверить ограничения на сочетания потоков: индексы потоков в диапазоне,
+ * нагрузка обязательной пары не больше нагрузки каждого из потоков,
+ * пара не может быть одновременно запрещённой и обязательной.
+ *
+ * @param {any[]} hot нормализованные горячие потоки
+ * @param {any[]} cold нормализованные холодные потоки
+ * @param {any[]} constraints нормализованные ограничения
+ */
+const checkConstraints = (hot, cold, constraints) => {
+  constraints.forEach((c, k) => {
+    const m = c.forbid ?? c.require;
+    if (m.hot >= hot.length)
+      throw new Error(
+        `Ограничение ${k + 1} ссылается на несуществующий поток H${m.hot + 1}.`,
+      );
+    if (m.cold >= cold.length)
+      throw new Error(
+        `Ограничение ${k + 1} ссылается на несуществующий поток C${m.cold + 1}.`,
+      );
+  });
+
+  const forbidden = forbiddenMatches({ constraint: constraints });
+  for (const r of requiredMatches({ constraint: constraints })) {
+    const pair = `H${r.hot + 1}–C${r.cold + 1}`;
+    if (forbidden(r.hot, r.cold) !== null)
+      throw new Error(
+        `Сочетание ${pair} одновременно запрещено и обязательно.`,
+      );
+    const limit = Math.min(streamLoad(hot[r.hot]), streamLoad(cold[r.cold]));
+    if (r.min_load > limit)
+      throw new Error(
+        `Ограничение ${r.constraint + 1}: min_load сочетания ${pair} больше нагрузки потока.`,
+      );
+  }
+};
+
 /**
  * `normalizeExchanger(ex)` → каноническая запись теплообменника.
+ *
+ * Необязательные поля (см. `model/exchanger_temps.js`) сохраняются только для заданной стороны:
+ * `hot_seq`, `hot_in`, `hot_out`, `hot_branch`, `hot_split` и те же поля `cold_*`.
+ * Номер ветви и доля потока задаются только вместе. Температуры аппарата — любые конечные числа:
+ * у решения с нарушенным балансом потока они выходят за пределы потока (см. жадный алгоритм).
+ * `utility` (индекс утилиты, 0-based) допустим только у нагревателя или холодильника.
  * @param {any} ex
- * @returns {{ hot: number|null, cold: number|null, load: number }}
+ * @returns {{ hot: number|null, cold: number|null, load: number, utility?: number, hot_seq?: number, hot_in?: number, hot_out?: number, hot_branch?: number, hot_split?: number, cold_seq?: number, cold_in?: number, cold_out?: number, cold_branch?: number, cold_split?: number }}
  */
 export const normalizeExchanger = (ex) => {
   const hot =
@@ -93,14 +480,95 @@ export const normalizeExchanger = (ex) => {
   if (!isFinitePositive(load))
     throw new Error("Некорректное значение exchanger.load.");
 
-  return { hot, cold, load };
+  /** @type {any} */
+  const out = { hot, cold, load };
+
+  const utility =
+    ex.utility === undefined
+      ? null
+      : parseNumber(ex.utility, "exchanger.utility");
+  if (utility !== null) {
+    if (!Number.isInteger(utility) || utility < 0)
+      throw new Error("Некорректное значение exchanger.utility.");
+    if (hot !== null && cold !== null)
+      throw new Error(
+        "Поле exchanger.utility допустимо только у нагревателя или холодильника.",
+      );
+    out.utility = utility;
+  }
+
+  for (const side of ["hot", "cold"]) {
+    for (const key of [
+      `${side}_seq`,
+      `${side}_in`,
+      `${side}_out`,
+      `${side}_branch`,
+      `${side}_split`,
+    ]) {
+      const v =
+        ex[key] === undefined ? null : parseNumber(ex[key], `exchanger.${key}`);
+      if (v === null) continue;
+
+      if (out[side] === null)
+        throw new Error(`Поле exchanger.${key} задано без exchanger.${side}.`);
+
+      const ok =
+        key.endsWith("_seq") || key.endsWith("_branch")
+          ? Number.isInteger(v) && v >= 0
+          : key.endsWith("_split")
+            ? Number.isFinite(v) && v > 0 && v <= 1
+            : Number.isFinite(v);
+      if (!ok) throw new Error(`Некорректное значение exchanger.${key}.`);
+
+      out[key] = v;
+    }
+
+    if (`${side}_branch` in out !== `${side}_split` in out)
+      throw new Error(
+        `Поля exchanger.${side}_branch и exchanger.${side}_split задаются вместе.`,
+      );
+  }
+
+  return out;
+};
+
+/**
+ * Разобрать ΔT из секции `[multiheat]` (целое число K; отсутствует → значение по умолчанию).
+ *
+ * @param {any} raw
+ * @param {string} fieldName
+ * @param {number} fallback
+ * @returns {number}
+ */
+const parseDt = (raw, fieldName, fallback) => {
+  const v = raw === undefined ? null : parseNumber(raw, fieldName);
+  if (v === null) return fallback;
+  if (!Number.isInteger(v) || v < 0 || v > MAX_DT)
+    throw new Error(
+      `Некорректное значение ${fieldName} (ожидается целое число от 0 до ${MAX_DT}).`,
+    );
+  return v;
+};
+
+/**
+ * `dtOptions(state)` → параметры ΔT проекта для решателей и проверки.
+ *
+ * @param {any} state
+ * @returns {{ min_dt: number, def_dt: number }}
+ */
+export const dtOptions = (state) => {
+  const m = state?.multiheat;
+  return {
+    min_dt: Number.isFinite(m?.min_dt) ? Number(m.min_dt) : DEFAULT_MIN_DT,
+    def_dt: Number.isFinite(m?.def_dt) ? Number(m.def_dt) : DEFAULT_DEF_DT,
+  };
 };
 
 /**
  * `validateAndNormalizeState(state)` → нормализованное каноническое состояние.
  * Выбрасывает исключение при некорректной структуре/значениях.
  * @param {any} state
- * @returns {{ multiheat: { version: string, temp_unit: string }, hot: any[], cold: any[], exchanger: any[] }}
+ * @returns {{ multiheat: { version: string, temp_unit: string, load_unit: string, min_dt: number, def_dt: number }, hot: any[], cold: any[], utility: any[], economics: any|null, constraint: any[], generator: any|null, exchanger: any[] }}
  */
 export const validateAndNormalizeState = (state) => {
   if (!state || typeof state !== "object")
@@ -111,6 +579,7 @@ export const validateAndNormalizeState = (state) => {
 
   const versionRaw = state.multiheat.version;
   const tempUnit = state.multiheat.temp_unit;
+  const loadUnit = state.multiheat.load_unit ?? "MW";
 
   const version =
     typeof versionRaw === "string"
@@ -120,29 +589,87 @@ export const validateAndNormalizeState = (state) => {
   if (!version)
     throw new Error("Некорректное значение multiheat.version (пустая строка).");
 
-  const compat = checkConfigVersionCompatibility(version, BUILD_VERSIONS);
+  const compat = checkConfigVersionCompatibility(version, buildVersions());
   if (!compat.ok) throw new Error(compat.reason);
 
-  if (tempUnit !== "K")
+  // Температуры состояния всегда в кельвинах: `temp_unit` — лишь единица записи в файл (см. `./units.js`).
+  if (!isTempUnit(tempUnit))
+    throw new Error(
+      'Некорректное значение multiheat.temp_unit (ожидается "K", "C" или "F").',
+    );
+  // Так же нагрузки: всегда в МВт, `load_unit` — единица записи.
+  if (!isLoadUnit(loadUnit))
     throw new Error(
-      'Некорректное значение multiheat.temp_unit (ожидается "K").',
+      'Некорректное значение multiheat.load_unit (ожидается "MW", "kW" или "Gcal/h").',
     );
 
+  const minDt = parseDt(
+    state.multiheat.min_dt,
+    "multiheat.min_dt",
+    DEFAULT_MIN_DT,
+  );
+  const defDt = parseDt(
+    state.multiheat.def_dt,
+    "multiheat.def_dt",
+    DEFAULT_DEF_DT,
+  );
+
   const hot = Array.isArray(state.hot) ? state.hot : [];
   const cold = Array.isArray(state.cold) ? state.cold : [];
+  const utility = Array.isArray(state.utility) ? state.utility : [];
+  const constraint = Array.isArray(state.constraint) ? state.constraint : [];
   const exchanger = Array.isArray(state.exchanger) ? state.exchanger : [];
 
   const hotN = hot.map(normalizeStream);
   const coldN = cold.map(normalizeStream);
+  const utilN = utility.map(normalizeUtility);
+  const economicsN =
+    state.economics && typeof state.economics === "object"
+      ? normalizeEconomics(state.economics)
+      : null;
+  const constraintN = constraint.map(normalizeConstraint);
+  checkConstraints(hotN, coldN, constraintN);
+  const generatorN =
+    state.generator && typeof state.generator === "object"
+      ? normalizeGenerator(state.generator)
+      : null;
   const exN = exchanger.map(normalizeExchanger);
+  checkStreamSplits({ hot: hotN, cold: coldN, exchanger: exN });
+
+  // Ссылки на утилиты: индекс в диапазоне и подходящий вид (нагреватель — греющая утилита).
+  exN.forEach((ex, k) => {
+    if (ex.utility === undefined) return;
+    const u = utilN[ex.utility];
+    if (!u)
+      throw new Error(
+        `Аппарат E${k + 1} ссылается на несуществующую утилиту ${ex.utility}.`,
+      );
+    const need = ex.hot === null ? "hot" : "cold";
+    if (u.kind !== need)
+      throw new Error(
+        need === "hot"
+          ? `Нагреватель E${k + 1} ссылается на охлаждающую утилиту «${u.name}».`
+          : `Холодильник E${k + 1} ссылается на греющую утилиту «${u.name}».`,
+      );
+  });
 
   const stats = state.stats;
   const statsN = stats && typeof stats === "object" ? stats : null;
 
   return {
-    multiheat: { version, temp_unit: "K" },
+    multiheat: {
+      version,
+      temp_unit: tempUnit,
+      load_unit: loadUnit,
+      min_dt: minDt,
+      def_dt: defDt,
+    },
     hot: hotN,
     cold: coldN,
+    utility: utilN,
+    economics: economicsN,
+    constraint: constraintN,
+    generator: generatorN,
     exchanger: exN,
     stats: statsN,
   };
@@ -1,4 +1,9 @@
 import { fmtNum } from "../util/number.js";
+import { computeProblemTable } from "../analysis/pinch.js";
+import { dtOptions } from "./state.js";
+import { utilityCosts } from "./utilities.js";
+import { computeAnnualCost } from "./economics.js";
+import { fmtLoad } from "./units.js";
 
 /**
  * Вычисление статистики решения (stats) для:
@@ -14,6 +19,17 @@ import { fmtNum } from "../util/number.js";
  * - total_load_utilities — суммарная нагрузка утилит (МВт)
  * - external_power_saved — экономия внешней энергии относительно базового сценария «Без теплообмена»
  *   (см. computeExternalBaselineMW)
+ * - target_hot_utility / target_cold_utility — минимальные мощности утилит по пинч-анализу (МВт)
+ *   при ΔTmin проекта (см. analysis/pinch.js)
+ * - pinch_temp_hot / pinch_temp_cold — температуры пинча на сторонах горячих/холодных потоков (K);
+ *   пустые массивы — пороговая задача
+ * - utility_over_target — превышение суммарной нагрузки утилит над целевой (МВт)
+ * - utility_load / utility_cost — нагрузка (МВт) и годовая стоимость по каждой утилите `[[utility]]`
+ *   (в порядке секций), total_utility_cost — их сумма; поля есть только если утилиты заданы
+ * - total_area — суммарная площадь аппаратов (м²), capital_cost / operating_cost — капитальные
+ *   и эксплуатационные затраты за год, total_annual_cost — TAC (у.е./год), area_undefined_count — число
+ *   аппаратов с неопределённой площадью (неположительный напор), area_undefined_exchangers — их индексы
+ *   (0-based); поля есть только при заданной секции [economics] (см. model/economics.js)
  *
  * Важно:
  * - В каноническом состоянии поток может быть:
@@ -99,7 +115,21 @@ export const computeExternalBaselineMW = (state) => {
  *   utility_count: number,
  *   total_load_cells: number,
  *   total_load_utilities: number,
- *   external_power_saved: number
+ *   external_power_saved: number,
+ *   target_hot_utility: number,
+ *   target_cold_utility: number,
+ *   pinch_temp_hot: number[],
+ *   pinch_temp_cold: number[],
+ *   utility_over_target: number,
+ *   utility_load?: number[],
+ *   utility_cost?: number[],
+ *   total_utility_cost?: number,
+ *   total_area?: number,
+ *   capital_cost?: number,
+ *   operating_cost?: number,
+ *   total_annual_cost?: number,
+ *   area_undefined_count?: number,
+ *   area_undefined_exchangers?: number[]
  * }}
  */
 export const computeSolutionStats = (state, opts = {}) => {
@@ -141,6 +171,18 @@ export const computeSolutionStats = (state, opts = {}) => {
   const baseline = computeExternalBaselineMW(state);
   const externalSaved = Math.max(0, baseline - qUtils);
 
+  const pinch = computeProblemTable(state, dtOptions(state));
+  const qTarget = pinch.hot_utility_MW + pinch.cold_utility_MW;
+
+  // Почему: погрешность суммирования иначе даёт «-0» в выводе при решении точно на цели.
+  const overRaw = qUtils - qTarget;
+  const overTarget = Math.abs(overRaw) < 1e-9 ? 0 : overRaw;
+
+  const hasUtilities =
+    Array.isArray(state?.utility) && state.utility.length > 0;
+  const costs = hasUtilities ? utilityCosts(state) : null;
+  const annual = computeAnnualCost(state);
+
   return {
     total_load_hot: totalHot,
     total_load_cold: totalCold,
@@ -156,6 +198,30 @@ export const computeSolutionStats = (state, opts = {}) => {
     total_load_cells: qCells,
     total_load_utilities: qUtils,
     external_power_saved: externalSaved,
+    target_hot_utility: pinch.hot_utility_MW,
+    target_cold_utility: pinch.cold_utility_MW,
+    pinch_temp_hot: pinch.pinches.map((p) => p.hot_K),
+    pinch_temp_cold: pinch.pinches.map((p) => p.cold_K),
+    utility_over_target: overTarget,
+    ...(costs
+      ? {
+          utility_load: costs.load_MW,
+          utility_cost: costs.cost,
+          total_utility_cost: costs.cost.reduce((a, c) => a + c, 0),
+        }
+      : {}),
+    ...(annual
+      ? {
+          total_area: annual.total_area_m2,
+          capital_cost: annual.capital_cost,
+          operating_cost: annual.operating_cost,
+          total_annual_cost: annual.total_annual_cost,
+          area_undefined_count: annual.area_undefined_count,
+          area_undefined_exchangers: annual.area_undefined.map(
+            (v) => v.exchanger,
+          ),
+        }
+      : {}),
   };
 };
 
@@ -163,11 +229,20 @@ export const computeSolutionStats = (state, opts = {}) => {
  * Сформировать человекочитаемые строки статистики для вкладки «Описание».
  *
  * @param {ReturnType<typeof computeSolutionStats>} stats
+ * @param {any[]} [utilities] утилиты состояния (`state.utility`) — для подписей стоимости по утилитам
+ * @param {import("./units.js").LoadUnit} [loadUnit="MW"] единица отображения нагрузок
  * @returns {string[]}
  */
-export const formatStatsForDescription = (stats) => {
+export const formatStatsForDescription = (
+  stats,
+  utilities = [],
+  loadUnit = "MW",
+) => {
   if (!stats || typeof stats !== "object") return [];
 
+  /** @param {number} q */
+  const load = (q) => fmtLoad(q, loadUnit);
+
   const lines = [];
 
   const humanizeAlgorithm = (algorithmUsed) => {
@@ -183,6 +258,7 @@ export const formatStatsForDescription = (stats) => {
     if (base === "solve_greedy") baseLabel = "Жадный";
     else if (base === "solve_curves") baseLabel = "Эквивалентные кривые";
     else if (base === "solve_trivial") baseLabel = "Без теплообмена";
+    else if (base === "manual") baseLabel = "Ручная правка";
 
     if (!baseLabel) {
       // Фолбэк: показываем исходную строку.
@@ -225,22 +301,89 @@ export const formatStatsForDescription = (stats) => {
       ? Math.round(solveTimeMsRaw)
       : null;
 
-  lines.push(`Суммарная нагрузка горячих потоков: ${fmtNum(totalHot)} МВт.`);
+  lines.push(`Суммарная нагрузка горячих потоков: ${load(totalHot)}.`);
 
-  lines.push(`Суммарная нагрузка холодных потоков:  ${fmtNum(totalCold)} МВт.`);
+  lines.push(`Суммарная нагрузка холодных потоков:  ${load(totalCold)}.`);
 
-  lines.push(`Разность нагрузок (холодные - горячие): ${fmtNum(diff)} МВт.`);
+  lines.push(`Разность нагрузок (холодные - горячие): ${load(diff)}.`);
 
   lines.push(`Количество ячеек теплообмена: ${cells}.`);
   lines.push(`Количество утилит (нагревателей и холодильников): ${utils}.`);
-  lines.push(`Суммарная нагрузка ячеек теплообмена: ${fmtNum(qCells)} МВт.`);
-  lines.push(`Суммарная нагрузка утилит: ${fmtNum(qUtils)}.`);
+  lines.push(`Суммарная нагрузка ячеек теплообмена: ${load(qCells)}.`);
+  lines.push(`Суммарная нагрузка утилит: ${load(qUtils)}.`);
 
   // Экономия внешней энергии: положительное значение — хорошо.
   lines.push(
-    `Экономия внешней энергии относительно режима «Без теплообмена»: ${fmtNum(saved)} МВт.`,
+    `Экономия внешней энергии относительно режима «Без теплообмена»: ${load(saved)}.`,
   );
 
+  // Сравнение с термодинамической целью (пинч-анализ); старые [stats] могут не содержать этих полей.
+  // Температуры пинча выводятся в отдельном разделе «Пинч-анализ» (см. render/description.js).
+  if (
+    stats.target_hot_utility !== undefined &&
+    stats.target_cold_utility !== undefined
+  ) {
+    const qhT = toFiniteNumberOr(stats.target_hot_utility, 0);
+    const qcT = toFiniteNumberOr(stats.target_cold_utility, 0);
+    lines.push(
+      `Целевая нагрузка утилит (пинч-анализ): нагрев ${load(qhT)}, охлаждение ${load(qcT)}.`,
+    );
+  }
+
+  if (stats.utility_over_target !== undefined) {
+    const over = toFiniteNumberOr(stats.utility_over_target, 0);
+    lines.push(`Превышение нагрузки утилит над целевой: ${load(over)}.`);
+  }
+
+  // Стоимость по утилитам; подписи берём из текущих утилит, если их число совпадает.
+  if (Array.isArray(stats.utility_cost)) {
+    const loads = Array.isArray(stats.utility_load) ? stats.utility_load : [];
+    stats.utility_cost.forEach((c, u) => {
+      const name =
+        Array.isArray(utilities) &&
+        utilities.length === stats.utility_cost.length
+          ? `«${utilities[u].name}»`
+          : `U${u + 1}`;
+      lines.push(
+        `Утилита ${name}: нагрузка ${load(toFiniteNumberOr(loads[u], 0))}, стоимость ${fmtNum(toFiniteNumberOr(c, 0))} в год.`,
+      );
+    });
+  }
+
+  if (stats.total_utility_cost !== undefined) {
+    const total = toFiniteNumberOr(stats.total_utility_cost, 0);
+    lines.push(`Суммарная стоимость утилит: ${fmtNum(total)} в год.`);
+  }
+
+  // Экономическая оценка (секция [economics]).
+  if (stats.total_annual_cost !== undefined) {
+    lines.push(
+      `Суммарная площадь теплообмена: ${fmtNum(toFiniteNumberOr(stats.total_area, 0))} м².`,
+    );
+    lines.push(
+      `Капитальные затраты: ${fmtNum(toFiniteNumberOr(stats.capital_cost, 0))} в год.`,
+    );
+    lines.push(
+      `Эксплуатационные затраты (утилиты): ${fmtNum(toFiniteNumberOr(stats.operating_cost, 0))} в год.`,
+    );
+    lines.push(
+      `Полные приведённые затраты (TAC): ${fmtNum(toFiniteNumberOr(stats.total_annual_cost, 0))} в год.`,
+    );
+
+    const undef = Math.trunc(toFiniteNumberOr(stats.area_undefined_count, 0));
+    const ids = Array.isArray(stats.area_undefined_exchangers)
+      ? stats.area_undefined_exchangers.map((k) => `E${k + 1}`)
+      : [];
+    if (ids.length > 0)
+      lines.push(
+        `Аппараты с неположительным температурным напором (площадь не определена, в затраты не входят): ${ids.join(", ")}.`,
+      );
+    else if (undef > 0)
+      lines.push(
+        `Аппаратов с неположительным температурным напором (площадь не определена, в затраты не входят): ${undef}.`,
+      );
+  }
+
   if (algoLabel) lines.push(`Алгоритм: ${algoLabel}.`);
 
   // Требование: время синтеза выводим последней строкой (точность до мс).
@@ -0,0 +1,253 @@
+import { normalizeStream, validateAndNormalizeState } from "./state.js";
+import { annotateExchangerTemperatures } from "./exchanger_temps.js";
+import { computeSolutionStats } from "./stats.js";
+
+/**
+ * Правка потоков (вкладка «Таблица»): значения ячеек, изотермичность, добавление, копирование,
+ * удаление и перестановка потоков.
+ *
+ * Каждая операция возвращает новое состояние (исходное не изменяется):
+ * - изменённый поток проходит `normalizeStream`, всё состояние — `validateAndNormalizeState`;
+ * - ссылки на потоки в аппаратах и ограничениях `[[constraint]]` перенумеровываются,
+ *   аппараты и ограничения удалённого потока удаляются;
+ * - температуры аппаратов пересчитываются (порядок аппаратов на потоках сохраняется),
+ *   `[stats]` — пересчитывается, если было, с прежним алгоритмом.
+ *
+ * Ошибки — исключения с текстом для пользователя.
+ */
+
+/** Поток, добавляемый в таблицу: неизотермический, 1 МВт. */
+const NEW_STREAM = {
+  hot: { in: 400, out: 300, load: 1 },
+  cold: { in: 300, out: 400, load: 1 },
+};
+
+/** Разность температур, K, которую получает изотермический поток, ставший неизотермическим. */
+const NON_ISOTHERMAL_SPAN = 10;
+
+/**
+ * `streamView(s)` → значения потока для таблицы: температуры, нагрузка q (МВт),
+ * потоковая теплоёмкость W (МВт/К; 0 у изотермического) и признак изотермичности.
+ *
+ * @param {any} s каноническая запись потока
+ * @returns {{ in: number, out: number, load: number, rate: number, isothermal: boolean }}
+ */
+export const streamView = (s) => {
+  const inT = Number(s.in);
+  const outT = s.out !== undefined ? Number(s.out) : inT;
+  const dt = Math.abs(outT - inT);
+  const isothermal = s.out === undefined || dt === 0;
+
+  const load =
+    s.load !== undefined
+      ? Number(s.load)
+      : s.rate !== undefined
+        ? Number(s.rate) * dt
+        : 0;
+
+  const rate = isothermal
+    ? 0
+    : s.rate !== undefined
+      ? Number(s.rate)
+      : s.load !== undefined
+        ? Number(s.load) / dt
+        : 0;
+
+  return { in: inT, out: outT, load, rate, isothermal };
+};
+
+/**
+ * Новое состояние со списком потоков стороны `side`.
+ *
+ * @param {any} state
+ * @param {"hot"|"cold"} side
+ * @param {any[]} streams
+ * @param {(index: number) => number|null} remap старый индекс потока стороны → новый (null — поток удалён)
+ */
+const withStreams = (state, side, streams, remap) => {
+  /** @param {any} ref */
+  const moved = (ref) =>
+    ref === null || ref === undefined ? ref : remap(Number(ref));
+
+  const exchanger = (state.exchanger ?? []).flatMap((ex) => {
+    if (ex[side] === null || ex[side] === undefined) return [ex];
+    const index = moved(ex[side]);
+    return index === null ? [] : [{ ...ex, [side]: index }];
+  });
+
+  const constraint = (state.constraint ?? []).flatMap((c) => {
+    const key = c.forbid ? "forbid" : "require";
+    const index = moved(c[key][side]);
+    return index === null ? [] : [{ [key]: { ...c[key], [side]: index } }];
+  });
+
+  const next = validateAndNormalizeState({
+    ...state,
+    [side]: streams,
+    exchanger,
+    constraint,
+  });
+  const annotated = {
+    ...next,
+    exchanger: annotateExchangerTemperatures(next, next.exchanger),
+  };
+  if (!state.stats) return annotated;
+  return {
+    ...annotated,
+    stats: computeSolutionStats(annotated, {
+      algorithm_used: state.stats.algorithm_used ?? null,
+      algorithm_label: state.stats.algorithm_label ?? null,
+    }),
+  };
+};
+
+/**
+ * @param {any} state
+ * @param {"hot"|"cold"} side
+ * @param {number} index
+ */
+const checkIndex = (state, side, index) => {
+  if (!Number.isInteger(index) || index < 0 || index >= state[side].length)
+    throw new Error(
+      `Поток ${side === "hot" ? "H" : "C"}${index + 1} не найден.`,
+    );
+};
+
+/**
+ * Заменить поток `index` записью `s` (после проверки `normalizeStream`).
+ *
+ * @param {any} state
+ * @param {"hot"|"cold"} side
+ * @param {number} index
+ * @param {any} s
+ */
+const replaceStream = (state, side, index, s) => {
+  checkIndex(state, side, index);
+  const normalized = normalizeStream(s);
+  return withStreams(
+    state,
+    side,
+    state[side].map((x, k) => (k === index ? normalized : x)),
+    (k) => k,
+  );
+};
+
+/**
+ * `setStreamField(state, side, index, field, raw)` → состояние с новым значением поля потока:
+ * `in`, `out` (K), `load` (q, МВт) или `rate` (W, МВт/К).
+ *
+ * У неизотермического потока нагрузка задаётся либо q, либо W: изменённое поле заменяет другое
+ * (и расход с теплоёмкостью `mass_flow`/`cp`, если W вычислялся по ним).
+ * Температуры сохраняют заданное ранее поле (q или W).
+ *
+ * @param {any} state
+ * @param {"hot"|"cold"} side
+ * @param {number} index
+ * @param {"in"|"out"|"load"|"rate"} field
+ * @param {string|number} raw значение из ячейки (допускается десятичная запятая)
+ */
+export const setStreamField = (state, side, index, field, raw) => {
+  checkIndex(state, side, index);
+  const s = state[side][index];
+
+  /** @type {any} */
+  const next = { ...s, [field]: raw };
+  if (field === "load") delete next.rate;
+  if (field === "rate") delete next.load;
+  // Заданная вручную нагрузка заменяет расход и теплоёмкость, по которым вычислялся W.
+  if (field === "load" || field === "rate") {
+    delete next.mass_flow;
+    delete next.cp;
+  }
+  return replaceStream(state, side, index, next);
+};
+
+/**
+ * `setStreamIsothermal(state, side, index, isothermal)` → состояние, где поток стал изотермическим
+ * (фазовый переход при `in`) или неизотермическим; нагрузка q сохраняется.
+ * Неизотермический поток получает `out` на 10 K ниже (горячий) или выше (холодный) `in`.
+ *
+ * @param {any} state
+ * @param {"hot"|"cold"} side
+ * @param {number} index
+ * @param {boolean} isothermal
+ */
+export const setStreamIsothermal = (state, side, index, isothermal) => {
+  checkIndex(state, side, index);
+  const s = state[side][index];
+  const v = streamView(s);
+  if (v.isothermal === isothermal) return state;
+
+  /** @type {any} */
+  const next = { in: v.in, load: v.load };
+  if (!isothermal)
+    next.out =
+      side === "hot"
+        ? Math.max(0, v.in - NON_ISOTHERMAL_SPAN)
+        : v.in + NON_ISOTHERMAL_SPAN;
+  if (s.h !== undefined) next.h = s.h;
+  return replaceStream(state, side, index, next);
+};
+
+/**
+ * `addStream(state, side)` → состояние с новым потоком в конце стороны.
+ *
+ * @param {any} state
+ * @param {"hot"|"cold"} side
+ */
+export const addStream = (state, side) =>
+  withStreams(state, side, [...state[side], { ...NEW_STREAM[side] }], (k) => k);
+
+/**
+ * `duplicateStream(state, side, index)` → состояние с копией потока сразу после него
+ * (аппараты и ограничения не копируются).
+ *
+ * @param {any} state
+ * @param {"hot"|"cold"} side
+ * @param {number} index
+ */
+export const duplicateStream = (state, side, index) => {
+  checkIndex(state, side, index);
+  const list = [...state[side]];
+  list.splice(index + 1, 0, { ...state[side][index] });
+  return withStreams(state, side, list, (k) => (k > index ? k + 1 : k));
+};
+
+/**
+ * `removeStream(state, side, index)` → состояние без потока, его аппаратов и ограничений.
+ *
+ * @param {any} state
+ * @param {"hot"|"cold"} side
+ * @param {number} index
+ */
+export const removeStream = (state, side, index) => {
+  checkIndex(state, side, index);
+  return withStreams(
+    state,
+    side,
+    state[side].filter((_, k) => k !== index),
+    (k) => (k === index ? null : k > index ? k - 1 : k),
+  );
+};
+
+/**
+ * `moveStream(state, side, index, toIndex)` → состояние, где поток стоит на позиции `toIndex`
+ * своей стороны (номера потоков в аппаратах и ограничениях следуют за ним).
+ *
+ * @param {any} state
+ * @param {"hot"|"cold"} side
+ * @param {number} index
+ * @param {number} toIndex
+ */
+export const moveStream = (state, side, index, toIndex) => {
+  checkIndex(state, side, index);
+  const order = state[side].map((_, k) => k);
+  order.splice(index, 1);
+  order.splice(Math.max(0, Math.min(order.length, toIndex)), 0, index);
+  return withStreams(
+    state,
+    side,
+    order.map((k) => state[side][k]),
+    (k) => order.indexOf(k),
+  );
+};
@@ -0,0 +1,468 @@
+import { fmtNum } from "../util/number.js";
+
+/**
+ * Единицы измерения: пересчёт на границе модели и подписи в представлениях.
+ *
+ * Каноническое состояние хранит абсолютные температуры всегда в кельвинах, а нагрузки — в МВт
+ * (потоковую теплоёмкость `rate` — в МВт/К). Поля `multiheat.temp_unit` и `multiheat.load_unit` —
+ * единицы файла TOML: при разборе значения переводятся в базовые единицы (`stateToBaseUnits`),
+ * при записи — обратно (`stateFromBaseUnits`). Единицы отображения (таблицы, описание, CSV,
+ * схема сети) выбираются в интерфейсе отдельно и на состояние не влияют.
+ *
+ * `rate` в файле задаётся на градус `temp_unit`, дисперсия температур генератора — в квадрате
+ * градуса: в °F они пересчитываются по шкале (1 °F = 5/9 K), без смещения. `min_dt` и `def_dt`
+ * всегда в K: целые `min_dt`/`def_dt` в Zig не допускают дробного пересчёта из °F.
+ * Стоимость утилит — всегда за МВт·год.
+ *
+ * Поток можно задать расходом `mass_flow` (кг/с) и теплоёмкостью `cp` (кДж/(кг·К)) вместо `rate`:
+ * см. `rateFromMassFlow`.
+ */
+
+/**
+ * Кратчайшая десятичная запись числа около `x`, для которой `to` даёт ровно `target`; null — нет такой.
+ *
+ * @param {number} target
+ * @param {number} x
+ * @param {(x: number) => number} to
+ * @returns {number|null}
+ */
+const shortestPreimage = (target, x, to) => {
+  for (let digits = 1; digits <= 17; digits++) {
+    const rounded = Number(x.toPrecision(digits));
+    if (to(rounded) === target) return rounded;
+  }
+  return null;
+};
+
+/**
+ * Значение в единицах `unit` по значению `t` в базовых единицах: кратчайшая десятичная запись
+ * `x ≈ from(t)`, для которой обратный пересчёт `to(x)` даёт ровно `t`. Так 373.15 K становится
+ * `100` °C, а не `100.00000000000003`, значение из файла записывается обратно тем же числом,
+ * и файл читается обратно без потерь.
+ *
+ * Если точного прообраза нет (шаг чисел в единицах `unit` крупнее шага `t`), берётся ближайшее
+ * достижимое значение `to(from(t))`: расхождение — в последнем знаке, и повторная запись
+ * прочитанного файла даёт тот же текст.
+ *
+ * @param {number} t
+ * @param {(t: number) => number} from
+ * @param {(x: number) => number} to
+ */
+const fromBase = (t, from, to) => {
+  const x = from(t);
+  // Почему: `from(t)` может отстоять от точного прообраза на единицу последнего знака.
+  const corrected = x + (x - from(to(x)));
+  return (
+    shortestPreimage(t, x, to) ??
+    shortestPreimage(t, corrected, to) ??
+    // Всегда найдётся: сама `x` — прообраз `to(x)`.
+    /** @type {number} */ (shortestPreimage(to(x), x, to))
+  );
+};
+
+// --- Температура ---
+
+/**
+ * @typedef {"K"|"C"|"F"} TempUnit
+ */
+
+/**
+ * Единицы температуры: `T[K] = (T + offset) · scale`; `perKelvin` — градусов в кельвине
+ * (`1 / scale`, но без ошибки округления: 1.8, а не 1.7999999999999998); `label` — подпись
+ * в тексте и заголовках (кириллическая «К», как в CSV), `symbol` — на рисунках.
+ */
+const TEMP_UNITS = {
+  K: { offset: 0, scale: 1, perKelvin: 1, label: "К", symbol: "K" },
+  C: { offset: 273.15, scale: 1, perKelvin: 1, label: "°C", symbol: "°C" },
+  F: {
+    offset: 459.67,
+    scale: 5 / 9,
+    perKelvin: 9 / 5,
+    label: "°F",
+    symbol: "°F",
+  },
+};
+
+/** Допустимые значения `multiheat.temp_unit` (порядок — для сообщений и списков выбора). */
+export const TEMP_UNIT_IDS = /** @type {TempUnit[]} */ (
+  Object.keys(TEMP_UNITS)
+);
+
+/**
+ * @param {any} unit
+ * @returns {unit is TempUnit}
+ */
+export const isTempUnit = (unit) =>
+  typeof unit === "string" && Object.hasOwn(TEMP_UNITS, unit);
+
+/**
+ * `toKelvin(t, unit)` → абсолютная температура в кельвинах.
+ *
+ * @param {number} t
+ * @param {TempUnit} unit
+ */
+export const toKelvin = (t, unit) => {
+  if (unit === "K") return t;
+  const { offset, scale } = TEMP_UNITS[unit];
+  return (t + offset) * scale;
+};
+
+/**
+ * `fromKelvin(t, unit)` → абсолютная температура в единицах `unit` (см. `fromBase`).
+ *
+ * @param {number} t
+ * @param {TempUnit} unit
+ */
+export const fromKelvin = (t, unit) => {
+  if (unit === "K") return t;
+  const { offset, scale } = TEMP_UNITS[unit];
+  return fromBase(
+    t,
+    (k) => k / scale - offset,
+    (x) => toKelvin(x, unit),
+  );
+};
+
+/**
+ * Подпись единицы в тексте, таблицах и заголовках CSV: «К», «°C», «°F».
+ * @param {TempUnit} unit
+ */
+export const tempUnitLabel = (unit) => TEMP_UNITS[unit].label;
+
+/**
+ * Единица по подписи (латинская «K» тоже допускается); null — подпись не распознана.
+ *
+ * @param {string} label
+ * @returns {TempUnit|null}
+ */
+export const tempUnitFromLabel = (label) => {
+  const s = String(label ?? "").trim();
+  if (s === "K") return "K";
+  return TEMP_UNIT_IDS.find((u) => TEMP_UNITS[u].label === s) ?? null;
+};
+
+/**
+ * `fmtTemp(t, unit)` → температура для подписей на рисунках, например `"373.15 K"`, `"100 °C"`.
+ *
+ * @param {number} t температура, K
+ * @param {TempUnit} [unit="K"]
+ */
+export const fmtTemp = (t, unit = "K") =>
+  `${fmtNum(fromKelvin(t, unit))} ${TEMP_UNITS[unit].symbol}`;
+
+// --- Нагрузка и потоковая теплоёмкость ---
+
+/**
+ * @typedef {"MW"|"kW"|"Gcal/h"} LoadUnit
+ */
+
+/**
+ * Единицы нагрузки: `Q[МВт] = Q · scale` (1 Гкал/ч = 1.163 МВт); `label` — подпись нагрузки,
+ * `rateLabel` — потоковой теплоёмкости.
+ */
+const LOAD_UNITS = {
+  MW: { scale: 1, label: "МВт", rateLabel: "МВт/К" },
+  kW: { scale: 1e-3, label: "кВт", rateLabel: "кВт/К" },
+  "Gcal/h": { scale: 1.163, label: "Гкал/ч", rateLabel: "Гкал/(ч·К)" },
+};
+
+/** Допустимые значения `multiheat.load_unit`. */
+export const LOAD_UNIT_IDS = /** @type {LoadUnit[]} */ (
+  Object.keys(LOAD_UNITS)
+);
+
+/**
+ * @param {any} unit
+ * @returns {unit is LoadUnit}
+ */
+export const isLoadUnit = (unit) =>
+  typeof unit === "string" && Object.hasOwn(LOAD_UNITS, unit);
+
+/**
+ * `toMW(q, unit)` → нагрузка в МВт (или потоковая теплоёмкость в МВт/К).
+ *
+ * @param {number} q
+ * @param {LoadUnit} unit
+ */
+export const toMW = (q, unit) =>
+  unit === "MW" ? q : q * LOAD_UNITS[unit].scale;
+
+/**
+ * `fromMW(q, unit)` → нагрузка (или потоковая теплоёмкость) в единицах `unit` (см. `fromBase`).
+ *
+ * @param {number} q
+ * @param {LoadUnit} unit
+ */
+export const fromMW = (q, unit) => {
+  if (unit === "MW") return q;
+  const { scale } = LOAD_UNITS[unit];
+  return fromBase(
+    q,
+    (mw) => mw / scale,
+    (x) => toMW(x, unit),
+  );
+};
+
+/**
+ * Подпись единицы нагрузки: «МВт», «кВт», «Гкал/ч».
+ * @param {LoadUnit} unit
+ */
+export const loadUnitLabel = (unit) => LOAD_UNITS[unit].label;
+
+/**
+ * Подпись единицы потоковой теплоёмкости: «МВт/К», «кВт/К», «Гкал/(ч·К)».
+ * @param {LoadUnit} unit
+ */
+export const rateUnitLabel = (unit) => LOAD_UNITS[unit].rateLabel;
+
+/**
+ * Единица нагрузки по подписи; null — подпись не распознана.
+ *
+ * @param {string} label
+ * @returns {LoadUnit|null}
+ */
+export const loadUnitFromLabel = (label) => {
+  const s = String(label ?? "").trim();
+  return LOAD_UNIT_IDS.find((u) => LOAD_UNITS[u].label === s) ?? null;
+};
+
+/**
+ * `fmtLoad(q, unit)` → нагрузка с подписью единицы, например `"1.5 МВт"`, `"1500 кВт"`.
+ *
+ * @param {number} q нагрузка, МВт
+ * @param {LoadUnit} [unit="MW"]
+ */
+export const fmtLoad = (q, unit = "MW") =>
+  `${fmtNum(fromMW(q, unit))} ${LOAD_UNITS[unit].label}`;
+
+/** Подписи единиц расхода и удельной теплоёмкости (поля потока `mass_flow`, `cp`). */
+export const MASS_FLOW_LABEL = "кг/с";
+export const CP_LABEL = "кДж/(кг·К)";
+
+/**
+ * `rateFromMassFlow(massFlow, cp)` → потоковая теплоёмкость, МВт/К:
+ * кг/с · кДж/(кг·К) = кВт/К.
+ *
+ * @param {number} massFlow расход, кг/с
+ * @param {number} cp удельная теплоёмкость, кДж/(кг·К)
+ */
+export const rateFromMassFlow = (massFlow, cp) => (massFlow * cp) / 1000;
+
+/**
+ * Единицы отображения (интерфейс, CSV, граф сети); по умолчанию — K и МВт.
+ *
+ * @typedef {object} DisplayUnits
+ * @property {TempUnit} [tempUnit]
+ * @property {LoadUnit} [loadUnit]
+ */
+
+// --- Пересчёт состояния ---
+
+/**
+ * @typedef {object} StateUnits
+ * @property {TempUnit} temp
+ * @property {LoadUnit} load
+ */
+
+/**
+ * Вид пересчитываемой величины: абсолютная температура, нагрузка, потоковая теплоёмкость
+ * (нагрузка на градус) и дисперсии температуры и нагрузки.
+ *
+ * @typedef {"temp"|"load"|"rate"|"temp_var"|"load_var"} FieldKind
+ */
+
+/**
+ * Пересчитываемые поля состояния по секциям: имя поля → вид величины.
+ *
+ * @typedef {object} FieldMap
+ * @property {Record<string, FieldKind>} streams поля `[[hot]]`/`[[cold]]`
+ * @property {Record<string, FieldKind>} utility
+ * @property {Record<string, FieldKind>} exchanger
+ * @property {Record<string, FieldKind>} require поля `[[constraint]].require`
+ * @property {Record<string, FieldKind>} stats числа и массивы чисел `[stats]`
+ * @property {Record<string, FieldKind>} generator поля `[generator.hot]`/`[generator.cold]`
+ * @property {Record<string, FieldKind>} structured поля `[generator.structured]`
+ */
+
+/** @type {FieldMap} */
+const STATE_FIELDS = {
+  streams: { in: "temp", out: "temp", load: "load", rate: "rate" },
+  utility: { in: "temp", out: "temp" },
+  exchanger: {
+    hot_in: "temp",
+    hot_out: "temp",
+    cold_in: "temp",
+    cold_out: "temp",
+    load: "load",
+  },
+  require: { min_load: "load" },
+  stats: {
+    pinch_temp_hot: "temp",
+    pinch_temp_cold: "temp",
+    total_load_hot: "load",
+    total_load_cold: "load",
+    load_diff: "load",
+    total_load_cells: "load",
+    total_load_utilities: "load",
+    external_power_saved: "load",
+    target_hot_utility: "load",
+    target_cold_utility: "load",
+    utility_over_target: "load",
+    utility_load: "load",
+  },
+  generator: {
+    temp_min: "temp",
+    temp_max: "temp",
+    temp_mean: "temp",
+    temp_var: "temp_var",
+    load_min: "load",
+    load_max: "load",
+    load_mean: "load",
+    load_var: "load_var",
+  },
+  structured: { pinch: "temp" },
+};
+
+/**
+ * Пересчёт величин каждого вида из `units` в K и МВт (`to`) и обратно (`from`, см. `fromBase`).
+ *
+ * Каждая величина пересчитывается одной функцией, а не последовательно по температуре и нагрузке:
+ * иначе `from` искал бы точный прообраз по шагам и мог не найти его там, где он есть.
+ *
+ * @param {StateUnits} units
+ * @returns {Record<FieldKind, { to: (x: number) => number, from: (x: number) => number }>}
+ */
+const fieldConverters = ({ temp, load }) => {
+  const { perKelvin: d } = TEMP_UNITS[temp];
+  const q = LOAD_UNITS[load].scale;
+
+  /**
+   * Линейный пересчёт (без смещения) функцией `to`; `factor` — её множитель.
+   * @param {number} factor
+   * @param {(x: number) => number} to
+   */
+  const linear = (factor, to) => ({
+    to: factor === 1 ? (/** @type {number} */ x) => x : to,
+    /** @param {number} x */
+    from: (x) => (factor === 1 ? x : fromBase(x, (b) => b / factor, to)),
+  });
+
+  return {
+    temp: { to: (x) => toKelvin(x, temp), from: (x) => fromKelvin(x, temp) },
+    load: { to: (x) => toMW(x, load), from: (x) => fromMW(x, load) },
+    rate: linear(q * d, (x) => x * q * d),
+    temp_var: linear(1 / (d * d), (x) => x / d / d),
+    load_var: linear(q * q, (x) => x * q * q),
+  };
+};
+
+/**
+ * Пересчитать поля состояния функциями `convert[kind]`.
+ *
+ * Работает и с неразобранным TOML: нечисловые значения и отсутствующие секции не трогаются
+ * (их отвергнет `validateAndNormalizeState`).
+ *
+ * @param {any} state
+ * @param {Record<FieldKind, (x: number) => number>} convert
+ */
+const mapStateFields = (state, convert) => {
+  /**
+   * @param {FieldKind} kind
+   * @param {any} v
+   */
+  const value = (kind, v) => {
+    /** @param {any} x */
+    const num = (x) =>
+      typeof x === "number" && Number.isFinite(x) ? convert[kind](x) : x;
+    return Array.isArray(v) ? v.map(num) : num(v);
+  };
+
+  /**
+   * @param {any} obj
+   * @param {Record<string, FieldKind>} fields
+   */
+  const withFields = (obj, fields) => {
+    if (!obj || typeof obj !== "object") return obj;
+    const out = { ...obj };
+    for (const [k, kind] of Object.entries(fields))
+      if (k in out) out[k] = value(kind, out[k]);
+    return out;
+  };
+
+  /**
+   * @param {any} xs
+   * @param {Record<string, FieldKind>} fields
+   */
+  const mapList = (xs, fields) =>
+    Array.isArray(xs) ? xs.map((x) => withFields(x, fields)) : xs;
+
+  const next = {
+    ...state,
+    hot: mapList(state.hot, STATE_FIELDS.streams),
+    cold: mapList(state.cold, STATE_FIELDS.streams),
+    utility: mapList(state.utility, STATE_FIELDS.utility),
+    exchanger: mapList(state.exchanger, STATE_FIELDS.exchanger),
+    stats: withFields(state.stats, STATE_FIELDS.stats),
+  };
+
+  if (Array.isArray(state.constraint))
+    next.constraint = state.constraint.map((c) =>
+      c && typeof c === "object" && c.require
+        ? { ...c, require: withFields(c.require, STATE_FIELDS.require) }
+        : c,
+    );
+
+  const gen = state.generator;
+  if (gen && typeof gen === "object") {
+    next.generator = {
+      ...gen,
+      hot: withFields(gen.hot, STATE_FIELDS.generator),
+      cold: withFields(gen.cold, STATE_FIELDS.generator),
+    };
+    if (gen.structured !== undefined)
+      next.generator.structured = withFields(
+        gen.structured,
+        STATE_FIELDS.structured,
+      );
+  }
+
+  return next;
+};
+
+/**
+ * @param {StateUnits} units
+ * @param {"to"|"from"} direction
+ */
+const converters = (units, direction) =>
+  /** @type {Record<FieldKind, (x: number) => number>} */ (
+    Object.fromEntries(
+      Object.entries(fieldConverters(units)).map(([kind, c]) => [
+        kind,
+        c[direction],
+      ]),
+    )
+  );
+
+/**
+ * `stateToBaseUnits(state, units)` → состояние с температурами в кельвинах и нагрузками в МВт
+ * (значения `state` заданы в `units`).
+ *
+ * @param {any} state
+ * @param {StateUnits} units
+ */
+export const stateToBaseUnits = (state, units) =>
+  units.temp === "K" && units.load === "MW"
+    ? state
+    : mapStateFields(state, converters(units, "to"));
+
+/**
+ * `stateFromBaseUnits(state, units)` → состояние с температурами и нагрузками в `units`
+ * (для записи в файл).
+ *
+ * @param {any} state каноническое состояние
+ * @param {StateUnits} units
+ */
+export const stateFromBaseUnits = (state, units) =>
+  units.temp === "K" && units.load === "MW"
+    ? state
+    : mapStateFields(state, converters(units, "from"));
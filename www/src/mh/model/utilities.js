@@ -0,0 +1,139 @@
+/**
+ * Утилиты (внешние источники тепла и холода): уровни температур, стоимость и выбор утилиты
+ * для нагревателей и холодильников.
+ *
+ * Каноническая запись утилиты (секция `[[utility]]`) — `{ name, kind, in, out?, cost }`:
+ * - `kind` — `"hot"` (греющая: пар, горячее масло) или `"cold"` (охлаждающая: вода, хладагент);
+ * - `in`, `out` — температуры подачи и возврата (K); без `out` утилита изотермическая
+ *   (например, конденсирующийся пар);
+ * - `cost` — стоимость, у.е. за МВт·год.
+ *
+ * Аппарат-утилита может ссылаться на утилиту полем `utility` (индекс в `state.utility`, 0-based):
+ * нагреватель (`hot: null`) — на греющую, холодильник (`cold: null`) — на охлаждающую.
+ *
+ * Утилита реализуема для аппарата, если температурный напор на обоих концах противотока
+ * не меньше ΔT утилит проекта (`multiheat.def_dt`). Температуры аппарата берутся
+ * из полей `hot_in`/`hot_out`/`cold_in`/`cold_out` (см. `model/exchanger_temps.js`).
+ */
+
+/** Допуск температурного напора (K) */
+const TEMP_EPS = 1e-6;
+
+/** @param {any} v */
+const isIndex = (v) => v !== null && v !== undefined;
+
+/**
+ * Вид утилиты, нужный аппарату: нагревателю — `"hot"`, холодильнику — `"cold"`,
+ * ячейке теплообмена — null.
+ *
+ * @param {any} ex
+ * @returns {"hot"|"cold"|null}
+ */
+export const utilityKindFor = (ex) => {
+  const hasH = isIndex(ex?.hot);
+  const hasC = isIndex(ex?.cold);
+  if (!hasH && hasC) return "hot";
+  if (hasH && !hasC) return "cold";
+  return null;
+};
+
+/**
+ * Минимальный температурный напор между утилитой и потоком аппарата (K, противоток).
+ * NaN, если температуры аппарата не заданы.
+ *
+ * @param {any} u утилита
+ * @param {any} ex аппарат с температурами
+ * @returns {number}
+ */
+export const utilityApproach = (u, ex) => {
+  const uIn = Number(u.in);
+  const uOut = isIndex(u.out) ? Number(u.out) : uIn;
+
+  // Нагреватель: подача утилиты против выхода холодного потока и наоборот.
+  if (utilityKindFor(ex) === "hot")
+    return Math.min(
+      uIn - Number(ex.cold_out ?? NaN),
+      uOut - Number(ex.cold_in ?? NaN),
+    );
+
+  // Холодильник: вход горячего потока против возврата утилиты и наоборот.
+  return Math.min(
+    Number(ex.hot_in ?? NaN) - uOut,
+    Number(ex.hot_out ?? NaN) - uIn,
+  );
+};
+
+/**
+ * Реализуема ли утилита для аппарата при ΔT утилит `defDt`.
+ *
+ * @param {any} u
+ * @param {any} ex
+ * @param {number} defDt
+ * @returns {boolean}
+ */
+export const isUtilityFeasible = (u, ex, defDt) =>
+  u.kind === utilityKindFor(ex) && utilityApproach(u, ex) >= defDt - TEMP_EPS;
+
+/**
+ * `assignUtilities(state, exchangers, opts)` → копия списка аппаратов, где каждому
+ * нагревателю и холодильнику назначена самая дешёвая реализуемая утилита (`utility`).
+ *
+ * При равной стоимости берётся утилита с меньшим индексом. Если реализуемой утилиты нет,
+ * поле `utility` у аппарата не задаётся. Без `state.utility` список возвращается как есть.
+ *
+ * @param {any} state Каноническое состояние ({ utility })
+ * @param {any[]} exchangers аппараты с температурами
+ * @param {{ def_dt?: number }} [opts]
+ * @returns {any[]}
+ */
+export const assignUtilities = (state, exchangers, opts = {}) => {
+  const utilities = Array.isArray(state?.utility) ? state.utility : [];
+  if (utilities.length === 0) return exchangers;
+
+  const defDt = Number.isFinite(opts.def_dt) ? Number(opts.def_dt) : 30;
+
+  return exchangers.map((ex) => {
+    if (utilityKindFor(ex) === null) return ex;
+
+    const out = { ...ex };
+    delete out.utility;
+
+    let best = -1;
+    for (let u = 0; u < utilities.length; u++) {
+      if (!isUtilityFeasible(utilities[u], ex, defDt)) continue;
+      if (best < 0 || utilities[u].cost < utilities[best].cost) best = u;
+    }
+
+    if (best >= 0) out.utility = best;
+    return out;
+  });
+};
+
+/**
+ * Нагрузка и годовая стоимость по каждой утилите.
+ *
+ * @param {any} state Каноническое состояние ({ utility, exchanger })
+ * @returns {{ load_MW: number[], cost: number[], unassigned_MW: number }}
+ *   `unassigned_MW` — суммарная нагрузка нагревателей и холодильников без утилиты
+ */
+export const utilityCosts = (state) => {
+  const utilities = Array.isArray(state?.utility) ? state.utility : [];
+  const exch = Array.isArray(state?.exchanger) ? state.exchanger : [];
+
+  const load = utilities.map(() => 0);
+  let unassigned = 0;
+
+  for (const ex of exch) {
+    if (!ex || utilityKindFor(ex) === null) continue;
+    const q = Math.max(0, Number(ex.load) || 0);
+    if (Number.isInteger(ex.utility) && ex.utility < load.length)
+      load[ex.utility] += q;
+    else unassigned += q;
+  }
+
+  return {
+    load_MW: load,
+    cost: load.map((q, u) => q * (Number(utilities[u].cost) || 0)),
+    unassigned_MW: unassigned,
+  };
+};
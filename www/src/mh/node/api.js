@@ -0,0 +1,170 @@
+/**
+ * Программный интерфейс Multiheat для Node.js — без браузера и без Zig/WASM.
+ *
+ * Команды повторяют консольную часть на Zig (`cli/main.zig`): проверка входных данных,
+ * проверка решения, синтез и Mermaid-граф. Синтез выполняют реализации на JavaScript
+ * (`solve_greedy_js`, `solve_curves_js`); команда `multiheat-js` — `bin/multiheat-js.js`.
+ *
+ * Важно:
+ * - версии сборки читаются из `build.zig` (там же их берёт `build_options` для Zig/WASM),
+ *   поэтому модуль работает из рабочей копии репозитория;
+ * - функции принимают и возвращают каноническое состояние (см. `model/state.js`);
+ *   TOML разбирается и формируется функциями `parseTomlToState`/`emitToml`.
+ */
+
+import { readFileSync } from "node:fs";
+
+import { getBuildVersions, setBuildVersions } from "../build_versions.js";
+import { validateAndNormalizeState, dtOptions } from "../model/state.js";
+import { computeSolutionStats } from "../model/stats.js";
+import { runSolveRequest } from "../solver/solve_request.js";
+import { verifySolutionJs } from "../solver/verify_solution_js.js";
+import { emitMermaid } from "../io/mermaid.js";
+
+export { parseTomlToState, emitToml, emitTomlExchangers } from "../io/toml.js";
+export { emitCsvStreams } from "../io/csv_streams.js";
+export { emitCsvSolution } from "../io/csv_solution.js";
+export { emitMermaid } from "../io/mermaid.js";
+export { emitMermaidGraph, emitDot } from "../io/graph.js";
+export { validateAndNormalizeState } from "../model/state.js";
+export { computeSolutionStats } from "../model/stats.js";
+export { solveGreedyJs } from "../solver/solve_greedy_js.js";
+export { solveCurvesJs } from "../solver/solve_curves_js.js";
+export {
+  verifySolutionJs,
+  describeViolation,
+} from "../solver/verify_solution_js.js";
+
+const BUILD_ZIG_URL = new URL("../../../../build.zig", import.meta.url);
+
+/**
+ * Прочитать версии сборки из `build.zig` (`pub const <name> = .{ .major = …, .minor = …, .patch = … }`).
+ *
+ * @returns {ReturnType<typeof getBuildVersions>}
+ */
+const readBuildVersions = () => {
+  const text = readFileSync(BUILD_ZIG_URL, "utf8");
+  const exports = {};
+  for (const name of ["multiheat_version", "earliest_config_version"]) {
+    const m = new RegExp(
+      `pub const ${name} = \\.\\{\\s*\\.major = (\\d+),\\s*\\.minor = (\\d+),\\s*\\.patch = (\\d+)`,
+    ).exec(text);
+    if (!m) throw new Error(`Не удалось прочитать ${name} из build.zig.`);
+    exports[`${name}_major`] = Number(m[1]);
+    exports[`${name}_minor`] = Number(m[2]);
+    exports[`${name}_patch`] = Number(m[3]);
+  }
+  return getBuildVersions(exports);
+};
+
+setBuildVersions(readBuildVersions());
+
+/**
+ * Алгоритмы, доступные без Zig/WASM (подписи — как в селекторе «Алгоритм» Web UI).
+ * @type {{ id: string, label: string }[]}
+ */
+export const JS_ALGORITHMS = [
+  { id: "solve_greedy_js", label: "Жадный (JavaScript)" },
+  { id: "solve_curves_js", label: "Эквивалентные кривые (JavaScript)" },
+];
+
+/** Алгоритм по умолчанию: жадный, как `--solve` в CLI на Zig. */
+export const DEFAULT_ALGORITHM = "solve_greedy_js";
+
+/**
+ * `resolveAlgorithm(name)` → алгоритм из `JS_ALGORITHMS`.
+ *
+ * Принимает идентификатор (`solve_curves_js`), имя без суффикса (`solve_curves`) или краткое (`curves`).
+ *
+ * @param {string} [name]
+ * @returns {{ id: string, label: string }}
+ */
+export const resolveAlgorithm = (name = DEFAULT_ALGORITHM) => {
+  const s = String(name ?? "").trim();
+  const id = s.startsWith("solve_")
+    ? s.endsWith("_js")
+      ? s
+      : `${s}_js`
+    : `solve_${s}_js`;
+
+  const algo = JS_ALGORITHMS.find((a) => a.id === id);
+  if (!algo)
+    throw new Error(
+      `Неизвестный алгоритм «${s}». Доступны: ${JS_ALGORITHMS.map((a) => a.id).join(", ")}.`,
+    );
+  return algo;
+};
+
+/**
+ * `checkInput(state)` → нормализованное состояние; выбрасывает ошибку для некорректных данных.
+ *
+ * @param {any} state
+ * @returns {ReturnType<typeof validateAndNormalizeState>}
+ */
+export const checkInput = (state) => validateAndNormalizeState(state);
+
+/**
+ * `verify(state)` → результат `verifySolutionJs` для решения `[[exchanger]]`.
+ *
+ * @param {any} state
+ * @returns {ReturnType<typeof verifySolutionJs>}
+ */
+export const verify = (state) => {
+  const normalized = validateAndNormalizeState(state);
+  if (normalized.exchanger.length === 0)
+    throw new Error("Решение отсутствует: нет ни одного [[exchanger]].");
+  return verifySolutionJs(normalized, dtOptions(normalized));
+};
+
+/**
+ * `solve(state, opts)` → состояние с решением (`exchanger`) и статистикой (`stats`), как после синтеза в Web UI.
+ *
+ * @param {any} state
+ * @param {{ algorithm?: string }} [opts]
+ * @returns {{ state: any, algorithm: string, solve_time_ms: number }}
+ */
+export const solve = (state, opts = {}) => {
+  const algo = resolveAlgorithm(opts.algorithm);
+  const normalized = validateAndNormalizeState(state);
+  if (normalized.hot.length === 0 || normalized.cold.length === 0)
+    throw new Error(
+      "Невозможно синтезировать систему: нужен хотя бы один горячий и один холодный поток.",
+    );
+
+  const solved = runSolveRequest(null, {
+    algorithm: algo.id,
+    label: algo.label,
+    state: normalized,
+  });
+  const next = validateAndNormalizeState({
+    ...normalized,
+    exchanger: solved.exchangers,
+  });
+  const stats = computeSolutionStats(next, {
+    algorithm_used: algo.id,
+    algorithm_label: algo.label,
+    solve_time_ms: solved.solve_time_ms,
+  });
+
+  return {
+    state: { ...next, stats },
+    algorithm: algo.id,
+    solve_time_ms: solved.solve_time_ms,
+  };
+};
+
+/**
+ * `graph(state, opts)` → Mermaid-граф системы; если решения нет, система сначала решается.
+ *
+ * @param {any} state
+ * @param {{ algorithm?: string }} [opts]
+ * @returns {string}
+ */
+export const graph = (state, opts = {}) => {
+  const normalized = validateAndNormalizeState(state);
+  return emitMermaid(
+    normalized.exchanger.length > 0
+      ? normalized
+      : solve(normalized, opts).state,
+  );
+};
@@ -0,0 +1,369 @@
+/**
+ * Бэкенды рисования: один и тот же рендер (схема сети, кривые) выводится на canvas
+ * (экран, экспорт PNG) или в SVG (экспорт).
+ *
+ * Бэкенд рисует в CSS-координатах рисунка `width`×`height`; составные элементы
+ * (подписи в рамке, нагрузки и т. п.) собираются из его операций в `./primitives.js`.
+ *
+ * Важно:
+ * - шрифт общий для всех бэкендов (`FONT`), текст выравнивается по вертикали по середине строки;
+ * - ширина текста в SVG измеряется тем же шрифтом на вспомогательном canvas,
+ *   поэтому раскладка подписей совпадает с экранной.
+ */
+
+/** Шрифт подписей на схеме и графиках. */
+export const FONT_SIZE = 12;
+export const FONT_FAMILY =
+  "system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+const FONT = `${FONT_SIZE}px ${FONT_FAMILY}`;
+
+/**
+ * @typedef {object} StrokeStyle
+ * @property {string} [strokeStyle]
+ * @property {number} [lineWidth]
+ * @property {"butt"|"round"|"square"} [lineCap]
+ * @property {"miter"|"round"|"bevel"} [lineJoin]
+ * @property {number[]} [dash] пунктир (длины штрихов и промежутков, CSS px)
+ */
+
+/**
+ * @typedef {object} ShapeStyle
+ * @property {string} [fillStyle]
+ * @property {string} [strokeStyle]
+ * @property {number} [lineWidth] 0 — без обводки
+ * @property {number[]} [dash]
+ */
+
+/**
+ * @typedef {object} TextStyle
+ * @property {"left"|"center"|"right"} [align]
+ * @property {string} [fillStyle]
+ * @property {string} [outlineStyle] обводка букв (подложка под текстом); нет — без обводки
+ * @property {number} [outlineWidth]
+ */
+
+/**
+ * @typedef {object} DrawBackend
+ * @property {number} width ширина рисунка, CSS px
+ * @property {number} height высота рисунка, CSS px
+ * @property {(text: string) => number} measureText ширина текста, CSS px
+ * @property {(alpha: number) => void} setAlpha прозрачность следующих элементов (0..1)
+ * @property {(view: { scale: number, tx: number, ty: number }) => void} setView
+ *   масштаб и сдвиг следующих элементов (`x' = x * scale + tx`)
+ * @property {(pts: { x: number, y: number }[], style: StrokeStyle) => void} strokePath ломаная
+ * @property {(x: number, y: number, r: number, style: ShapeStyle) => void} circle
+ * @property {(x: number, y: number, w: number, h: number, style: ShapeStyle) => void} rect
+ * @property {(text: string, x: number, y: number, style: TextStyle) => void} text
+ */
+
+/** Вспомогательный контекст для измерения текста вне экранного canvas. */
+let measureCtx = null;
+
+/**
+ * Ширина текста шрифтом `FONT`; без canvas (не браузер) — грубая оценка.
+ *
+ * @param {string} text
+ */
+const measureTextWidth = (text) => {
+  if (measureCtx === null) {
+    try {
+      const c =
+        typeof OffscreenCanvas === "function"
+          ? new OffscreenCanvas(1, 1)
+          : document.createElement("canvas");
+      measureCtx = c.getContext("2d") || false;
+    } catch {
+      measureCtx = false;
+    }
+    if (measureCtx) measureCtx.font = FONT;
+  }
+  if (measureCtx) return measureCtx.measureText(text).width;
+  return String(text).length * FONT_SIZE * 0.6;
+};
+
+/**
+ * Получить CSS-размер canvas без вмешательства в layout.
+ *
+ * @param {HTMLCanvasElement} canvas
+ */
+export const getCanvasCssSize = (canvas) => {
+  const rect = canvas.getBoundingClientRect();
+  const wCss = Math.max(1, Math.floor(rect.width));
+  const hCss = Math.max(1, Math.floor(rect.height));
+  return { wCss, hCss };
+};
+
+/**
+ * `createCanvasBackend(canvas, opts)` → бэкенд canvas (или null, если нет 2D-контекста).
+ *
+ * Без `width`/`height` рисунок занимает CSS-размер canvas, а пиксельная сетка подгоняется под DPR
+ * (экран). С ними — canvas получает размер `width*pixelRatio`×`height*pixelRatio` (экспорт PNG).
+ * Canvas очищается (и заливается фоном `background`, если задан).
+ *
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {{ width?: number, height?: number, pixelRatio?: number, background?: string }} [opts]
+ * @returns {DrawBackend|null}
+ */
+export const createCanvasBackend = (canvas, opts = {}) => {
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return null;
+
+  const css =
+    opts.width === undefined || opts.height === undefined
+      ? getCanvasCssSize(/** @type {HTMLCanvasElement} */ (canvas))
+      : null;
+  const width = css ? css.wCss : opts.width;
+  const height = css ? css.hCss : opts.height;
+  const ratio =
+    opts.pixelRatio ?? Math.max(1, Math.round(window.devicePixelRatio || 1));
+
+  const wPx = Math.round(width * ratio);
+  const hPx = Math.round(height * ratio);
+
+  // Почему: не трогаем размер без необходимости, чтобы не сбрасывать состояние контекста лишний раз.
+  if (canvas.width !== wPx) canvas.width = wPx;
+  if (canvas.height !== hPx) canvas.height = hPx;
+
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalAlpha = 1;
+  ctx.setLineDash([]);
+  ctx.clearRect(0, 0, wPx, hPx);
+  if (opts.background) {
+    ctx.fillStyle = opts.background;
+    ctx.fillRect(0, 0, wPx, hPx);
+  }
+
+  // Работаем в CSS-координатах (масштаб через transform).
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.font = FONT;
+  ctx.textBaseline = "middle";
+
+  /** @param {{ fillStyle?: string, strokeStyle?: string, lineWidth?: number, dash?: number[] }} style */
+  const fillAndStroke = ({
+    fillStyle,
+    strokeStyle,
+    lineWidth = 0,
+    dash = [],
+  }) => {
+    if (fillStyle) {
+      ctx.fillStyle = fillStyle;
+      ctx.fill();
+    }
+    if (strokeStyle && lineWidth > 0) {
+      ctx.strokeStyle = strokeStyle;
+      ctx.lineWidth = lineWidth;
+      ctx.setLineDash(dash);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+  };
+
+  return {
+    width,
+    height,
+    measureText: (text) => ctx.measureText(text).width,
+    setAlpha: (alpha) => {
+      ctx.globalAlpha = alpha;
+    },
+    setView: ({ scale, tx, ty }) => {
+      ctx.setTransform(
+        ratio * scale,
+        0,
+        0,
+        ratio * scale,
+        ratio * tx,
+        ratio * ty,
+      );
+    },
+    strokePath: (pts, style) => {
+      if (pts.length < 2) return;
+      ctx.strokeStyle = style.strokeStyle ?? "#0f172a";
+      ctx.lineWidth = style.lineWidth ?? 1;
+      ctx.lineCap = style.lineCap ?? "butt";
+      ctx.lineJoin = style.lineJoin ?? "miter";
+      ctx.setLineDash(style.dash ?? []);
+
+      ctx.beginPath();
+      ctx.moveTo(pts[0].x, pts[0].y);
+      for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+      ctx.stroke();
+
+      ctx.setLineDash([]);
+    },
+    circle: (x, y, r, style) => {
+      ctx.beginPath();
+      ctx.arc(x, y, r, 0, Math.PI * 2);
+      fillAndStroke(style);
+    },
+    rect: (x, y, w, h, style) => {
+      ctx.beginPath();
+      ctx.rect(x, y, w, h);
+      fillAndStroke(style);
+    },
+    text: (text, x, y, style) => {
+      ctx.textAlign = style.align ?? "left";
+      if (style.outlineStyle) {
+        ctx.lineJoin = "round";
+        ctx.miterLimit = 2;
+        ctx.strokeStyle = style.outlineStyle;
+        ctx.lineWidth = style.outlineWidth ?? 3;
+        ctx.strokeText(text, x, y);
+      }
+      ctx.fillStyle = style.fillStyle ?? "#0f172a";
+      ctx.fillText(text, x, y);
+    },
+  };
+};
+
+// --- SVG ---
+
+/** @param {string} s */
+const escapeXml = (s) =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/** Число для атрибута SVG: не больше 2 знаков после точки. */
+const n = (v) => String(Math.round(Number(v) * 100) / 100);
+
+/** @param {Record<string, string|number|undefined>} attrs */
+const attrText = (attrs) =>
+  Object.entries(attrs)
+    .filter(([, v]) => v !== undefined)
+    .map(([k, v]) => ` ${k}="${escapeXml(String(v))}"`)
+    .join("");
+
+/**
+ * Цвет для атрибута SVG `attr` (`fill`/`stroke`): `rgba(...)` раскладывается на `rgb(...)`
+ * и `*-opacity`, так как не все программы просмотра SVG понимают `rgba` в атрибутах.
+ *
+ * @param {"fill"|"stroke"} attr
+ * @param {string} css
+ */
+const colorAttrs = (attr, css) => {
+  const m = /^rgba\(([^,]+),([^,]+),([^,]+),([^)]+)\)$/.exec(
+    String(css).replace(/\s+/g, ""),
+  );
+  if (!m) return { [attr]: css };
+  return {
+    [attr]: `rgb(${m[1]},${m[2]},${m[3]})`,
+    [`${attr}-opacity`]: m[4],
+  };
+};
+
+const SVG_ANCHOR = { left: "start", center: "middle", right: "end" };
+
+/**
+ * `createSvgBackend({ width, height, background })` → бэкенд SVG; готовый документ — `toSvg()`.
+ *
+ * @param {{ width: number, height: number, background?: string }} opts
+ * @returns {DrawBackend & { toSvg: () => string }}
+ */
+export const createSvgBackend = ({ width, height, background }) => {
+  /** @type {string[]} */
+  const items = [];
+  let alpha = 1;
+  let view = { scale: 1, tx: 0, ty: 0 };
+
+  /** Общие атрибуты элемента: прозрачность и вид. */
+  const common = () => ({
+    opacity: alpha < 1 ? n(alpha) : undefined,
+    transform:
+      view.scale !== 1 || view.tx !== 0 || view.ty !== 0
+        ? `matrix(${n(view.scale)} 0 0 ${n(view.scale)} ${n(view.tx)} ${n(view.ty)})`
+        : undefined,
+  });
+
+  /** @param {{ fillStyle?: string, strokeStyle?: string, lineWidth?: number, dash?: number[] }} style */
+  const paint = ({ fillStyle, strokeStyle, lineWidth = 0, dash = [] }) => ({
+    ...(fillStyle ? colorAttrs("fill", fillStyle) : { fill: "none" }),
+    ...(strokeStyle && lineWidth > 0
+      ? {
+          ...colorAttrs("stroke", strokeStyle),
+          "stroke-width": n(lineWidth),
+          "stroke-dasharray":
+            dash.length > 0 ? dash.map(n).join(" ") : undefined,
+        }
+      : {}),
+  });
+
+  return {
+    width,
+    height,
+    measureText: measureTextWidth,
+    setAlpha: (a) => {
+      alpha = a;
+    },
+    setView: (v) => {
+      view = { scale: v.scale, tx: v.tx, ty: v.ty };
+    },
+    strokePath: (pts, style) => {
+      if (pts.length < 2) return;
+      items.push(
+        `<polyline${attrText({
+          points: pts.map((p) => `${n(p.x)},${n(p.y)}`).join(" "),
+          fill: "none",
+          ...colorAttrs("stroke", style.strokeStyle ?? "#0f172a"),
+          "stroke-width": n(style.lineWidth ?? 1),
+          "stroke-linecap": style.lineCap ?? "butt",
+          "stroke-linejoin": style.lineJoin ?? "miter",
+          "stroke-dasharray": style.dash?.length
+            ? style.dash.map(n).join(" ")
+            : undefined,
+          ...common(),
+        })}/>`,
+      );
+    },
+    circle: (x, y, r, style) => {
+      items.push(
+        `<circle${attrText({ cx: n(x), cy: n(y), r: n(r), ...paint(style), ...common() })}/>`,
+      );
+    },
+    rect: (x, y, w, h, style) => {
+      items.push(
+        `<rect${attrText({ x: n(x), y: n(y), width: n(w), height: n(h), ...paint(style), ...common() })}/>`,
+      );
+    },
+    text: (text, x, y, style) => {
+      const outline = style.outlineStyle
+        ? {
+            ...colorAttrs("stroke", style.outlineStyle),
+            "stroke-width": n(style.outlineWidth ?? 3),
+            "stroke-linejoin": "round",
+            "paint-order": "stroke",
+          }
+        : {};
+      items.push(
+        `<text${attrText({
+          x: n(x),
+          y: n(y),
+          "text-anchor": SVG_ANCHOR[style.align ?? "left"],
+          "dominant-baseline": "central",
+          ...colorAttrs("fill", style.fillStyle ?? "#0f172a"),
+          ...outline,
+          ...common(),
+        })}>${escapeXml(text)}</text>`,
+      );
+    },
+    toSvg: () =>
+      [
+        `<svg xmlns="http://www.w3.org/2000/svg"${attrText({
+          width: n(width),
+          height: n(height),
+          viewBox: `0 0 ${n(width)} ${n(height)}`,
+          "font-family": FONT_FAMILY,
+          "font-size": FONT_SIZE,
+        })}>`,
+        ...(background
+          ? [
+              `<rect${attrText({ width: "100%", height: "100%", fill: background })}/>`,
+            ]
+          : []),
+        ...items,
+        "</svg>",
+        "",
+      ].join("\n"),
+  };
+};
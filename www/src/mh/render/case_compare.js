@@ -0,0 +1,97 @@
+import {
+  compareCaseStats,
+  diffCaseSolutions,
+} from "../analysis/case_compare.js";
+import { fromMW, loadUnitLabel } from "../model/units.js";
+import { fmtNum } from "../util/number.js";
+import { renderTable } from "./tables.js";
+
+/** Подписи отличий пары в таблице различий. */
+const STATUS_LABELS = {
+  same: "совпадает",
+  changed: "изменена",
+  only_a: "только в A",
+  only_b: "только в B",
+};
+
+/**
+ * Нагрузка пары в единицах `unit` (4 знака) или прочерк, если пары нет.
+ * @param {number|null} v нагрузка, МВт
+ * @param {import("../model/units.js").LoadUnit} unit
+ */
+const fmtLoad = (v, unit) => {
+  if (v === null) return "—";
+  const x = fromMW(v, unit);
+  return fmtNum(Math.round(x * 1e4) / 1e4);
+};
+
+/**
+ * `renderCaseStats(tableEl, cases, units)` — сводка показателей вариантов (столбец на вариант).
+ *
+ * @param {HTMLTableElement} tableEl
+ * @param {{ name: string, state: any }[]} cases
+ * @param {import("../model/units.js").DisplayUnits} [units] по умолчанию МВт
+ */
+export const renderCaseStats = (tableEl, cases, units = {}) => {
+  const { headers, rows } = compareCaseStats(cases, units);
+  renderTable(tableEl, headers, rows);
+};
+
+/**
+ * `renderCaseDiff(tableEl, summaryEl, a, b, units)` — различия решений вариантов A и B.
+ *
+ * Строки с отличиями выделяются классами `mh-diffChanged`, `mh-diffOnlyA`, `mh-diffOnlyB`.
+ *
+ * @param {HTMLTableElement} tableEl
+ * @param {HTMLElement} summaryEl
+ * @param {{ name: string, state: any }} a
+ * @param {{ name: string, state: any }} b
+ * @param {import("../model/units.js").DisplayUnits} [units] по умолчанию МВт
+ */
+export const renderCaseDiff = (tableEl, summaryEl, a, b, units = {}) => {
+  const { loadUnit = "MW" } = units;
+  const unit = loadUnitLabel(loadUnit);
+  const diff = diffCaseSolutions(a.state, b.state);
+
+  renderTable(
+    tableEl,
+    [
+      "Пара",
+      `A: ${a.name}, ${unit}`,
+      `B: ${b.name}, ${unit}`,
+      `Δ (B − A), ${unit}`,
+      "Отличие",
+    ],
+    diff.rows.map((r) => [
+      r.pair,
+      fmtLoad(r.load_a, loadUnit),
+      fmtLoad(r.load_b, loadUnit),
+      fmtLoad((r.load_b ?? 0) - (r.load_a ?? 0), loadUnit),
+      STATUS_LABELS[r.status],
+    ]),
+    diff.rows.map((r) =>
+      r.status === "changed"
+        ? "mh-diffChanged"
+        : r.status === "only_a"
+          ? "mh-diffOnlyA"
+          : r.status === "only_b"
+            ? "mh-diffOnlyB"
+            : null,
+    ),
+  );
+
+  const lines = [];
+  if (diff.rows.length === 0)
+    lines.push("Ни в одном из двух вариантов нет решения.");
+  else if (diff.only_a + diff.only_b + diff.changed === 0)
+    lines.push("Решения совпадают.");
+  else
+    lines.push(
+      `Только в A: ${diff.only_a}, только в B: ${diff.only_b}, нагрузка изменена: ${diff.changed}.`,
+    );
+  if (!diff.same_streams)
+    lines.push(
+      "Потоки вариантов различаются: пары сопоставлены по номерам потоков.",
+    );
+  summaryEl.textContent = lines.join(" ");
+};
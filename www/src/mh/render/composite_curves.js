@@ -0,0 +1,525 @@
+/**
+ * Рендер составных кривых (composite curves) и большой составной кривой (grand composite curve)
+ * на canvas или в SVG (через бэкенд `./backend.js`).
+ *
+ * Координаты (в единицах отображения, по умолчанию K и МВт):
+ * - X: Q
+ * - Y: T (для большой составной кривой — сдвинутая температура T*)
+ * ΔTmin — разность температур и подписывается в K.
+ *
+ * Ожидаемый формат входных данных — результат `analysis/composite_curves.js`:
+ * curves = {
+ *   dt_min_K: number,
+ *   hot:  [{ q_MW: number, temp_K: number }, ...],
+ *   cold: [{ q_MW: number, temp_K: number }, ...],
+ *   hot_utility_MW: number,
+ *   cold_utility_MW: number,
+ *   pinches: [{ q_MW: number|null, hot_K: number, cold_K: number }, ...],
+ * }
+ * gcc = {
+ *   dt_min_K: number,
+ *   points: [{ q_MW: number, temp_K: number }, ...],
+ *   hot_utility_MW: number,
+ *   cold_utility_MW: number,
+ *   pinches: [{ shifted_K: number, hot_K: number, cold_K: number }, ...],
+ * }
+ *
+ * Примечания:
+ * - кривые считаются на JavaScript и не требуют Zig/WASM;
+ * - внутри этого модуля нет вычислений пинч-анализа — только отрисовка.
+ */
+
+import { createCanvasBackend } from "./backend.js";
+import {
+  fromKelvin,
+  fromMW,
+  loadUnitLabel,
+  tempUnitLabel,
+} from "../model/units.js";
+import {
+  drawDot,
+  drawLine,
+  drawMessage,
+  drawPolyline,
+  drawText,
+} from "./primitives.js";
+
+/** @param {number} v */
+const isFiniteNumber = (v) => Number.isFinite(Number(v));
+
+const clamp = (min, v, max) => Math.max(min, Math.min(max, v));
+
+const HOT_COLOR = "#dc2626";
+const COLD_COLOR = "#2563eb";
+const GCC_COLOR = "#7c3aed";
+const PINCH_COLOR = "rgba(15,23,42,0.55)";
+
+/**
+ * Нормализовать входные точки кривой (убрать мусор, привести типы).
+ *
+ * Важно: порядок точек сохраняется — у изотерм и у большой составной кривой
+ * несколько точек могут иметь одинаковые Q или T.
+ *
+ * @param {any} xs
+ * @param {{ tempUnit: import("../model/units.js").TempUnit, loadUnit: import("../model/units.js").LoadUnit }} units
+ * @returns {{q:number, t:number}[]} точки в единицах отображения
+ */
+const normalizeCurve = (xs, { tempUnit, loadUnit }) => {
+  if (!xs) return [];
+  const arr = Array.isArray(xs) ? xs : Array.from(xs ?? []);
+  const out = [];
+  for (const p of arr) {
+    const q = Number(p?.q_MW);
+    const t = Number(p?.temp_K);
+    if (!isFiniteNumber(q) || !isFiniteNumber(t)) continue;
+    out.push({ q: fromMW(q, loadUnit), t: fromKelvin(t, tempUnit) });
+  }
+  return out;
+};
+
+/**
+ * Подобрать “красивое” число шагов и размер тика для оси.
+ *
+ * @param {number} span
+ * @param {number} targetTicks
+ */
+const niceTickStep = (span, targetTicks) => {
+  const s = Math.abs(span);
+  if (!(s > 0)) return 1;
+
+  const raw = s / Math.max(1, targetTicks);
+  const pow10 = Math.pow(10, Math.floor(Math.log10(raw)));
+  const n = raw / pow10;
+
+  let step = 1;
+  if (n <= 1) step = 1;
+  else if (n <= 2) step = 2;
+  else if (n <= 5) step = 5;
+  else step = 10;
+
+  return step * pow10;
+};
+
+const formatTick = (v) => {
+  const x = Number(v);
+  if (!Number.isFinite(x)) return String(v);
+
+  const ax = Math.abs(x);
+  if (ax >= 1000 || (ax > 0 && ax < 0.01))
+    return x.toExponential(1).replace(/e\+/, "e");
+
+  // 0..999: 0-2 знака после точки по ситуации
+  if (Math.abs(x - Math.round(x)) < 1e-6) return String(Math.round(x));
+  const s = x.toFixed(2).replace(/\.?0+$/, "");
+  return s;
+};
+
+/**
+ * Нарисовать оси, сетку и подписи; вернуть преобразование координат.
+ *
+ * @param {import("./backend.js").DrawBackend} g
+ * @param {{ wCss: number, hCss: number, qMin: number, qMax: number, tMin: number, tMax: number, tLabel: string, qLabel: string }} args
+ */
+const drawAxes = (
+  g,
+  { wCss, hCss, qMin, qMax, tMin, tMax, tLabel, qLabel },
+) => {
+  // Немного воздуха по Y, чтобы подписи не прижимались.
+  const tSpan = Math.max(1e-6, tMax - tMin);
+  const t0 = tMin - tSpan * 0.05;
+  const t1 = tMax + tSpan * 0.05;
+
+  const pad = 12;
+  const left = pad + 54; // место под подписи делений по T
+  const right = wCss - pad - 16;
+  const top = pad + 18;
+  const bottom = hCss - pad - 34; // место под подписи по Q
+
+  const plotW = Math.max(1, right - left);
+  const plotH = Math.max(1, bottom - top);
+
+  const xOfQ = (q) =>
+    left + ((clamp(qMin, q, qMax) - qMin) / (qMax - qMin)) * plotW;
+  const yOfT = (t) => bottom - clamp(0, (t - t0) / (t1 - t0), 1) * plotH;
+
+  drawLine(g, left, bottom, right, bottom, {
+    strokeStyle: "rgba(15,23,42,0.9)",
+    lineWidth: 2,
+  });
+  drawLine(g, left, bottom, left, top, {
+    strokeStyle: "rgba(15,23,42,0.9)",
+    lineWidth: 2,
+  });
+
+  drawText(g, tLabel, left - 38, top - 8, {
+    align: "left",
+    fillStyle: "rgba(15,23,42,0.9)",
+    outline: false,
+  });
+  drawText(g, qLabel, right, bottom + 22, {
+    align: "right",
+    fillStyle: "rgba(15,23,42,0.9)",
+    outline: false,
+  });
+
+  const xStep = niceTickStep(qMax - qMin, 6);
+  const yStep = niceTickStep(t1 - t0, 6);
+
+  const xStart = Math.ceil(qMin / xStep) * xStep;
+  for (let q = xStart; q <= qMax + 1e-9; q += xStep) {
+    const x = xOfQ(q);
+    drawLine(g, x, bottom, x, top, {
+      strokeStyle: "rgba(15,23,42,0.08)",
+      lineWidth: 1,
+      lineCap: "butt",
+    });
+    drawLine(g, x, bottom, x, bottom + 4, {
+      strokeStyle: "rgba(15,23,42,0.65)",
+      lineWidth: 1,
+      lineCap: "butt",
+    });
+    drawText(g, formatTick(q), x, bottom + 16, {
+      align: "center",
+      fillStyle: "rgba(15,23,42,0.85)",
+      outlineStyle: "rgba(255,255,255,0.95)",
+    });
+  }
+
+  const yStart = Math.ceil(t0 / yStep) * yStep;
+  for (let t = yStart; t <= t1 + 1e-9; t += yStep) {
+    const y = yOfT(t);
+    drawLine(g, left, y, right, y, {
+      strokeStyle: "rgba(15,23,42,0.08)",
+      lineWidth: 1,
+      lineCap: "butt",
+    });
+    drawLine(g, left - 4, y, left, y, {
+      strokeStyle: "rgba(15,23,42,0.65)",
+      lineWidth: 1,
+      lineCap: "butt",
+    });
+    drawText(g, formatTick(t), left - 8, y, {
+      align: "right",
+      fillStyle: "rgba(15,23,42,0.85)",
+      outlineStyle: "rgba(255,255,255,0.95)",
+    });
+  }
+
+  return { left, right, top, bottom, xOfQ, yOfT };
+};
+
+/**
+ * Легенда: короткий отрезок цвета и подпись.
+ *
+ * @param {import("./backend.js").DrawBackend} g
+ * @param {number} x
+ * @param {number} y
+ * @param {string} label
+ * @param {string} color
+ */
+const drawLegend = (g, x, y, label, color) => {
+  drawLine(g, x, y, x + 22, y, { strokeStyle: color, lineWidth: 3 });
+  drawText(g, label, x + 28, y, {
+    align: "left",
+    fillStyle: "rgba(15,23,42,0.9)",
+    outlineStyle: "rgba(255,255,255,0.95)",
+  });
+};
+
+/**
+ * Рендер горячей и холодной составных кривых на canvas (размер — CSS-размер canvas).
+ *
+ * @param {{canvas: HTMLCanvasElement, curves: any, units?: import("../model/units.js").DisplayUnits}} args
+ */
+export const renderCompositeCurves = ({ canvas, curves, units }) => {
+  if (!canvas) return;
+  const g = createCanvasBackend(canvas);
+  if (!g) return;
+  drawCompositeCurves(g, curves, units);
+};
+
+/**
+ * Нарисовать горячую и холодную составные кривые через бэкенд (экран или экспорт).
+ *
+ * Отмечаются пинч (пунктир с температурами сторон) и целевые мощности утилит
+ * QHmin (справа, между концами кривых) и QCmin (слева).
+ *
+ * @param {import("./backend.js").DrawBackend} g
+ * @param {any} curves
+ * @param {import("../model/units.js").DisplayUnits} [units] по умолчанию K и МВт
+ */
+export const drawCompositeCurves = (g, curves, units = {}) => {
+  const { tempUnit = "K", loadUnit = "MW" } = units;
+  const tUnit = tempUnitLabel(tempUnit);
+  const qUnit = loadUnitLabel(loadUnit);
+  const hot = normalizeCurve(curves?.hot, { tempUnit, loadUnit });
+  const cold = normalizeCurve(curves?.cold, { tempUnit, loadUnit });
+
+  if (hot.length < 2 || cold.length < 2) {
+    drawMessage(
+      g,
+      "Составные кривые недоступны: нужны горячие и холодные потоки.",
+    );
+    return;
+  }
+
+  const wCss = g.width;
+  const hCss = g.height;
+
+  let qMax = 0;
+  let tMin = Number.POSITIVE_INFINITY;
+  let tMax = Number.NEGATIVE_INFINITY;
+  for (const p of [...hot, ...cold]) {
+    qMax = Math.max(qMax, p.q);
+    tMin = Math.min(tMin, p.t);
+    tMax = Math.max(tMax, p.t);
+  }
+  if (!(qMax > 0)) qMax = 1;
+
+  const { left, right, top, bottom, xOfQ, yOfT } = drawAxes(g, {
+    wCss,
+    hCss,
+    qMin: 0,
+    qMax,
+    tMin,
+    tMax,
+    tLabel: `T, ${tUnit}`,
+    qLabel: `Q, ${qUnit}`,
+  });
+
+  if (isFiniteNumber(curves?.dt_min_K)) {
+    drawText(g, `ΔTmin = ${formatTick(curves.dt_min_K)} K`, right, top - 8, {
+      align: "right",
+      fillStyle: "rgba(15,23,42,0.7)",
+      outline: false,
+    });
+  }
+
+  // --- Целевые мощности утилит ---
+  const hotEnd = hot[hot.length - 1];
+  const coldEnd = cold[cold.length - 1];
+  const hotStart = hot[0];
+  const coldStart = cold[0];
+
+  const drawTarget = (q0, q1, y, label) => {
+    if (!(Math.abs(q1 - q0) > 1e-9)) return;
+    const x0 = xOfQ(Math.min(q0, q1));
+    const x1 = xOfQ(Math.max(q0, q1));
+    drawLine(g, x0, y, x1, y, {
+      strokeStyle: PINCH_COLOR,
+      lineWidth: 1.5,
+      lineCap: "butt",
+    });
+    drawLine(g, x0, y - 4, x0, y + 4, {
+      strokeStyle: PINCH_COLOR,
+      lineWidth: 1.5,
+      lineCap: "butt",
+    });
+    drawLine(g, x1, y - 4, x1, y + 4, {
+      strokeStyle: PINCH_COLOR,
+      lineWidth: 1.5,
+      lineCap: "butt",
+    });
+    drawText(g, label, (x0 + x1) / 2, y - 10, {
+      align: "center",
+      fillStyle: "rgba(15,23,42,0.85)",
+    });
+  };
+
+  const qh = Number(curves?.hot_utility_MW);
+  const qc = Number(curves?.cold_utility_MW);
+
+  if (isFiniteNumber(qh)) {
+    const y = Math.max(top + 24, yOfT(Math.max(hotEnd.t, coldEnd.t)) - 14);
+    drawTarget(
+      hotEnd.q,
+      coldEnd.q,
+      y,
+      `QHmin = ${formatTick(fromMW(Math.max(0, qh), loadUnit))} ${qUnit}`,
+    );
+  }
+  if (isFiniteNumber(qc)) {
+    const y = Math.min(
+      bottom - 8,
+      yOfT(Math.min(hotStart.t, coldStart.t)) + 14,
+    );
+    drawTarget(
+      hotStart.q,
+      coldStart.q,
+      y,
+      `QCmin = ${formatTick(fromMW(Math.max(0, qc), loadUnit))} ${qUnit}`,
+    );
+  }
+
+  // --- Пинч ---
+  const pinches = Array.isArray(curves?.pinches) ? curves.pinches : [];
+  for (const p of pinches) {
+    if (!isFiniteNumber(p?.q_MW)) continue;
+    const x = xOfQ(fromMW(Number(p.q_MW), loadUnit));
+    const hotT = fromKelvin(Number(p.hot_K), tempUnit);
+    const coldT = fromKelvin(Number(p.cold_K), tempUnit);
+    const yHot = yOfT(hotT);
+    const yCold = yOfT(coldT);
+    drawLine(g, x, top, x, bottom, {
+      strokeStyle: PINCH_COLOR,
+      lineWidth: 1,
+      lineCap: "butt",
+      dash: [4, 4],
+    });
+    drawText(
+      g,
+      `пинч: ${formatTick(hotT)} / ${formatTick(coldT)} ${tUnit}`,
+      x + 6,
+      (yHot + yCold) / 2,
+      { align: "left", fillStyle: "rgba(15,23,42,0.85)" },
+    );
+  }
+
+  // --- Кривые ---
+  const toScreenPts = (curve) =>
+    curve.map((p) => ({ x: xOfQ(p.q), y: yOfT(p.t) }));
+
+  drawPolyline(g, toScreenPts(hot), {
+    strokeStyle: HOT_COLOR,
+    lineWidth: 2.5,
+  });
+  drawPolyline(g, toScreenPts(cold), {
+    strokeStyle: COLD_COLOR,
+    lineWidth: 2.5,
+  });
+
+  const legendY = top + 8;
+  drawLegend(g, left + 10, legendY, "Горячая составная", HOT_COLOR);
+  drawLegend(g, left + 170, legendY, "Холодная составная", COLD_COLOR);
+};
+
+/**
+ * Рендер большой составной кривой на canvas (размер — CSS-размер canvas).
+ *
+ * @param {{canvas: HTMLCanvasElement, gcc: any, units?: import("../model/units.js").DisplayUnits}} args
+ */
+export const renderGrandCompositeCurve = ({ canvas, gcc, units }) => {
+  if (!canvas) return;
+  const g = createCanvasBackend(canvas);
+  if (!g) return;
+  drawGrandCompositeCurve(g, gcc, units);
+};
+
+/**
+ * Нарисовать большую составную кривую (T* от Q) через бэкенд (экран или экспорт).
+ *
+ * Отмечаются пинч (точка касания оси T*) и целевые мощности утилит на концах кривой.
+ *
+ * @param {import("./backend.js").DrawBackend} g
+ * @param {any} gcc
+ * @param {import("../model/units.js").DisplayUnits} [units] по умолчанию K и МВт
+ */
+export const drawGrandCompositeCurve = (g, gcc, units = {}) => {
+  const { tempUnit = "K", loadUnit = "MW" } = units;
+  const tUnit = tempUnitLabel(tempUnit);
+  const qUnit = loadUnitLabel(loadUnit);
+  const pts = normalizeCurve(gcc?.points, { tempUnit, loadUnit });
+
+  if (pts.length < 2) {
+    drawMessage(g, "Большая составная кривая недоступна: недостаточно данных.");
+    return;
+  }
+
+  const wCss = g.width;
+  const hCss = g.height;
+
+  // Важно: при изотермах каскад внутри интервала может кратковременно уходить ниже нуля,
+  // поэтому ось Q не обрезаем на нуле.
+  let qMin = 0;
+  let qMax = 0;
+  let tMin = Number.POSITIVE_INFINITY;
+  let tMax = Number.NEGATIVE_INFINITY;
+  for (const p of pts) {
+    qMin = Math.min(qMin, p.q);
+    qMax = Math.max(qMax, p.q);
+    tMin = Math.min(tMin, p.t);
+    tMax = Math.max(tMax, p.t);
+  }
+  if (!(qMax - qMin > 0)) qMax = qMin + 1;
+
+  const { left, right, top, bottom, xOfQ, yOfT } = drawAxes(g, {
+    wCss,
+    hCss,
+    qMin,
+    qMax,
+    tMin,
+    tMax,
+    tLabel: `T*, ${tUnit}`,
+    qLabel: `Q, ${qUnit}`,
+  });
+
+  if (isFiniteNumber(gcc?.dt_min_K)) {
+    drawText(
+      g,
+      `ΔTmin = ${formatTick(gcc.dt_min_K)} K (T* = Tгор = Tхол + ΔTmin)`,
+      right,
+      top - 8,
+      { align: "right", fillStyle: "rgba(15,23,42,0.7)", outline: false },
+    );
+  }
+
+  // Ось Q = 0: пинч — точка касания.
+  if (qMin < 0) {
+    const x0 = xOfQ(0);
+    drawLine(g, x0, top, x0, bottom, {
+      strokeStyle: "rgba(15,23,42,0.35)",
+      lineWidth: 1,
+      lineCap: "butt",
+    });
+  }
+
+  const screen = pts.map((p) => ({ x: xOfQ(p.q), y: yOfT(p.t) }));
+  drawPolyline(g, screen, { strokeStyle: GCC_COLOR, lineWidth: 2.5 });
+
+  // --- Целевые мощности утилит на концах кривой ---
+  const first = screen[0];
+  const last = screen[screen.length - 1];
+
+  if (isFiniteNumber(gcc?.hot_utility_MW)) {
+    drawText(
+      g,
+      `QHmin = ${formatTick(fromMW(Math.max(0, gcc.hot_utility_MW), loadUnit))} ${qUnit}`,
+      first.x + 8,
+      first.y,
+      { align: "left", fillStyle: HOT_COLOR },
+    );
+  }
+  if (isFiniteNumber(gcc?.cold_utility_MW)) {
+    drawText(
+      g,
+      `QCmin = ${formatTick(fromMW(Math.max(0, gcc.cold_utility_MW), loadUnit))} ${qUnit}`,
+      last.x + 8,
+      last.y,
+      { align: "left", fillStyle: COLD_COLOR },
+    );
+  }
+
+  // --- Пинч ---
+  const pinches = Array.isArray(gcc?.pinches) ? gcc.pinches : [];
+  for (const p of pinches) {
+    if (!isFiniteNumber(p?.shifted_K)) continue;
+    const x = xOfQ(0);
+    const y = yOfT(fromKelvin(Number(p.shifted_K), tempUnit));
+
+    drawDot(g, x, y, 4, {
+      fillStyle: GCC_COLOR,
+      strokeStyle: "rgba(15,23,42,0.35)",
+      lineWidth: 1.5,
+    });
+
+    drawText(
+      g,
+      `пинч: ${formatTick(fromKelvin(Number(p.hot_K), tempUnit))} / ${formatTick(fromKelvin(Number(p.cold_K), tempUnit))} ${tUnit}`,
+      x + 8,
+      y,
+      { align: "left", fillStyle: "rgba(15,23,42,0.85)" },
+    );
+  }
+
+  drawLegend(g, left + 10, top + 8, "Большая составная", GCC_COLOR);
+};
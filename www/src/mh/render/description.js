@@ -1,15 +1,39 @@
 import { fmtNum } from "../util/number.js";
 import { formatStatsForDescription } from "../model/stats.js";
+import { dtOptions } from "../model/state.js";
+import {
+  CP_LABEL,
+  MASS_FLOW_LABEL,
+  fmtLoad,
+  fromKelvin,
+  fromMW,
+  rateUnitLabel,
+  tempUnitLabel,
+} from "../model/units.js";
+import {
+  computeProblemTable,
+  formatProblemTableForDescription,
+} from "../analysis/pinch.js";
 
 /**
  * Рендерит текстовое описание системы в элемент `host`.
  *
  * @param {object} state Каноническое состояние ({ hot, cold, exchanger })
  * @param {HTMLElement} host Контейнер для вывода
+ * @param {import("../model/units.js").DisplayUnits} [units] единицы отображения (по умолчанию K и МВт)
  */
-export const renderDescriptionHtml = (state, host) => {
+export const renderDescriptionHtml = (state, host, units = {}) => {
+  const { tempUnit = "K", loadUnit = "MW" } = units;
   host.innerHTML = "";
 
+  const unit = tempUnitLabel(tempUnit);
+  // Температура в единице отображения (без подписи единицы).
+  const temp = (t) => fmtNum(fromKelvin(Number(t), tempUnit));
+  // Нагрузка и потоковая теплоёмкость в единице отображения (с подписью единицы).
+  const load = (q) => fmtLoad(Number(q), loadUnit);
+  const rateText = (w) =>
+    `${fmtNum(fromMW(w, loadUnit))} ${rateUnitLabel(loadUnit)}`;
+
   const addSection = (title, items) => {
     const h = document.createElement("h3");
     h.textContent = title;
@@ -29,18 +53,30 @@ export const renderDescriptionHtml = (state, host) => {
     return Number(s.load) / Math.abs(Number(s.out) - Number(s.in));
   };
 
+  // Расход и теплоёмкость потока (если заданы), например " Расход: 10 кг/с, теплоёмкость: 4.2 кДж/(кг·К).".
+  const flowText = (s) =>
+    s.mass_flow === undefined
+      ? ""
+      : ` Расход: ${fmtNum(s.mass_flow)} ${MASS_FLOW_LABEL}, теплоёмкость: ${fmtNum(s.cp)} ${CP_LABEL}.`;
+
+  // Коэффициент теплоотдачи (если задан), например " Коэффициент теплоотдачи: 0.8 кВт/(м²·К).".
+  const filmText = (x) =>
+    x.h === undefined
+      ? ""
+      : ` Коэффициент теплоотдачи: ${fmtNum(x.h)} кВт/(м²·К).`;
+
   const hotItems = [];
   for (let i = 0; i < state.hot.length; i++) {
     const s = state.hot[i];
     const id = `H${i + 1}`;
     if (s.out === undefined) {
       hotItems.push(
-        `${id}. Изотермический. Температура: ${fmtNum(s.in)} К. Нагрузка: ${fmtNum(s.load)} МВт.`,
+        `${id}. Изотермический. Температура: ${temp(s.in)} ${unit}. Нагрузка: ${load(s.load)}.${filmText(s)}`,
       );
     } else {
       const rate = streamRate(s);
       hotItems.push(
-        `${id}. Охлаждающийся. Температура: с ${fmtNum(s.in)} К до ${fmtNum(s.out)} К. Потоковая теплоёмкость: ${fmtNum(rate)} МВт/К.`,
+        `${id}. Охлаждающийся. Температура: с ${temp(s.in)} ${unit} до ${temp(s.out)} ${unit}. Потоковая теплоёмкость: ${rateText(rate)}.${flowText(s)}${filmText(s)}`,
       );
     }
   }
@@ -51,16 +87,58 @@ export const renderDescriptionHtml = (state, host) => {
     const id = `C${i + 1}`;
     if (s.out === undefined) {
       coldItems.push(
-        `${id}. Изотермический. Температура: ${fmtNum(s.in)} К. Нагрузка: ${fmtNum(s.load)} МВт.`,
+        `${id}. Изотермический. Температура: ${temp(s.in)} ${unit}. Нагрузка: ${load(s.load)}.${filmText(s)}`,
       );
     } else {
       const rate = streamRate(s);
       coldItems.push(
-        `${id}. Нагревающийся. Температура: с ${fmtNum(s.in)} К до ${fmtNum(s.out)} К. Потоковая теплоёмкость: ${fmtNum(rate)} МВт/К.`,
+        `${id}. Нагревающийся. Температура: с ${temp(s.in)} ${unit} до ${temp(s.out)} ${unit}. Потоковая теплоёмкость: ${rateText(rate)}.${flowText(s)}${filmText(s)}`,
       );
     }
   }
 
+  const utilities = Array.isArray(state.utility) ? state.utility : [];
+  const utilityItems = utilities.map((u, k) => {
+    const kind = u.kind === "hot" ? "Греющая" : "Охлаждающая";
+    const temps =
+      u.out === undefined
+        ? `${temp(u.in)} ${unit}`
+        : `с ${temp(u.in)} ${unit} до ${temp(u.out)} ${unit}`;
+    return `U${k + 1}. «${u.name}». ${kind}. Температура: ${temps}. Стоимость: ${fmtNum(u.cost)} за МВт·год.${filmText(u)}`;
+  });
+
+  const constraints = Array.isArray(state.constraint) ? state.constraint : [];
+  const constraintItems = constraints.map((c, k) => {
+    const m = c.forbid ?? c.require;
+    const pair = `H${m.hot + 1}–C${m.cold + 1}`;
+    return c.forbid
+      ? `${k + 1}. Сочетание ${pair} запрещено.`
+      : `${k + 1}. Сочетание ${pair} обязательно. Нагрузка: не менее ${load(m.min_load)}.`;
+  });
+
+  // Утилита нагревателя/холодильника (если назначена), например " Утилита: «Пар ВД».".
+  const exUtility = (ex) => {
+    const u = Number.isInteger(ex.utility) ? utilities[ex.utility] : null;
+    return u ? ` Утилита: «${u.name}».` : "";
+  };
+
+  // Температуры аппарата на стороне потока (если заданы), например " H1: 400 → 380 К.".
+  const sideTemps = (ex, side) => {
+    const tIn = ex[`${side}_in`];
+    const tOut = ex[`${side}_out`];
+    if (!Number.isFinite(tIn) || !Number.isFinite(tOut)) return "";
+    const id = `${side === "hot" ? "H" : "C"}${Number(ex[side]) + 1}`;
+    return ` ${id}: ${temp(tIn)} → ${temp(tOut)} ${unit}.`;
+  };
+
+  // Ветвь разветвлённого потока (если задана), например " H1: ветвь 2, доля потока 0.4.".
+  const sideBranch = (ex, side) => {
+    const branch = ex[`${side}_branch`];
+    if (!Number.isInteger(branch)) return "";
+    const id = `${side === "hot" ? "H" : "C"}${Number(ex[side]) + 1}`;
+    return ` ${id}: ветвь ${branch + 1}, доля потока ${fmtNum(ex[`${side}_split`])}.`;
+  };
+
   const exchItems = [];
   const exch = Array.isArray(state.exchanger) ? state.exchanger : [];
   if (exch.length !== 0) {
@@ -72,15 +150,15 @@ export const renderDescriptionHtml = (state, host) => {
 
       if (hasH && hasC) {
         exchItems.push(
-          `${id}. Ячейка теплообмена. Потоки: H${Number(ex.hot) + 1}, C${Number(ex.cold) + 1}. Нагрузка: ${fmtNum(ex.load)} МВт.`,
+          `${id}. Ячейка теплообмена. Потоки: H${Number(ex.hot) + 1}, C${Number(ex.cold) + 1}. Нагрузка: ${load(ex.load)}.${sideBranch(ex, "hot")}${sideBranch(ex, "cold")}${sideTemps(ex, "hot")}${sideTemps(ex, "cold")}`,
         );
       } else if (hasH && !hasC) {
         exchItems.push(
-          `${id}. Холодильник. Поток: H${Number(ex.hot) + 1}. Нагрузка: ${fmtNum(ex.load)} МВт.`,
+          `${id}. Холодильник. Поток: H${Number(ex.hot) + 1}. Нагрузка: ${load(ex.load)}.${exUtility(ex)}${sideBranch(ex, "hot")}${sideTemps(ex, "hot")}`,
         );
       } else if (!hasH && hasC) {
         exchItems.push(
-          `${id}. Нагреватель. Поток: C${Number(ex.cold) + 1}. Нагрузка: ${fmtNum(ex.load)} МВт.`,
+          `${id}. Нагреватель. Поток: C${Number(ex.cold) + 1}. Нагрузка: ${load(ex.load)}.${exUtility(ex)}${sideBranch(ex, "cold")}${sideTemps(ex, "cold")}`,
         );
       } else {
         exchItems.push(`${id}. Некорректная запись теплообменника.`);
@@ -89,7 +167,11 @@ export const renderDescriptionHtml = (state, host) => {
   }
 
   if (state && typeof state === "object" && state.stats) {
-    const statsItems = formatStatsForDescription(state.stats);
+    const statsItems = formatStatsForDescription(
+      state.stats,
+      state.utility,
+      loadUnit,
+    );
     if (Array.isArray(statsItems) && statsItems.length > 0) {
       addSection("Статистика", statsItems);
     }
@@ -97,5 +179,21 @@ export const renderDescriptionHtml = (state, host) => {
 
   addSection("Потоки, отдающие тепло", hotItems);
   addSection("Потоки, получающие тепло", coldItems);
+  if (utilityItems.length > 0) addSection("Утилиты", utilityItems);
+  if (constraintItems.length > 0)
+    addSection("Ограничения на сочетания потоков", constraintItems);
   addSection("Система теплообмена", exchItems);
+
+  // Пинч-анализ — свойство потоков (не решения), поэтому считается всегда при ΔTmin проекта.
+  const hasStreams =
+    Array.isArray(state.hot) &&
+    state.hot.length > 0 &&
+    Array.isArray(state.cold) &&
+    state.cold.length > 0;
+  if (hasStreams) {
+    const table = computeProblemTable(state, dtOptions(state));
+    const { summary, rows } = formatProblemTableForDescription(table, units);
+    addSection("Пинч-анализ", summary);
+    addSection("Таблица задачи (сдвинутые температуры)", rows);
+  }
 };
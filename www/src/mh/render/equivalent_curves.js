@@ -1,9 +1,11 @@
 /**
- * Рендер эквивалентных температурных кривых (T+(Q), T-(Q)) на canvas.
+ * Рендер эквивалентных температурных кривых (T+(Q), T-(Q)) на canvas или в SVG
+ * (через бэкенд `./backend.js`).
  *
  * Цель: отрисовать кривые эквивалентного двухпоточного аппарата в координатах:
- * - X: Q, МВт
- * - Y: T, K
+ * - X: Q
+ * - Y: T
+ * (в единицах отображения, по умолчанию K и МВт; ΔTmin — разность температур, подписывается в K)
  *
  * Ожидаемый формат входных данных:
  * curves = {
@@ -17,111 +19,28 @@
  * - внутри этого модуля нет вызова Zig — только отрисовка.
  */
 
+import { createCanvasBackend } from "./backend.js";
+import {
+  fromKelvin,
+  fromMW,
+  loadUnitLabel,
+  tempUnitLabel,
+} from "../model/units.js";
+import { drawDot, drawLine, drawPolyline, drawText } from "./primitives.js";
+
 /** @param {number} v */
 const isFiniteNumber = (v) => Number.isFinite(Number(v));
 
 const clamp = (min, v, max) => Math.max(min, Math.min(max, v));
 
-/**
- * Получить CSS-размер canvas (без вмешательства в layout).
- *
- * @param {HTMLCanvasElement} canvas
- */
-const getCanvasCssSize = (canvas) => {
-  const rect = canvas.getBoundingClientRect();
-  const wCss = Math.max(1, Math.floor(rect.width));
-  const hCss = Math.max(1, Math.floor(rect.height));
-  return { wCss, hCss };
-};
-
-/**
- * Подогнать внутреннюю пиксельную сетку canvas под DPR, не трогая CSS-геометрию.
- *
- * @param {HTMLCanvasElement} canvas
- */
-const resizeCanvasForDpr = (canvas) => {
-  const dpr = Math.max(1, Math.round(window.devicePixelRatio || 1));
-  const { wCss, hCss } = getCanvasCssSize(canvas);
-
-  const wPx = wCss * dpr;
-  const hPx = hCss * dpr;
-
-  if (canvas.width !== wPx) canvas.width = wPx;
-  if (canvas.height !== hPx) canvas.height = hPx;
-
-  return { dpr, wCss, hCss, wPx, hPx };
-};
-
-const setCtxTextStyle = (ctx) => {
-  ctx.font = "12px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
-  ctx.textBaseline = "middle";
-};
-
-const clear = (ctx, w, h) => {
-  ctx.save();
-  ctx.setTransform(1, 0, 0, 1, 0, 0);
-  ctx.clearRect(0, 0, w, h);
-  ctx.restore();
-};
-
-const drawText = (ctx, text, x, y, opts = {}) => {
-  const {
-    align = "left",
-    fillStyle = "#0f172a",
-    outline = true,
-    outlineStyle = "rgba(255,255,255,0.9)",
-    outlineWidth = 3,
-  } = opts;
-
-  ctx.textAlign = align;
-  ctx.fillStyle = fillStyle;
-
-  if (outline) {
-    ctx.lineJoin = "round";
-    ctx.miterLimit = 2;
-    ctx.strokeStyle = outlineStyle;
-    ctx.lineWidth = outlineWidth;
-    ctx.strokeText(text, x, y);
-  }
-
-  ctx.fillText(text, x, y);
-};
-
-const drawLine = (ctx, x0, y0, x1, y1, opts = {}) => {
-  const { strokeStyle = "#0f172a", lineWidth = 2, lineCap = "round" } = opts;
-
-  ctx.strokeStyle = strokeStyle;
-  ctx.lineWidth = lineWidth;
-  ctx.lineCap = lineCap;
-
-  ctx.beginPath();
-  ctx.moveTo(x0, y0);
-  ctx.lineTo(x1, y1);
-  ctx.stroke();
-};
-
-const drawPolyline = (ctx, pts, opts = {}) => {
-  const { strokeStyle = "#0f172a", lineWidth = 2 } = opts;
-  if (!Array.isArray(pts) || pts.length < 2) return;
-
-  ctx.strokeStyle = strokeStyle;
-  ctx.lineWidth = lineWidth;
-  ctx.lineCap = "round";
-  ctx.lineJoin = "round";
-
-  ctx.beginPath();
-  ctx.moveTo(pts[0].x, pts[0].y);
-  for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
-  ctx.stroke();
-};
-
 /**
  * Нормализовать входные точки кривой (убрать мусор, привести типы).
  *
  * @param {any} xs
- * @returns {{q:number, t:number}[]}
+ * @param {{ tempUnit: import("../model/units.js").TempUnit, loadUnit: import("../model/units.js").LoadUnit }} units
+ * @returns {{q:number, t:number}[]} точки в единицах отображения
  */
-const normalizeCurve = (xs) => {
+const normalizeCurve = (xs, { tempUnit, loadUnit }) => {
   if (!xs) return [];
   const arr = Array.isArray(xs) ? xs : Array.from(xs ?? []);
   const out = [];
@@ -129,7 +48,7 @@ const normalizeCurve = (xs) => {
     const q = Number(p?.q_MW);
     const t = Number(p?.temp_K);
     if (!isFiniteNumber(q) || !isFiniteNumber(t)) continue;
-    out.push({ q, t });
+    out.push({ q: fromMW(q, loadUnit), t: fromKelvin(t, tempUnit) });
   }
   // Небольшая защита: сортируем по Q (на всякий случай).
   out.sort((a, b) => a.q - b.q);
@@ -173,31 +92,36 @@ const formatTick = (v) => {
 };
 
 /**
- * Рендер эквивалентных кривых.
+ * Рендер эквивалентных кривых на canvas (размер — CSS-размер canvas).
  *
- * @param {{canvas: HTMLCanvasElement, curves: any}} args
+ * @param {{canvas: HTMLCanvasElement, curves: any, units?: import("../model/units.js").DisplayUnits}} args
  */
-export const renderEquivalentCurves = ({ canvas, curves }) => {
+export const renderEquivalentCurves = ({ canvas, curves, units }) => {
   if (!canvas) return;
+  const g = createCanvasBackend(canvas);
+  if (!g) return;
+  drawEquivalentCurves(g, curves, units);
+};
 
-  const ctx = canvas.getContext("2d");
-  if (!ctx) return;
-
-  const { dpr, wCss, hCss, wPx, hPx } = resizeCanvasForDpr(canvas);
-
-  // Работаем в CSS-координатах.
-  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-
-  clear(ctx, wPx, hPx);
-
-  setCtxTextStyle(ctx);
+/**
+ * Нарисовать эквивалентные кривые через бэкенд (экран или экспорт).
+ *
+ * @param {import("./backend.js").DrawBackend} g
+ * @param {any} curves
+ * @param {import("../model/units.js").DisplayUnits} [units] по умолчанию K и МВт
+ */
+export const drawEquivalentCurves = (g, curves, units = {}) => {
+  const { tempUnit = "K", loadUnit = "MW" } = units;
+  const qUnit = loadUnitLabel(loadUnit);
+  const wCss = g.width;
+  const hCss = g.height;
 
-  const hot = normalizeCurve(curves?.hot);
-  const cold = normalizeCurve(curves?.cold);
+  const hot = normalizeCurve(curves?.hot, { tempUnit, loadUnit });
+  const cold = normalizeCurve(curves?.cold, { tempUnit, loadUnit });
 
   if (hot.length < 2 && cold.length < 2) {
     drawText(
-      ctx,
+      g,
       "Эквивалентные кривые недоступны: недостаточно данных.",
       12,
       18,
@@ -218,7 +142,7 @@ export const renderEquivalentCurves = ({ canvas, curves }) => {
   }
 
   if (!Number.isFinite(tMin) || !Number.isFinite(tMax)) {
-    drawText(ctx, "Не удалось определить диапазон температур.", 12, 18);
+    drawText(g, "Не удалось определить диапазон температур.", 12, 18);
     return;
   }
 
@@ -249,24 +173,24 @@ export const renderEquivalentCurves = ({ canvas, curves }) => {
   };
 
   // --- Оси ---
-  drawLine(ctx, left, bottom, right, bottom, {
+  drawLine(g, left, bottom, right, bottom, {
     strokeStyle: "rgba(15,23,42,0.9)",
     lineWidth: 2,
     lineCap: "round",
   });
-  drawLine(ctx, left, bottom, left, top, {
+  drawLine(g, left, bottom, left, top, {
     strokeStyle: "rgba(15,23,42,0.9)",
     lineWidth: 2,
     lineCap: "round",
   });
 
   // Заголовки осей (как в run.ijs)
-  drawText(ctx, "T, K", left - 38, top - 8, {
+  drawText(g, `T, ${tempUnitLabel(tempUnit)}`, left - 38, top - 8, {
     align: "left",
     fillStyle: "rgba(15,23,42,0.9)",
     outline: false,
   });
-  drawText(ctx, "Q, МВт", right, bottom + 22, {
+  drawText(g, `Q, ${qUnit}`, right, bottom + 22, {
     align: "right",
     fillStyle: "rgba(15,23,42,0.9)",
     outline: false,
@@ -275,7 +199,7 @@ export const renderEquivalentCurves = ({ canvas, curves }) => {
   // Подпись ΔTmin (если есть)
   if (isFiniteNumber(curves?.dt_min_K)) {
     const s = `ΔTmin = ${formatTick(curves.dt_min_K)} K`;
-    drawText(ctx, s, right, top - 8, {
+    drawText(g, s, right, top - 8, {
       align: "right",
       fillStyle: "rgba(15,23,42,0.7)",
       outline: false,
@@ -289,19 +213,19 @@ export const renderEquivalentCurves = ({ canvas, curves }) => {
   // Вертикальные линии (Q)
   for (let q = 0; q <= qMax + 1e-9; q += xStep) {
     const x = xOfQ(q);
-    drawLine(ctx, x, bottom, x, top, {
+    drawLine(g, x, bottom, x, top, {
       strokeStyle: "rgba(15,23,42,0.08)",
       lineWidth: 1,
       lineCap: "butt",
     });
 
-    drawLine(ctx, x, bottom, x, bottom + 4, {
+    drawLine(g, x, bottom, x, bottom + 4, {
       strokeStyle: "rgba(15,23,42,0.65)",
       lineWidth: 1,
       lineCap: "butt",
     });
 
-    drawText(ctx, formatTick(q), x, bottom + 16, {
+    drawText(g, formatTick(q), x, bottom + 16, {
       align: "center",
       fillStyle: "rgba(15,23,42,0.85)",
       outline: true,
@@ -315,19 +239,19 @@ export const renderEquivalentCurves = ({ canvas, curves }) => {
   const yStart = Math.ceil(tMin / yStep) * yStep;
   for (let t = yStart; t <= tMax + 1e-9; t += yStep) {
     const y = yOfT(t);
-    drawLine(ctx, left, y, right, y, {
+    drawLine(g, left, y, right, y, {
       strokeStyle: "rgba(15,23,42,0.08)",
       lineWidth: 1,
       lineCap: "butt",
     });
 
-    drawLine(ctx, left - 4, y, left, y, {
+    drawLine(g, left - 4, y, left, y, {
       strokeStyle: "rgba(15,23,42,0.65)",
       lineWidth: 1,
       lineCap: "butt",
     });
 
-    drawText(ctx, formatTick(t), left - 8, y, {
+    drawText(g, formatTick(t), left - 8, y, {
       align: "right",
       fillStyle: "rgba(15,23,42,0.85)",
       outline: true,
@@ -342,12 +266,12 @@ export const renderEquivalentCurves = ({ canvas, curves }) => {
   const legendGap = 140;
 
   const drawLegend = (x, label, color) => {
-    drawLine(ctx, x, legendY, x + 22, legendY, {
+    drawLine(g, x, legendY, x + 22, legendY, {
       strokeStyle: color,
       lineWidth: 3,
       lineCap: "round",
     });
-    drawText(ctx, label, x + 28, legendY, {
+    drawText(g, label, x + 28, legendY, {
       align: "left",
       fillStyle: "rgba(15,23,42,0.9)",
       outline: true,
@@ -371,18 +295,16 @@ export const renderEquivalentCurves = ({ canvas, curves }) => {
   const coldPts = toScreenPts(cold);
 
   // --- Рисуем кривые ---
-  drawPolyline(ctx, hotPts, { strokeStyle: "#dc2626", lineWidth: 2.5 });
-  drawPolyline(ctx, coldPts, { strokeStyle: "#16a34a", lineWidth: 2.5 });
+  drawPolyline(g, hotPts, { strokeStyle: "#dc2626", lineWidth: 2.5 });
+  drawPolyline(g, coldPts, { strokeStyle: "#16a34a", lineWidth: 2.5 });
 
   // --- Маркеры начальных/конечных точек ---
   const drawEndpoint = (pt, color) => {
-    ctx.beginPath();
-    ctx.arc(pt.x, pt.y, 3.5, 0, Math.PI * 2);
-    ctx.fillStyle = color;
-    ctx.fill();
-    ctx.strokeStyle = "rgba(15,23,42,0.35)";
-    ctx.lineWidth = 1.5;
-    ctx.stroke();
+    drawDot(g, pt.x, pt.y, 3.5, {
+      fillStyle: color,
+      strokeStyle: "rgba(15,23,42,0.35)",
+      lineWidth: 1.5,
+    });
   };
 
   if (hotPts.length > 0) {
@@ -395,8 +317,8 @@ export const renderEquivalentCurves = ({ canvas, curves }) => {
   }
 
   // --- Подпись Q_max ---
-  const qLabel = `Qmax = ${formatTick(qMax)} МВт`;
-  drawText(ctx, qLabel, right, top + 28, {
+  const qLabel = `Qmax = ${formatTick(qMax)} ${qUnit}`;
+  drawText(g, qLabel, right, top + 28, {
     align: "right",
     fillStyle: "rgba(15,23,42,0.7)",
     outline: false,
@@ -0,0 +1,187 @@
+/**
+ * Элементы рисунка поверх бэкенда (`./backend.js`): текст, отрезки, ломаные, точки,
+ * подписи в рамке и подписи нагрузок. Общие для схемы сети и графиков кривых.
+ */
+
+/**
+ * @param {import("./backend.js").DrawBackend} g
+ * @param {string} text
+ * @param {number} x
+ * @param {number} y
+ * @param {{ align?: "left"|"center"|"right", fillStyle?: string, outline?: boolean, outlineStyle?: string, outlineWidth?: number }} [opts]
+ */
+export const drawText = (g, text, x, y, opts = {}) => {
+  const {
+    align = "left",
+    fillStyle = "#0f172a",
+    outline = true,
+    outlineStyle = "rgba(255,255,255,0.9)",
+    outlineWidth = 3,
+  } = opts;
+
+  g.text(text, x, y, {
+    align,
+    fillStyle,
+    outlineStyle: outline ? outlineStyle : undefined,
+    outlineWidth,
+  });
+};
+
+/**
+ * @param {import("./backend.js").DrawBackend} g
+ * @param {number} x0
+ * @param {number} y0
+ * @param {number} x1
+ * @param {number} y1
+ * @param {{ strokeStyle?: string, lineWidth?: number, lineCap?: "butt"|"round"|"square", dash?: number[] }} [opts]
+ */
+export const drawLine = (g, x0, y0, x1, y1, opts = {}) => {
+  const {
+    strokeStyle = "#0f172a",
+    lineWidth = 2,
+    lineCap = "round",
+    dash = [],
+  } = opts;
+
+  g.strokePath(
+    [
+      { x: x0, y: y0 },
+      { x: x1, y: y1 },
+    ],
+    { strokeStyle, lineWidth, lineCap, dash },
+  );
+};
+
+/**
+ * @param {import("./backend.js").DrawBackend} g
+ * @param {{ x: number, y: number }[]} pts
+ * @param {{ strokeStyle?: string, lineWidth?: number }} [opts]
+ */
+export const drawPolyline = (g, pts, opts = {}) => {
+  const { strokeStyle = "#0f172a", lineWidth = 2 } = opts;
+  if (!Array.isArray(pts) || pts.length < 2) return;
+
+  g.strokePath(pts, {
+    strokeStyle,
+    lineWidth,
+    lineCap: "round",
+    lineJoin: "round",
+  });
+};
+
+/**
+ * @param {import("./backend.js").DrawBackend} g
+ * @param {number} x
+ * @param {number} y
+ * @param {number} r
+ * @param {{ fillStyle?: string, strokeStyle?: string, lineWidth?: number, dash?: number[] }} [opts]
+ */
+export const drawDot = (g, x, y, r, opts = {}) => {
+  const {
+    fillStyle = "#0f172a",
+    strokeStyle = "rgba(15,23,42,0.35)",
+    lineWidth = 2,
+    dash = [],
+  } = opts;
+
+  g.circle(x, y, r, { fillStyle, strokeStyle, lineWidth, dash });
+};
+
+/**
+ * Однострочная подпись в рамке.
+ *
+ * @param {import("./backend.js").DrawBackend} g
+ * @param {string} text
+ * @param {number} x
+ * @param {number} y
+ * @param {{ align?: "left"|"center"|"right", textFill?: string, boxFill?: string, boxStroke?: string, boxStrokeWidth?: number, padX?: number, padY?: number }} [opts]
+ */
+export const drawLabelBox = (g, text, x, y, opts = {}) => {
+  const {
+    align = "center",
+    textFill = "#0f172a",
+    boxFill = "#e2e8f0",
+    boxStroke = "#0f172a",
+    boxStrokeWidth = 1,
+    padX = 6,
+    padY = 3,
+  } = opts;
+
+  const textW = g.measureText(text);
+  const textH = 14;
+
+  let x0 = x;
+  if (align === "center") x0 = x - textW / 2;
+  if (align === "right") x0 = x - textW;
+
+  const rx = Math.floor(x0 - padX);
+  const ry = Math.floor(y - textH / 2 - padY);
+  const rw = Math.ceil(textW + padX * 2);
+  const rh = Math.ceil(textH + padY * 2);
+
+  g.rect(rx, ry, rw, rh, { fillStyle: boxFill });
+  g.rect(rx + 0.5, ry + 0.5, rw - 1, rh - 1, {
+    strokeStyle: boxStroke,
+    lineWidth: boxStrokeWidth,
+  });
+
+  g.text(text, x, y, { align, fillStyle: textFill });
+};
+
+/**
+ * Подпись нагрузки ячейки: значение и единица измерения двумя строками в рамке.
+ *
+ * @param {import("./backend.js").DrawBackend} g
+ * @param {string} valueText
+ * @param {string} unitText
+ * @param {number} x центр рамки
+ * @param {number} y
+ * @param {{ boxFill?: string, boxStroke?: string, boxStrokeWidth?: number, textFill?: string, padX?: number, padY?: number, lineGap?: number }} [opts]
+ */
+export const drawLoadBox = (g, valueText, unitText, x, y, opts = {}) => {
+  const {
+    boxFill = "#dbeafe",
+    boxStroke = "rgba(15,23,42,0.8)",
+    boxStrokeWidth = 1,
+    textFill = "#0f172a",
+    padX = 7,
+    padY = 5,
+    lineGap = 2,
+  } = opts;
+
+  const line1 = String(valueText);
+  const line2 = String(unitText);
+
+  const textW = Math.max(g.measureText(line1), g.measureText(line2));
+  const lineH = 14;
+  const boxW = Math.ceil(textW + padX * 2);
+  const boxH = Math.ceil(lineH * 2 + lineGap + padY * 2);
+
+  const rx = Math.floor(x - boxW / 2);
+  const ry = Math.floor(y - boxH / 2);
+
+  g.rect(rx, ry, boxW, boxH, { fillStyle: boxFill });
+  g.rect(rx + 0.5, ry + 0.5, boxW - 1, boxH - 1, {
+    strokeStyle: boxStroke,
+    lineWidth: boxStrokeWidth,
+  });
+
+  const y1 = ry + padY + lineH / 2;
+  const y2 = ry + padY + lineH + lineGap + lineH / 2;
+
+  g.text(line1, x, y1, { align: "center", fillStyle: textFill });
+  g.text(line2, x, y2, { align: "center", fillStyle: textFill });
+};
+
+/**
+ * Сообщение вместо рисунка (несколько строк через `\n`) в левом верхнем углу.
+ *
+ * @param {import("./backend.js").DrawBackend} g
+ * @param {string} msg
+ */
+export const drawMessage = (g, msg) => {
+  const pad = 12;
+  const lines = String(msg ?? "").split("\n");
+  for (let i = 0; i < lines.length; i++)
+    drawText(g, lines[i], pad, pad + 6 + i * 16, { outline: false });
+};
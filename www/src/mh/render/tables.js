@@ -1,13 +1,25 @@
 import { fmtNum } from "../util/number.js";
+import { relatedItems, sameItem, streamKey } from "../model/selection.js";
+import { streamView } from "../model/stream_edit.js";
+import {
+  CP_LABEL,
+  MASS_FLOW_LABEL,
+  fromKelvin,
+  fromMW,
+  loadUnitLabel,
+  rateUnitLabel,
+  tempUnitLabel,
+} from "../model/units.js";
 
 /**
- * `renderTable(tableEl, headers, rows)` — перерисовать таблицу.
+ * `renderTable(tableEl, headers, rows, rowClasses)` — перерисовать таблицу.
  *
  * @param {HTMLTableElement} tableEl
  * @param {string[]} headers
- * @param {string[][]} rows
+ * @param {(string|Node)[][]} rows ячейки: текст или готовое содержимое (поле ввода и т. п.)
+ * @param {(string|null)[]} [rowClasses] CSS-класс строки (по индексу), null — без класса
  */
-export const renderTable = (tableEl, headers, rows) => {
+export const renderTable = (tableEl, headers, rows, rowClasses = []) => {
   const thead = document.createElement("thead");
   const trh = document.createElement("tr");
   for (const h of headers) {
@@ -18,15 +30,17 @@ export const renderTable = (tableEl, headers, rows) => {
   thead.appendChild(trh);
 
   const tbody = document.createElement("tbody");
-  for (const r of rows) {
+  rows.forEach((r, i) => {
     const tr = document.createElement("tr");
+    if (rowClasses[i]) tr.className = rowClasses[i];
     for (const c of r) {
       const td = document.createElement("td");
-      td.textContent = c;
+      if (c instanceof Node) td.appendChild(c);
+      else td.textContent = c;
       tr.appendChild(td);
     }
     tbody.appendChild(tr);
-  }
+  });
 
   tableEl.innerHTML = "";
   tableEl.appendChild(thead);
@@ -34,100 +48,235 @@ export const renderTable = (tableEl, headers, rows) => {
 };
 
 /**
- * `renderTables(state, ui)` — отрисовать таблицы потоков и теплообменников.
+ * `tableRowItem(state, table, rowIndex)` → элемент системы строки таблицы потоков (`"streams"`:
+ * сначала горячие, затем холодные) или аппаратов (`"exchangers"`).
+ *
+ * @param {any} state
+ * @param {"streams"|"exchangers"} table
+ * @param {number} rowIndex
+ * @returns {import("../model/selection.js").SelectionItem}
+ */
+export const tableRowItem = (state, table, rowIndex) => {
+  if (table === "exchangers") return { type: "exchanger", index: rowIndex };
+  return rowIndex < state.hot.length
+    ? { type: "stream", side: "hot", index: rowIndex }
+    : { type: "stream", side: "cold", index: rowIndex - state.hot.length };
+};
+
+/**
+ * Поле ввода ячейки таблицы-редактора.
+ *
+ * @param {string} field имя поля (`data-field`)
+ * @param {number} value
+ * @param {string} title подсказка
+ */
+const cellInput = (field, value, title) => {
+  const input = document.createElement("input");
+  input.type = "text";
+  input.inputMode = "decimal";
+  input.className = "mh-cellInput";
+  input.dataset.field = field;
+  input.value = fmtNum(value);
+  input.title = title;
+  input.setAttribute("aria-label", title);
+  return input;
+};
+
+/**
+ * Выбор потока аппарата: «—» (нет стороны) или H1…Hn / C1…Cn.
+ *
+ * @param {"hot"|"cold"} side
+ * @param {number} count число потоков стороны
+ * @param {number|null} value
+ */
+const streamSelect = (side, count, value) => {
+  const sel = document.createElement("select");
+  sel.className = "mh-cellInput";
+  sel.dataset.field = side;
+  const title = side === "hot" ? "Горячий поток" : "Холодный поток";
+  sel.title = title;
+  sel.setAttribute("aria-label", title);
+
+  const none = document.createElement("option");
+  none.value = "";
+  none.textContent = "—";
+  sel.appendChild(none);
+  for (let i = 0; i < count; i++) {
+    const opt = document.createElement("option");
+    opt.value = String(i);
+    opt.textContent = `${side === "hot" ? "H" : "C"}${i + 1}`;
+    sel.appendChild(opt);
+  }
+  sel.value = value === null || value === undefined ? "" : String(value);
+  return sel;
+};
+
+/** Кнопки строки: вверх, вниз, копировать, удалить. */
+const ROW_ACTIONS = [
+  { action: "up", text: "↑", title: "Переместить выше" },
+  { action: "down", text: "↓", title: "Переместить ниже" },
+  { action: "duplicate", text: "⧉", title: "Копировать строку" },
+  { action: "remove", text: "✕", title: "Удалить строку" },
+];
+
+/**
+ * @param {boolean} first строка первая в своей группе (нельзя выше)
+ * @param {boolean} last строка последняя в своей группе (нельзя ниже)
+ */
+const rowActions = (first, last) => {
+  const box = document.createElement("span");
+  box.className = "mh-rowActions";
+  for (const a of ROW_ACTIONS) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.dataset.action = a.action;
+    btn.textContent = a.text;
+    btn.title = a.title;
+    btn.setAttribute("aria-label", a.title);
+    btn.disabled =
+      (a.action === "up" && first) || (a.action === "down" && last);
+    box.appendChild(btn);
+  }
+  return box;
+};
+
+/**
+ * `renderTables(state, ui, selection, units)` — отрисовать таблицы потоков и теплообменников.
+ *
+ * Таблицы — редакторы: значения потоков, потоки и нагрузки аппаратов — поля ввода с атрибутом
+ * `data-field`, действия строки — кнопки с `data-action` (обрабатываются в `app/tables_edit.js`).
+ * У изотермического потока поля Tвых и W не показываются.
+ *
+ * Строка выделенного элемента получает класс `mh-selected`, строки связанных с ним — `mh-related`.
+ * Температуры, нагрузки и W показываются (и вводятся) в единицах отображения `units`.
+ * W потока, заданного расходом и теплоёмкостью, вычислен по ним (см. подсказку поля).
  *
  * @param {any} state Каноническое состояние
  * @param {any} ui Ссылки на элементы таблиц (`ui.tables.streamsTable`, `ui.tables.exchangersTable`)
+ * @param {import("../model/selection.js").SelectionItem | null} [selection] выделенный элемент
+ * @param {import("../model/units.js").DisplayUnits} [units] единицы отображения (по умолчанию K и МВт)
  */
-export const renderTables = (state, ui) => {
+export const renderTables = (state, ui, selection = null, units = {}) => {
+  const { tempUnit = "K", loadUnit = "MW" } = units;
+  const related = relatedItems(state, selection);
+  const unit = tempUnitLabel(tempUnit);
+  const qUnit = loadUnitLabel(loadUnit);
+  const wUnit = rateUnitLabel(loadUnit);
+  /** @param {number} t */
+  const temp = (t) => fromKelvin(t, tempUnit);
+  /** @param {number} q нагрузка (МВт) или W (МВт/К) */
+  const load = (q) => fromMW(q, loadUnit);
+  /**
+   * @param {"streams"|"exchangers"} table
+   * @param {number} rowIndex
+   */
+  const rowClass = (table, rowIndex) => {
+    const item = tableRowItem(state, table, rowIndex);
+    if (sameItem(item, selection)) return "mh-selected";
+    const isRelated =
+      item.type === "exchanger"
+        ? related.exchangers.has(item.index)
+        : related.streams.has(streamKey(item.side, item.index));
+    return isRelated ? "mh-related" : null;
+  };
+
   const streamHeaders = [
     "Поток",
-    "Tвх, К",
-    "Tвых, К",
-    "q, МВт",
-    "W, МВт/К",
+    `Tвх, ${unit}`,
+    `Tвых, ${unit}`,
+    `q, ${qUnit}`,
+    `W, ${wUnit}`,
     "Изотермический?",
     "Сторона",
+    "",
   ];
 
-  const streamRows = [];
-
-  for (let i = 0; i < state.hot.length; i++) {
-    const s = state.hot[i];
-    const inT = Number(s.in);
-    const outT = s.out !== undefined ? Number(s.out) : inT;
-    const dt = Math.abs(outT - inT);
-    const iso = s.out === undefined || dt === 0;
-
-    const load =
-      s.load !== undefined
-        ? Number(s.load)
-        : s.rate !== undefined
-          ? Number(s.rate) * dt
-          : 0;
-
-    const rate = iso
-      ? 0
-      : s.rate !== undefined
-        ? Number(s.rate)
-        : s.load !== undefined
-          ? Number(s.load) / dt
-          : 0;
-
-    streamRows.push([
-      `H${i + 1}`,
-      fmtNum(inT),
-      fmtNum(outT),
-      fmtNum(load),
-      fmtNum(rate),
-      iso ? "да" : "нет",
-      "горячий",
-    ]);
-  }
+  /**
+   * @param {"hot"|"cold"} side
+   * @param {number} i
+   */
+  const streamRow = (side, i) => {
+    const s = state[side][i];
+    const v = streamView(s);
+    const name = `${side === "hot" ? "H" : "C"}${i + 1}`;
+    const flow =
+      s.mass_flow === undefined
+        ? ""
+        : ` (по расходу ${fmtNum(s.mass_flow)} ${MASS_FLOW_LABEL} и теплоёмкости ${fmtNum(s.cp)} ${CP_LABEL})`;
 
-  for (let i = 0; i < state.cold.length; i++) {
-    const s = state.cold[i];
-    const inT = Number(s.in);
-    const outT = s.out !== undefined ? Number(s.out) : inT;
-    const dt = Math.abs(outT - inT);
-    const iso = s.out === undefined || dt === 0;
-
-    const load =
-      s.load !== undefined
-        ? Number(s.load)
-        : s.rate !== undefined
-          ? Number(s.rate) * dt
-          : 0;
-
-    const rate = iso
-      ? 0
-      : s.rate !== undefined
-        ? Number(s.rate)
-        : s.load !== undefined
-          ? Number(s.load) / dt
-          : 0;
-
-    streamRows.push([
-      `C${i + 1}`,
-      fmtNum(inT),
-      fmtNum(outT),
-      fmtNum(load),
-      fmtNum(rate),
-      iso ? "да" : "нет",
-      "холодный",
-    ]);
-  }
+    const iso = document.createElement("input");
+    iso.type = "checkbox";
+    iso.dataset.field = "isothermal";
+    iso.checked = v.isothermal;
+    iso.title = "Изотермический поток (фазовый переход)";
+    iso.setAttribute("aria-label", `${name}: изотермический`);
 
-  renderTable(ui.tables.streamsTable, streamHeaders, streamRows);
+    return [
+      name,
+      cellInput("in", temp(v.in), `${name}: температура на входе, ${unit}`),
+      v.isothermal
+        ? "—"
+        : cellInput(
+            "out",
+            temp(v.out),
+            `${name}: температура на выходе, ${unit}`,
+          ),
+      cellInput("load", load(v.load), `${name}: нагрузка q, ${qUnit}`),
+      v.isothermal
+        ? "—"
+        : cellInput(
+            "rate",
+            load(v.rate),
+            `${name}: потоковая теплоёмкость W, ${wUnit}${flow}`,
+          ),
+      iso,
+      side === "hot" ? "горячий" : "холодный",
+      rowActions(i === 0, i === state[side].length - 1),
+    ];
+  };
+
+  const streamRows = [
+    ...state.hot.map((_, i) => streamRow("hot", i)),
+    ...state.cold.map((_, i) => streamRow("cold", i)),
+  ];
+
+  renderTable(
+    ui.tables.streamsTable,
+    streamHeaders,
+    streamRows,
+    streamRows.map((_, i) => rowClass("streams", i)),
+  );
 
   const exHeaders = [
     "Ячейка",
     "Тип",
     "Горячий поток",
     "Холодный поток",
-    "Нагрузка, МВт",
+    `Нагрузка, ${qUnit}`,
+    `Tгор. вх → вых, ${unit}`,
+    `Tхол. вх → вых, ${unit}`,
+    "",
   ];
 
+  const tempRange = (ex, side) => {
+    const tIn = ex[`${side}_in`];
+    const tOut = ex[`${side}_out`];
+    if (!Number.isFinite(tIn) || !Number.isFinite(tOut)) return "—";
+    return `${fmtNum(temp(tIn))} → ${fmtNum(temp(tOut))}`;
+  };
+
+  // Поток аппарата — выбор; при разветвлении рядом номер ветви и доля потока, например "(ветвь 2, 0.4)".
+  const streamCell = (ex, side, count) => {
+    const sel = streamSelect(side, count, ex[side]);
+    const branch = ex[`${side}_branch`];
+    if (!Number.isInteger(branch)) return sel;
+    const box = document.createElement("span");
+    box.append(sel, ` (ветвь ${branch + 1}, ${fmtNum(ex[`${side}_split`])})`);
+    return box;
+  };
+
+  const utilities = Array.isArray(state.utility) ? state.utility : [];
+
   const exch = Array.isArray(state.exchanger) ? state.exchanger : [];
   const exRows = exch.map((ex, i) => {
     const hasH = ex.hot !== null && ex.hot !== undefined;
@@ -141,14 +290,25 @@ export const renderTables = (state, ui) => {
             ? "Нагреватель"
             : "—";
 
+    // Утилита нагревателя/холодильника: "Нагреватель (Пар ВД)".
+    const u = Number.isInteger(ex.utility) ? utilities[ex.utility] : null;
+
     return [
       `E${i + 1}`,
-      type,
-      hasH ? `H${Number(ex.hot) + 1}` : "—",
-      hasC ? `C${Number(ex.cold) + 1}` : "—",
-      fmtNum(ex.load),
+      u ? `${type} (${u.name})` : type,
+      streamCell(ex, "hot", state.hot.length),
+      streamCell(ex, "cold", state.cold.length),
+      cellInput("load", load(Number(ex.load)), `E${i + 1}: нагрузка, ${qUnit}`),
+      tempRange(ex, "hot"),
+      tempRange(ex, "cold"),
+      rowActions(i === 0, i === exch.length - 1),
     ];
   });
 
-  renderTable(ui.tables.exchangersTable, exHeaders, exRows);
+  renderTable(
+    ui.tables.exchangersTable,
+    exHeaders,
+    exRows,
+    exRows.map((_, i) => rowClass("exchangers", i)),
+  );
 };
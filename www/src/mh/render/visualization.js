@@ -1,20 +1,45 @@
-import { fmtNum } from "../util/number.js";
+import { splitSections } from "../model/exchanger_temps.js";
+import { relatedItems, streamKey } from "../model/selection.js";
+import { requiredLoadMW } from "../model/stats.js";
+import { fmtLoad, fmtTemp, fromMW, loadUnitLabel } from "../model/units.js";
+import { createCanvasBackend } from "./backend.js";
+import {
+  drawDot,
+  drawLabelBox,
+  drawLine,
+  drawLoadBox,
+  drawText,
+} from "./primitives.js";
 
 /**
- * Рендерер визуализации теплообменной сети на canvas.
+ * Рендерер визуализации теплообменной сети (canvas или SVG — через бэкенд `./backend.js`).
  *
  * Упрощённая схема:
  * - горизонтальные линии потоков (красный = горячие, синий = холодные)
  * - подписи потоков слева: H1..Hx и C1..Cx
- * - подписи температур на начале и конце линии (K); для изотермического потока справа рисуем "="
+ * - подписи температур на начале и конце линии (в единице отображения `tempUnit`, по умолчанию K);
+ *   нагрузки аппаратов — в единице `loadUnit` (по умолчанию МВт);
+ *   для изотермического потока справа рисуем "="
  * - вертикальные соединения для ячеек теплообмена (exchanger с hot и cold)
  * - «жирные» точки для холодильников (hot без cold, синяя) и нагревателей (cold без hot, красная)
  * - подписи нагрузок для каждой ячейки/холодильника/нагревателя
+ * - разветвления потоков (`hot_branch`/`cold_branch`): ветвь 0 идёт по линии потока,
+ *   остальные — параллельными линиями (у горячих выше, у холодных ниже линии) на участке
+ *   от первого до последнего аппарата ветвей; аппараты ветви подключаются к её линии
+ *
+ * Интерактивность:
+ * - рендер возвращает геометрию схемы (`VisualizationScene`) для `hitTestVisualization`
+ * - масштаб и сдвиг (`view`) применяются ко всей схеме
+ * - выделенный элемент и связанные с ним (см. `../model/selection.js`) рисуются ярче,
+ *   остальные — приглушённо
+ * - черновик (`draft`) — пунктирная линия или точка поверх схемы при перетаскивании в режиме правки
  *
  * Важно:
  * - ширину canvas задаёт layout (CSS); рендерер не добавляет горизонтальную прокрутку
  * - по высоте canvas может увеличиваться (inline height) если потоков много
- * - промежуточные температуры в точках контакта не рисуем (их нет в состоянии)
+ * - промежуточные температуры в точках контакта не рисуем, чтобы не перегружать схему
+ *   (если решатель их выдал, они есть в аппаратах `hot_in`/`hot_out`/`cold_in`/`cold_out`
+ *   и показываются в таблицах и описании)
  */
 
 // --- Утилиты геометрии и форматирования ---
@@ -23,15 +48,13 @@ const clamp = (min, v, max) => Math.max(min, Math.min(max, v));
 
 const isStreamIsothermal = (s) => s && (s.out === undefined || s.out === null);
 
-const fmtTempK = (t) => `${fmtNum(t)} K`;
-
 // --- Форматирование нагрузок ---
 //
 // Требования:
 // - 2 значащие цифры
 // - экспонента, если есть >= 2 ведущих нуля после точки (|x| < 0.01)
 // - убрать ведущий ноль у дробей: ".12", "-.12"
-// - для ячеек: значение отдельно, "МВт" отдельной строкой в рамке
+// - для ячеек: значение отдельно, единица ("МВт") отдельной строкой в рамке
 // - для утилит: одна строка (без переноса), но те же правила округления/экспоненты/ведущего нуля
 
 const dropLeadingZero = (s) => s.replace(/^(-?)0\./, "$1.");
@@ -61,179 +84,10 @@ const fmtSig2 = (v) => {
   return s;
 };
 
-const fmtLoadValue = (q) => fmtSig2(q);
-
-const fmtUtilityLabel = (q) => `${fmtSig2(q)} МВт`;
-
-/**
- * Получить CSS-размер canvas без вмешательства в layout.
- *
- * @param {HTMLCanvasElement} canvas
- */
-const getCanvasCssSize = (canvas) => {
-  const rect = canvas.getBoundingClientRect();
-  const wCss = Math.max(1, Math.floor(rect.width));
-  const hCss = Math.max(1, Math.floor(rect.height));
-  return { wCss, hCss };
-};
-
-/**
- * Подогнать внутреннюю пиксельную сетку canvas под DPR, не трогая CSS-геометрию.
- *
- * @param {HTMLCanvasElement} canvas
- */
-const resizeCanvasForDpr = (canvas) => {
-  const dpr = Math.max(1, Math.round(window.devicePixelRatio || 1));
-  const { wCss, hCss } = getCanvasCssSize(canvas);
-
-  const wPx = wCss * dpr;
-  const hPx = hCss * dpr;
-
-  // Почему: не трогаем размер без необходимости, чтобы не сбрасывать состояние контекста лишний раз.
-  if (canvas.width !== wPx) canvas.width = wPx;
-  if (canvas.height !== hPx) canvas.height = hPx;
-
-  return { dpr, wCss, hCss, wPx, hPx };
-};
-
-const setCtxTextStyle = (ctx) => {
-  ctx.font = "12px system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
-  ctx.textBaseline = "middle";
-};
-
-const drawText = (ctx, text, x, y, opts = {}) => {
-  const {
-    align = "left",
-    fillStyle = "#0f172a",
-    outline = true,
-    outlineStyle = "rgba(255,255,255,0.9)",
-    outlineWidth = 3,
-  } = opts;
-
-  ctx.textAlign = align;
-  ctx.fillStyle = fillStyle;
-
-  if (outline) {
-    ctx.lineJoin = "round";
-    ctx.miterLimit = 2;
-    ctx.strokeStyle = outlineStyle;
-    ctx.lineWidth = outlineWidth;
-    ctx.strokeText(text, x, y);
-  }
-
-  ctx.fillText(text, x, y);
-};
-
-const drawLabelBox = (ctx, text, x, y, opts = {}) => {
-  const {
-    align = "center",
-    textFill = "#0f172a",
-    boxFill = "#e2e8f0",
-    boxStroke = "#0f172a",
-    boxStrokeWidth = 1,
-    padX = 6,
-    padY = 3,
-  } = opts;
-
-  ctx.textAlign = align;
-
-  const m = ctx.measureText(text);
-  const textW = m.width;
-  const textH = 14;
-
-  let x0 = x;
-  if (align === "center") x0 = x - textW / 2;
-  if (align === "right") x0 = x - textW;
-
-  const rx = Math.floor(x0 - padX);
-  const ry = Math.floor(y - textH / 2 - padY);
-  const rw = Math.ceil(textW + padX * 2);
-  const rh = Math.ceil(textH + padY * 2);
-
-  ctx.fillStyle = boxFill;
-  ctx.fillRect(rx, ry, rw, rh);
-
-  ctx.strokeStyle = boxStroke;
-  ctx.lineWidth = boxStrokeWidth;
-  ctx.strokeRect(rx + 0.5, ry + 0.5, rw - 1, rh - 1);
-
-  ctx.fillStyle = textFill;
-  ctx.fillText(text, x, y);
-};
-
-const drawLoadBox = (ctx, valueText, unitText, x, y, opts = {}) => {
-  const {
-    boxFill = "#dbeafe",
-    boxStroke = "rgba(15,23,42,0.8)",
-    boxStrokeWidth = 1,
-    textFill = "#0f172a",
-    padX = 7,
-    padY = 5,
-    lineGap = 2,
-  } = opts;
-
-  const line1 = String(valueText);
-  const line2 = String(unitText);
-
-  const m1 = ctx.measureText(line1);
-  const m2 = ctx.measureText(line2);
-
-  const textW = Math.max(m1.width, m2.width);
-  const lineH = 14;
-  const boxW = Math.ceil(textW + padX * 2);
-  const boxH = Math.ceil(lineH * 2 + lineGap + padY * 2);
-
-  const rx = Math.floor(x - boxW / 2);
-  const ry = Math.floor(y - boxH / 2);
-
-  ctx.fillStyle = boxFill;
-  ctx.fillRect(rx, ry, boxW, boxH);
-
-  ctx.strokeStyle = boxStroke;
-  ctx.lineWidth = boxStrokeWidth;
-  ctx.strokeRect(rx + 0.5, ry + 0.5, boxW - 1, boxH - 1);
-
-  ctx.fillStyle = textFill;
-  ctx.textAlign = "center";
-
-  const y1 = ry + padY + lineH / 2;
-  const y2 = ry + padY + lineH + lineGap + lineH / 2;
-
-  ctx.fillText(line1, x, y1);
-  ctx.fillText(line2, x, y2);
-};
-
-const drawLine = (ctx, x0, y0, x1, y1, opts = {}) => {
-  const { strokeStyle = "#0f172a", lineWidth = 2, lineCap = "round" } = opts;
+const fmtLoadValue = (q, loadUnit) => fmtSig2(fromMW(Number(q), loadUnit));
 
-  ctx.strokeStyle = strokeStyle;
-  ctx.lineWidth = lineWidth;
-  ctx.lineCap = lineCap;
-
-  ctx.beginPath();
-  ctx.moveTo(x0, y0);
-  ctx.lineTo(x1, y1);
-  ctx.stroke();
-};
-
-const drawDot = (ctx, x, y, r, opts = {}) => {
-  const {
-    fillStyle = "#0f172a",
-    strokeStyle = "rgba(15,23,42,0.35)",
-    lineWidth = 2,
-  } = opts;
-
-  ctx.beginPath();
-  ctx.arc(x, y, r, 0, Math.PI * 2);
-  ctx.fillStyle = fillStyle;
-  ctx.fill();
-
-  if (lineWidth > 0) {
-    ctx.strokeStyle = strokeStyle;
-    ctx.lineWidth = lineWidth;
-    ctx.stroke();
-  }
-};
+const fmtUtilityLabel = (q, loadUnit) =>
+  `${fmtLoadValue(q, loadUnit)} ${loadUnitLabel(loadUnit)}`;
 
 const computeLayout = ({ wCss, hasExchangers }) => {
   const pad = 12;
@@ -267,18 +121,198 @@ const computeLayout = ({ wCss, hasExchangers }) => {
   return { pad, leftGutter, rightGutter, minSpan, xTempL, x0, x1, xTempR };
 };
 
+/**
+ * @typedef {object} VisualizationView
+ * @property {number} scale масштаб (1 — без увеличения)
+ * @property {number} tx сдвиг по X, CSS px
+ * @property {number} ty сдвиг по Y, CSS px
+ */
+
+/** Вид без масштаба и сдвига («вписать»). */
+export const DEFAULT_VIEW = Object.freeze({ scale: 1, tx: 0, ty: 0 });
+
+/**
+ * @typedef {object} VisualizationScene
+ * @property {VisualizationView} view вид, с которым нарисована схема
+ * @property {{ side: "hot"|"cold", index: number, y: number, xa: number, xb: number }[]} streams линии потоков (с подписями)
+ * @property {{ index: number, kind: "cell"|"cooler"|"heater", x: number, y0: number, y1: number, yLabel: number }[]} exchangers
+ *   аппараты: у ячейки — вертикаль от `y0` до `y1` и подпись нагрузки на `yLabel`, у утилиты — точка (`y0 === y1`)
+ */
+
+/**
+ * @typedef {{ kind: "line", x0: number, y0: number, x1: number, y1: number } | { kind: "dot", x: number, y: number, color: "hot"|"cold"|null }} VisualizationDraft
+ *   черновик в координатах схемы (цвет точки: `hot` — нагреватель, `cold` — холодильник, null — не определён)
+ */
+
+/**
+ * `screenToScene(view, x, y)` → точка в координатах схемы.
+ *
+ * @param {VisualizationView} view
+ * @param {number} x CSS px относительно canvas
+ * @param {number} y
+ * @returns {{ x: number, y: number }}
+ */
+export const screenToScene = (view, x, y) => ({
+  x: (x - view.tx) / view.scale,
+  y: (y - view.ty) / view.scale,
+});
+
+// Допуски попадания, CSS px экрана.
+const HIT_LINE = 6;
+const HIT_DOT = 10;
+const HIT_LOAD_BOX = { dx: 22, dy: 18 };
+
+/**
+ * `hitTestVisualization(scene, x, y, opts)` → элемент схемы под точкой или null.
+ * Аппараты имеют приоритет над линиями потоков.
+ *
+ * @param {VisualizationScene|null} scene
+ * @param {number} x координата в CSS px относительно canvas
+ * @param {number} y
+ * @param {{ streamsOnly?: boolean }} [opts] `streamsOnly` — искать только линии потоков
+ * @returns {import("../model/selection.js").SelectionItem | null}
+ */
+export const hitTestVisualization = (scene, x, y, opts = {}) => {
+  if (!scene) return null;
+  const { scale } = scene.view;
+  // Точка и допуски — в координатах схемы.
+  const { x: px, y: py } = screenToScene(scene.view, x, y);
+  const line = HIT_LINE / scale;
+
+  for (
+    let k = opts.streamsOnly ? -1 : scene.exchangers.length - 1;
+    k >= 0;
+    k--
+  ) {
+    const e = scene.exchangers[k];
+    const dx = Math.abs(px - e.x);
+    const hit =
+      e.kind === "cell"
+        ? (dx <= line &&
+            py >= Math.min(e.y0, e.y1) - line &&
+            py <= Math.max(e.y0, e.y1) + line) ||
+          (dx <= HIT_LOAD_BOX.dx / scale &&
+            Math.abs(py - e.yLabel) <= HIT_LOAD_BOX.dy / scale)
+        : Math.hypot(dx, py - e.y0) <= HIT_DOT / scale;
+    if (hit) return { type: "exchanger", index: e.index };
+  }
+
+  for (const s of scene.streams) {
+    if (Math.abs(py - s.y) <= line && px >= s.xa && px <= s.xb)
+      return { type: "stream", side: s.side, index: s.index };
+  }
+  return null;
+};
+
+/**
+ * `describeVisualizationItem(state, item, units)` → строки подсказки для элемента схемы.
+ *
+ * @param {any} state
+ * @param {import("../model/selection.js").SelectionItem} item
+ * @param {import("../model/units.js").DisplayUnits} [units] единицы отображения (по умолчанию K и МВт)
+ * @returns {string[]}
+ */
+export const describeVisualizationItem = (state, item, units = {}) => {
+  const { tempUnit = "K", loadUnit = "MW" } = units;
+  /** @param {number} t */
+  const fmtT = (t) => fmtTemp(t, tempUnit);
+  /** @param {number} q */
+  const fmtQ = (q) => fmtLoad(Number(q), loadUnit);
+  const exch = Array.isArray(state?.exchanger) ? state.exchanger : [];
+
+  if (item.type === "stream") {
+    const isHot = item.side === "hot";
+    const s = (isHot ? state.hot : state.cold)[item.index];
+    const count = exch.filter(
+      (ex) =>
+        ex && ex[item.side] !== null && Number(ex[item.side]) === item.index,
+    ).length;
+    return [
+      `${isHot ? "H" : "C"}${item.index + 1} — ${isHot ? "горячий" : "холодный"} поток`,
+      isStreamIsothermal(s)
+        ? `T = ${fmtT(s.in)} (изотермический)`
+        : `T: ${fmtT(s.in)} → ${fmtT(s.out)}`,
+      `Нагрузка: ${fmtQ(requiredLoadMW(s))}`,
+      `Аппаратов на потоке: ${count}`,
+    ];
+  }
+
+  const ex = exch[item.index];
+  const hasH = ex.hot !== null && ex.hot !== undefined;
+  const hasC = ex.cold !== null && ex.cold !== undefined;
+  const hotId = hasH ? `H${Number(ex.hot) + 1}` : "";
+  const coldId = hasC ? `C${Number(ex.cold) + 1}` : "";
+  const utilities = Array.isArray(state.utility) ? state.utility : [];
+  const u = Number.isInteger(ex.utility) ? utilities[ex.utility] : null;
+
+  const title =
+    hasH && hasC
+      ? `ячейка теплообмена ${hotId}–${coldId}`
+      : hasH
+        ? `холодильник ${hotId}`
+        : `нагреватель ${coldId}`;
+  const lines = [
+    `E${item.index + 1} — ${title}${u ? ` (${u.name})` : ""}`,
+    `Нагрузка: ${fmtQ(ex.load)}`,
+  ];
+  for (const [side, label] of [
+    ["hot", "Горячий"],
+    ["cold", "Холодный"],
+  ]) {
+    const tIn = ex[`${side}_in`];
+    const tOut = ex[`${side}_out`];
+    if (Number.isFinite(tIn) && Number.isFinite(tOut))
+      lines.push(`${label}: ${fmtT(tIn)} → ${fmtT(tOut)}`);
+  }
+  return lines;
+};
+
 // --- Основной рендер ---
 
 /**
- * Отрисовать визуализацию.
+ * Отрисовать визуализацию на canvas (размер — CSS-размер canvas).
  *
  * @param {object} deps
  * @param {HTMLCanvasElement} deps.canvas
  * @param {any} [deps.state] Каноническое состояние (multiheat/hot/cold/exchanger)
+ * @param {VisualizationView} [deps.view] масштаб и сдвиг схемы
+ * @param {import("../model/selection.js").SelectionItem | null} [deps.selection] выделенный элемент
+ * @param {VisualizationDraft | null} [deps.draft] черновик перетаскивания (режим правки)
+ * @param {import("../model/units.js").TempUnit} [deps.tempUnit] единица подписей температур (по умолчанию K)
+ * @param {import("../model/units.js").LoadUnit} [deps.loadUnit] единица подписей нагрузок (по умолчанию МВт)
+ * @returns {VisualizationScene|null} геометрия схемы (null, если рисовать нечего)
  */
-export const renderVisualization = ({ canvas, state }) => {
-  if (!canvas) return;
+export const renderVisualization = ({ canvas, ...opts }) => {
+  if (!canvas) return null;
+  const g = createCanvasBackend(canvas);
+  if (!g) return null;
+  return drawVisualization(g, opts);
+};
 
+/**
+ * Нарисовать визуализацию через бэкенд (экран или экспорт); ширина схемы — `g.width`.
+ *
+ * @param {import("./backend.js").DrawBackend} g
+ * @param {object} deps
+ * @param {any} [deps.state] Каноническое состояние (multiheat/hot/cold/exchanger)
+ * @param {VisualizationView} [deps.view] масштаб и сдвиг схемы
+ * @param {import("../model/selection.js").SelectionItem | null} [deps.selection] выделенный элемент
+ * @param {VisualizationDraft | null} [deps.draft] черновик перетаскивания (режим правки)
+ * @param {import("../model/units.js").TempUnit} [deps.tempUnit] единица подписей температур (по умолчанию K)
+ * @param {import("../model/units.js").LoadUnit} [deps.loadUnit] единица подписей нагрузок (по умолчанию МВт)
+ * @returns {VisualizationScene|null} геометрия схемы (null, если рисовать нечего)
+ */
+export const drawVisualization = (
+  g,
+  {
+    state,
+    view = DEFAULT_VIEW,
+    selection = null,
+    draft = null,
+    tempUnit = "K",
+    loadUnit = "MW",
+  },
+) => {
   const hot = Array.isArray(state?.hot) ? state.hot : [];
   const cold = Array.isArray(state?.cold) ? state.cold : [];
   const exch = Array.isArray(state?.exchanger) ? state.exchanger : [];
@@ -286,8 +320,7 @@ export const renderVisualization = ({ canvas, state }) => {
   // Если данных нет — оставляем аккуратную заглушку, чтобы пользователь понимал, что «оно работает».
   const hasAny = hot.length > 0 || cold.length > 0 || exch.length > 0;
 
-  // Ширину canvas задаёт layout/контроллер; рендерер не изменяет `min-width`.
-  // Здесь выполняем один корректный проход рендеринга без «двойной инициализации» контекста.
+  // Ширину рисунка задаёт layout/контроллер; рендерер не изменяет `min-width`.
   const hasExchangers = exch.some(
     (ex) =>
       ex &&
@@ -297,27 +330,34 @@ export const renderVisualization = ({ canvas, state }) => {
       ex.cold !== undefined,
   );
 
-  const { dpr, wCss, hCss } = resizeCanvasForDpr(canvas);
-
-  const ctx = canvas.getContext("2d");
-  if (!ctx) return;
-
-  // Работаем в CSS-координатах (масштаб через transform).
-  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-  ctx.clearRect(0, 0, wCss, hCss);
-
-  setCtxTextStyle(ctx);
+  const wCss = g.width;
+  const hCss = g.height;
 
   if (!hasAny) {
     // Сообщение — пользовательский текст, поэтому по-русски.
-    drawText(ctx, "Нет данных для визуализации.", wCss / 2, hCss / 2, {
+    drawText(g, "Нет данных для визуализации.", wCss / 2, hCss / 2, {
       align: "center",
       fillStyle: "#64748b",
       outline: false,
     });
-    return;
+    return null;
   }
 
+  // Масштаб и сдвиг схемы: дальше рисуем в координатах схемы.
+  g.setAlpha(1);
+  g.setView(view);
+
+  /** @type {VisualizationScene} */
+  const scene = { view, streams: [], exchangers: [] };
+
+  // Выделение: связанные элементы рисуются как обычно (аппараты — жирнее), остальные — приглушённо.
+  const related = selection ? relatedItems(state, selection) : null;
+  const DIM_ALPHA = 0.25;
+  /** @param {boolean} isRelated */
+  const setEmphasis = (isRelated) => {
+    g.setAlpha(related && !isRelated ? DIM_ALPHA : 1);
+  };
+
   const colors = {
     hot: "#dc2626", // красный
     cold: "#2563eb", // синий
@@ -358,14 +398,12 @@ export const renderVisualization = ({ canvas, state }) => {
 
   // Небольшая «внутренняя» сетка (тонкая), чтобы не было ощущения пустоты.
   // Не делаем сложной — только слабые горизонтальные штрихи.
-  ctx.strokeStyle = "rgba(148,163,184,0.25)";
-  ctx.lineWidth = 1;
-  ctx.lineCap = "butt";
   for (let y = 20; y < Math.min(hCss - 10, maxY); y += 56) {
-    ctx.beginPath();
-    ctx.moveTo(x0, y);
-    ctx.lineTo(x1, y);
-    ctx.stroke();
+    drawLine(g, x0, y, x1, y, {
+      strokeStyle: "rgba(148,163,184,0.25)",
+      lineWidth: 1,
+      lineCap: "butt",
+    });
   }
 
   // --- Потоки: линии и подписи ---
@@ -373,14 +411,19 @@ export const renderVisualization = ({ canvas, state }) => {
   const drawStream = ({ kind, idx0, s, y }) => {
     const isHot = kind === "hot";
     const color = isHot ? colors.hot : colors.cold;
+    const isRelated = !!related?.streams.has(streamKey(kind, idx0));
+    setEmphasis(isRelated);
 
     // Линия потока
-    drawLine(ctx, x0, y, x1, y, { strokeStyle: color, lineWidth: 2.5 });
+    drawLine(g, x0, y, x1, y, {
+      strokeStyle: color,
+      lineWidth: isRelated ? 4 : 2.5,
+    });
 
     // Температура на входе (рядом с линией)
-    const inText = s && typeof s.in === "number" ? fmtTempK(s.in) : "";
+    const inText = s && typeof s.in === "number" ? fmtTemp(s.in, tempUnit) : "";
     if (inText) {
-      drawText(ctx, inText, xTempL, y, {
+      drawText(g, inText, xTempL, y, {
         align: "right",
         fillStyle: colors.ink,
         outline: true,
@@ -389,21 +432,29 @@ export const renderVisualization = ({ canvas, state }) => {
 
     // ID потока: ставим левее температуры на входе так, чтобы не перекрывались.
     const id = `${isHot ? "H" : "C"}${idx0 + 1}`;
-    const inW = inText ? ctx.measureText(inText).width : 0;
+    const inW = inText ? g.measureText(inText) : 0;
     const xId = Math.max(pad, xTempL - inW - 10);
-    drawText(ctx, id, xId, y, {
+    drawText(g, id, xId, y, {
       align: "right",
       fillStyle: color,
       outline: true,
     });
 
     // Температура на выходе / "=" для изотермических
-    const rightLabel = isStreamIsothermal(s) ? "=" : fmtTempK(s.out);
-    drawText(ctx, rightLabel, xTempR, y, {
+    const rightLabel = isStreamIsothermal(s) ? "=" : fmtTemp(s.out, tempUnit);
+    drawText(g, rightLabel, xTempR, y, {
       align: "left",
       fillStyle: colors.ink,
       outline: true,
     });
+
+    scene.streams.push({
+      side: kind,
+      index: idx0,
+      y,
+      xa: xId - g.measureText(id),
+      xb: xTempR + g.measureText(rightLabel),
+    });
   };
 
   for (let i = 0; i < hot.length; i++)
@@ -443,9 +494,60 @@ export const renderVisualization = ({ canvas, state }) => {
   // При этом расстояние от последней ячейки до util равно расстоянию между последними двумя ячейками.
   const cellX = (k) => xUtilLine - UTIL_INSET - DX_CELL * (cells.length - k);
 
+  // --- Разветвления потоков ---
+  //
+  // Смещение по Y точки подключения аппарата к потоку: `branchDy[side].get(индекс аппарата)`.
+  // Ветви рисуем до аппаратов, чтобы вертикали ячеек были поверх линий ветвей.
+
+  const BRANCH_DY_MAX = 8;
+  const BRANCH_PAD = 14; // вынос линии ветви за крайние аппараты участка
+  const BRANCH_SLANT = 6; // горизонтальная длина «косого» отвода ветви
+
+  /** @type {Map<number, number>} */
+  const xByExchanger = new Map();
+  cells.forEach(({ i }, k) => xByExchanger.set(i, cellX(k)));
+  for (const { i } of [...coolers, ...heaters]) xByExchanger.set(i, xUtilLine);
+
+  const branchDy = { hot: new Map(), cold: new Map() };
+
+  for (const sec of splitSections({ hot, cold }, exch)) {
+    const isHot = sec.side === "hot";
+    const yArr = isHot ? yHot : yCold;
+    const y = yArr[sec.stream];
+    if (y === undefined) continue;
+
+    const xs = sec.branches
+      .flatMap((b) => b.exchangers)
+      .map((i) => xByExchanger.get(i))
+      .filter((x) => x !== undefined);
+    if (xs.length === 0) continue;
+
+    const xa = Math.max(x0, Math.min(...xs) - BRANCH_PAD);
+    const xb = Math.min(x1, Math.max(...xs) + BRANCH_PAD);
+
+    // Почему: все ветви помещаются в половину промежутка между потоками.
+    const dy =
+      Math.min(BRANCH_DY_MAX, gap / 2 / Math.max(1, sec.branches.length - 1)) *
+      (isHot ? -1 : +1);
+
+    setEmphasis(!!related?.streams.has(streamKey(sec.side, sec.stream)));
+    sec.branches.forEach((b, pos) => {
+      for (const i of b.exchangers) branchDy[sec.side].set(i, pos * dy);
+      if (pos === 0) return;
+
+      const yb = y + pos * dy;
+      const color = isHot ? colors.hot : colors.cold;
+      const opts = { strokeStyle: color, lineWidth: 1.5 };
+
+      drawLine(g, xa, y, xa + BRANCH_SLANT, yb, opts);
+      drawLine(g, xa + BRANCH_SLANT, yb, xb - BRANCH_SLANT, yb, opts);
+      drawLine(g, xb - BRANCH_SLANT, yb, xb, y, opts);
+    });
+  }
+
   // Рисуем ячейки теплообмена: вертикальная линия + подпись нагрузки.
   for (let k = 0; k < cells.length; k++) {
-    const { ex } = cells[k];
+    const { ex, i } = cells[k];
     const hi = Number(ex.hot);
     const ci = Number(ex.cold);
 
@@ -454,23 +556,25 @@ export const renderVisualization = ({ canvas, state }) => {
     if (ci < 0 || ci >= yCold.length) continue;
 
     const x = cellX(k);
-    const y0c = yHot[hi];
-    const y1c = yCold[ci];
+    const y0c = yHot[hi] + (branchDy.hot.get(i) ?? 0);
+    const y1c = yCold[ci] + (branchDy.cold.get(i) ?? 0);
+    const isRelated = !!related?.exchangers.has(i);
+    setEmphasis(isRelated);
 
     // Соединение
-    drawLine(ctx, x, y0c, x, y1c, {
-      strokeStyle: colors.grid,
-      lineWidth: 2,
+    drawLine(g, x, y0c, x, y1c, {
+      strokeStyle: isRelated ? colors.ink : colors.grid,
+      lineWidth: isRelated ? 3.5 : 2,
       lineCap: "round",
     });
 
     // Малые маркеры контакта (не обязательны, но повышают читаемость)
-    drawDot(ctx, x, y0c, 3.5, {
+    drawDot(g, x, y0c, 3.5, {
       fillStyle: colors.grid,
       strokeStyle: "rgba(255,255,255,0.7)",
       lineWidth: 1,
     });
-    drawDot(ctx, x, y1c, 3.5, {
+    drawDot(g, x, y1c, 3.5, {
       fillStyle: colors.grid,
       strokeStyle: "rgba(255,255,255,0.7)",
       lineWidth: 1,
@@ -480,25 +584,34 @@ export const renderVisualization = ({ canvas, state }) => {
     // - 2 значащие цифры
     // - значение и единица измерения на разных строках в рамке
     // - центрируем в «коридоре» между нижним горячим и верхним холодным (если обе группы есть)
-    const vText = fmtLoadValue(ex.load);
+    const vText = fmtLoadValue(ex.load, loadUnit);
 
     const yBand =
       hot.length > 0 && cold.length > 0
         ? (yHot[yHot.length - 1] + yCold[0]) / 2
         : (y0c + y1c) / 2;
 
-    drawLoadBox(ctx, vText, "МВт", x, yBand, {
-      boxFill: "#dbeafe",
+    drawLoadBox(g, vText, loadUnitLabel(loadUnit), x, yBand, {
+      boxFill: isRelated ? "#fde68a" : "#dbeafe",
       boxStroke: "rgba(15,23,42,0.8)",
-      boxStrokeWidth: 1,
+      boxStrokeWidth: isRelated ? 2 : 1,
       textFill: colors.ink,
     });
+
+    scene.exchangers.push({
+      index: i,
+      kind: "cell",
+      x,
+      y0: y0c,
+      y1: y1c,
+      yLabel: yBand,
+    });
   }
 
   // Утилиты (холодильники/нагреватели): точки на общей вертикали `xUtilLine`.
   // Важно: линии потоков уже имеют одинаковую длину (до `x1`), поэтому ничего не «удлиняем» под утилиты.
 
-  const drawUtility = ({ kind, ex }) => {
+  const drawUtility = ({ kind, ex, i }) => {
     const isCooler = kind === "cooler";
     const isHeater = kind === "heater";
 
@@ -508,33 +621,71 @@ export const renderVisualization = ({ canvas, state }) => {
     const yArr = isCooler ? yHot : yCold;
     if (idx < 0 || idx >= yArr.length) return;
 
-    const y = yArr[idx];
+    const y =
+      yArr[idx] + ((isCooler ? branchDy.hot : branchDy.cold).get(i) ?? 0);
 
     // Точка на общей вертикали (линии потоков уже доходят до x1, не удлиняем отдельно).
     const xDot = xUtilLine;
+    const isRelated = !!related?.exchangers.has(i);
+    setEmphasis(isRelated);
 
     const dotColor = isCooler ? colors.cold : colors.hot;
-    drawDot(ctx, xDot, y, 7, {
+    drawDot(g, xDot, y, isRelated ? 8 : 7, {
       fillStyle: dotColor,
-      strokeStyle: "rgba(15,23,42,0.25)",
+      strokeStyle: isRelated ? colors.ink : "rgba(15,23,42,0.25)",
       lineWidth: 2,
     });
 
     // Подпись нагрузки утилиты:
     // - одна строка (без переноса)
     // - 2 значащие цифры, экспонента при необходимости, без ведущего нуля у дроби
-    const qText = fmtUtilityLabel(ex.load);
-    drawLabelBox(ctx, qText, xDot - 14, y - 14, {
+    const qText = fmtUtilityLabel(ex.load, loadUnit);
+    drawLabelBox(g, qText, xDot - 14, y - 14, {
       align: "right",
       textFill: colors.ink,
-      boxFill: "#e2e8f0",
+      boxFill: isRelated ? "#fde68a" : "#e2e8f0",
       boxStroke: "rgba(15,23,42,0.8)",
       boxStrokeWidth: 1,
     });
+
+    scene.exchangers.push({
+      index: i,
+      kind: isCooler ? "cooler" : "heater",
+      x: xDot,
+      y0: y,
+      y1: y,
+      yLabel: y,
+    });
   };
 
-  for (const { ex } of coolers) drawUtility({ kind: "cooler", ex });
-  for (const { ex } of heaters) drawUtility({ kind: "heater", ex });
+  for (const { ex, i } of coolers) drawUtility({ kind: "cooler", ex, i });
+  for (const { ex, i } of heaters) drawUtility({ kind: "heater", ex, i });
+
+  g.setAlpha(1);
+
+  if (draft) {
+    const dash = [6, 4];
+    if (draft.kind === "line")
+      drawLine(g, draft.x0, draft.y0, draft.x1, draft.y1, {
+        strokeStyle: colors.ink,
+        lineWidth: 2,
+        dash,
+      });
+    else
+      drawDot(g, draft.x, draft.y, 7, {
+        fillStyle:
+          draft.color === "cold"
+            ? colors.cold
+            : draft.color === "hot"
+              ? colors.hot
+              : colors.grid,
+        strokeStyle: colors.ink,
+        lineWidth: 1.5,
+        dash,
+      });
+  }
+
+  return scene;
 };
 
 /**
@@ -0,0 +1,161 @@
+/**
+ * Пакетное сравнение алгоритмов синтеза (бенчмарк): каждый выбранный алгоритм запускается
+ * на каждой системе, для результата вычисляются статистика (`computeSolutionStats`) и проверка
+ * (`verifySolutionJs`), затем результаты сводятся по алгоритмам.
+ *
+ * Модуль не обращается к DOM: синтез выполняет переданная функция `solve`
+ * (в Web UI — хост синтеза `app/solver_host.js`, без браузера — `runSolveRequest`).
+ *
+ * Важно:
+ * - ошибка синтеза одного прогона записывается в результат и не прерывает бенчмарк;
+ * - отмена (`AbortError`) прерывает бенчмарк; уже полученные записи переданы в `onRecord`.
+ */
+
+import { dtOptions, validateAndNormalizeState } from "../model/state.js";
+import { computeSolutionStats } from "../model/stats.js";
+import { verifySolutionJs } from "./verify_solution_js.js";
+import { isAbortError, toErrorText } from "../util/errors.js";
+
+/**
+ * Алгоритмы, доступные для сравнения (подписи — как в селекторе «Алгоритм»).
+ * @type {{ id: string, label: string }[]}
+ */
+export const BENCHMARK_ALGORITHMS = [
+  { id: "solve_greedy_zig", label: "Жадный (Zig/WASM)" },
+  { id: "solve_greedy_js", label: "Жадный (JavaScript)" },
+  { id: "solve_curves_zig", label: "Эквивалентные кривые (Zig/WASM)" },
+  { id: "solve_curves_js", label: "Эквивалентные кривые (JavaScript)" },
+  { id: "solve_trivial_zig", label: "Без теплообмена (Zig/WASM)" },
+];
+
+/**
+ * @typedef {object} BenchmarkSystem
+ * @property {string} name имя системы в отчёте (файл или зерно)
+ * @property {any} state нормализованное каноническое состояние
+ */
+
+/**
+ * @typedef {object} BenchmarkRecord результат одного прогона «система × алгоритм»
+ * @property {string} system имя системы
+ * @property {string} algorithm идентификатор алгоритма
+ * @property {string} label подпись алгоритма
+ * @property {boolean} solved синтез завершился без ошибки
+ * @property {string|null} error текст ошибки синтеза
+ * @property {number|null} solve_time_ms
+ * @property {ReturnType<typeof computeSolutionStats>|null} stats
+ * @property {number|null} violations число нарушений по `verifySolutionJs` (0 — проверка пройдена)
+ */
+
+/**
+ * @typedef {object} BenchmarkSummary сводка по одному алгоритму
+ * @property {string} algorithm
+ * @property {string} label
+ * @property {number} runs число прогонов
+ * @property {number} failures прогоны с ошибкой синтеза
+ * @property {number} invalid решённые прогоны, не прошедшие проверку
+ * @property {number|null} mean_saved средняя экономия внешней энергии, МВт (по решённым прогонам)
+ * @property {number|null} mean_cells среднее число ячеек теплообмена
+ * @property {number|null} mean_utilities среднее число утилит
+ * @property {number|null} mean_time_ms среднее время синтеза
+ * @property {number} total_time_ms суммарное время синтеза
+ */
+
+/**
+ * `runBenchmark(systems, algorithms, solve, opts)` → все записи прогонов (система за системой).
+ *
+ * @param {BenchmarkSystem[]} systems
+ * @param {{ id: string, label: string }[]} algorithms
+ * @param {(request: import("./solve_request.js").SolveRequest) => Promise<import("./solve_request.js").SolveResult>} solve
+ * @param {{ onRecord?: (record: BenchmarkRecord, done: number, total: number) => void }} [opts]
+ * @returns {Promise<BenchmarkRecord[]>}
+ */
+export const runBenchmark = async (systems, algorithms, solve, opts = {}) => {
+  const onRecord = typeof opts.onRecord === "function" ? opts.onRecord : null;
+  const total = systems.length * algorithms.length;
+
+  /** @type {BenchmarkRecord[]} */
+  const records = [];
+
+  for (const system of systems) {
+    for (const algo of algorithms) {
+      /** @type {BenchmarkRecord} */
+      const record = {
+        system: system.name,
+        algorithm: algo.id,
+        label: algo.label,
+        solved: false,
+        error: null,
+        solve_time_ms: null,
+        stats: null,
+        violations: null,
+      };
+
+      try {
+        const solved = await solve({
+          algorithm: algo.id,
+          label: algo.label,
+          state: system.state,
+        });
+        const state = validateAndNormalizeState({
+          ...system.state,
+          exchanger: solved.exchangers,
+        });
+        record.solved = true;
+        record.solve_time_ms = solved.solve_time_ms;
+        record.stats = computeSolutionStats(state, {
+          algorithm_used: algo.id,
+          algorithm_label: algo.label,
+          solve_time_ms: solved.solve_time_ms,
+        });
+        record.violations = verifySolutionJs(
+          state,
+          dtOptions(state),
+        ).violations.length;
+      } catch (e) {
+        if (isAbortError(e)) throw e;
+        record.error = toErrorText(e);
+      }
+
+      records.push(record);
+      if (onRecord) onRecord(record, records.length, total);
+    }
+  }
+
+  return records;
+};
+
+/**
+ * Среднее значение или null для пустого списка.
+ * @param {number[]} xs
+ * @returns {number|null}
+ */
+const mean = (xs) =>
+  xs.length === 0 ? null : xs.reduce((a, x) => a + x, 0) / xs.length;
+
+/**
+ * `summarizeBenchmark(records, algorithms)` → сводка по алгоритмам (в порядке `algorithms`).
+ *
+ * Средние считаются по прогонам без ошибки синтеза, включая не прошедшие проверку.
+ *
+ * @param {BenchmarkRecord[]} records
+ * @param {{ id: string, label: string }[]} algorithms
+ * @returns {BenchmarkSummary[]}
+ */
+export const summarizeBenchmark = (records, algorithms) =>
+  algorithms.map((algo) => {
+    const runs = records.filter((r) => r.algorithm === algo.id);
+    const solved = runs.filter((r) => r.solved);
+    const times = solved.map((r) => r.solve_time_ms);
+    return {
+      algorithm: algo.id,
+      label: algo.label,
+      runs: runs.length,
+      failures: runs.length - solved.length,
+      invalid: solved.filter((r) => r.violations > 0).length,
+      mean_saved: mean(solved.map((r) => r.stats.external_power_saved)),
+      mean_cells: mean(solved.map((r) => r.stats.cell_count)),
+      mean_utilities: mean(solved.map((r) => r.stats.utility_count)),
+      mean_time_ms: mean(times),
+      total_time_ms: times.reduce((a, t) => a + t, 0),
+    };
+  });
@@ -0,0 +1,255 @@
+/**
+ * Сверка реализаций Zig/WASM и JavaScript одного алгоритма синтеза на одной системе.
+ *
+ * Оба решения приводятся к общему виду так же, как Zig компактизирует решение (`compactExchangers`):
+ * нагрузки одинаковых пар (горячий, холодный) суммируются, пары сортируются, нулевые отбрасываются.
+ * Затем пары сравниваются: решение Zig — эталон, решение JS — проверяемое.
+ * - «добавлена» — пара есть только в решении JS;
+ * - «удалена» — пара есть только в решении Zig;
+ * - «изменена» — нагрузки пары различаются больше допуска.
+ *
+ * Допуск для пары: max(`abs_tol`, `rel_tol` · max(|q_zig|, |q_js|)). По умолчанию он покрывает
+ * расхождения арифметики f32 (Zig) и double (JS).
+ *
+ * Модуль не обращается к DOM: синтез выполняет переданная функция `solve`
+ * (в Web UI — хост синтеза, без браузера — `runSolveRequest`, см. `scripts/parity.js`).
+ */
+
+import { compactExchangers } from "./solve_curves_js.js";
+import { fromMW, loadUnitLabel } from "../model/units.js";
+import { isAbortError, toErrorText } from "../util/errors.js";
+
+/** Алгоритмы, у которых есть обе реализации (Zig/WASM и JavaScript). */
+export const PARITY_ALGORITHMS = ["solve_greedy", "solve_curves"];
+
+/** Допуск по умолчанию: абсолютный (МВт) и относительный. */
+export const DEFAULT_PARITY_TOLERANCE = { abs_tol: 1e-6, rel_tol: 1e-4 };
+
+/**
+ * @typedef {object} ParityMatch
+ * @property {number|null} hot
+ * @property {number|null} cold
+ * @property {number} load МВт
+ */
+
+/**
+ * @typedef {object} ParityChange
+ * @property {number|null} hot
+ * @property {number|null} cold
+ * @property {number} zig_load МВт
+ * @property {number} js_load МВт
+ * @property {number} delta js_load - zig_load, МВт
+ */
+
+/**
+ * @typedef {object} ParityDiff
+ * @property {ParityMatch[]} added пары только в решении JS
+ * @property {ParityMatch[]} removed пары только в решении Zig
+ * @property {ParityChange[]} changed пары с расхождением нагрузки больше допуска
+ * @property {number} matched общие пары (включая изменённые)
+ * @property {number} max_abs_delta наибольшее расхождение нагрузки общей пары, МВт
+ * @property {number} max_rel_delta наибольшее относительное расхождение общей пары
+ * @property {{ abs_tol: number, rel_tol: number }} tolerance
+ * @property {boolean} ok решения совпадают в пределах допуска
+ */
+
+/**
+ * @typedef {object} ParitySide
+ * @property {boolean} solved
+ * @property {string|null} error
+ * @property {number|null} solve_time_ms
+ * @property {ParityMatch[]} matches компактизированное решение
+ */
+
+/**
+ * @typedef {object} ParityReport
+ * @property {string} algorithm базовое имя алгоритма (`solve_greedy` | `solve_curves`)
+ * @property {ParitySide} zig
+ * @property {ParitySide} js
+ * @property {ParityDiff|null} diff null, если одна из реализаций завершилась с ошибкой
+ * @property {boolean} ok обе реализации решили систему, решения совпадают в пределах допуска
+ */
+
+/** @param {ParityMatch} m */
+const pairKey = (m) => `${m.hot ?? "-"}:${m.cold ?? "-"}`;
+
+/**
+ * Привести решение к компактному виду (только hot, cold, load).
+ * @param {any[]} exchangers
+ * @returns {ParityMatch[]}
+ */
+const compactMatches = (exchangers) =>
+  compactExchangers(exchangers).map((ex) => ({
+    hot: ex.hot,
+    cold: ex.cold,
+    load: ex.load,
+  }));
+
+/**
+ * `diffExchangers(zigExchangers, jsExchangers, tolerance)` → расхождения решений.
+ *
+ * @param {any[]} zigExchangers решение Zig/WASM (эталон)
+ * @param {any[]} jsExchangers решение JS
+ * @param {{ abs_tol?: number, rel_tol?: number }} [tolerance]
+ * @returns {ParityDiff}
+ */
+export const diffExchangers = (zigExchangers, jsExchangers, tolerance = {}) => {
+  const tol = { ...DEFAULT_PARITY_TOLERANCE, ...tolerance };
+  const zig = compactMatches(zigExchangers);
+  const js = compactMatches(jsExchangers);
+  const jsByKey = new Map(js.map((m) => [pairKey(m), m]));
+  const zigKeys = new Set(zig.map(pairKey));
+
+  /** @type {ParityChange[]} */
+  const changed = [];
+  let matched = 0;
+  let maxAbs = 0;
+  let maxRel = 0;
+
+  for (const z of zig) {
+    const j = jsByKey.get(pairKey(z));
+    if (!j) continue;
+    matched += 1;
+
+    const delta = j.load - z.load;
+    const scale = Math.max(Math.abs(z.load), Math.abs(j.load));
+    maxAbs = Math.max(maxAbs, Math.abs(delta));
+    if (scale > 0) maxRel = Math.max(maxRel, Math.abs(delta) / scale);
+
+    if (Math.abs(delta) > Math.max(tol.abs_tol, tol.rel_tol * scale))
+      changed.push({
+        hot: z.hot,
+        cold: z.cold,
+        zig_load: z.load,
+        js_load: j.load,
+        delta,
+      });
+  }
+
+  const added = js.filter((m) => !zigKeys.has(pairKey(m)));
+  const removed = zig.filter((m) => !jsByKey.has(pairKey(m)));
+
+  return {
+    added,
+    removed,
+    changed,
+    matched,
+    max_abs_delta: maxAbs,
+    max_rel_delta: maxRel,
+    tolerance: tol,
+    ok: added.length === 0 && removed.length === 0 && changed.length === 0,
+  };
+};
+
+/**
+ * `checkParity(state, algorithm, solve, opts)` → отчёт сверки реализаций одного алгоритма.
+ *
+ * Ошибка синтеза одной из реализаций записывается в отчёт; отмена (`AbortError`) пробрасывается.
+ *
+ * @param {any} state нормализованное каноническое состояние
+ * @param {string} algorithm базовое имя алгоритма (см. PARITY_ALGORITHMS)
+ * @param {(request: import("./solve_request.js").SolveRequest) => Promise<import("./solve_request.js").SolveResult>} solve
+ * @param {{ tolerance?: { abs_tol?: number, rel_tol?: number } }} [opts]
+ * @returns {Promise<ParityReport>}
+ */
+export const checkParity = async (state, algorithm, solve, opts = {}) => {
+  /** @param {"zig"|"js"} provider */
+  const runSide = async (provider) => {
+    try {
+      const solved = await solve({
+        algorithm: `${algorithm}_${provider}`,
+        state,
+      });
+      return {
+        solved: true,
+        error: null,
+        solve_time_ms: solved.solve_time_ms,
+        exchangers: solved.exchangers,
+      };
+    } catch (e) {
+      if (isAbortError(e)) throw e;
+      return {
+        solved: false,
+        error: toErrorText(e),
+        solve_time_ms: null,
+        exchangers: [],
+      };
+    }
+  };
+
+  const zig = await runSide("zig");
+  const js = await runSide("js");
+  const diff =
+    zig.solved && js.solved
+      ? diffExchangers(zig.exchangers, js.exchangers, opts.tolerance)
+      : null;
+
+  const side = ({ exchangers, ...rest }) => ({
+    ...rest,
+    matches: compactMatches(exchangers),
+  });
+
+  return {
+    algorithm,
+    zig: side(zig),
+    js: side(js),
+    diff,
+    ok: diff !== null && diff.ok,
+  };
+};
+
+/**
+ * Подпись пары: «H1–C2», «нагреватель C1», «холодильник H2».
+ * @param {ParityMatch} m
+ */
+export const matchLabel = (m) => {
+  if (m.hot === null) return `нагреватель C${m.cold + 1}`;
+  if (m.cold === null) return `холодильник H${m.hot + 1}`;
+  return `H${m.hot + 1}–C${m.cold + 1}`;
+};
+
+/** @param {number} x */
+const fmtLoad = (x) => String(Number(x.toPrecision(6)));
+
+/**
+ * `describeParity(report, units)` → строки отчёта сверки (для интерфейса и консоли).
+ *
+ * @param {ParityReport} report
+ * @param {import("../model/units.js").DisplayUnits} [units] единица нагрузок, по умолчанию МВт
+ * @returns {string[]}
+ */
+export const describeParity = (report, units = {}) => {
+  const { loadUnit = "MW" } = units;
+  const unit = loadUnitLabel(loadUnit);
+  /** @param {number} x нагрузка, МВт */
+  const load = (x) => fmtLoad(fromMW(x, loadUnit));
+  const lines = [];
+  const { zig, js, diff } = report;
+
+  if (!zig.solved) lines.push(`Zig/WASM: ошибка синтеза — ${zig.error}`);
+  if (!js.solved) lines.push(`JavaScript: ошибка синтеза — ${js.error}`);
+  if (!diff) return lines;
+
+  lines.push(
+    `Пар: Zig/WASM ${zig.matches.length}, JavaScript ${js.matches.length}, общих ${diff.matched}.`,
+  );
+  for (const m of diff.added)
+    lines.push(
+      `+ ${matchLabel(m)}: ${load(m.load)} ${unit} (только JavaScript)`,
+    );
+  for (const m of diff.removed)
+    lines.push(`- ${matchLabel(m)}: ${load(m.load)} ${unit} (только Zig/WASM)`);
+  for (const c of diff.changed)
+    lines.push(
+      `~ ${matchLabel(c)}: ${load(c.zig_load)} → ${load(c.js_load)} ${unit} (Δ = ${load(c.delta)})`,
+    );
+  lines.push(
+    `Допуск: ${load(diff.tolerance.abs_tol)} ${unit} или ${diff.tolerance.rel_tol} от нагрузки; наибольшее расхождение общих пар ${load(diff.max_abs_delta)} ${unit} (${fmtLoad(diff.max_rel_delta)} отн.).`,
+  );
+  lines.push(
+    diff.ok
+      ? "Решения совпадают в пределах допуска."
+      : `Решения расходятся: добавлено ${diff.added.length}, удалено ${diff.removed.length}, изменено ${diff.changed.length}.`,
+  );
+  return lines;
+};
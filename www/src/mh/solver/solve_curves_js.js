@@ -7,17 +7,35 @@
  * 1) строим общий температурный каркас по "сдвинутым" температурам:
  *    cold-сторона сдвигается вверх на ΔTmin (dt_min), чтобы реализуемость выполнялась автоматически;
  * 2) делаем heat cascade по интервалам, чтобы найти минимально необходимый внешний нагрев (HU);
+ *    изотермы относятся к границам интервалов (отдельный шаг каскада, в Zig — часть интервала под границей);
  * 3) выполняем детерминированное распределение тепла:
- *    на каждом интервале сверху вниз:
+ *    на каждой границе и на каждом интервале сверху вниз:
  *    - накапливаем доступное тепло hot-потоков,
  *    - покрываем спрос cold-потоков за счёт накопленного остатка,
  *    - дефицит покрываем из ограниченного пула HU (минимальные утилиты);
  * 4) остаток тепла hot после каскада отправляем на охлаждение (CU);
- * 5) компактизируем решение: суммируем одинаковые пары (hot_end, cold_end).
+ * 5) ставим утилиты: по одному нагревателю/холодильнику на поток;
+ * 6) расставляем ячейки на потоках по шагам каскада и считаем температуры:
+ *    на горячем потоке — сверху вниз, на холодном — снизу вверх, утилиты — в конце потока;
+ *    ячейки одной пары сливаем, только если они стоят подряд на обоих потоках
+ *    (Zig суммирует все ячейки пары, и температуры аппаратов теряют смысл);
+ * 7) разветвляем потоки там, где последовательная расстановка нарушает ΔTmin (в Zig этого шага нет):
+ *    ячейки потока на одном шаге каскада ставим параллельно,
+ *    доля потока в ветви пропорциональна нагрузке ячейки (CP ветви = CP потока × доля),
+ *    поэтому каждая ветвь проходит весь температурный диапазон шага, как в каскаде;
+ *    участки, без которых сеть не нарушает ΔTmin, снимаем.
+ *
+ * Ограничения `[[constraint]]` (см. `model/constraints.js`; в Zig их нет):
+ * - запрещённые пары при распределении тепла пропускаются; недостающее из-за них тепло
+ *   покрывается нагревателем сверх целевой нагрузки утилит;
+ * - обязательные пары на каждом шаге обслуживаются первыми, пока не наберут `min_load`;
+ *   недобор после каскада переносится с утилит и других ячеек этих потоков (шаг 4.6).
  *
  * Важно:
  * - вход: каноническое состояние UI ({ hot, cold })
  * - выход: список exchanger в каноническом формате ({ hot|null, cold|null, load })
+ *   с температурами на входе/выходе, позициями на потоках и, при разветвлении, ветвями и долями;
+ *   нагревателям и холодильникам назначается самая дешёвая реализуемая утилита (см. `model/utilities.js`)
  * - алгоритм НЕ мутирует исходный state
  *
  * Замечание про “идиоматический JS”:
@@ -25,6 +43,10 @@
  * - используется Number (double), поэтому результаты могут отличаться от Zig/WASM (f32) на границах eps
  */
 
+import { annotateExchangerTemperatures } from "../model/exchanger_temps.js";
+import { assignUtilities } from "../model/utilities.js";
+import { forbiddenMatches, requiredMatches } from "../model/constraints.js";
+
 /** Малое число, как в Zig (`eps: f32 = 1e-6`) */
 const EPS = 1e-6;
 
@@ -141,6 +163,8 @@ const uniqByEps = (xs, eps) => {
  * - hot: как есть
  * - cold: t + dtMin
  *
+ * Учитываются только неизотермические потоки; изотермы относятся к границам интервалов (см. `isothermLoads`).
+ *
  * @param {any[]} hotStreams
  * @param {any[]} coldStreams
  * @param {number} dtMin
@@ -152,46 +176,57 @@ const sumsOnInterval = (hotStreams, coldStreams, dtMin, tHi, tLo) => {
   let hotSum = 0.0;
   let coldSum = 0.0;
 
-  // Горячие: изотермы на границе tHi + неизотермические вклады на [tLo, tHi]
-  for (let i = 0; i < hotStreams.length; i++) {
-    const s = hotStreams[i];
+  for (const s of hotStreams) {
     const p = streamProps(s);
-
-    if (p.isothermal) {
-      if (Math.abs(p.inT - tHi) <= EPS && p.load > EPS) hotSum += p.load;
-    } else {
-      const dT = overlapDeltaT(p.inT, p.outT, tLo, tHi);
-      if (dT > EPS) hotSum += p.rate * dT;
-    }
+    if (p.isothermal) continue;
+    const dT = overlapDeltaT(p.inT, p.outT, tLo, tHi);
+    if (dT > EPS) hotSum += p.rate * dT;
   }
 
-  // Холодные: изотермы на границе tHi (в сдвинутой шкале) + неизотермические вклады на [tLo, tHi]
-  for (let j = 0; j < coldStreams.length; j++) {
-    const s = coldStreams[j];
+  for (const s of coldStreams) {
     const p = streamProps(s);
-
-    if (p.isothermal) {
-      const tShift = p.inT + dtMin;
-      if (Math.abs(tShift - tHi) <= EPS && p.load > EPS) coldSum += p.load;
-    } else {
-      const inS = p.inT + dtMin;
-      const outS = p.outT + dtMin;
-      const dT = overlapDeltaT(inS, outS, tLo, tHi);
-      if (dT > EPS) coldSum += p.rate * dT;
-    }
+    if (p.isothermal) continue;
+    const dT = overlapDeltaT(p.inT + dtMin, p.outT + dtMin, tLo, tHi);
+    if (dT > EPS) coldSum += p.rate * dT;
   }
 
   return { hotSum, coldSum };
 };
 
+/**
+ * Нагрузки изотермических потоков на границе `t` (в сдвинутой шкале), по потокам.
+ *
+ * На границе горячие изотермы отдают тепло всему, что ниже, а холодные получают его только сверху:
+ * холодная изотерма при t − ΔTmin может взять тепло горячих потоков не холоднее t.
+ * В Zig изотермы относятся к интервалу под границей, и холодная изотерма получает тепло этого интервала,
+ * т. е. с напором меньше ΔTmin; поэтому здесь граница — отдельный шаг каскада.
+ *
+ * @param {any[]} streams
+ * @param {number} shift сдвиг шкалы (0 для hot, dtMin для cold)
+ * @param {number} t
+ * @returns {number[]}
+ */
+const isothermLoads = (streams, shift, t) =>
+  streams.map((s) => {
+    const p = streamProps(s);
+    return p.isothermal && Math.abs(p.inT + shift - t) <= EPS && p.load > EPS ? p.load : 0.0;
+  });
+
+/** @param {number[]} xs */
+const sum = (xs) => xs.reduce((a, x) => a + x, 0.0);
+
 /**
  * Компактизация решения: суммируем одинаковые пары (hot, cold),
  * чтобы уменьшить число элементов, как делает Zig после сортировки.
  *
+ * Порядок аппаратов на потоках при этом теряется, поэтому сам solver сливает только соседние ячейки
+ * (см. `layoutCells`); здесь функция нужна сверке реализаций (`solver/parity.js`)
+ * и сравнению вариантов для приведения решений к общему виду.
+ *
  * @param {Exchanger[]} exchangers
  * @returns {Exchanger[]}
  */
-const compactExchangers = (exchangers) => {
+export const compactExchangers = (exchangers) => {
   const keyOpt = (v) => (v === null || v === undefined ? 0xffff : v);
 
   const sorted = exchangers
@@ -211,35 +246,272 @@ const compactExchangers = (exchangers) => {
   const out = [];
 
   for (const ex of sorted) {
-    if (out.length === 0) {
-      out.push({ hot: ex.hot ?? null, cold: ex.cold ?? null, load: Number(ex.load) });
-      continue;
-    }
-
     const last = out[out.length - 1];
     const same =
-      keyOpt(last.hot) === keyOpt(ex.hot) && keyOpt(last.cold) === keyOpt(ex.cold);
+      last && keyOpt(last.hot) === keyOpt(ex.hot) && keyOpt(last.cold) === keyOpt(ex.cold);
 
-    if (same) {
-      last.load += Number(ex.load);
-    } else {
-      out.push({ hot: ex.hot ?? null, cold: ex.cold ?? null, load: Number(ex.load) });
-    }
+    if (same) last.load += Number(ex.load);
+    else out.push({ hot: ex.hot ?? null, cold: ex.cold ?? null, load: Number(ex.load) });
   }
 
   // Уберём нулевые/отрицательные после суммирования (на всякий случай)
   return out.filter((ex) => ex.load > EPS);
 };
 
+/**
+ * Ячейки каскада на потоках: по шагам `k` в порядке потока, ячейки одного шага — в порядке списка.
+ * - горячий поток охлаждается сверху вниз: шаги по возрастанию `k`;
+ * - холодный поток нагревается снизу вверх: шаги по убыванию `k`.
+ *
+ * @param {(Exchanger & { k?: number })[]} raw ячейки и утилиты
+ * @param {"hot"|"cold"} side
+ * @returns {Map<number, { k: number, ns: number[] }[]>} шаги каждого потока стороны
+ */
+const stepsOnStreams = (raw, side) => {
+  const sign = side === "hot" ? +1 : -1;
+  /** @type {Map<number, number[]>} */
+  const byStream = new Map();
+  raw.forEach((ex, n) => {
+    if (ex.hot === null || ex.cold === null) return;
+    if (!byStream.has(ex[side])) byStream.set(ex[side], []);
+    byStream.get(ex[side]).push(n);
+  });
+
+  /** @type {Map<number, { k: number, ns: number[] }[]>} */
+  const out = new Map();
+  for (const [stream, ns] of byStream) {
+    ns.sort((a, b) => sign * ((raw[a].k ?? 0) - (raw[b].k ?? 0)) || a - b);
+    const steps = [];
+    for (const n of ns) {
+      const k = raw[n].k ?? 0;
+      const last = steps[steps.length - 1];
+      if (last && last.k === k) last.ns.push(n);
+      else steps.push({ k, ns: [n] });
+    }
+    out.set(stream, steps);
+  }
+  return out;
+};
+
+/**
+ * Ключ участка разветвления: шаг `k` потока `stream` стороны `side`.
+ * @param {"hot"|"cold"} side @param {number} stream @param {number} k
+ */
+const sectionKey = (side, stream, k) => `${side}:${stream}:${k}`;
+
+/**
+ * Позиции аппаратов на потоках, разветвления и слияние соседних ячеек одной пары (шаги 6–7).
+ *
+ * Ячейки стоят на потоках по шагам каскада (см. `stepsOnStreams`), утилиты — в конце потока.
+ * При таком порядке ячейка шага получает горячий поток не холоднее нижней границы шага и не холоднее верхней
+ * на входе, а холодный — не горячее тех же границ со сдвигом ΔTmin. Если на потоке у шага одна ячейка,
+ * она проходит весь диапазон потока на шаге, и её напор на концах не меньше ΔTmin.
+ * Несколько ячеек потока на одном шаге, стоящие последовательно, делят диапазон, и напор может нарушиться;
+ * шаг из `sections` становится участком разветвления: ячейка — ветвь, доля — её нагрузка / нагрузка шага,
+ * и каждая ветвь проходит весь диапазон шага.
+ *
+ * Ячейки одной пары сливаются, только если стоят подряд и на горячем, и на холодном потоке
+ * и обе не на участке разветвления: тогда у суммарного аппарата те же температуры на концах, что у крайних ячеек.
+ * Слияние через чужие ячейки переставило бы их на потоке и сломало бы температуры.
+ *
+ * Результат — по (hot, cold), как у `compactExchangers`.
+ *
+ * @param {(Exchanger & { k?: number })[]} raw ячейки (с шагом `k`) и утилиты
+ * @param {{ hot: Map<number, { k: number, ns: number[] }[]>, cold: Map<number, { k: number, ns: number[] }[]> }} steps
+ * @param {Set<string>} sections разветвляемые шаги (`sectionKey`)
+ * @returns {any[]}
+ */
+const layoutCells = (raw, steps, sections) => {
+  const keyOpt = (v) => (v === null || v === undefined ? 0xffff : v);
+
+  /** @type {Map<number, { hot?: { branch: number, split: number }, cold?: { branch: number, split: number } }>} */
+  const branchOf = new Map();
+  for (const side of ["hot", "cold"]) {
+    for (const [stream, list] of steps[side]) {
+      for (const { k, ns } of list) {
+        if (!sections.has(sectionKey(side, stream, k))) continue;
+        const total = ns.reduce((a, n) => a + Number(raw[n].load), 0);
+        ns.forEach((n, b) => {
+          if (!branchOf.has(n)) branchOf.set(n, {});
+          branchOf.get(n)[side] = { branch: b, split: Number(raw[n].load) / total };
+        });
+      }
+    }
+  }
+
+  /** @type {number[]} позиция ячейки на холодном потоке */
+  const coldPos = new Array(raw.length).fill(-1);
+  for (const list of steps.cold.values()) list.flatMap((s) => s.ns).forEach((n, pos) => (coldPos[n] = pos));
+
+  /** @type {number[]} номер слитого аппарата для каждой ячейки */
+  const groupOf = new Array(raw.length).fill(-1);
+  /** @type {{ hot: number|null, cold: number|null, load: number, branched: boolean, lo: number, hi: number }[]} */
+  const merged = [];
+
+  for (const list of steps.hot.values()) {
+    let last = null;
+    for (const n of list.flatMap((s) => s.ns)) {
+      const ex = raw[n];
+      const branched = branchOf.has(n);
+      const adjacent =
+        last &&
+        !last.branched &&
+        !branched &&
+        last.cold === ex.cold &&
+        (coldPos[n] === last.lo - 1 || coldPos[n] === last.hi + 1);
+
+      if (adjacent) {
+        last.load += Number(ex.load);
+        last.lo = Math.min(last.lo, coldPos[n]);
+        last.hi = Math.max(last.hi, coldPos[n]);
+      } else {
+        last = { hot: ex.hot, cold: ex.cold, load: Number(ex.load), branched, lo: coldPos[n], hi: coldPos[n] };
+        merged.push(last);
+      }
+      groupOf[n] = merged.length - 1;
+    }
+  }
+
+  /** @type {any[]} */
+  const out = merged.map(({ hot, cold, load }) => ({ hot, cold, load }));
+  groupOf.forEach((g, n) => {
+    const b = branchOf.get(n);
+    if (g < 0 || !b) return;
+    for (const side of ["hot", "cold"]) {
+      if (!b[side]) continue;
+      out[g][`${side}_branch`] = b[side].branch;
+      out[g][`${side}_split`] = b[side].split;
+    }
+  });
+
+  /** @param {"hot"|"cold"} side */
+  const place = (side) => {
+    const other = side === "hot" ? "cold" : "hot";
+    /** @type {Map<number, number>} */
+    const next = new Map();
+
+    for (const [stream, list] of steps[side]) {
+      let pos = 0;
+      let prev = -1;
+      for (const n of list.flatMap((s) => s.ns)) {
+        if (groupOf[n] === prev) continue;
+        prev = groupOf[n];
+        out[prev][`${side}_seq`] = pos++;
+      }
+      next.set(stream, pos);
+    }
+
+    // Утилиты — в конце потока.
+    raw.forEach((ex) => {
+      if (ex[side] === null || ex[other] !== null) return;
+      const pos = next.get(ex[side]) ?? 0;
+      next.set(ex[side], pos + 1);
+      out.push({ hot: ex.hot, cold: ex.cold, load: Number(ex.load), [`${side}_seq`]: pos });
+    });
+  };
+
+  place("hot");
+  place("cold");
+
+  return out
+    .map((ex, n) => ({ ex, n }))
+    .sort((a, b) => keyOpt(a.ex.hot) - keyOpt(b.ex.hot) || keyOpt(a.ex.cold) - keyOpt(b.ex.cold) || a.n - b.n)
+    .map(({ ex }) => ex);
+};
+
+/**
+ * Оценка нарушений ΔTmin набора ячеек: [число нарушений, суммарная недостача напора (K)].
+ * Противоток: горячий вход против холодного выхода и наоборот.
+ *
+ * @param {{ hot: number|null, cold: number|null, hot_in?: number, hot_out?: number, cold_in?: number, cold_out?: number }[]} exchangers
+ * @param {number} dtMin
+ * @returns {[number, number]}
+ */
+const minDtPenalty = (exchangers, dtMin) => {
+  let count = 0;
+  let deficit = 0;
+  for (const t of exchangers) {
+    if (t.hot === null || t.cold === null) continue;
+    const approach = Math.min(t.hot_in - t.cold_out, t.hot_out - t.cold_in);
+    if (approach < dtMin - EPS) {
+      count += 1;
+      deficit += dtMin - approach;
+    }
+  }
+  return [count, deficit];
+};
+
+/** @param {[number, number]} a @param {[number, number]} b */
+const penaltyLess = (a, b) => a[0] < b[0] || (a[0] === b[0] && a[1] < b[1] - EPS);
+
+/**
+ * Разветвление потоков (шаг 7) и итоговая расстановка аппаратов.
+ *
+ * Сначала разветвляется каждый шаг неизотермического потока с несколькими ячейками — так напор
+ * на концах всех ячеек каскада не меньше ΔTmin (см. `layoutCells`). Затем участки по одному
+ * (горячие потоки, потом холодные, сверху вниз) заменяются последовательной расстановкой,
+ * если нарушения ΔTmin во всей сети от этого не растут; проходы повторяются, пока участки снимаются.
+ * Разветвление остаётся только там, где без него сеть нарушает ΔTmin.
+ *
+ * @param {any} state
+ * @param {(Exchanger & { k?: number })[]} exchangers ячейки (с шагом `k`) и утилиты
+ * @param {number} dtMin
+ * @returns {any[]}
+ */
+const splitStreams = (state, exchangers, dtMin) => {
+  const raw = exchangers.filter((ex) => Number(ex.load) > EPS);
+  const steps = { hot: stepsOnStreams(raw, "hot"), cold: stepsOnStreams(raw, "cold") };
+
+  /** @type {string[]} */
+  const candidates = [];
+  for (const side of ["hot", "cold"]) {
+    const streams = Array.isArray(state?.[side]) ? state[side] : [];
+    for (const [stream, list] of [...steps[side]].sort((a, b) => a[0] - b[0])) {
+      if (streamProps(streams[stream]).isothermal) continue;
+      for (const { k, ns } of list) if (ns.length > 1) candidates.push(sectionKey(side, stream, k));
+    }
+  }
+
+  const sections = new Set(candidates);
+  let best = layoutCells(raw, steps, sections);
+  let bestPenalty = minDtPenalty(annotateExchangerTemperatures(state, best), dtMin);
+
+  // Снятие участка одной стороны может сделать лишним участок другой, поэтому проходы повторяются.
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const key of candidates) {
+      if (!sections.has(key)) continue;
+      sections.delete(key);
+      const trial = layoutCells(raw, steps, sections);
+      const penalty = minDtPenalty(annotateExchangerTemperatures(state, trial), dtMin);
+      if (penaltyLess(bestPenalty, penalty)) {
+        sections.add(key);
+      } else {
+        best = trial;
+        bestPenalty = penalty;
+        changed = true;
+      }
+    }
+  }
+
+  return best;
+};
+
 /**
  * solveCurvesJs(state, opts) → список exchanger (канонический формат).
  *
+ * Необязательный `opts.onProgress(fraction)` вызывается перед каждой границей температурных интервалов
+ * с долей уже пройденных границ (0..1).
+ *
  * @param {any} state
- * @param {{ min_dt?: number }} [opts]
+ * @param {{ min_dt?: number, def_dt?: number, onProgress?: (fraction: number) => void }} [opts]
  * @returns {Exchanger[]}
  */
 export const solveCurvesJs = (state, opts = {}) => {
   const dtMin = Number.isFinite(opts.min_dt) ? Number(opts.min_dt) : 20;
+  const onProgress =
+    typeof opts.onProgress === "function" ? opts.onProgress : null;
 
   const hotStreams = Array.isArray(state?.hot) ? state.hot : [];
   const coldStreams = Array.isArray(state?.cold) ? state.cold : [];
@@ -283,55 +555,34 @@ export const solveCurvesJs = (state, opts = {}) => {
 
   if (uniq.length < 2) return [];
 
-  // 2) Heat cascade по интервалам: находим минимально необходимый внешний нагрев (HU).
+  // 2) Heat cascade сверху вниз: находим минимально необходимый внешний нагрев (HU).
+  //    Шаги каскада — граница uniq[m] (изотермы, см. `isothermLoads`), затем интервал под ней.
   let huTotal = 0.0;
   let cascade = 0.0;
 
-  for (let k = 0; k + 1 < uniq.length; k++) {
-    const tHi = uniq[k];
-    const tLo = uniq[k + 1];
-    if (!(tHi > tLo + EPS)) continue;
+  const settle = () => {
+    if (cascade < -EPS) {
+      huTotal += -cascade;
+      cascade = 0.0;
+    }
+  };
+
+  for (let m = 0; m < uniq.length; m++) {
+    cascade += sum(isothermLoads(hotStreams, 0, uniq[m])) - sum(isothermLoads(coldStreams, dtMin, uniq[m]));
+    settle();
+
+    if (m + 1 === uniq.length || !(uniq[m] > uniq[m + 1] + EPS)) continue;
 
     const { hotSum, coldSum } = sumsOnInterval(
       hotStreams,
       coldStreams,
       dtMin,
-      tHi,
-      tLo,
+      uniq[m],
+      uniq[m + 1],
     );
 
     cascade += hotSum - coldSum;
-    if (cascade < -EPS) {
-      huTotal += -cascade;
-      cascade = 0.0;
-    }
-  }
-
-  // Доп. обработка изотерм на минимальной границе (t_last_cascade).
-  const tLastCascade = uniq[uniq.length - 1];
-  let hotTail = 0.0;
-  let coldTail = 0.0;
-
-  for (const s of hotStreams) {
-    const p = streamProps(s);
-    if (p.isothermal && Math.abs(p.inT - tLastCascade) <= EPS && p.load > EPS) {
-      hotTail += p.load;
-    }
-  }
-  for (const s of coldStreams) {
-    const p = streamProps(s);
-    if (p.isothermal) {
-      const tShift = p.inT + dtMin;
-      if (Math.abs(tShift - tLastCascade) <= EPS && p.load > EPS) {
-        coldTail += p.load;
-      }
-    }
-  }
-
-  cascade += hotTail - coldTail;
-  if (cascade < -EPS) {
-    huTotal += -cascade;
-    cascade = 0.0;
+    settle();
   }
 
   let huRemaining = huTotal;
@@ -349,78 +600,45 @@ export const solveCurvesJs = (state, opts = {}) => {
   /** @type {Exchanger[]} */
   const exchangers = [];
 
-  // 4) Основной проход по температурным интервалам сверху вниз.
-  for (let k = 0; k + 1 < uniq.length; k++) {
-    const tHi = uniq[k];
-    const tLo = uniq[k + 1];
-    if (!(tHi > tLo + EPS)) continue;
-
-    // 4.1) Добавляем доступное тепло горячих потоков в этом интервале.
-    for (let i = 0; i < hotCount; i++) {
-      const s = hotStreams[i];
-      const p = streamProps(s);
-
-      if (p.isothermal) {
-        if (Math.abs(p.inT - tHi) <= EPS && p.load > EPS) {
-          hotAvail[i] += p.load;
-        }
-      }
-    }
-    for (let i = 0; i < hotCount; i++) {
-      const s = hotStreams[i];
-      const p = streamProps(s);
-
-      if (!p.isothermal) {
-        const dT = overlapDeltaT(p.inT, p.outT, tLo, tHi);
-        if (dT > EPS) hotAvail[i] += p.rate * dT;
-      }
+  const forbidden = forbiddenMatches(state);
+  const required = requiredMatches(state);
+  const anyForbidden = Array.isArray(state?.constraint) && state.constraint.some((c) => c && c.forbid);
+
+  /** Суммарная нагрузка уже поставленных ячеек пары. */
+  const pairLoad = (hot, cold) =>
+    exchangers.reduce((a, ex) => (ex.hot === hot && ex.cold === cold ? a + ex.load : a), 0.0);
+
+  /**
+   * Покрыть спрос холодных потоков `demand` на шаге `k` из hotAvail, дефицит — из пула HU.
+   *
+   * @param {number[]} demand
+   * @param {number} k
+   */
+  const coverDemand = (demand, k) => {
+    // Обязательные пары (только JS): пока не набран min_load, обслуживаются первыми.
+    for (const r of required) {
+      if (!(pairLoad(r.hot, r.cold) < r.min_load - EPS)) continue;
+
+      const q = Math.min(demand[r.cold], hotAvail[r.hot]);
+      if (!(q > EPS)) continue;
+
+      exchangers.push({ hot: r.hot, cold: r.cold, load: q, k });
+      hotAvail[r.hot] -= q;
+      demand[r.cold] -= q;
     }
 
-    // 4.2) Спрос холодных потоков на этом интервале (в сдвинутой шкале).
-    /** @type {number[]} */
-    const coldDemand = new Array(coldCount).fill(0.0);
-
     for (let j = 0; j < coldCount; j++) {
-      const s = coldStreams[j];
-      const p = streamProps(s);
-
-      if (p.isothermal) {
-        const tShift = p.inT + dtMin;
-        if (Math.abs(tShift - tHi) <= EPS && p.load > EPS) {
-          coldDemand[j] += p.load;
-        }
-      }
-    }
-    for (let j = 0; j < coldCount; j++) {
-      const s = coldStreams[j];
-      const p = streamProps(s);
-
-      if (!p.isothermal) {
-        const inS = p.inT + dtMin;
-        const outS = p.outT + dtMin;
-        const dT = overlapDeltaT(inS, outS, tLo, tHi);
-        if (dT > EPS) coldDemand[j] += p.rate * dT;
-      }
-    }
-
-    // 4.3) Распределение тепла (детерминированно): покрываем спрос из hotAvail.
-    // Важно: hotPtr сбрасываем на каждом интервале, как в Zig.
-    let hotPtr = 0;
-
-    for (let j = 0; j < coldCount; j++) {
-      let d = coldDemand[j];
+      let d = demand[j];
       if (!(d > EPS)) continue;
 
-      while (d > EPS) {
-        while (hotPtr < hotCount && !(hotAvail[hotPtr] > EPS)) hotPtr += 1;
-        if (hotPtr >= hotCount) break;
+      // Как в Zig, горячие потоки перебираются по возрастанию индекса; запрещённые пары пропускаются.
+      for (let i = 0; i < hotCount && d > EPS; i++) {
+        if (!(hotAvail[i] > EPS) || forbidden(i, j) !== null) continue;
 
-        const q = Math.min(d, hotAvail[hotPtr]);
-        if (!(q > EPS)) break;
+        const q = Math.min(d, hotAvail[i]);
+        exchangers.push({ hot: i, cold: j, load: q, k });
 
-        exchangers.push({ hot: hotPtr, cold: j, load: q });
-
-        hotAvail[hotPtr] -= q;
+        hotAvail[i] -= q;
         d -= q;
       }
 
@@ -435,67 +653,49 @@ export const solveCurvesJs = (state, opts = {}) => {
 
         if (d > INFEASIBLE_EPS) {
           // Как в Zig: значит каскад/вход не согласованы.
-          throw new Error("Infeasible");
+          // Исключение — запрещённые пары: они поднимают нагрузку утилит выше целевой.
+          if (!anyForbidden) throw new Error("Infeasible");
+          heaterLoad[j] += d;
         }
       }
     }
-  }
+  };
 
-  // 4.4) Учёт изотерм на минимальной температурной границе t_last.
-  const tLast = uniq[uniq.length - 1];
+  // 4) Основной проход сверху вниз: граница uniq[m] (шаг 2m), затем интервал под ней (шаг 2m + 1).
+  //    Номер шага `k` задаёт порядок ячеек на потоках (шаг 6).
+  for (let m = 0; m < uniq.length; m++) {
+    if (onProgress) onProgress(m / uniq.length);
 
-  // Добавляем изотермические горячие нагрузки на t_last.
-  for (let i = 0; i < hotCount; i++) {
-    const s = hotStreams[i];
-    const p = streamProps(s);
+    // 4.1) Граница: горячие изотермы отдают тепло, холодные получают его из накопленного выше.
+    isothermLoads(hotStreams, 0, uniq[m]).forEach((q, i) => (hotAvail[i] += q));
+    coverDemand(isothermLoads(coldStreams, dtMin, uniq[m]), 2 * m);
 
-    if (p.isothermal && Math.abs(p.inT - tLast) <= EPS && p.load > EPS) {
-      hotAvail[i] += p.load;
-    }
-  }
+    if (m + 1 === uniq.length) continue;
 
-  // Закрываем возможные изотермические cold на t_last (в сдвинутой шкале).
-  /** @type {number[]} */
-  const coldTailDemand = new Array(coldCount).fill(0.0);
-  for (let j = 0; j < coldCount; j++) {
-    const s = coldStreams[j];
-    const p = streamProps(s);
+    const tHi = uniq[m];
+    const tLo = uniq[m + 1];
+    if (!(tHi > tLo + EPS)) continue;
 
-    if (p.isothermal) {
-      const tShift = p.inT + dtMin;
-      if (Math.abs(tShift - tLast) <= EPS && p.load > EPS) {
-        coldTailDemand[j] += p.load;
-      }
+    // 4.2) Интервал: доступное тепло неизотермических горячих потоков.
+    for (let i = 0; i < hotCount; i++) {
+      const p = streamProps(hotStreams[i]);
+      if (p.isothermal) continue;
+      const dT = overlapDeltaT(p.inT, p.outT, tLo, tHi);
+      if (dT > EPS) hotAvail[i] += p.rate * dT;
     }
-  }
-
-  let hotPtrTail = 0;
-  for (let j = 0; j < coldCount; j++) {
-    let d = coldTailDemand[j];
-    if (!(d > EPS)) continue;
-
-    while (d > EPS) {
-      while (hotPtrTail < hotCount && !(hotAvail[hotPtrTail] > EPS)) hotPtrTail += 1;
-      if (hotPtrTail >= hotCount) break;
-
-      const q = Math.min(d, hotAvail[hotPtrTail]);
-      if (!(q > EPS)) break;
 
-      exchangers.push({ hot: hotPtrTail, cold: j, load: q });
+    // 4.3) Спрос неизотермических холодных потоков (в сдвинутой шкале) и его покрытие (детерминированно).
+    /** @type {number[]} */
+    const coldDemand = new Array(coldCount).fill(0.0);
 
-      hotAvail[hotPtrTail] -= q;
-      d -= q;
+    for (let j = 0; j < coldCount; j++) {
+      const p = streamProps(coldStreams[j]);
+      if (p.isothermal) continue;
+      const dT = overlapDeltaT(p.inT + dtMin, p.outT + dtMin, tLo, tHi);
+      if (dT > EPS) coldDemand[j] += p.rate * dT;
     }
 
-    if (d > EPS) {
-      const qHu = Math.min(d, huRemaining);
-      if (qHu > EPS) {
-        heaterLoad[j] += qHu;
-        huRemaining -= qHu;
-        d -= qHu;
-      }
-      if (d > INFEASIBLE_EPS) throw new Error("Infeasible");
-    }
+    coverDemand(coldDemand, 2 * m + 1);
   }
 
   // 4.5) Остаток горячего тепла — в охлаждение (CU).
@@ -504,6 +704,48 @@ export const solveCurvesJs = (state, opts = {}) => {
     if (qLeft > EPS) coolerLoad[i] += qLeft;
   }
 
+  // 4.6) Недобор обязательных пар (только JS). Баланс сохраняется, а ΔTmin ячейки пары может нарушиться —
+  // ограничение важнее (нарушение покажет проверка). По порядку:
+  // - часть нагревателя холодного потока и холодильника горячего заменяем ячейкой пары
+  //   (после последнего шага — у холодного конца горячего потока);
+  // - тепло, шедшее из горячего потока на охлаждение, отдаём холодному вместо других горячих потоков
+  //   (их тепло уходит на охлаждение);
+  // - тепло, которое холодный поток получал от нагревателя, берём из горячего вместо других холодных
+  //   (их нагревают утилиты).
+  for (const r of required) {
+    let need = r.min_load - pairLoad(r.hot, r.cold);
+
+    const qUtil = Math.min(need, heaterLoad[r.cold], coolerLoad[r.hot]);
+    if (qUtil > EPS) {
+      exchangers.push({ hot: r.hot, cold: r.cold, load: qUtil, k: 2 * uniq.length });
+      heaterLoad[r.cold] -= qUtil;
+      coolerLoad[r.hot] -= qUtil;
+      need -= qUtil;
+    }
+
+    for (const ex of exchangers.slice()) {
+      if (!(need > EPS)) break;
+
+      if (ex.cold === r.cold && ex.hot !== r.hot) {
+        const q = Math.min(need, ex.load, coolerLoad[r.hot]);
+        if (!(q > EPS)) continue;
+        coolerLoad[ex.hot] += q;
+        coolerLoad[r.hot] -= q;
+        ex.load -= q;
+        exchangers.push({ hot: r.hot, cold: r.cold, load: q, k: ex.k });
+        need -= q;
+      } else if (ex.hot === r.hot && ex.cold !== r.cold) {
+        const q = Math.min(need, ex.load, heaterLoad[r.cold]);
+        if (!(q > EPS)) continue;
+        heaterLoad[ex.cold] += q;
+        heaterLoad[r.cold] -= q;
+        ex.load -= q;
+        exchangers.push({ hot: r.hot, cold: r.cold, load: q, k: ex.k });
+        need -= q;
+      }
+    }
+  }
+
   // 5) Добавляем утилиты (по одному устройству на поток, чтобы не раздувать решение).
   for (let j = 0; j < coldCount; j++) {
     const q = heaterLoad[j];
@@ -514,8 +756,10 @@ export const solveCurvesJs = (state, opts = {}) => {
     if (q > EPS) exchangers.push({ hot: i, cold: null, load: q });
   }
 
-  // 6) Компактизация (как в Zig).
-  return compactExchangers(exchangers);
+  // 6–7) Порядок на потоках по шагам каскада, разветвление и слияние соседних ячеек одной пары;
+  //      температуры, затем выбор утилит.
+  const split = splitStreams(state, exchangers, dtMin);
+  return assignUtilities(state, annotateExchangerTemperatures(state, split), opts);
 };
 
 export default solveCurvesJs;
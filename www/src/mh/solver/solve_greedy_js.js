@@ -10,9 +10,17 @@
  * Важно:
  * - вход: каноническое состояние UI ({ hot, cold, exchanger? })
  * - выход: список `exchanger` в каноническом формате ({ hot|null, cold|null, load })
+ *   с температурами на входе/выходе и позициями на потоках (порядок списка = порядок на потоках);
+ *   нагревателям и холодильникам назначается самая дешёвая реализуемая утилита (см. `model/utilities.js`)
+ * - ограничения `[[constraint]]` (см. `model/constraints.js`): запрещённые пары не сопоставляются,
+ *   обязательные ставятся первыми (в Zig ограничений нет)
  * - алгоритм НЕ мутирует исходный state (работает на своих локальных состояниях потоков)
  */
 
+import { annotateExchangerTemperatures } from "../model/exchanger_temps.js";
+import { assignUtilities } from "../model/utilities.js";
+import { forbiddenMatches, requiredMatches } from "../model/constraints.js";
+
 /** Малое число, как в Zig (`eps: f32 = 1e-6`) */
 const EPS = 1e-6;
 
@@ -136,20 +144,27 @@ const maxTransferable = (hot, cold, dtMin) => {
  * solveGreedyJs(state, opts) → список `exchanger` (канонический формат).
  *
  * Порт Zig-алгоритма:
+ * - (только JS) сначала ставим обязательные пары из ограничений — на входах потоков,
+ *   где температурный напор наибольший
  * - выбираем cold с максимальной temp среди cold, у которых есть совместимый hot
- * - выбираем hot с минимальной temp среди совместимых hot
+ * - выбираем hot с минимальной temp среди совместимых hot (запрещённые пары несовместимы)
  * - передаём q_hex, обновляем temp/rem
  * - если совместимой пары нет — ставим утилиты (нагреватель на cold)
  * - в конце добавляем минимальное число утилит для остаточных дисбалансов:
  *   - один холодильник на hot с максимальным остатком
  *   - один нагреватель на cold с максимальным остатком
  *
+ * Необязательный `opts.onProgress(fraction)` вызывается на каждом шаге основного цикла
+ * с долей уже покрытой нагрузки холодных потоков (0..1).
+ *
  * @param {any} state Каноническое состояние ({hot, cold})
- * @param {{ min_dt?: number }} [opts]
+ * @param {{ min_dt?: number, def_dt?: number, onProgress?: (fraction: number) => void }} [opts]
  * @returns {Exchanger[]}
  */
 export const solveGreedyJs = (state, opts = {}) => {
   const dtMin = Number.isFinite(opts.min_dt) ? Number(opts.min_dt) : 20;
+  const onProgress =
+    typeof opts.onProgress === "function" ? opts.onProgress : null;
 
   const hot = Array.isArray(state?.hot) ? state.hot : [];
   const cold = Array.isArray(state?.cold) ? state.cold : [];
@@ -185,8 +200,39 @@ export const solveGreedyJs = (state, opts = {}) => {
   /** @type {Exchanger[]} */
   const exchangers = [];
 
+  const forbidden = forbiddenMatches(state);
+
+  // --- Обязательные пары (ограничения require) ---
+  // Нагрузка — наибольшая допустимая по ΔTmin, но не меньше min_load:
+  // если напора не хватает, ограничение важнее (нарушение ΔTmin покажет проверка).
+  for (const r of requiredMatches(state)) {
+    const h = hotStates[r.hot];
+    const c = coldStates[r.cold];
+    if (!h || !c) continue;
+
+    const qLimit = maxTransferable(h, c, dtMin) ?? 0.0;
+    const qHex = Math.min(Math.max(qLimit, r.min_load), h.rem, c.rem);
+    if (!(qHex > EPS)) continue;
+
+    exchangers.push({ hot: h.index, cold: c.index, load: qHex });
+
+    if (!h.isothermal && h.rate > EPS) h.temp -= qHex / h.rate;
+    if (!c.isothermal && c.rate > EPS) c.temp += qHex / c.rate;
+    h.rem -= qHex;
+    c.rem -= qHex;
+  }
+
+  let totalCold = 0.0;
+  for (const c of coldStates) totalCold += c.rem;
+
   // --- Основной цикл (как в Zig) ---
   while (true) {
+    if (onProgress && totalCold > EPS) {
+      let remCold = 0.0;
+      for (const c of coldStates) remCold += Math.max(0, c.rem);
+      onProgress(1 - remCold / totalCold);
+    }
+
     /** @type {number|null} */
     let coldIdx = null;
     let coldBestTemp = -Number.POSITIVE_INFINITY;
@@ -201,6 +247,7 @@ export const solveGreedyJs = (state, opts = {}) => {
       for (let j = 0; j < hotStates.length; j++) {
         const h = hotStates[j];
         if (!(h.rem > EPS)) continue;
+        if (forbidden(h.index, c.index) !== null) continue;
         if (h.temp - c.temp < dtMin - EPS) continue;
 
         const qOpt = maxTransferable(h, c, dtMin);
@@ -258,6 +305,7 @@ export const solveGreedyJs = (state, opts = {}) => {
     for (let i = 0; i < hotStates.length; i++) {
       const h = hotStates[i];
       if (!(h.rem > EPS)) continue;
+      if (forbidden(h.index, cstate.index) !== null) continue;
       if (h.temp - cstate.temp < dtMin - EPS) continue;
 
       const qOpt = maxTransferable(h, cstate, dtMin);
@@ -350,7 +398,11 @@ export const solveGreedyJs = (state, opts = {}) => {
     }
   }
 
-  return exchangers;
+  return assignUtilities(
+    state,
+    annotateExchangerTemperatures(state, exchangers),
+    opts,
+  );
 };
 
 export default solveGreedyJs;
@@ -0,0 +1,166 @@
+/**
+ * Выполнение одного запроса синтеза: выбор реализации (JS или Zig/WASM), замер времени
+ * и приведение результата к каноническому списку аппаратов.
+ *
+ * Модуль используется фоновым вычислителем (`solver_worker.js`) и, если Web Worker недоступен,
+ * основным потоком (см. `app/solver_host.js`), поэтому не обращается к DOM.
+ *
+ * Важно:
+ * - сообщение выбрасываемой ошибки — готовый текст для строки статуса;
+ *   исходная ошибка (если есть) передаётся в `cause`
+ * - время синтеза измеряется здесь, т.е. там, где синтез фактически выполняется
+ */
+
+import { solveGreedyJs } from "./solve_greedy_js.js";
+import { solveCurvesJs } from "./solve_curves_js.js";
+import { dtOptions } from "../model/state.js";
+import {
+  buildZigSystem,
+  dumpExchangersFromZig,
+  zigExchangersToState,
+  describeZigError,
+} from "../zig/interop.js";
+
+/**
+ * @typedef {object} SolveRequest
+ * @property {string} algorithm идентификатор `solve_<base>_(zig|js)`
+ * @property {string} [label] человекочитаемое имя алгоритма (для сообщений)
+ * @property {any} state каноническое состояние ({ multiheat, hot, cold })
+ */
+
+/**
+ * @typedef {object} SolveResult
+ * @property {any[]} exchangers аппараты в каноническом формате
+ * @property {number} solve_time_ms время синтеза (мс)
+ */
+
+const nowMs =
+  typeof performance !== "undefined" && typeof performance.now === "function"
+    ? () => performance.now()
+    : () => Date.now();
+
+/** Ошибки, уже содержащие текст для строки статуса. */
+const failures = new WeakSet();
+
+/**
+ * Ошибка синтеза с текстом для строки статуса.
+ *
+ * @param {string} statusText
+ * @param {unknown} [cause]
+ * @returns {Error}
+ */
+const solveFailure = (statusText, cause) => {
+  const e =
+    cause === undefined
+      ? new Error(statusText)
+      : new Error(statusText, { cause });
+  failures.add(e);
+  return e;
+};
+
+/**
+ * Разобрать идентификатор алгоритма.
+ *
+ * @param {string} algorithm
+ * @returns {{ provider: "zig"|"js", baseName: string }}
+ */
+export const parseAlgorithmId = (algorithm) => {
+  const s = String(algorithm ?? "").trim();
+  const provider = s.endsWith("_js") ? "js" : "zig";
+  return { provider, baseName: s.replace(/_(zig|js)$/, "") };
+};
+
+/**
+ * @param {any} multiheat
+ * @param {SolveRequest} request
+ * @param {{ onProgress?: (fraction: number) => void }} opts
+ * @returns {SolveResult}
+ */
+const solveOnce = (multiheat, request, opts) => {
+  const { provider, baseName } = parseAlgorithmId(request.algorithm);
+  const label = request.label ?? request.algorithm;
+  const state = request.state;
+  const onProgress =
+    typeof opts.onProgress === "function" ? opts.onProgress : () => {};
+
+  let exchangers = null;
+
+  onProgress(0);
+  const t0 = nowMs();
+
+  if (provider === "js") {
+    const solveOpts = { ...dtOptions(state), onProgress };
+
+    if (baseName === "solve_greedy") {
+      exchangers = solveGreedyJs(state, solveOpts);
+    } else if (baseName === "solve_curves") {
+      try {
+        exchangers = solveCurvesJs(state, solveOpts);
+      } catch (e) {
+        throw solveFailure(
+          "Не удалось синтезировать систему (JavaScript): задача неразрешима или входные данные некорректны. Подробности в консоли браузера.",
+          e,
+        );
+      }
+    } else {
+      throw solveFailure(
+        "Невозможно синтезировать: выбранный алгоритм JavaScript пока не реализован.",
+      );
+    }
+  } else {
+    const solveFn =
+      baseName === "solve_trivial"
+        ? multiheat?.solve_trivial
+        : baseName === "solve_curves"
+          ? multiheat?.solve_curves
+          : multiheat?.solve_greedy;
+
+    if (typeof solveFn !== "function") {
+      throw solveFailure(
+        `Невозможно синтезировать: алгоритм «${label}» недоступен в модуле вычислений.`,
+      );
+    }
+
+    const system = buildZigSystem(multiheat, state, false);
+
+    try {
+      solveFn(system);
+    } catch (e) {
+      throw solveFailure(
+        `Не удалось синтезировать систему: ${describeZigError(e)}`,
+        e,
+      );
+    }
+
+    const zigExList = dumpExchangersFromZig(system.exchangers);
+    exchangers = zigExchangersToState(zigExList, state);
+  }
+
+  const solveTimeMs = Math.round(nowMs() - t0);
+  onProgress(1);
+
+  return {
+    exchangers: Array.isArray(exchangers) ? exchangers : [],
+    solve_time_ms: solveTimeMs,
+  };
+};
+
+/**
+ * `runSolveRequest(multiheat, request, opts)` → результат синтеза.
+ *
+ * @param {any} multiheat zigar-модуль (`multiheat_entry.zig`); для JS-алгоритмов может быть null
+ * @param {SolveRequest} request
+ * @param {{ onProgress?: (fraction: number) => void }} [opts]
+ * @returns {SolveResult}
+ */
+export const runSolveRequest = (multiheat, request, opts = {}) => {
+  try {
+    return solveOnce(multiheat, request, opts);
+  } catch (e) {
+    if (failures.has(e)) throw e;
+    throw new Error(
+      "Не удалось синтезировать систему. Подробности в консоли браузера.",
+      { cause: e },
+    );
+  }
+};
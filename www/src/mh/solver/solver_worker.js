@@ -0,0 +1,148 @@
+/**
+ * Фоновый вычислитель синтеза (Web Worker).
+ *
+ * Протокол сообщений (все сообщения — простые объекты с полем `type` и `id` запроса):
+ * - основной поток → worker:
+ *   - `{ type: "request", id, request: { algorithm, label, state } }` — запустить синтез;
+ *   - `{ type: "cancel", id }` — отменить запрос, который ещё ждёт загрузки Zig/WASM;
+ * - worker → основной поток:
+ *   - `{ type: "loading", id }` — запрос ждёт загрузки Zig/WASM;
+ *   - `{ type: "progress", id, fraction }` — доля выполненной работы (0..1);
+ *   - `{ type: "result", id, exchangers, solve_time_ms }` — аппараты и время синтеза;
+ *   - `{ type: "error", id, message, cause, cancelled }` — текст для строки статуса,
+ *     текст исходной ошибки (или null) и признак отмены.
+ *
+ * Почему отмена так устроена: синтез выполняется синхронно и не читает сообщения,
+ * поэтому сообщением `cancel` отменяется только запрос, ждущий загрузки Zig/WASM
+ * (`loading`), а всё остальное основной поток прерывает через `worker.terminate()`.
+ *
+ * Zig/WASM загружается лениво, только для алгоритмов `*_zig`, чтобы JS-алгоритмы
+ * работали и без него.
+ */
+
+import { runSolveRequest, parseAlgorithmId } from "./solve_request.js";
+import { toErrorText } from "../util/errors.js";
+
+/** Минимальный шаг прогресса между сообщениями (доля) */
+const PROGRESS_MIN_STEP = 0.01;
+
+/** Минимальный интервал между сообщениями о прогрессе (мс) */
+const PROGRESS_MIN_INTERVAL_MS = 100;
+
+/** @type {Promise<any> | null} */
+let multiheatPromise = null;
+
+const loadMultiheat = () => {
+  if (!multiheatPromise)
+    multiheatPromise = import("../../../zig/multiheat_entry.zig").catch((e) => {
+      // Почему: иначе сбой загрузки (например, сети) запомнится и следующий запрос не повторит её.
+      multiheatPromise = null;
+      throw e;
+    });
+  return multiheatPromise;
+};
+
+/** Запросы, принятые, но ещё не завершённые */
+const active = new Set();
+
+/** Запросы, отменённые до начала вычислений */
+const cancelled = new Set();
+
+/**
+ * @param {number} id
+ * @param {unknown} e
+ * @param {string} [message]
+ */
+const postError = (id, e, message) => {
+  self.postMessage({
+    type: "error",
+    id,
+    message: message ?? toErrorText(e),
+    cause:
+      e instanceof Error && e.cause !== undefined ? toErrorText(e.cause) : null,
+    cancelled: false,
+  });
+};
+
+/**
+ * @param {number} id
+ * @param {any} request
+ */
+const handleRequest = async (id, request) => {
+  active.add(id);
+
+  try {
+    const { provider } = parseAlgorithmId(request?.algorithm);
+
+    let multiheat = null;
+    if (provider === "zig") {
+      self.postMessage({ type: "loading", id });
+      try {
+        multiheat = await loadMultiheat();
+      } catch (e) {
+        postError(
+          id,
+          e,
+          "Не удалось загрузить модуль вычислений. Подробности в консоли браузера.",
+        );
+        return;
+      }
+      // Почему: `cancel`, отправленный во время загрузки, должен быть прочитан до синтеза.
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+
+    if (cancelled.has(id)) {
+      self.postMessage({
+        type: "error",
+        id,
+        message: "Синтез отменён.",
+        cause: null,
+        cancelled: true,
+      });
+      return;
+    }
+
+    let lastFraction = -1;
+    let lastAt = 0;
+
+    const onProgress = (fraction) => {
+      const f = Math.max(0, Math.min(1, Number(fraction) || 0));
+      const now = Date.now();
+      if (
+        f < 1 &&
+        f - lastFraction < PROGRESS_MIN_STEP &&
+        now - lastAt < PROGRESS_MIN_INTERVAL_MS
+      )
+        return;
+
+      lastFraction = f;
+      lastAt = now;
+      self.postMessage({ type: "progress", id, fraction: f });
+    };
+
+    const result = runSolveRequest(multiheat, request, { onProgress });
+
+    self.postMessage({
+      type: "result",
+      id,
+      exchangers: result.exchangers,
+      solve_time_ms: result.solve_time_ms,
+    });
+  } catch (e) {
+    postError(id, e);
+  } finally {
+    active.delete(id);
+    cancelled.delete(id);
+  }
+};
+
+self.addEventListener("message", (ev) => {
+  const msg = ev.data;
+  if (!msg || typeof msg !== "object") return;
+
+  if (msg.type === "request") {
+    handleRequest(msg.id, msg.request);
+  } else if (msg.type === "cancel") {
+    if (active.has(msg.id)) cancelled.add(msg.id);
+  }
+});
@@ -0,0 +1,446 @@
+/**
+ * verify_solution (JavaScript) — проверка готового решения без Zig/WASM.
+ *
+ * Это расширенный порт `verifySolution` из `multiheat/cli/multiheat.zig`.
+ *
+ * Zig проверяет только структуру аппаратов и суммарный баланс горячей/холодной подсистем
+ * и сообщает одну ошибку (`Unbalanced`). Здесь те же проверки дополнены:
+ * - балансом энергии по каждому потоку (сколько МВт не хватает или лишние);
+ * - проверкой ΔTmin для каждой ячейки теплообмена (температурный напор на обоих концах);
+ * - проверкой ΔT утилит для нагревателей и холодильников с назначенной утилитой (см. `model/utilities.js`);
+ * - проверкой ограничений на сочетания потоков (см. `model/constraints.js`).
+ *
+ * Вместо исключения возвращается структурированный список нарушений,
+ * чтобы интерфейс мог показать, что именно не так.
+ *
+ * Температуры в точках контакта берутся из аппаратов (`hot_in`, `hot_out`, `cold_in`, `cold_out`).
+ * Если их нет, они восстанавливаются (см. `model/exchanger_temps.js`):
+ * - по позициям `hot_seq`/`cold_seq`, если они заданы;
+ * - иначе по порядку аппаратов в `state.exchanger`, утилиты — в конце потока.
+ *
+ * Важно:
+ * - вход: каноническое состояние UI ({ hot, cold, exchanger })
+ * - функция НЕ мутирует исходный state
+ */
+
+import {
+  annotateExchangerTemperatures,
+  hasExchangerTemperatures,
+} from "../model/exchanger_temps.js";
+import { utilityApproach } from "../model/utilities.js";
+import { fromMW, loadUnitLabel } from "../model/units.js";
+import { forbiddenMatches, requiredMatches } from "../model/constraints.js";
+
+/** Допуск баланса энергии, как в Zig (`eps: f32 = 1e-3`) */
+const LOAD_EPS = 1e-3;
+
+/** Допуск температурного напора (K) */
+const TEMP_EPS = 1e-3;
+
+/**
+ * @typedef {object} Violation
+ * @property {"invalid_exchanger"|"total_balance"|"stream_balance"|"min_dt"|"utility_dt"|"forbidden_match"|"required_match"} kind
+ * @property {number|null} exchanger индекс аппарата в `state.exchanger` (0-based) или null
+ * @property {"hot"|"cold"|null} side сторона потока (для нарушений баланса)
+ * @property {number|null} stream индекс потока (0-based) или null
+ * @property {number|null} hot индекс горячего потока аппарата (0-based) или null
+ * @property {number|null} cold индекс холодного потока аппарата (0-based) или null
+ * @property {number|null} required_MW требуемая нагрузка (МВт)
+ * @property {number|null} supplied_MW нагрузка, обеспеченная аппаратами (МВт)
+ * @property {number|null} shortfall_MW недостача (МВт); отрицательное значение — избыток
+ * @property {number|null} approach_K минимальный температурный напор в ячейке (K)
+ * @property {number|null} min_dt_K требуемый ΔTmin (K); для `utility_dt` — ΔT утилит
+ * @property {number|null} utility индекс утилиты (0-based) или null
+ * @property {number|null} constraint индекс нарушенного ограничения (0-based) или null
+ */
+
+/**
+ * @typedef {object} ExchangerTemps
+ * @property {number} hot_in_K
+ * @property {number} hot_out_K
+ * @property {number} cold_in_K
+ * @property {number} cold_out_K
+ */
+
+/**
+ * Свойства потока в семантике Zig/interop (см. `streamProps` в решателях).
+ *
+ * @param {any} s
+ * @returns {{ isothermal: boolean, inT: number, outT: number, rate: number, req: number }}
+ */
+const streamProps = (s) => {
+  if (!s || typeof s !== "object") {
+    return { isothermal: true, inT: 0, outT: 0, rate: 0, req: 0 };
+  }
+
+  const inT = Number(s.in);
+  const hasOut = s.out !== undefined && s.out !== null;
+  const outT = hasOut ? Number(s.out) : inT;
+
+  if (!hasOut || outT === inT) {
+    const req = Math.max(0, Number(s.load) || 0);
+    return { isothermal: true, inT, outT: inT, rate: 0, req };
+  }
+
+  const dt = Math.abs(outT - inT);
+
+  if (s.rate !== undefined && s.rate !== null) {
+    const rate = Math.max(0, Number(s.rate) || 0);
+    return { isothermal: false, inT, outT, rate, req: rate * dt };
+  }
+
+  const load = Math.max(0, Number(s.load) || 0);
+  return { isothermal: false, inT, outT, rate: load / dt, req: load };
+};
+
+/** @param {any} v */
+const isIndex = (v) => v !== null && v !== undefined;
+
+/**
+ * Создать запись нарушения (все поля присутствуют, чтобы потребителям было проще).
+ *
+ * @param {Partial<Violation> & { kind: Violation["kind"] }} v
+ * @returns {Violation}
+ */
+const violation = (v) => ({
+  exchanger: null,
+  side: null,
+  stream: null,
+  hot: null,
+  cold: null,
+  required_MW: null,
+  supplied_MW: null,
+  shortfall_MW: null,
+  approach_K: null,
+  min_dt_K: null,
+  utility: null,
+  constraint: null,
+  ...v,
+});
+
+/**
+ * Температуры на входе/выходе каждого аппарата.
+ *
+ * Если у аппарата температуры заданы явно (их выдают решатели) — берём их.
+ * Иначе восстанавливаем по позициям на потоках или по порядку списка.
+ * Для некорректных аппаратов — null.
+ *
+ * @param {any} state
+ * @param {(any|null)[]} exch
+ * @returns {(ExchangerTemps|null)[]}
+ */
+const exchangerTemps = (state, exch) => {
+  const derived = annotateExchangerTemperatures(state, exch);
+
+  return exch.map((ex, k) => {
+    if (!ex) return null;
+    const t = hasExchangerTemperatures(ex) ? ex : derived[k];
+    const side = (name, key) =>
+      isIndex(ex[name]) && Number.isFinite(t[key]) ? Number(t[key]) : NaN;
+    return {
+      hot_in_K: side("hot", "hot_in"),
+      hot_out_K: side("hot", "hot_out"),
+      cold_in_K: side("cold", "cold_in"),
+      cold_out_K: side("cold", "cold_out"),
+    };
+  });
+};
+
+/**
+ * verifySolutionJs(state, opts) → результат проверки решения.
+ *
+ * Проверки:
+ * 1) структура аппаратов (как в Zig): есть hot или cold, load > 0, индексы в диапазоне;
+ * 2) суммарный баланс горячей и холодной подсистем (как в Zig);
+ * 3) баланс энергии по каждому потоку;
+ * 4) ΔTmin в каждой ячейке теплообмена (по заданным или восстановленным температурам);
+ * 5) ΔT утилит у нагревателей и холодильников, которым назначена утилита;
+ * 6) ограничения: нет ячеек запрещённых пар, у обязательных пар суммарная нагрузка не меньше `min_load`.
+ *
+ * @param {any} state Каноническое состояние ({ hot, cold, utility, constraint, exchanger })
+ * @param {{ min_dt?: number, def_dt?: number }} [opts]
+ * @returns {{ ok: boolean, violations: Violation[], temperatures: (ExchangerTemps|null)[] }}
+ */
+export const verifySolutionJs = (state, opts = {}) => {
+  const dtMin = Number.isFinite(opts.min_dt) ? Number(opts.min_dt) : 20;
+  const defDt = Number.isFinite(opts.def_dt) ? Number(opts.def_dt) : 30;
+
+  const hot = Array.isArray(state?.hot) ? state.hot : [];
+  const cold = Array.isArray(state?.cold) ? state.cold : [];
+  const utilities = Array.isArray(state?.utility) ? state.utility : [];
+  const exch = Array.isArray(state?.exchanger) ? state.exchanger : [];
+
+  /** @type {Violation[]} */
+  const violations = [];
+
+  const hotReq = hot.map((s) => streamProps(s).req);
+  const coldReq = cold.map((s) => streamProps(s).req);
+  const hotGot = new Array(hot.length).fill(0.0);
+  const coldGot = new Array(cold.length).fill(0.0);
+
+  // 1) Структура аппаратов.
+  /** @type {boolean[]} */
+  const valid = new Array(exch.length).fill(false);
+
+  for (let k = 0; k < exch.length; k++) {
+    const ex = exch[k];
+    const hasH = isIndex(ex?.hot);
+    const hasC = isIndex(ex?.cold);
+    const h = hasH ? Number(ex.hot) : null;
+    const c = hasC ? Number(ex.cold) : null;
+    const load = Number(ex?.load);
+
+    const base = { kind: "invalid_exchanger", exchanger: k, hot: h, cold: c };
+
+    if (!hasH && !hasC) {
+      violations.push(violation(base));
+      continue;
+    }
+    if (!(load > 0)) {
+      violations.push(violation({ ...base, supplied_MW: load }));
+      continue;
+    }
+    if (hasH && !(Number.isInteger(h) && h >= 0 && h < hot.length)) {
+      violations.push(violation(base));
+      continue;
+    }
+    if (hasC && !(Number.isInteger(c) && c >= 0 && c < cold.length)) {
+      violations.push(violation(base));
+      continue;
+    }
+
+    valid[k] = true;
+    if (hasH) hotGot[h] += load;
+    if (hasC) coldGot[c] += load;
+  }
+
+  // 2) Суммарный баланс подсистем.
+  const sum = (xs) => xs.reduce((a, x) => a + x, 0);
+
+  for (const [side, req, got] of [
+    ["hot", hotReq, hotGot],
+    ["cold", coldReq, coldGot],
+  ]) {
+    const r = sum(req);
+    const g = sum(got);
+    if (Math.abs(g - r) > LOAD_EPS) {
+      violations.push(
+        violation({
+          kind: "total_balance",
+          side,
+          required_MW: r,
+          supplied_MW: g,
+          shortfall_MW: r - g,
+        }),
+      );
+    }
+  }
+
+  // 3) Баланс по каждому потоку.
+  for (const [side, req, got] of [
+    ["hot", hotReq, hotGot],
+    ["cold", coldReq, coldGot],
+  ]) {
+    for (let i = 0; i < req.length; i++) {
+      if (Math.abs(got[i] - req[i]) <= LOAD_EPS) continue;
+      violations.push(
+        violation({
+          kind: "stream_balance",
+          side,
+          stream: i,
+          required_MW: req[i],
+          supplied_MW: got[i],
+          shortfall_MW: req[i] - got[i],
+        }),
+      );
+    }
+  }
+
+  // 4) ΔTmin по ячейкам теплообмена.
+  const validExch = exch.map((ex, k) => (valid[k] ? ex : null));
+  const temperatures = exchangerTemps({ hot, cold }, validExch);
+
+  for (let k = 0; k < exch.length; k++) {
+    const t = temperatures[k];
+    const ex = exch[k];
+    if (!t || !isIndex(ex?.hot) || !isIndex(ex?.cold)) continue;
+
+    // Противоток: горячий вход против холодного выхода и наоборот.
+    const approach = Math.min(
+      t.hot_in_K - t.cold_out_K,
+      t.hot_out_K - t.cold_in_K,
+    );
+
+    if (approach < dtMin - TEMP_EPS) {
+      violations.push(
+        violation({
+          kind: "min_dt",
+          exchanger: k,
+          hot: Number(ex.hot),
+          cold: Number(ex.cold),
+          supplied_MW: Number(ex.load),
+          approach_K: approach,
+          min_dt_K: dtMin,
+        }),
+      );
+    }
+  }
+
+  // 5) ΔT утилит.
+  for (let k = 0; k < exch.length; k++) {
+    const t = temperatures[k];
+    const ex = exch[k];
+    const u = Number.isInteger(ex?.utility) ? utilities[ex.utility] : null;
+    if (!t || !u || (isIndex(ex.hot) && isIndex(ex.cold))) continue;
+
+    const approach = utilityApproach(u, {
+      hot: ex.hot,
+      cold: ex.cold,
+      hot_in: t.hot_in_K,
+      hot_out: t.hot_out_K,
+      cold_in: t.cold_in_K,
+      cold_out: t.cold_out_K,
+    });
+
+    if (approach < defDt - TEMP_EPS) {
+      violations.push(
+        violation({
+          kind: "utility_dt",
+          exchanger: k,
+          hot: isIndex(ex.hot) ? Number(ex.hot) : null,
+          cold: isIndex(ex.cold) ? Number(ex.cold) : null,
+          supplied_MW: Number(ex.load),
+          approach_K: approach,
+          min_dt_K: defDt,
+          utility: ex.utility,
+        }),
+      );
+    }
+  }
+
+  // 6) Ограничения на сочетания потоков.
+  const forbidden = forbiddenMatches(state);
+  /** @type {Map<string, number>} */
+  const pairLoad = new Map();
+
+  for (let k = 0; k < exch.length; k++) {
+    const ex = exch[k];
+    if (!valid[k] || !isIndex(ex.hot) || !isIndex(ex.cold)) continue;
+
+    const key = `${ex.hot}:${ex.cold}`;
+    pairLoad.set(key, (pairLoad.get(key) ?? 0) + Number(ex.load));
+
+    const constraint = forbidden(Number(ex.hot), Number(ex.cold));
+    if (constraint !== null) {
+      violations.push(
+        violation({
+          kind: "forbidden_match",
+          exchanger: k,
+          hot: Number(ex.hot),
+          cold: Number(ex.cold),
+          supplied_MW: Number(ex.load),
+          constraint,
+        }),
+      );
+    }
+  }
+
+  for (const r of requiredMatches(state)) {
+    const got = pairLoad.get(`${r.hot}:${r.cold}`) ?? 0;
+    if (got >= r.min_load - LOAD_EPS) continue;
+    violations.push(
+      violation({
+        kind: "required_match",
+        hot: r.hot,
+        cold: r.cold,
+        required_MW: r.min_load,
+        supplied_MW: got,
+        shortfall_MW: r.min_load - got,
+        constraint: r.constraint,
+      }),
+    );
+  }
+
+  return { ok: violations.length === 0, violations, temperatures };
+};
+
+/**
+ * Сформировать человекочитаемое описание нарушения (для строки статуса и консоли).
+ *
+ * Нагрузки (поля `*_MW`) выводятся в единице `units.loadUnit` (по умолчанию МВт).
+ * Температурные напоры — разности температур — всегда выводятся в K, как ΔTmin проекта.
+ *
+ * @param {Violation} v
+ * @param {import("../model/units.js").DisplayUnits} [units]
+ * @returns {string}
+ */
+export const describeViolation = (v, units = {}) => {
+  const fmt = (x) => {
+    const n = Number(x);
+    if (!Number.isFinite(n)) return String(x);
+    return n.toFixed(3).replace(/\.?0+$/, "");
+  };
+
+  const loadUnit = units.loadUnit ?? "MW";
+  const load = (q) =>
+    `${fmt(fromMW(Number(q), loadUnit))} ${loadUnitLabel(loadUnit)}`;
+
+  const exId = v.exchanger === null ? "" : `E${v.exchanger + 1}`;
+  const streamId =
+    v.stream === null ? "" : `${v.side === "hot" ? "H" : "C"}${v.stream + 1}`;
+
+  if (v.kind === "invalid_exchanger")
+    return `${exId}: некорректная запись теплообменника.`;
+
+  if (v.kind === "total_balance") {
+    const sideLabel = v.side === "hot" ? "горячих" : "холодных";
+    return `Суммарный баланс ${sideLabel} потоков нарушен: требуется ${load(v.required_MW)}, обеспечено ${load(v.supplied_MW)}.`;
+  }
+
+  if (v.kind === "stream_balance") {
+    const what =
+      v.shortfall_MW > 0
+        ? `не хватает ${load(v.shortfall_MW)}`
+        : `избыток ${load(-v.shortfall_MW)}`;
+    return `${streamId}: ${what} (требуется ${load(v.required_MW)}, обеспечено ${load(v.supplied_MW)}).`;
+  }
+
+  if (v.kind === "min_dt") {
+    return `${exId} (H${v.hot + 1}–C${v.cold + 1}): температурный напор ${fmt(v.approach_K)} K меньше ΔTmin = ${fmt(v.min_dt_K)} K.`;
+  }
+
+  if (v.kind === "utility_dt") {
+    const streamEnd = v.hot === null ? `C${v.cold + 1}` : `H${v.hot + 1}`;
+    return `${exId} (${streamEnd}, утилита U${v.utility + 1}): температурный напор ${fmt(v.approach_K)} K меньше ΔT утилит = ${fmt(v.min_dt_K)} K.`;
+  }
+
+  if (v.kind === "forbidden_match") {
+    return `${exId} (H${v.hot + 1}–C${v.cold + 1}): сочетание потоков запрещено (ограничение ${v.constraint + 1}).`;
+  }
+
+  if (v.kind === "required_match") {
+    const pair = `H${v.hot + 1}–C${v.cold + 1}`;
+    return v.supplied_MW > 0
+      ? `${pair}: нагрузка обязательного сочетания ${load(v.supplied_MW)} меньше требуемой ${load(v.required_MW)} (ограничение ${v.constraint + 1}).`
+      : `${pair}: нет обязательного сочетания потоков (ограничение ${v.constraint + 1}, требуется ${load(v.required_MW)}).`;
+  }
+
+  return "Неизвестное нарушение.";
+};
+
+/**
+ * Краткое описание результата `verifySolutionJs` для строки статуса:
+ * первое нарушение и общее количество (полный список — в консоли).
+ *
+ * @param {ReturnType<typeof verifySolutionJs>} result
+ * @param {import("../model/units.js").DisplayUnits} [units] единицы нагрузок (см. `describeViolation`)
+ * @returns {string}
+ */
+export const summarizeViolations = (result, units = {}) => {
+  const vs = result.violations;
+  if (vs.length === 0) return "";
+  const first = describeViolation(vs[0], units);
+  return vs.length > 1 ? `${first} Всего нарушений: ${vs.length}.` : first;
+};
+
+export default verifySolutionJs;
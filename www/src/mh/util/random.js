@@ -0,0 +1,54 @@
+/**
+ * Воспроизводимые псевдослучайные числа для генератора систем.
+ *
+ * Почему не `Math.random`: по зерну (seed) сгенерированную систему можно воспроизвести
+ * и передать другому пользователю (секция `[generator]` в TOML).
+ */
+
+/** Наибольшее допустимое зерно: генератор работает с 32-битным состоянием */
+export const MAX_SEED = 0xffffffff;
+
+/**
+ * `createRandom(seed)` → функция, возвращающая равномерно распределённые числа из [0, 1).
+ *
+ * Алгоритм mulberry32: 32-битное состояние, только целочисленные операции,
+ * поэтому последовательность одинакова во всех движках JavaScript.
+ *
+ * @param {number} seed целое от 0 до MAX_SEED
+ * @returns {() => number}
+ */
+export const createRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * `newSeed()` → новое случайное зерно (криптографический источник, если доступен).
+ *
+ * @returns {number}
+ */
+export const newSeed = () => {
+  const c = globalThis.crypto;
+  if (c && typeof c.getRandomValues === "function")
+    return c.getRandomValues(new Uint32Array(1))[0];
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+};
+
+/**
+ * Разобрать зерно: целое от 0 до MAX_SEED или null.
+ *
+ * @param {any} raw
+ * @returns {number|null}
+ */
+export const parseSeed = (raw) => {
+  const s = String(raw ?? "").trim();
+  if (!/^\d+$/.test(s)) return null;
+  const v = Number(s);
+  return Number.isSafeInteger(v) && v <= MAX_SEED ? v : null;
+};
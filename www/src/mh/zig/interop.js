@@ -1,3 +1,6 @@
+import { annotateExchangerTemperatures } from "../model/exchanger_temps.js";
+import { assignUtilities } from "../model/utilities.js";
+import { dtOptions } from "../model/state.js";
 import { toErrorText } from "../util/errors.js";
 
 /**
@@ -78,9 +81,11 @@ export const buildZigSystem = (multiheat, state, includeExchangers) => {
       ? state.exchanger.map(toZigEx)
       : [];
 
+  const { min_dt, def_dt } = dtOptions(state);
+
   return new HeatSystem({
-    min_dt: 20,
-    def_dt: 30,
+    min_dt,
+    def_dt,
     hot_streams: hotStreams,
     cold_streams: coldStreams,
     exchangers,
@@ -142,14 +147,27 @@ export const dumpZigList = (xs) => {
 export const dumpExchangersFromZig = (xs) => dumpZigList(xs);
 
 /**
- * `zigExchangersToState(zigExList)` → список `exchanger` в формате канонического состояния.
+ * `zigExchangersToState(zigExList, state)` → список `exchanger` в формате канонического состояния.
+ *
+ * Zig не возвращает температуры аппаратов. Если передан `state` (потоки задачи),
+ * температуры на входе/выходе и позиции на потоках восстанавливаются по порядку списка
+ * (см. `model/exchanger_temps.js`), а нагревателям и холодильникам назначаются утилиты
+ * (см. `model/utilities.js`).
  *
  * @param {any[]} zigExList
+ * @param {any} [state]
  * @returns {{hot: number|null, cold: number|null, load: number}[]}
  */
-export const zigExchangersToState = (zigExList) =>
-  zigExList.map((ex) => ({
+export const zigExchangersToState = (zigExList, state) => {
+  const exchangers = zigExList.map((ex) => ({
     hot: getOptionalValue(ex.hot_end),
     cold: getOptionalValue(ex.cold_end),
     load: Number(ex.load_MW),
   }));
+  if (!state) return exchangers;
+  return assignUtilities(
+    state,
+    annotateExchangerTemperatures(state, exchangers),
+    dtOptions(state),
+  );
+};
@@ -1,15 +1,20 @@
 import { defineConfig } from "vite";
 import zigar from "rollup-plugin-zigar";
 
+const zigarOptions = {
+  optimize: "ReleaseFast",
+  embedWASM: true,
+  topLevelAwait: true,
+  ignoreBuildFile: true,
+  multithreaded: false,
+};
+
 export default defineConfig(({ command }) => ({
   base: command === "build" ? "./" : "/",
-  plugins: [
-    zigar({
-      optimize: "ReleaseFast",
-      embedWASM: true,
-      topLevelAwait: true,
-      ignoreBuildFile: true,
-      multithreaded: false,
-    }),
-  ],
+  plugins: [zigar(zigarOptions)],
+  // Фоновый вычислитель синтеза (src/mh/solver/solver_worker.js) тоже импортирует .zig.
+  worker: {
+    format: "es",
+    plugins: () => [zigar(zigarOptions)],
+  },
 }));